@@ -9,6 +9,7 @@ class ApprovalUI {
   constructor() {
     this.container = null;
     this.currentInterrupt = null;
+    this.selections = {};
     this.timeoutTimer = null;
     this.onApprove = null;
     this.onReject = null;
@@ -74,6 +75,13 @@ class ApprovalUI {
    * Attach event listeners to modal elements
    */
   attachEventListeners() {
+    // Item checkboxes in bulk previews
+    document.querySelector('.approval-preview').addEventListener('change', (e) => {
+      if (e.target.matches('.bulk-item-checkbox')) {
+        this.updateSelection(e.target.dataset.domain);
+      }
+    });
+
     // Close button
     document.querySelector('.approval-close').addEventListener('click', () => {
       this.reject('User closed modal');
@@ -150,6 +158,7 @@ class ApprovalUI {
     const { previews, message } = interrupt.value;
     
     let html = '';
+    this.selections = {};
     
     // Add message if present
     if (message) {
@@ -160,12 +169,45 @@ class ApprovalUI {
     if (previews && previews.length > 0) {
       previews.forEach(preview => {
         html += this.renderPreviewCard(preview);
+
+        // Bulk previews list their items as checkboxes, all checked by default
+        const item = preview.preview || preview;
+        if (item.selectionType === 'multiple' && Array.isArray(item.options)) {
+          const domain = preview.domain || item.type;
+          html += this.renderBulkItems(item.options, domain);
+          this.selections[domain] = { optionIds: item.options.map(option => option.id) };
+        }
       });
     }
     
     previewEl.innerHTML = html;
   }
 
+  /**
+   * Render the items of a bulk preview as checkboxes
+   */
+  renderBulkItems(options, domain) {
+    return `
+      <div class="bulk-items" data-domain="${this.escapeHtml(domain)}">
+        ${options.map(option => `
+          <label class="bulk-item">
+            <input type="checkbox" class="bulk-item-checkbox" checked
+              data-domain="${this.escapeHtml(domain)}" value="${this.escapeHtml(option.id)}">
+            <span class="bulk-item-label">${this.escapeHtml(option.label)}</span>
+          </label>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Sync the checked bulk items for a domain into the selections
+   */
+  updateSelection(domain) {
+    const checked = document.querySelectorAll(`.bulk-item-checkbox[data-domain="${domain}"]:checked`);
+    this.selections[domain] = { optionIds: Array.from(checked).map(input => input.value) };
+  }
+
   /**
    * Render a single preview card
    */
@@ -176,6 +218,7 @@ class ApprovalUI {
     if (type === 'appointment') icon = '📅';
     else if (type === 'task') icon = '✅';
     else if (type === 'workflow') icon = '🔄';
+    else if (type === 'contact') icon = '👤';
     
     let html = `
       <div class="preview-card ${type}-card">
@@ -229,6 +272,21 @@ class ApprovalUI {
           </div>` : ''}
         </div>
       `;
+    } else if (type === 'contact' && preview.changes) {
+      html += `
+        <div class="preview-details">
+          ${preview.changes.map(change => `
+          <div class="detail-row">
+            <span class="detail-label">${this.escapeHtml(change.label)}:</span>
+            <span class="detail-value">
+              ${action !== 'create' ? `<span class="diff-removed">${this.escapeHtml(change.oldValue || 'empty')}</span> → ` : ''}
+              <span class="diff-added">${this.escapeHtml(change.newValue)}</span>
+            </span>
+          </div>`).join('')}
+          ${(preview.warnings || []).map(warning => `
+          <div class="detail-row contact-duplicate-warning">⚠️ ${this.escapeHtml(warning)}</div>`).join('')}
+        </div>
+      `;
     } else if (type === 'workflow' && details) {
       html += `
         <div class="preview-details">
@@ -260,6 +318,27 @@ class ApprovalUI {
           </details>
         `;
       }
+
+      // Before/after step lists when editing an existing workflow
+      if (preview.diff) {
+        html += `
+          <div class="workflow-diff">
+            <ol class="step-list diff-before">
+              ${preview.diff.before.map(step => `
+                <li class="step-item diff-${step.status}">${this.escapeHtml(step.name)}</li>
+              `).join('')}
+            </ol>
+            <ol class="step-list diff-after">
+              ${preview.diff.after.map(step => `
+                <li class="step-item diff-${step.status}">
+                  <span class="step-name">${this.escapeHtml(step.name)}</span>
+                  ${step.note ? `<span class="diff-note">${this.escapeHtml(step.note)}</span>` : ''}
+                </li>
+              `).join('')}
+            </ol>
+          </div>
+        `;
+      }
     }
     
     html += '</div>';
@@ -319,6 +398,10 @@ class ApprovalUI {
       approved: true,
       timestamp: Date.now()
     };
+
+    if (Object.keys(this.selections).length > 0) {
+      decision.selections = this.selections;
+    }
     
     if (this.onApprove) {
       this.onApprove(decision);
@@ -6,8 +6,9 @@
  */
 
 class InterruptClient {
-  constructor(sessionId, apiBase) {
+  constructor(sessionId, apiBase, orgId) {
     this.sessionId = sessionId;
+    this.orgId = orgId;
     this.apiBase = apiBase;
     this.ws = null;
     this.isConnected = false;
@@ -44,17 +45,60 @@ class InterruptClient {
     }
   }
 
+  /**
+   * Request a connection token for this session and org
+   * Tokens are single-use and expire within a minute, so one is fetched for
+   * every connect and reconnect - which also re-checks the session is still valid.
+   * @returns {Promise<string|null>} Token, or null if the session is no longer valid
+   */
+  async fetchConnectionToken() {
+    const response = await fetch(`${this.apiBase}/api/agent/ws-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        session_id: this.sessionId,
+        org_id: this.orgId
+      })
+    });
+
+    if (response.status === 401 || response.status === 400) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Token request failed with status ${response.status}`);
+    }
+
+    const { token } = await response.json();
+    return token;
+  }
+
   /**
    * Connect via WebSocket
    */
-  connectWebSocket() {
+  async connectWebSocket() {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       console.log('[InterruptClient] Already connected');
       return;
     }
 
-    const wsUrl = this.apiBase.replace('http', 'ws') + `/ws?session_id=${this.sessionId}`;
-    console.log(`[InterruptClient] Connecting to WebSocket: ${wsUrl}`);
+    let token;
+    try {
+      token = await this.fetchConnectionToken();
+    } catch (error) {
+      console.error('[InterruptClient] Failed to get connection token:', error);
+      this.scheduleReconnect();
+      return;
+    }
+
+    if (!token) {
+      // Session expired or was revoked - reconnecting won't help until the user logs in again
+      console.warn('[InterruptClient] Session not authorized for interrupts');
+      this.emit('auth_failed');
+      return;
+    }
+
+    const wsUrl = this.apiBase.replace('http', 'ws') + `/ws?token=${encodeURIComponent(token)}`;
+    console.log('[InterruptClient] Connecting to WebSocket');
 
     try {
       this.ws = new WebSocket(wsUrl);
@@ -128,7 +172,10 @@ class InterruptClient {
           await fetch(`${this.apiBase}/api/interrupts/acknowledge`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ session_id: this.sessionId })
+            body: JSON.stringify({
+              session_id: this.sessionId,
+              interrupt_id: data.interrupt.id
+            })
           });
         }
       } catch (error) {
@@ -199,6 +246,8 @@ class InterruptClient {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             session_id: this.sessionId,
+            // Interrupts carry their ID; approving the same one twice is a no-op on the server
+            interrupt_id: approvalData.interruptId,
             approval_data: approvalData
           })
         });
@@ -241,11 +290,16 @@ class InterruptClient {
    * Schedule reconnection attempt
    */
   scheduleReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.warn('[InterruptClient] Giving up after', this.reconnectAttempts, 'reconnect attempts');
+      return;
+    }
     this.reconnectAttempts++;
     const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
     
     console.log(`[InterruptClient] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
     
+    // connectWebSocket fetches a fresh token, so the session is re-validated on every reconnect
     setTimeout(() => {
       this.connectWebSocket();
     }, delay);
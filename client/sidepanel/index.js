@@ -58,6 +58,11 @@ function cacheElements() {
     headerMenuContainer: document.querySelector('.header-menu-container'),
     headerMenuBtn: document.getElementById('header-menu-btn'),
     headerMenu: document.getElementById('header-menu'),
+    menuTemplatesBtn: document.getElementById('menu-templates'),
+    menuImportWorkflowBtn: document.getElementById('menu-import-workflow'),
+    workflowImportInput: document.getElementById('workflow-import-input'),
+    menuBriefingBtn: document.getElementById('menu-briefing'),
+    menuDuplicatesBtn: document.getElementById('menu-duplicates'),
     menuResetBtn: document.getElementById('menu-reset'),
     menuLogoutBtn: document.getElementById('menu-logout'),
     sendBtn: document.getElementById('send-btn'),
@@ -110,6 +115,11 @@ function setupEventListeners() {
 
   // Header kebab menu
   elements.headerMenuBtn?.addEventListener('click', toggleHeaderMenu);
+  elements.menuTemplatesBtn?.addEventListener('click', () => { closeHeaderMenu(); showWorkflowTemplates(); });
+  elements.menuImportWorkflowBtn?.addEventListener('click', () => { closeHeaderMenu(); elements.workflowImportInput?.click(); });
+  elements.workflowImportInput?.addEventListener('change', handleWorkflowImport);
+  elements.menuBriefingBtn?.addEventListener('click', () => { closeHeaderMenu(); showNextMeetingBriefing(); });
+  elements.menuDuplicatesBtn?.addEventListener('click', () => { closeHeaderMenu(); showDuplicateContacts(); });
   elements.menuResetBtn?.addEventListener('click', () => { closeHeaderMenu(); handleResetConversation(); });
   elements.menuLogoutBtn?.addEventListener('click', () => { closeHeaderMenu(); handleLogout(); });
 }
@@ -543,20 +553,27 @@ async function handleSendMessage() {
   // Show typing indicator
   const typingId = showTypingIndicator();
   
+  // Bubble showing the response while it streams in (created on the first token)
+  let streamingBubble = null;
+  let streamedText = '';
+  
   try {
     isProcessing = true;
     elements.sendBtn.disabled = true;
     
     // Choose endpoint based on feature flag
     const endpoint = USE_V2_ARCHITECTURE
-      ? `${API_BASE}/api/agent/execute`
+      ? `${API_BASE}/api/agent/execute/stream`
       : `${API_BASE}/api/orchestrator/query`;
     
     console.log(`[CHAT] Using endpoint: ${endpoint}`);
     
     const response = await fetch(endpoint, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(USE_V2_ARCHITECTURE ? { 'Accept': 'text/event-stream' } : {})
+      },
       body: JSON.stringify({
         query: message,
         session_id: currentSessionId,
@@ -566,11 +583,33 @@ async function handleSendMessage() {
       })
     });
     
-    if (!response.ok) {
-      if (response.status === 401) {
+    let status = response.status;
+    let data;
+    
+    if (USE_V2_ARCHITECTURE && response.ok) {
+      // Progress and partial text arrive as events; the result event carries the /execute response
+      data = await readExecuteStream(response, {
+        onProgress: (event) => updateTypingIndicator(typingId, event.message),
+        onToken: (text) => {
+          if (!streamingBubble) {
+            removeTypingIndicator(typingId);
+            streamingBubble = createStreamingMessage();
+          }
+          streamedText += text;
+          streamingBubble.innerHTML = renderMarkdown(streamedText);
+          scrollToBottom();
+        }
+      });
+      status = data.statusCode;
+    } else {
+      data = await response.json().catch(() => ({}));
+    }
+    
+    if (status >= 400) {
+      streamingBubble?.closest('.message')?.remove();
+      if (status === 401) {
         // Check if re-authentication is required
-        const errorData = await response.json();
-        if (errorData.requiresReauth) {
+        if (data.requiresReauth) {
           // Remove typing indicator before re-auth
           removeTypingIndicator(typingId);
           
@@ -584,14 +623,12 @@ async function handleSendMessage() {
         }
         throw new Error('Session expired. Please login again.');
       }
-      if (response.status === 429) {
+      if (status === 429) {
         throw new Error('Rate limit exceeded. Please wait a moment.');
       }
       throw new Error('Failed to process request');
     }
     
-    const data = await response.json();
-    
     // Remove typing indicator
     removeTypingIndicator(typingId);
     
@@ -629,9 +666,18 @@ async function handleSendMessage() {
           handleInterruptReceived(data.interrupt);
         }
       } else if (data.status === 'COMPLETED') {
-        // Add assistant response
+        // Add assistant response, replacing the streamed text with the final version
         const responseText = data.response || 'Task completed.';
-        addMessageToChat(responseText, false);
+        if (streamingBubble) {
+          finalizeStreamingMessage(streamingBubble, responseText);
+        } else {
+          addMessageToChat(responseText, false);
+        }
+
+        // Structured results from the agents (e.g. meeting briefings)
+        if (data.artifacts && data.artifacts.length > 0) {
+          renderArtifacts(data.artifacts);
+        }
         
         // Show follow-up questions if provided
         if (data.followups && data.followups.length > 0) {
@@ -639,6 +685,7 @@ async function handleSendMessage() {
         }
       } else {
         // Handle error or unknown status
+        streamingBubble?.closest('.message')?.remove();
         const responseText = data.error || 'I couldn\'t process that request.';
         addMessageToChat(responseText, false);
       }
@@ -651,6 +698,7 @@ async function handleSendMessage() {
   } catch (error) {
     console.error('[CHAT] Error:', error);
     removeTypingIndicator(typingId);
+    streamingBubble?.closest('.message')?.remove();
     addMessageToChat(error.message || 'Failed to process request. Please try again.', false);
   } finally {
     isProcessing = false;
@@ -659,6 +707,49 @@ async function handleSendMessage() {
   }
 }
 
+/**
+ * Read the Server-Sent Events of /api/agent/execute/stream
+ * Calls onProgress/onToken as events arrive and resolves with the result event.
+ */
+async function readExecuteStream(response, { onProgress, onToken }) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (!result) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let eventType = 'message';
+      const dataLines = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) eventType = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+        // Lines starting with ':' are keep-alive comments
+      }
+      if (dataLines.length === 0) continue;
+
+      const payload = JSON.parse(dataLines.join('\n'));
+      if (eventType === 'progress') onProgress?.(payload);
+      else if (eventType === 'token') onToken?.(payload.text);
+      else if (eventType === 'result') result = payload;
+    }
+  }
+
+  if (!result) {
+    throw new Error('The connection closed before the response finished. Please try again.');
+  }
+  return result;
+}
+
 function renderMarkdown(text) {
   try {
     // Configure marked options for better formatting
@@ -734,6 +825,44 @@ function showTypingIndicator() {
   return id;
 }
 
+// Show what the agents are doing next to the typing dots
+function updateTypingIndicator(id, text) {
+  const indicator = document.getElementById(id)?.querySelector('.typing-indicator');
+  if (!indicator || !text) return;
+
+  let status = indicator.querySelector('.typing-status');
+  if (!status) {
+    status = document.createElement('span');
+    status.className = 'typing-status';
+    indicator.appendChild(status);
+  }
+  status.textContent = text;
+  scrollToBottom();
+}
+
+// Empty assistant bubble that streamed text is rendered into
+function createStreamingMessage() {
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'message assistant-message streaming';
+
+  const bubbleDiv = document.createElement('div');
+  bubbleDiv.className = 'message-bubble';
+
+  messageDiv.appendChild(bubbleDiv);
+  elements.chatMessages?.appendChild(messageDiv);
+  scrollToBottom();
+
+  return bubbleDiv;
+}
+
+// Replace streamed text with the final response and keep it in history
+function finalizeStreamingMessage(bubbleDiv, text) {
+  bubbleDiv.innerHTML = renderMarkdown(text);
+  bubbleDiv.closest('.message')?.classList.remove('streaming');
+  chatMessages.push({ text, isUser: false, timestamp: new Date() });
+  scrollToBottom();
+}
+
 function removeTypingIndicator(id) {
   const element = document.getElementById(id);
   element?.remove();
@@ -925,6 +1054,8 @@ function showApprovalUI(previews, threadId) {
   
   // Single-card layout
   const approvals = {};
+  // Choices made inside a preview (e.g. a suggested time slot), keyed by domain
+  const selections = {};
   const card = document.createElement('div');
   card.className = 'approval-card';
 
@@ -986,6 +1117,9 @@ function showApprovalUI(previews, threadId) {
         <div class="preview-detail">No additional details available.</div>
       `;
     }
+    if (Array.isArray(item?.options) && item.options.length > 0) {
+      wrapper.appendChild(buildPreviewOptions(item.options, preview?.domain || 'calendar', selections, item.selectionType));
+    }
     contentDiv.appendChild(wrapper);
   });
 
@@ -1015,7 +1149,7 @@ function showApprovalUI(previews, threadId) {
   const submitBtn = document.createElement('button');
   submitBtn.className = 'submit-approval-btn';
   submitBtn.textContent = 'Confirm';
-  submitBtn.onclick = () => handleApprovalSubmit(approvals, approvalDiv.id);
+  submitBtn.onclick = () => handleApprovalSubmit(approvals, approvalDiv.id, selections);
   
   submitDiv.appendChild(submitBtn);
   approvalDiv.appendChild(submitDiv);
@@ -1025,6 +1159,70 @@ function showApprovalUI(previews, threadId) {
   approvalDiv.scrollIntoView({ behavior: 'smooth', block: 'end' });
 }
 
+/**
+ * Render selectable options for a preview
+ * 'single' renders radios (e.g. suggested meeting times) with the first preselected;
+ * 'multiple' renders checkboxes (e.g. tasks in a bulk action) with everything checked
+ */
+function buildPreviewOptions(options, domain, selections, selectionType = 'single') {
+  const list = document.createElement('div');
+  list.className = 'preview-options';
+  const groupName = `options-${domain}-${Date.now()}`;
+
+  if (selectionType === 'multiple') {
+    const checked = new Set(options.map(option => option.id));
+    const sync = () => { selections[domain] = { optionIds: options.map(o => o.id).filter(id => checked.has(id)) }; };
+
+    options.forEach(option => {
+      const label = document.createElement('label');
+      label.className = 'preview-option';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = groupName;
+      input.value = option.id;
+      input.checked = true;
+      input.onchange = () => {
+        if (input.checked) checked.add(option.id);
+        else checked.delete(option.id);
+        sync();
+      };
+
+      const text = document.createElement('span');
+      text.textContent = option.label;
+
+      label.appendChild(input);
+      label.appendChild(text);
+      list.appendChild(label);
+    });
+
+    sync();
+    return list;
+  }
+
+  options.forEach((option, index) => {
+    const label = document.createElement('label');
+    label.className = 'preview-option';
+
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = groupName;
+    input.value = option.id;
+    input.checked = index === 0;
+    input.onchange = () => { selections[domain] = { optionId: option.id }; };
+
+    const text = document.createElement('span');
+    text.textContent = option.label;
+
+    label.appendChild(input);
+    label.appendChild(text);
+    list.appendChild(label);
+  });
+
+  selections[domain] = { optionId: options[0].id };
+  return list;
+}
+
 function formatPreviewSpec(spec, preview) {
   // Handle appointment previews with details array
   if (preview?.type === 'appointment' && preview?.details) {
@@ -1066,6 +1264,46 @@ function formatPreviewSpec(spec, preview) {
       html += `<div class="preview-detail"><strong>${detail.label}:</strong> ${detail.value}</div>`;
     });
 
+    if (preview.warnings && preview.warnings.length > 0) {
+      html += '<div class="preview-warnings">';
+      preview.warnings.forEach(warning => {
+        html += `<div class="warning-item">⚠️ ${escapeHtml(warning)}</div>`;
+      });
+      html += '</div>';
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  // Handle contact create/update previews (old → new per field)
+  if (preview?.type === 'contact' && preview?.changes) {
+    let html = '<div class="spec-details">';
+
+    if (preview.title) {
+      html += `<div class="preview-title"><strong>${escapeHtml(preview.title)}</strong></div>`;
+    }
+
+    html += '<table class="contact-changes">';
+    preview.changes.forEach(change => {
+      html += '<tr>';
+      html += `<th>${escapeHtml(change.label)}</th>`;
+      if (preview.action !== 'create') {
+        html += `<td class="contact-change-old">${change.oldValue ? escapeHtml(change.oldValue) : '<em>empty</em>'}</td>`;
+      }
+      html += `<td class="contact-change-new">${escapeHtml(change.newValue)}</td>`;
+      html += '</tr>';
+    });
+    html += '</table>';
+
+    if (preview.warnings && preview.warnings.length > 0) {
+      html += '<div class="preview-warnings">';
+      preview.warnings.forEach(warning => {
+        html += `<div class="warning-item">⚠️ ${escapeHtml(warning)}</div>`;
+      });
+      html += '</div>';
+    }
+
     html += '</div>';
     return html;
   }
@@ -1089,6 +1327,9 @@ function formatPreviewSpec(spec, preview) {
     if (preview.details.totalDuration) {
       html += `<div class="preview-detail"><strong>Estimated Duration:</strong> ${preview.details.totalDuration}</div>`;
     }
+    if (preview.details.template) {
+      html += `<div class="preview-detail"><strong>Template:</strong> ${escapeHtml(preview.details.template)}</div>`;
+    }
     if (preview.details.guidanceMode) {
       html += `<div class="preview-detail"><strong>Mode:</strong> ${preview.details.guidanceMode}</div>`;
     }
@@ -1121,6 +1362,26 @@ function formatPreviewSpec(spec, preview) {
       html += '</div>';
     }
 
+    // Add before/after step lists for edits of existing workflows
+    if (preview.diff) {
+      html += '<div class="workflow-diff">';
+      html += '<div class="workflow-diff-column"><div class="steps-header"><strong>Before:</strong></div><ol class="workflow-steps-list">';
+      preview.diff.before.forEach(step => {
+        html += `<li class="workflow-diff-step diff-${step.status}">${escapeHtml(step.name)}</li>`;
+      });
+      html += '</ol></div>';
+      html += '<div class="workflow-diff-column"><div class="steps-header"><strong>After:</strong></div><ol class="workflow-steps-list">';
+      preview.diff.after.forEach(step => {
+        html += `<li class="workflow-diff-step diff-${step.status}">${escapeHtml(step.name)}`;
+        if (step.status !== 'unchanged') {
+          html += ` <span class="diff-note">(${escapeHtml(step.note || step.status)})</span>`;
+        }
+        html += '</li>';
+      });
+      html += '</ol></div>';
+      html += '</div>';
+    }
+
     // Add enhancements if any (for hybrid mode)
     if (preview.details.enhancements && preview.details.enhancements.length > 0) {
       html += '<div class="workflow-enhancements">';
@@ -1178,7 +1439,7 @@ function formatPreviewSpec(spec, preview) {
   return html;
 }
 
-async function handleApprovalSubmit(approvals, containerId) {
+async function handleApprovalSubmit(approvals, containerId, selections = {}) {
   console.log('[APPROVAL] Submitting approvals:', approvals);
   
   if (!currentThreadId) {
@@ -1209,6 +1470,9 @@ async function handleApprovalSubmit(approvals, containerId) {
       // V2 format: send decision field
       const approved = approvals[approvalKeys[0]];
       requestBody.decision = approved ? 'approve' : 'reject';
+      if (approved && Object.keys(selections).length > 0) {
+        requestBody.selections = selections;
+      }
       console.log('[APPROVAL] Sending V2 format with decision:', requestBody.decision);
     } else {
       // V1 format: send approvals object for multiple items
@@ -1827,7 +2091,9 @@ function showWorkflowGuidanceUI(options, threadId) {
   const explainDiv = document.createElement('div');
   explainDiv.className = 'workflow-explain';
   
-  if (options.mode === 'agent-led') {
+  if (options.mode === 'templates') {
+    explainDiv.textContent = 'Start from one of your workflow templates:';
+  } else if (options.mode === 'agent-led') {
     explainDiv.textContent = 'I can suggest best practice steps for this workflow:';
   } else if (options.mode === 'user-specified') {
     explainDiv.textContent = 'Please specify the steps you want for this workflow:';
@@ -1863,6 +2129,26 @@ function showWorkflowGuidanceUI(options, threadId) {
     workflowDiv.appendChild(stepsDiv);
   }
   
+  // Template library (built-in and saved by the org)
+  if (options.templates && options.templates.length > 0) {
+    const templatesList = document.createElement('div');
+    templatesList.className = 'workflow-templates';
+
+    options.templates.forEach(template => {
+      const templateBtn = document.createElement('button');
+      templateBtn.className = 'workflow-template-item';
+      templateBtn.innerHTML = `
+        <span class="template-name">${escapeHtml(template.name)}</span>
+        <span class="template-meta">${template.stepCount} steps · ${template.source === 'org' ? 'Saved by your team' : escapeHtml(template.category || 'Built-in')}</span>
+        ${template.description ? `<span class="template-desc">${escapeHtml(template.description)}</span>` : ''}
+      `;
+      templateBtn.onclick = () => useWorkflowTemplate(template, workflowDiv.id);
+      templatesList.appendChild(templateBtn);
+    });
+
+    workflowDiv.appendChild(templatesList);
+  }
+
   // Action buttons
   const buttonsDiv = document.createElement('div');
   buttonsDiv.className = 'workflow-buttons';
@@ -1896,6 +2182,429 @@ function showWorkflowGuidanceUI(options, threadId) {
   workflowDiv.scrollIntoView({ behavior: 'smooth', block: 'end' });
 }
 
+async function showWorkflowTemplates() {
+  if (!currentSessionId || !currentOrgId) {
+    addMessageToChat('Please select an organization first to continue.', false);
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ session_id: currentSessionId, org_id: currentOrgId });
+    const response = await fetch(`${API_BASE}/api/agent/workflow-templates?${params}`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load workflow templates');
+    }
+
+    const data = await response.json();
+    showWorkflowGuidanceUI({ mode: 'templates', templates: data.templates || [] }, currentThreadId);
+  } catch (error) {
+    console.error('[WORKFLOW] Error loading templates:', error);
+    addMessageToChat('Failed to load workflow templates. Please try again.', false);
+  }
+}
+
+function useWorkflowTemplate(template, containerId) {
+  const container = document.getElementById(containerId);
+  if (container) {
+    container.remove();
+  }
+
+  // Go through the chat so the agent fills parameters and shows the usual approval preview
+  elements.chatInput.value = `Use the "${template.name}" workflow template`;
+  handleSendMessage();
+}
+
+async function handleWorkflowImport(event) {
+  const file = event.target.files?.[0];
+  event.target.value = ''; // Allow re-selecting the same file
+  if (!file) return;
+
+  if (!currentSessionId || !currentOrgId) {
+    addMessageToChat('Please select an organization first to continue.', false);
+    return;
+  }
+
+  try {
+    const document = await file.text();
+    const response = await fetch(`${API_BASE}/api/agent/workflows/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        session_id: currentSessionId,
+        org_id: currentOrgId,
+        document,
+        format: /\.ya?ml$/i.test(file.name) ? 'yaml' : 'json'
+      })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const details = (data.errors || []).map(error => `- ${error}`).join('\n');
+      addMessageToChat(`Couldn't import ${file.name}: ${data.error || 'Invalid workflow document'}${details ? `\n\n${details}` : ''}`, false);
+      return;
+    }
+
+    // The document is staged; the agent previews it for approval before creating anything
+    elements.chatInput.value = data.query;
+    handleSendMessage();
+  } catch (error) {
+    console.error('[WORKFLOW] Error importing workflow:', error);
+    addMessageToChat('Failed to import workflow. Please try again.', false);
+  }
+}
+
+// ============================================
+// MEETING BRIEFINGS
+// ============================================
+
+function renderArtifacts(artifacts) {
+  artifacts.forEach(artifact => {
+    if (artifact.type === 'briefing') {
+      renderBriefingCard(artifact);
+    } else if (artifact.type === 'segment') {
+      renderSegmentTable(artifact);
+    }
+  });
+}
+
+async function showNextMeetingBriefing() {
+  if (!currentSessionId || !currentOrgId) {
+    addMessageToChat('Please select an organization first to continue.', false);
+    return;
+  }
+
+  const typingId = showTypingIndicator();
+
+  try {
+    const params = new URLSearchParams({
+      session_id: currentSessionId,
+      org_id: currentOrgId,
+      time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+    const response = await fetch(`${API_BASE}/api/agent/briefing?${params}`);
+    const data = await response.json();
+    removeTypingIndicator(typingId);
+
+    if (!response.ok) {
+      addMessageToChat(data.error || 'Failed to prepare the briefing.', false);
+      return;
+    }
+
+    renderBriefingCard(data.briefing);
+  } catch (error) {
+    console.error('[BRIEFING] Error loading briefing:', error);
+    removeTypingIndicator(typingId);
+    addMessageToChat('Failed to prepare the meeting briefing. Please try again.', false);
+  }
+}
+
+/**
+ * Briefing card: the meeting, then one section per attendee with their
+ * details, last touch, open tasks, recent interactions and memories
+ */
+function renderBriefingCard(briefing) {
+  const { appointment, attendees } = briefing;
+
+  const card = document.createElement('div');
+  card.className = 'workflow-guidance-container briefing-card';
+
+  const list = (items, render) => items.length > 0
+    ? `<ul class="briefing-list">${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>`
+    : '';
+
+  let html = `
+    <div class="workflow-title"><strong>📋 ${escapeHtml(appointment.subject)}</strong></div>
+    <div class="briefing-when">${escapeHtml(appointment.displayTime)} · ${escapeHtml(appointment.startsIn)}</div>
+    ${appointment.location ? `<div class="briefing-meta">📍 ${escapeHtml(appointment.location)}</div>` : ''}
+    ${appointment.description ? `<div class="briefing-meta">${escapeHtml(appointment.description)}</div>` : ''}
+  `;
+
+  if (attendees.length === 0) {
+    html += '<div class="workflow-explain">No contacts are linked to this meeting.</div>';
+  }
+
+  attendees.forEach(attendee => {
+    const role = [attendee.title, attendee.company].filter(Boolean).join(' at ');
+    html += `
+      <div class="briefing-attendee">
+        <div class="duplicate-contact-name">${escapeHtml(attendee.name)}</div>
+        ${role ? `<div class="duplicate-contact-meta">${escapeHtml(role)}</div>` : ''}
+        <div class="duplicate-contact-meta">${escapeHtml([attendee.email, attendee.phone].filter(Boolean).join(' · '))}</div>
+        ${attendee.details.length > 0 ? `
+          <table class="contact-changes">
+            ${attendee.details.map(detail => `<tr><th>${escapeHtml(detail.label)}</th><td>${escapeHtml(detail.value)}</td></tr>`).join('')}
+          </table>` : ''}
+        <div class="briefing-last-touch">${attendee.lastTouched
+          ? `Last touched ${escapeHtml(attendee.lastTouched.displayDate)} · ${escapeHtml(attendee.lastTouched.event)}`
+          : 'No recent meetings or completed tasks'}</div>
+        ${attendee.openTasks.length > 0 ? `<div class="briefing-section">Open tasks</div>${list(attendee.openTasks, task =>
+          `<span class="${task.status === 'overdue' ? 'briefing-overdue' : ''}">${escapeHtml(task.title)}</span> <span class="duplicate-contact-meta">${escapeHtml(task.displayDate)}${task.status === 'overdue' ? ' · overdue' : ''}</span>`)}` : ''}
+        ${attendee.workflows.length > 0 ? `<div class="briefing-section">In progress</div>${list(attendee.workflows, workflow =>
+          `${escapeHtml(workflow.name)} <span class="duplicate-contact-meta">${workflow.openSteps} open step${workflow.openSteps === 1 ? '' : 's'}</span>`)}` : ''}
+        ${attendee.recentInteractions.length > 0 ? `<div class="briefing-section">Recent</div>${list(attendee.recentInteractions, event =>
+          `${escapeHtml(event.title)} <span class="duplicate-contact-meta">${escapeHtml(event.displayDate)}</span>`)}` : ''}
+        ${attendee.memories.length > 0 ? `<div class="briefing-section">Remembered</div>${list(attendee.memories, memory => escapeHtml(memory.text))}` : ''}
+      </div>
+    `;
+  });
+
+  if (briefing.omittedAttendeeCount > 0) {
+    html += `<div class="briefing-meta">+${briefing.omittedAttendeeCount} more contact${briefing.omittedAttendeeCount === 1 ? '' : 's'} not shown</div>`;
+  }
+  if (briefing.teamAttendeeCount > 0) {
+    html += `<div class="briefing-meta">${briefing.teamAttendeeCount} team member${briefing.teamAttendeeCount === 1 ? '' : 's'} also attending</div>`;
+  }
+
+  card.innerHTML = html;
+  elements.chatMessages?.appendChild(card);
+  card.scrollIntoView({ behavior: 'smooth', block: 'end' });
+}
+
+// ============================================
+// CONTACT SEGMENTS
+// ============================================
+
+/**
+ * Segment table: one row per matching contact, one column per filtered
+ * field. Clicking a header sorts by that column (again to reverse).
+ */
+function renderSegmentTable(segment) {
+  const card = document.createElement('div');
+  card.className = 'workflow-guidance-container segment-card';
+
+  let sort = { ...segment.sort };
+  const rows = [...segment.rows];
+
+  const sortRows = () => {
+    const column = segment.columns.find(item => item.key === sort.key);
+    const numeric = column && ['currency', 'number'].includes(column.type);
+    const factor = sort.direction === 'desc' ? -1 : 1;
+    rows.sort((a, b) => {
+      const left = a.cells[sort.key]?.value ?? null;
+      const right = b.cells[sort.key]?.value ?? null;
+      // Contacts without a value go last either way
+      if (left === null && right === null) return 0;
+      if (left === null) return 1;
+      if (right === null) return -1;
+      return (numeric ? left - right : String(left).localeCompare(String(right))) * factor;
+    });
+  };
+
+  const render = () => {
+    const arrow = (key) => key === sort.key ? (sort.direction === 'desc' ? ' ▼' : ' ▲') : '';
+    card.innerHTML = `
+      <div class="workflow-title"><strong>👥 ${segment.matched} contact${segment.matched === 1 ? '' : 's'}</strong></div>
+      <div class="briefing-meta">${escapeHtml(segment.description)}</div>
+      ${rows.length > 0 ? `
+        <div class="segment-table-wrapper">
+          <table class="segment-table">
+            <thead><tr>${segment.columns.map(column =>
+              `<th data-key="${escapeHtml(column.key)}">${escapeHtml(column.label)}${arrow(column.key)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${segment.columns.map(column => {
+              const display = escapeHtml(row.cells[column.key]?.display || '');
+              const company = column.key === 'name' && row.company ? `<div class="duplicate-contact-meta">${escapeHtml(row.company)}</div>` : '';
+              return `<td>${display}${company}</td>`;
+            }).join('')}</tr>`).join('')}</tbody>
+          </table>
+        </div>` : ''}
+      ${segment.truncated ? `<div class="briefing-meta">Showing ${rows.length} of ${segment.matched} matches${segment.scanned < segment.total ? `; scanned the first ${segment.scanned} of ${segment.total} contacts` : ''}</div>` : ''}
+      ${segment.unknownFields.length > 0 ? `<div class="briefing-meta">No contact has ${segment.unknownFields.map(field => `"${escapeHtml(field)}"`).join(' or ')}</div>` : ''}
+      ${segment.availableFields.length > 0 ? `<div class="briefing-meta">Custom fields in use: ${escapeHtml(segment.availableFields.join(', '))}</div>` : ''}
+    `;
+
+    card.querySelectorAll('.segment-table th').forEach(header => {
+      header.addEventListener('click', () => {
+        const key = header.dataset.key;
+        sort = key === sort.key
+          ? { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+          : { key, direction: 'asc' };
+        sortRows();
+        render();
+      });
+    });
+  };
+
+  render();
+  elements.chatMessages?.appendChild(card);
+  card.scrollIntoView({ behavior: 'smooth', block: 'end' });
+}
+
+// ============================================
+// DUPLICATE CONTACTS
+// ============================================
+
+async function showDuplicateContacts() {
+  if (!currentSessionId || !currentOrgId) {
+    addMessageToChat('Please select an organization first to continue.', false);
+    return;
+  }
+
+  const container = document.createElement('div');
+  container.className = 'workflow-guidance-container duplicate-contacts-container';
+  container.id = `duplicates-${Date.now()}`;
+  container.innerHTML = '<div class="workflow-title"><strong>👥 Duplicate contacts</strong></div><div class="workflow-explain">Scanning your contacts…</div>';
+  elements.chatMessages?.appendChild(container);
+  container.scrollIntoView({ behavior: 'smooth', block: 'end' });
+
+  try {
+    const params = new URLSearchParams({ session_id: currentSessionId, org_id: currentOrgId });
+    const response = await fetch(`${API_BASE}/api/agent/contacts/duplicates?${params}`);
+
+    if (!response.ok) {
+      throw new Error('Failed to scan contacts');
+    }
+
+    const data = await response.json();
+    const explain = container.querySelector('.workflow-explain');
+
+    if (data.groups.length === 0) {
+      explain.textContent = `No likely duplicates among ${data.scanned} contacts.`;
+      return;
+    }
+
+    explain.textContent = `${data.groups.length} possible duplicate group${data.groups.length === 1 ? '' : 's'} in ${data.scanned}${data.truncated ? ` of ${data.total}` : ''} contacts:`;
+
+    const list = document.createElement('div');
+    list.className = 'duplicate-groups';
+
+    data.groups.forEach(group => {
+      const groupDiv = document.createElement('div');
+      groupDiv.className = 'duplicate-group';
+      groupDiv.innerHTML = `
+        <div class="duplicate-group-contacts">
+          ${group.contacts.map(contact => `
+            <div class="duplicate-contact">
+              <span class="duplicate-contact-name">${escapeHtml(contact.name || 'Unnamed')}</span>
+              <span class="duplicate-contact-meta">${escapeHtml([contact.email, contact.phone || contact.mobile, contact.company].filter(Boolean).join(' · '))}</span>
+            </div>
+          `).join('')}
+        </div>
+        <div class="duplicate-group-reasons">${escapeHtml(group.reasons.join(', '))}</div>
+      `;
+
+      const reviewBtn = document.createElement('button');
+      reviewBtn.className = 'workflow-accept-btn';
+      reviewBtn.textContent = 'Review & merge';
+      reviewBtn.onclick = () => reviewDuplicateGroup(group, groupDiv);
+      groupDiv.appendChild(reviewBtn);
+
+      list.appendChild(groupDiv);
+    });
+
+    container.appendChild(list);
+  } catch (error) {
+    console.error('[DUPLICATES] Error scanning contacts:', error);
+    container.remove();
+    addMessageToChat('Failed to scan contacts for duplicates. Please try again.', false);
+  }
+}
+
+/**
+ * Show the per-field choices for a duplicate group: which contact to keep,
+ * and which contact's value to keep for every field the contacts disagree on
+ */
+async function reviewDuplicateGroup(group, groupDiv) {
+  try {
+    const params = new URLSearchParams({
+      session_id: currentSessionId,
+      org_id: currentOrgId,
+      ids: group.contacts.map(contact => contact.id).join(',')
+    });
+    const response = await fetch(`${API_BASE}/api/agent/contacts/merge-fields?${params}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load contacts');
+    }
+
+    const names = Object.fromEntries(data.contacts.map(contact => [contact.id, contact.name || 'Unnamed']));
+    const formId = `merge-${group.id}`;
+
+    const form = document.createElement('div');
+    form.className = 'duplicate-merge';
+
+    let html = '<div class="duplicate-merge-section"><strong>Keep this contact:</strong>';
+    data.contacts.forEach(contact => {
+      html += `
+        <label class="preview-option">
+          <input type="radio" name="${formId}-primary" value="${escapeHtml(contact.id)}" ${contact.id === data.primaryContactId ? 'checked' : ''}>
+          <span>${escapeHtml(names[contact.id])}</span>
+        </label>`;
+    });
+    html += '</div><table class="contact-changes duplicate-merge-fields">';
+
+    data.fields.forEach(field => {
+      html += `<tr><th>${escapeHtml(field.label)}</th><td>`;
+      if (field.conflict) {
+        field.values.forEach(item => {
+          html += `
+            <label class="preview-option">
+              <input type="radio" name="${formId}-${field.field}" data-field="${field.field}" value="${escapeHtml(item.contactId)}" ${item.contactId === field.defaultContactId ? 'checked' : ''}>
+              <span>${escapeHtml(item.value)} <span class="duplicate-contact-meta">(${escapeHtml(names[item.contactId])})</span></span>
+            </label>`;
+        });
+      } else {
+        html += `<span data-field="${field.field}" data-contact-id="${escapeHtml(field.defaultContactId)}">${escapeHtml(field.values[0].value)}</span>`;
+      }
+      html += '</td></tr>';
+    });
+    html += '</table>';
+    form.innerHTML = html;
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.className = 'workflow-accept-btn';
+    mergeBtn.textContent = `Merge ${data.contacts.length} contacts…`;
+    mergeBtn.onclick = () => submitContactMerge(form, formId, data.contacts.map(contact => contact.id), groupDiv);
+    form.appendChild(mergeBtn);
+
+    groupDiv.querySelector('.duplicate-merge')?.remove();
+    groupDiv.querySelector('button')?.remove();
+    groupDiv.appendChild(form);
+  } catch (error) {
+    console.error('[DUPLICATES] Error loading merge fields:', error);
+    addMessageToChat(`Couldn't load those contacts: ${error.message}`, false);
+  }
+}
+
+async function submitContactMerge(form, formId, contactIds, groupDiv) {
+  const primaryContactId = form.querySelector(`input[name="${formId}-primary"]:checked`)?.value;
+  const fieldChoices = {};
+  form.querySelectorAll('input[data-field]:checked').forEach(input => { fieldChoices[input.dataset.field] = input.value; });
+  form.querySelectorAll('span[data-field]').forEach(span => { fieldChoices[span.dataset.field] = span.dataset.contactId; });
+
+  try {
+    const response = await fetch(`${API_BASE}/api/agent/contacts/merge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        session_id: currentSessionId,
+        org_id: currentOrgId,
+        contactIds,
+        primaryContactId,
+        fieldChoices
+      })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      addMessageToChat(`Couldn't merge those contacts: ${data.error || 'Invalid merge'}`, false);
+      return;
+    }
+
+    groupDiv.remove();
+
+    // The merge is staged; the agent previews it for approval before anything changes
+    elements.chatInput.value = data.query;
+    handleSendMessage();
+  } catch (error) {
+    console.error('[DUPLICATES] Error merging contacts:', error);
+    addMessageToChat('Failed to merge contacts. Please try again.', false);
+  }
+}
+
 async function handleWorkflowDecision(decision, containerId) {
   console.log('[WORKFLOW] Decision:', decision);
   
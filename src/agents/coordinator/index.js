@@ -13,7 +13,17 @@ const { getPassKeyManager } = require("../../core/auth/passkey");
 const { getErrorHandler } = require("../../services/errors/errorHandler");
 const { getPerformanceMetrics } = require("./metrics");
 const { createExecutionPlan, validateExecutionPlan } = require("../../services/planning/llmPlanner");
+const {
+  buildExecutionDag,
+  getReadyNodes,
+  skipBlockedNodes,
+  describeStep,
+  extractStepOutput,
+  buildStepQuery
+} = require("../../services/planning/executionDag");
 const { getEntityManager } = require("../../services/entities/entityManager");
+const { getExecutionProgress } = require("../../services/streaming/executionProgress");
+const { getLlmMetricsHandler } = require("../../services/metrics/llmMetrics");
 
 const langSmithEnabled = process.env.LANGCHAIN_TRACING_V2 === 'true' && !!process.env.LANGCHAIN_API_KEY;
 if (langSmithEnabled) {
@@ -44,6 +54,11 @@ const CoordinatorStateChannels = {
     value: (x, y) => (y !== undefined ? y : x),
     default: () => ({})
   },
+  // Progress of a plan with dependent steps, kept across approval/clarification interrupts
+  execution_dag: {
+    value: (x, y) => (y !== undefined ? y : x),
+    default: () => null
+  },
   entities: {
     value: (x, y) => {
       // Use EntityManager for smart merging
@@ -65,6 +80,11 @@ const CoordinatorStateChannels = {
     value: (x, y) => y ? y : x,
     default: () => ""
   },
+  // Structured results from domain agents for the side panel (e.g. briefing cards)
+  artifacts: {
+    value: (x, y) => (y !== undefined ? y : x),
+    default: () => null
+  },
   error: {
     value: (x, y) => (y !== undefined ? y : x),
     default: () => null
@@ -96,6 +116,11 @@ const CoordinatorStateChannels = {
     value: (x, y) => (y !== undefined ? y : x),
     default: () => null
   },
+  // Per-domain choices made in the approval UI (e.g. { calendar: { optionId } })
+  approval_selection: {
+    value: (x, y) => (y !== undefined ? y : x),
+    default: () => null
+  },
   pendingApproval: {
     value: (x, y) => (y !== undefined ? y : x),
     default: () => null
@@ -105,12 +130,13 @@ const CoordinatorStateChannels = {
     value: (x, y) => (y !== undefined ? y : x),
     default: () => null
   },
+  // Explicit undefined check so a used response can be cleared with null
   contact_clarification_response: {
-    value: (x, y) => y ? y : x,
+    value: (x, y) => (y !== undefined ? y : x),
     default: () => null
   },
   user_clarification_response: {
-    value: (x, y) => y ? y : x,
+    value: (x, y) => (y !== undefined ? y : x),
     default: () => null
   }
 };
@@ -127,6 +153,7 @@ class Coordinator {
     this.errorHandler = getErrorHandler();
     this.metrics = getPerformanceMetrics();
     this.entityManager = getEntityManager({ maxHistoryPerType: 50 }); // Increased for long rolling memory
+    this.progress = getExecutionProgress();
     this.checkpointer = checkpointer;
     this.tracingEnabled = langSmithEnabled;
 
@@ -352,11 +379,24 @@ class Coordinator {
     return config;
   }
 
+  /**
+   * Count LLM calls and tokens for everything a top-level graph run does.
+   * Nested runs inherit the handler; subgraph configs must not set callbacks
+   * or they would detach from the parent run.
+   */
+  withLlmMetrics(config) {
+    return {
+      ...config,
+      callbacks: [...(config.callbacks || []), getLlmMetricsHandler()]
+    };
+  }
+
   /**
    * Recall relevant memories from previous interactions
    */
   async recallMemory(state) {
     console.log("[COORDINATOR:MEMORY] Recalling memories");
+    this.progress.emit('memory');
 
     // CRITICAL: Clear the 'fresh' flag from any existing pendingClarification
     // When a NEW user query arrives, old clarifications are no longer fresh
@@ -541,6 +581,7 @@ class Coordinator {
    */
   async routeDomains(state) {
     console.log("[COORDINATOR:ROUTER] Analyzing query for domain routing");
+    this.progress.emit('routing');
 
     // Start performance timer
     this.metrics.startTimer('router');
@@ -659,6 +700,7 @@ class Coordinator {
             execution_plan: {
               ...executionPlan,
               parallel: ['general'],
+              sequential: [],
               analysis: {
                 ...executionPlan.analysis,
                 intent: 'clarify_ambiguous_response',
@@ -681,12 +723,13 @@ class Coordinator {
         });
 
         // Continue to domain with clarification response
+        // A plan with dependent steps keeps its plan - the DAG resumes the step that asked
         return {
           ...state,
           ...clarificationResponse,
           pendingClarification: updatedPendingClarification,
-          domains: executionPlan.parallel,
-          execution_plan: executionPlan,
+          domains: state.execution_dag ? state.domains : executionPlan.parallel,
+          execution_plan: state.execution_dag ? state.execution_plan : executionPlan,
           error: null
         };
       }
@@ -711,6 +754,7 @@ class Coordinator {
           pendingClarification: null,
           contact_clarification_response: null,
           user_clarification_response: null,
+          execution_dag: null,
           entities: updatedEntities,
           conversation_summary: updatedSummary,
           domains: [
@@ -746,6 +790,7 @@ class Coordinator {
         hasEntities: executionPlan.metadata?.entities_found || 0,
         hadClarificationContext: !!clarificationContext
       });
+      this.progress.emit('routed', { domains: [...new Set(domains)] });
 
       // Store entity information if present (immutable update)
       const finalEntities = executionPlan.analysis?.entities
@@ -763,6 +808,7 @@ class Coordinator {
         conversation_summary: updatedSummary,
         domains,
         execution_plan: executionPlan,
+        execution_dag: null,
         error: null
       };
       
@@ -817,8 +863,11 @@ class Coordinator {
         };
       }
 
+      // Plans with dependent steps run as a DAG, which tracks its own resumes
+      const hasDependentSteps = execution_plan?.sequential?.length > 0;
+
       // Check if we're resuming from an approval decision
-      if (state.approval_decision && state.pendingApproval && state.pendingApproval.processed) {
+      if (!hasDependentSteps && state.approval_decision && state.pendingApproval && state.pendingApproval.processed) {
         console.log("[COORDINATOR:EXECUTOR] Resuming with approval decision:", state.approval_decision);
 
         const { domains, results: previousResults, requests } = state.pendingApproval;
@@ -833,7 +882,6 @@ class Coordinator {
         // Temporarily override execution plan to only re-run approval domains
         if (domains && domains.length > 0) {
           execution_plan.parallel = domains;
-          execution_plan.sequential = []; // Clear sequential for now
         }
 
         // The approval_decision will be passed to the subgraphs that need it
@@ -878,7 +926,11 @@ class Coordinator {
           session_id
         }
       };
-      
+
+      if (hasDependentSteps) {
+        return await this.executeDag(state, config);
+      }
+
       // Execute parallel subgraphs
       if (execution_plan?.parallel?.length > 0) {
         console.log("[COORDINATOR:EXECUTOR] Running parallel subgraphs:", execution_plan.parallel);
@@ -1004,7 +1056,8 @@ class Coordinator {
             } : {}),
             // Pass approval decision if resuming and this domain requested approval
             ...(state.approval_decision && state.pendingApproval?.domains?.includes(domain) ? {
-              approval_decision: state.approval_decision
+              approval_decision: state.approval_decision,
+              approval_selection: state.approval_selection?.[domain] || null
             } : {})
           };
 
@@ -1035,8 +1088,11 @@ class Coordinator {
           );
 
           // Execute subgraph and handle interrupts
+          const domainStart = Date.now();
           try {
+            this.progress.emit('domain', { domain });
             const result = await subgraph.invoke(subgraphState, subgraphConfig);
+            this.metrics.recordDuration(domain, Date.now() - domainStart, !result?.error);
 
             // Enhanced debug logging to understand result structure
             console.log(`[COORDINATOR:EXECUTOR] ${domain} subgraph returned:`, {
@@ -1056,6 +1112,9 @@ class Coordinator {
               result: result || { error: `${domain} subgraph returned no result` }
             };
           } catch (error) {
+            // Pausing for the user is a normal end of the subgraph run
+            this.metrics.recordDuration(domain, Date.now() - domainStart, error?.name === 'GraphInterrupt');
+
             // Handle interrupts from subgraphs
             if (error && error.name === 'GraphInterrupt') {
               const interruptValue = error.value?.value || error.value;
@@ -1161,100 +1220,6 @@ class Coordinator {
         });
       }
       
-      // Execute sequential subgraphs
-      if (execution_plan?.sequential?.length > 0) {
-        console.log("[COORDINATOR:EXECUTOR] Running sequential subgraphs");
-        
-        for (let idx = 0; idx < execution_plan.sequential.length; idx++) {
-          const step = execution_plan.sequential[idx];
-          const subgraph = await this.loadSubgraph(step.domain, config);
-          if (!subgraph) {
-            console.warn(`[COORDINATOR:EXECUTOR] Subgraph not found: ${step.domain}`);
-            results[step.domain] = { error: "Subgraph not implemented" };
-            continue;
-          }
-          
-          // Prepare subgraph state with results from dependencies
-          const subgraphState = {
-            messages: state.messages,
-            memory_context: state.memory_context,
-            entities: state.entities || {},
-            timezone: state.timezone,
-            // Pass through context fields for authentication
-            session_id: state.session_id,
-            org_id: state.org_id,
-            user_id: state.user_id,
-            thread_id: state.thread_id,
-            dependencies: step.depends_on?.reduce((acc, dep) => {
-              acc[dep] = results[dep];
-              return acc;
-            }, {}),
-            // Pass approval decision if resuming and this domain requested approval
-            ...(state.approval_decision && state.pendingApproval?.domains?.includes(step.domain) ? {
-              approval_decision: state.approval_decision
-            } : {})
-          };
-
-          // Create unique config for subgraph to avoid checkpoint conflicts
-          // Each subgraph gets its own namespace to prevent deadlocks
-          // Use same thread_id as parent for interrupt propagation
-          const subgraphConfigBase = {
-            configurable: {
-              ...config.configurable,
-              // Unique namespace for this subgraph's checkpoints
-              checkpoint_ns: `${step.domain}_subgraph`
-            }
-          };
-
-          const userMessage = Array.isArray(subgraphState.messages)
-            ? [...subgraphState.messages].reverse().find(m => m?.role === 'user')
-            : null;
-
-          const subgraphConfig = this.buildRunConfig(
-            subgraphConfigBase,
-            subgraphState,
-            {
-              runNamePrefix: `subgraph_${step.domain}`,
-              runType: 'sequential',
-              domain: step.domain,
-              query: step.extractQuery || userMessage?.content,
-              stepIndex: idx
-            }
-          );
-
-          // Execute subgraph and handle interrupts
-          try {
-            const result = await subgraph.invoke(subgraphState, subgraphConfig);
-
-            // Debug logging for sequential execution
-            console.log(`[COORDINATOR:EXECUTOR] ${step.domain} subgraph returned:`, {
-              hasResult: !!result,
-              requiresApproval: result?.requiresApproval,
-              valueRequiresApproval: result?.value?.requiresApproval
-            });
-
-            // Ensure result is not undefined before storing
-            results[step.domain] = result || { error: `${step.domain} subgraph returned no result` };
-
-            // Merge entities from subgraph safely
-            if (result && result.entities) {
-              state.entities = { ...state.entities, ...result.entities };
-            }
-          } catch (error) {
-            // Re-throw interrupts to propagate to parent graph
-            if (error && error.name === 'GraphInterrupt') {
-              console.log(`[COORDINATOR:EXECUTOR] Interrupt exception from ${step.domain} subgraph - propagating to parent`);
-              // Add domain info to interrupt for context
-              error.domain = step.domain;
-              throw error;  // Propagate interrupt to parent graph
-            }
-            console.error(`[COORDINATOR:EXECUTOR] Error in ${step.domain} subgraph:`, error);
-            this.metrics.endTimer(step.domain, false, { error: error.message });
-            results[step.domain] = { error: error.message || "Unknown error occurred" };
-          }
-        }
-      }
-      
       // Check if any subgraph is requesting approval
       // Check for clarification needs BEFORE checking for approvals
       // Clarifications take priority as they need to be resolved first
@@ -1309,11 +1274,7 @@ class Coordinator {
           state.pendingApproval = {
             domains: approvalRequests.map(req => req.domain),
             results: results,
-            requests: approvalRequests,
-            // For sequential execution tracking (if needed)
-            stepIndex: state.execution_plan?.sequential?.findIndex(
-              step => approvalRequests.some(req => req.domain === step.domain)
-            ) ?? -1
+            requests: approvalRequests
           };
 
           console.log("[COORDINATOR:EXECUTOR] Approval requests stored - will route to approval_handler");
@@ -1354,6 +1315,276 @@ class Coordinator {
     }
   }
 
+  /**
+   * Execute a plan with dependent steps as a DAG
+   *
+   * Steps run in waves: every step whose dependencies completed runs in
+   * parallel, with its own query plus the outputs of its dependencies. A failed
+   * or rejected step skips its dependents while independent branches finish.
+   * A step waiting for approval or clarification holds back its dependents;
+   * the DAG is kept in state so the next pass resumes that step and continues.
+   */
+  async executeDag(state, config) {
+    let dag;
+    if (state.execution_dag) {
+      // Copy the steps - the checkpointed DAG shouldn't change under us
+      dag = { ...state.execution_dag, nodes: state.execution_dag.nodes.map(node => ({ ...node })) };
+    } else {
+      const queryIndex = state.messages.map(message => message?.role).lastIndexOf('user');
+      dag = {
+        ...buildExecutionDag(state.execution_plan),
+        queryIndex,
+        query: state.messages[queryIndex]?.content || ''
+      };
+      console.log("[COORDINATOR:DAG] Built execution DAG:", dag.nodes.map(node =>
+        `${node.id} (${node.domain})${node.dependsOn.length > 0 ? ` <- ${node.dependsOn.join(', ')}` : ''}`
+      ));
+    }
+
+    // Steps that asked for the approval/clarification being answered now
+    const approvalResume = !!(state.approval_decision && state.pendingApproval?.processed);
+    const clarificationResume = !approvalResume && !!(state.pendingClarification?.processed &&
+      (state.contact_clarification_response || state.user_clarification_response));
+    const resumeIds = (approvalResume ? state.pendingApproval.nodeIds
+      : clarificationResume ? state.pendingClarification.nodeIds : null) || [];
+    const resumed = dag.nodes.filter(node => node.status === 'waiting' && resumeIds.includes(node.id));
+    const resumeKind = approvalResume ? 'approval' : 'clarification';
+
+    let wave = [...resumed, ...getReadyNodes(dag)];
+    while (wave.length > 0) {
+      console.log(`[COORDINATOR:DAG] Running step(s): ${wave.map(node => node.id).join(', ')}`);
+
+      const settledResults = await Promise.allSettled(wave.map(node =>
+        this.runDagNode(node, dag, state, config, resumed.includes(node) ? resumeKind : null)
+      ));
+
+      // Interrupts other than clarifications propagate, as in parallel execution
+      for (const settledResult of settledResults) {
+        if (settledResult.status === 'rejected' && settledResult.reason?.name === 'GraphInterrupt') {
+          throw settledResult.reason;
+        }
+      }
+
+      settledResults.forEach((settledResult, index) => {
+        const node = wave[index];
+        const result = settledResult.status === 'fulfilled'
+          ? settledResult.value
+          : { error: settledResult.reason?.message || 'Unknown error occurred' };
+
+        this.recordDagResult(node, result, approvalResume && resumed.includes(node) ? state.approval_decision : null);
+        console.log(`[COORDINATOR:DAG] Step ${node.id} ${node.status}${node.waitingFor ? ` (${node.waitingFor})` : ''}`);
+
+        if (node.status === 'completed' && result.entities) {
+          state.entities = { ...state.entities, ...result.entities };
+        }
+      });
+
+      for (const node of skipBlockedNodes(dag)) {
+        console.log(`[COORDINATOR:DAG] Skipping step ${node.id}: ${node.reason}`);
+      }
+
+      wave = getReadyNodes(dag);
+    }
+
+    const results = this.collectDagResults(dag);
+
+    // Clarifications first, one at a time; approvals of all waiting steps together
+    const waiting = (kind) => dag.nodes.filter(node => node.status === 'waiting' && node.waitingFor === kind);
+    const [clarifying] = waiting('clarification');
+    const approving = clarifying ? [] : waiting('approval');
+
+    const pendingClarification = clarifying ? {
+      requests: [{
+        domain: clarifying.domain,
+        type: clarifying.result.clarificationType,
+        data: clarifying.result.clarificationData
+      }],
+      domains: [clarifying.domain],
+      nodeIds: [clarifying.id],
+      results,
+      fresh: true
+    } : null;
+
+    const pendingApproval = approving.length > 0 ? {
+      domains: approving.map(node => node.domain),
+      nodeIds: approving.map(node => node.id),
+      results,
+      requests: approving.map(node => node.result.approvalRequest)
+    } : null;
+
+    console.log("[COORDINATOR:DAG] Pass complete:", dag.nodes.map(node => `${node.id}=${node.status}`).join(', '));
+
+    return {
+      ...state,
+      subgraph_results: results,
+      execution_dag: dag,
+      pendingClarification,
+      pendingApproval,
+      // The decision and responses were used by the steps that asked for them;
+      // a new approval round needs a fresh decision
+      approval_decision: null,
+      approval_selection: null,
+      contact_clarification_response: null,
+      user_clarification_response: null
+    };
+  }
+
+  /**
+   * Run one DAG step through its domain subgraph
+   *
+   * @param {Object} node - DAG step
+   * @param {Object} dag - The DAG (for dependency outputs)
+   * @param {Object} state - Coordinator state
+   * @param {Object} config - Subgraph config from executeSubgraphs
+   * @param {string|null} resume - 'approval' or 'clarification' when resuming the step
+   * @returns {Promise<Object>} - Subgraph result
+   */
+  async runDagNode(node, dag, state, config, resume) {
+    const subgraph = await this.loadSubgraph(node.domain, config);
+    if (!subgraph) {
+      console.warn(`[COORDINATOR:DAG] Subgraph not found: ${node.domain}`);
+      return {
+        error: "Subgraph not implemented",
+        fallback_message: `The ${node.domain} feature is currently unavailable. Please try again later.`
+      };
+    }
+
+    // The step sees its own query (with dependency results) in place of the full request
+    const query = buildStepQuery(node, dag, dag.query, state.timezone || 'UTC');
+    const messages = state.messages.map((message, index) =>
+      index === dag.queryIndex ? { ...message, content: query } : message
+    );
+
+    // Resumed steps continue from the state they stopped in - subgraphs are stateless
+    let partialState = {};
+    if (resume && node.result) {
+      const { messages: _messages, memory_context, entities, session_id, org_id,
+              user_id, thread_id, timezone, requiresApproval, approvalRequest,
+              needsClarification, clarificationType, clarificationData, ...domainState } = node.result;
+      partialState = domainState;
+    }
+
+    const subgraphState = {
+      messages,
+      memory_context: state.memory_context,
+      entities: state.entities || {},
+      timezone: state.timezone,
+      session_id: state.session_id,
+      org_id: state.org_id,
+      user_id: state.user_id,
+      thread_id: state.thread_id,
+      ...partialState,
+      // Structured outputs of the steps this one depends on
+      dependencies: Object.fromEntries(node.dependsOn.map(dep =>
+        [dep, dag.nodes.find(other => other.id === dep)?.output || null]
+      )),
+      ...(resume === 'clarification' && state.contact_clarification_response ? {
+        contact_clarification_response: state.contact_clarification_response
+      } : {}),
+      ...(resume === 'clarification' && state.user_clarification_response ? {
+        user_clarification_response: state.user_clarification_response
+      } : {}),
+      ...(resume === 'approval' ? {
+        approval_decision: state.approval_decision,
+        approval_selection: state.approval_selection?.[node.domain] || null
+      } : {})
+    };
+
+    const subgraphConfig = this.buildRunConfig(
+      {
+        configurable: {
+          ...config.configurable,
+          checkpoint_ns: `${node.domain}_subgraph`
+        }
+      },
+      subgraphState,
+      {
+        runNamePrefix: `subgraph_${node.domain}`,
+        runType: 'dag',
+        domain: node.domain,
+        query,
+        stepIndex: dag.nodes.indexOf(node)
+      }
+    );
+
+    const domainStart = Date.now();
+    try {
+      this.progress.emit('domain', { domain: node.domain, step: node.id });
+      const result = await subgraph.invoke(subgraphState, subgraphConfig);
+      this.metrics.recordDuration(node.domain, Date.now() - domainStart, !result?.error);
+      return result || { error: `${node.domain} subgraph returned no result` };
+    } catch (error) {
+      this.metrics.recordDuration(node.domain, Date.now() - domainStart, error?.name === 'GraphInterrupt');
+      if (error && error.name === 'GraphInterrupt') {
+        const interruptValue = error.value?.value || error.value;
+
+        if (['contact_clarification', 'user_clarification', 'contact_disambiguation', 'user_disambiguation']
+          .includes(interruptValue?.type)) {
+          console.log(`[COORDINATOR:DAG] Step ${node.id} needs clarification:`, interruptValue.type);
+          return {
+            needsClarification: true,
+            clarificationType: interruptValue.type,
+            clarificationData: interruptValue,
+            ...subgraphState
+          };
+        }
+
+        error.domain = node.domain;
+        throw error;
+      }
+      console.error(`[COORDINATOR:DAG] Error in step ${node.id}:`, error);
+      return { error: error.message || "Unknown error occurred" };
+    }
+  }
+
+  /**
+   * Set a step's status from its subgraph result
+   * @private
+   */
+  recordDagResult(node, result, approvalDecision) {
+    node.result = result;
+    delete node.waitingFor;
+
+    if (result.error || result.fallback_message) {
+      node.status = 'failed';
+      node.reason = result.error || result.fallback_message;
+    } else if (approvalDecision && approvalDecision !== 'approve') {
+      node.status = 'rejected';
+    } else if (result.needsClarification) {
+      node.status = 'waiting';
+      node.waitingFor = 'clarification';
+    } else if (!approvalDecision && result.requiresApproval && result.approvalRequest) {
+      node.status = 'waiting';
+      node.waitingFor = 'approval';
+    } else {
+      node.status = 'completed';
+      node.output = extractStepOutput(node, result);
+      // Processed decisions shouldn't look like new approval requests
+      result.requiresApproval = false;
+    }
+  }
+
+  /**
+   * Step results keyed by domain (arrays for repeated domains), as finalizeResponse expects
+   * @private
+   */
+  collectDagResults(dag) {
+    const results = {};
+
+    for (const node of dag.nodes) {
+      const result = node.status === 'skipped'
+        ? { response: `Skipped "${describeStep(node)}" because ${node.reason}.` }
+        : node.result;
+      if (!result) continue;
+
+      results[node.domain] = results[node.domain]
+        ? [].concat(results[node.domain], result)
+        : result;
+    }
+
+    return results;
+  }
+
   /**
    * Handle approval requests from subgraphs
    * This is a dedicated node that throws interrupts for approvals
@@ -1406,6 +1637,7 @@ class Coordinator {
 
     // Throw the interrupt with checkpoint
     console.log("[COORDINATOR:CLARIFICATION] 🔴 THROWING INTERRUPT - Checkpoint should be saved by LangGraph");
+    this.progress.emit('clarification', { domain: clarificationRequest.domain });
 
     throw interrupt({
       value: interruptData
@@ -1470,6 +1702,7 @@ class Coordinator {
     // Throw the interrupt - this is at the proper graph boundary
     // LangGraph will catch this, save checkpoint, and return with __interrupt__
     console.log("[COORDINATOR:APPROVAL] 🔴 THROWING INTERRUPT - Checkpoint should be saved by LangGraph");
+    this.progress.emit('approval', { domains: consolidatedRequest.domains });
     throw interrupt({
       value: consolidatedRequest
     });
@@ -1515,9 +1748,14 @@ class Coordinator {
 
   /**
    * Finalize response from subgraph results
+   *
+   * Only a direct answer (no domain agent ran) calls the LLM here, and it
+   * streams token by token. Domain agents' responses are already complete, so
+   * they are joined and replayed to a streaming client in word-sized chunks.
    */
   async finalizeResponse(state) {
     console.log("[COORDINATOR:FINALIZER] Generating final response");
+    this.progress.emit('finalizing');
 
     try {
       // Quick Q&A over recent entities for follow-ups like
@@ -1531,6 +1769,7 @@ class Coordinator {
           const names = Array.isArray(apptEntity.participants) ? apptEntity.participants.filter(Boolean) : [];
           if (names.length > 0) {
             const quickResponse = names.join(', ');
+            this.progress.emitText(quickResponse);
             return {
               ...state,
               messages: [
@@ -1539,10 +1778,12 @@ class Coordinator {
               ],
               // Clear ALL ephemeral state as part of end-of-turn hygiene
               approval_decision: null,
+              approval_selection: null,
               pendingApproval: null,
               pendingClarification: null,
               contact_clarification_response: null,
               user_clarification_response: null,
+              execution_dag: null,
               subgraph_results: {},
               final_response: quickResponse
             };
@@ -1575,15 +1816,27 @@ class Coordinator {
         })();
 
         // Use LLM to generate a response with entity context
-        const response = await this.llm.invoke(`
+        const prompt = `
           User query: "${lastMessage.content}"
           ${entityContext ? `\n${entityContext}` : ''}
           ${state.memory_context?.recalled_memories ?
             `\nMemory hint: ${JSON.stringify(state.memory_context.recalled_memories[0]?.content || '')}` : ''}
           \nProvide a concise, direct answer using the context above when relevant.
-        `);
-
-        const contextualResponse = response.content;
+        `;
+
+        let contextualResponse;
+        if (this.progress.isStreaming()) {
+          // Streaming request: forward tokens as the model generates them
+          contextualResponse = '';
+          for await (const chunk of await this.llm.stream(prompt)) {
+            const text = typeof chunk.content === 'string' ? chunk.content : '';
+            contextualResponse += text;
+            this.progress.emitToken(text);
+          }
+        } else {
+          const response = await this.llm.invoke(prompt);
+          contextualResponse = response.content;
+        }
 
         return {
           ...state,
@@ -1593,10 +1846,12 @@ class Coordinator {
           ],
           // Clear ALL ephemeral state so future turns start clean
           approval_decision: null,
+          approval_selection: null,
           pendingApproval: null,
           pendingClarification: null,
           contact_clarification_response: null,
           user_clarification_response: null,
+          execution_dag: null,
           subgraph_results: {},
           final_response: contextualResponse
         };
@@ -1604,6 +1859,7 @@ class Coordinator {
       
       // Aggregate results from subgraphs
       const aggregatedResults = [];
+      const artifacts = [];
 
       for (const [domain, result] of Object.entries(state.subgraph_results)) {
         // Add null/undefined check to prevent crashes
@@ -1618,6 +1874,10 @@ class Coordinator {
         console.log(`[COORDINATOR:FINALIZER] Processing ${results.length} result(s) for ${domain}`);
 
         for (const res of results) {
+          if (Array.isArray(res.artifacts)) {
+            artifacts.push(...res.artifacts);
+          }
+
           if (res.error) {
             aggregatedResults.push(`${domain}: Error - ${res.error}`);
           } else if (res.response) {
@@ -1635,6 +1895,7 @@ class Coordinator {
       // If we have results, format them nicely
       if (aggregatedResults.length > 0) {
         const finalResponse = aggregatedResults.join("\n\n");
+        this.progress.emitText(finalResponse);
 
         // Append assistant response to messages for conversation history
         const updatedMessages = [
@@ -1660,16 +1921,20 @@ class Coordinator {
           messages: updatedMessages,
           // Clear ALL ephemeral interrupt state so future turns start clean
           approval_decision: null,
+          approval_selection: null,
           pendingApproval: null,
           pendingClarification: null,
           contact_clarification_response: null,
           user_clarification_response: null,
+          execution_dag: null,
           subgraph_results: {},
+          artifacts: artifacts.length > 0 ? artifacts : null,
           final_response: finalResponse
         };
       }
 
       const fallbackResponse = "I couldn't process your request. Please try again.";
+      this.progress.emitText(fallbackResponse);
 
       return {
         ...state,
@@ -1679,10 +1944,12 @@ class Coordinator {
         ],
         // Clear ALL ephemeral state so future turns start clean
         approval_decision: null,
+        approval_selection: null,
         pendingApproval: null,
         pendingClarification: null,
         contact_clarification_response: null,
         user_clarification_response: null,
+        execution_dag: null,
         subgraph_results: {},
         final_response: fallbackResponse
       };
@@ -1690,6 +1957,7 @@ class Coordinator {
     } catch (error) {
       console.error("[COORDINATOR:FINALIZER] Error finalizing response:", error);
       const errorResponse = `I encountered an error: ${error.message}. Please try again.`;
+      this.progress.emitText(errorResponse);
       return {
         ...state,
         messages: [
@@ -1698,10 +1966,12 @@ class Coordinator {
         ],
         // Clear ALL ephemeral state so future turns start clean
         approval_decision: null,
+        approval_selection: null,
         pendingApproval: null,
         pendingClarification: null,
         contact_clarification_response: null,
         user_clarification_response: null,
+        execution_dag: null,
         subgraph_results: {},
         error: `Failed to generate response: ${error.message}`,
         final_response: errorResponse
@@ -1809,7 +2079,7 @@ class Coordinator {
           resume: true
         }
       );
-      const result = await this.graph.invoke(resumeState, resumeConfig);
+      const result = await this.graph.invoke(resumeState, this.withLlmMetrics(resumeConfig));
       console.log(`[COORDINATOR:RESUME] ⏱️ Graph invoke completed in ${Date.now() - resumeStart}ms`);
 
       // Handle any new interrupts
@@ -1913,7 +2183,8 @@ class Coordinator {
       // These need to persist from checkpoint so we can detect and resume interrupts
       // They will be cleared AFTER being processed, not BEFORE
       // Ensure stale results aren't re-aggregated
-      subgraph_results: {}
+      subgraph_results: {},
+      artifacts: null
     };
 
     console.log("[COORDINATOR:HISTORY] Initial state prepared with:", {
@@ -1947,7 +2218,7 @@ class Coordinator {
           query
         }
       );
-      const result = await this.graph.invoke(initialState, invokeConfig);
+      const result = await this.graph.invoke(initialState, this.withLlmMetrics(invokeConfig));
 
       // IMPORTANT: For invoke(), we must use getState() to check for interrupts
       // This is documented behavior in LangGraph JS - interrupts are not returned in result
@@ -2089,6 +2360,7 @@ class Coordinator {
         success: true,
         response: result.final_response,
         entities: result.entities,
+        artifacts: result.artifacts,
         domains: result.domains,
         metrics: {
           totalTime: perf.operations.total?.avg || 0,
@@ -5,6 +5,8 @@
  * for all subgraphs and coordinator operations.
  */
 
+const { getMetricsRegistry } = require('../../services/metrics/registry');
+
 class PerformanceMetrics {
   constructor() {
     // Timing data
@@ -29,6 +31,7 @@ class PerformanceMetrics {
       misses: 0,
       evictions: 0
     };
+    this.cacheMetricsByType = new Map(); // cacheType -> { hits, misses }
     
     // Memory metrics
     this.memorySnapshots = [];
@@ -37,6 +40,13 @@ class PerformanceMetrics {
     // Aggregate stats
     this.stats = new Map();
     this.statsWindow = 5 * 60 * 1000; // 5 minute window
+
+    // Latency since start for /metrics (the stats above only cover the window)
+    this.nodeDurations = getMetricsRegistry().histogram(
+      'assistant_node_duration_seconds',
+      'Coordinator node and domain subgraph latency',
+      { labelNames: ['node', 'outcome'], unit: 'seconds' }
+    );
   }
 
   /**
@@ -102,7 +112,7 @@ class PerformanceMetrics {
     this.completedTimings.get(operation).push(timing);
     
     // Update aggregate stats
-    this.updateStats(operation, duration, success);
+    this.recordDuration(operation, duration, success);
     
     // Clean up timer
     this.timers.delete(operation);
@@ -115,16 +125,31 @@ class PerformanceMetrics {
     return timing;
   }
 
+  /**
+   * Record the duration of an operation timed by the caller
+   * For work that runs concurrently under the same name (e.g. domain
+   * subgraphs of parallel requests), where a named timer would be overwritten.
+   */
+  recordDuration(operation, duration, success = true) {
+    this.updateStats(operation, duration, success);
+    this.nodeDurations.observe(
+      { node: operation, outcome: success ? 'success' : 'failure' },
+      duration / 1000
+    );
+  }
+
   /**
    * Record cache hit/miss
    */
   recordCacheHit(cacheType = 'default') {
     this.cacheMetrics.hits++;
+    this.cacheTypeMetrics(cacheType).hits++;
     console.log(`[Metrics] Cache hit (${cacheType}): ${this.getCacheHitRate()}% hit rate`);
   }
 
   recordCacheMiss(cacheType = 'default') {
     this.cacheMetrics.misses++;
+    this.cacheTypeMetrics(cacheType).misses++;
     console.log(`[Metrics] Cache miss (${cacheType}): ${this.getCacheHitRate()}% hit rate`);
   }
 
@@ -132,6 +157,25 @@ class PerformanceMetrics {
     this.cacheMetrics.evictions += count;
   }
 
+  /**
+   * Hit/miss counters of one cache type
+   */
+  cacheTypeMetrics(cacheType) {
+    if (!this.cacheMetricsByType.has(cacheType)) {
+      this.cacheMetricsByType.set(cacheType, { hits: 0, misses: 0 });
+    }
+    return this.cacheMetricsByType.get(cacheType);
+  }
+
+  /**
+   * Get cache hits and misses per cache type
+   */
+  getCacheStatsByType() {
+    return Object.fromEntries(
+      Array.from(this.cacheMetricsByType.entries()).map(([cacheType, counts]) => [cacheType, { ...counts }])
+    );
+  }
+
   /**
    * Get cache hit rate
    */
@@ -300,6 +344,7 @@ class PerformanceMetrics {
       misses: 0,
       evictions: 0
     };
+    this.cacheMetricsByType.clear();
     console.log('[Metrics] All metrics reset');
   }
 
@@ -5,6 +5,8 @@
  * - Viewing appointments
  * - Creating new appointments
  * - Updating existing appointments
+ * - Finding times when team members are all free
+ * - Managing the user's scheduling policy (working hours, buffers)
  * - Managing attendees
  */
 
@@ -17,7 +19,11 @@ const utc = require('dayjs/plugin/utc');
 const tz = require('dayjs/plugin/timezone');
 dayjs.extend(utc);
 dayjs.extend(tz);
-const { getAppointments, createAppointment, updateAppointment } = require("../../../integrations/bsa/tools/appointments");
+const { getAppointments, createAppointment, createRecurringAppointments, updateAppointment, deleteAppointment } = require("../../../integrations/bsa/tools/appointments");
+const { expandRecurrence, describeRecurrence, findOccurrenceConflicts } = require("../../../utils/recurrence");
+const { findFreeSlots, getBusyIntervals, buildWorkingHours } = require("../../../utils/availability");
+const { getPeopleService } = require("../../../services/people");
+const { getSchedulingPolicyService, evaluatePolicy, describePolicy } = require("../../../services/scheduling/schedulingPolicy");
 const { getContactResolver } = require("../../../services/entities/contactResolverCompat");
 const { getUserResolver } = require("../../../services/entities/userResolverCompat");
 const { getApprovalBatcher } = require("../../../services/approval/approvalBatcher");
@@ -25,6 +31,9 @@ const { getMem0Service } = require("../../../services/memory/mem0Service");
 const { getCalendarTools, createAppointmentTool } = require("./tools");
 const { getPassKeyManager } = require("../../../core/auth/passkey");
 const { getTeamMemberCache } = require("../../../services/cache/teamMemberCache");
+const { getEntityManager } = require("../../../services/entities/entityManager");
+const { getOperationJournal } = require("../../../services/undo/operationJournal");
+const { getExecutionProgress } = require("../../../services/streaming/executionProgress");
 
 // State channels for calendar operations (LangGraph compatible)
 const CalendarStateChannels = {
@@ -86,6 +95,44 @@ const CalendarStateChannels = {
     value: (x, y) => y ? y : x,
     default: () => []
   },
+  policy_warnings: {
+    value: (x, y) => y ? y : x,
+    default: () => []
+  },
+  policy_updates: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  failed_occurrences: {
+    value: (x, y) => y ? y : x,
+    default: () => []
+  },
+  // Reschedule/cancel fields
+  target_query: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  target_appointment: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  target_candidates: {
+    value: (x, y) => y ? y : x,
+    default: () => []
+  },
+  appointment_changes: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  // Free-slot finder fields
+  availability_request: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  slot_options: {
+    value: (x, y) => y ? y : x,
+    default: () => []
+  },
   preview: {
     value: (x, y) => y ? y : x,
     default: () => null
@@ -110,6 +157,11 @@ const CalendarStateChannels = {
     value: (x, y) => y ? y : x,
     default: () => null
   },
+  // Choice made in the approval UI (e.g. { optionId } for a suggested slot)
+  approval_selection: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
   _pendingData: {
     value: (x, y) => y ? y : x,
     default: () => null
@@ -122,6 +174,11 @@ const CalendarStateChannels = {
     value: (x, y) => y ? y : x,
     default: () => null
   },
+  // Structured results for the side panel (e.g. a meeting briefing card)
+  artifacts: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
 
   // Clarification-related fields
   needsClarification: {
@@ -181,6 +238,7 @@ class CalendarSubgraph {
     this.approvalBatcher = getApprovalBatcher();
     this.mem0 = getMem0Service();
     this.passKeyManager = getPassKeyManager();
+    this.entityManager = getEntityManager();
     this.checkpointer = checkpointer;
 
     // Tool-calling support (Phase 1: Read-only tools)
@@ -199,11 +257,14 @@ class CalendarSubgraph {
     workflow.addNode("resolve_contacts", this.resolveContacts.bind(this));
     workflow.addNode("resolve_users", this.resolveUsers.bind(this));
     workflow.addNode("fetch_appointments", this.fetchAppointments.bind(this));
+    workflow.addNode("find_slots", this.findAvailableSlots.bind(this));
+    workflow.addNode("manage_policy", this.manageSchedulingPolicy.bind(this));
     workflow.addNode("check_conflicts", this.checkConflicts.bind(this));
     workflow.addNode("generate_preview", this.generatePreview.bind(this));
     workflow.addNode("approval", this.approvalNode.bind(this));
     workflow.addNode("create_appointment", this.createAppointmentNode.bind(this));
     workflow.addNode("update_appointment", this.updateAppointmentNode.bind(this));
+    workflow.addNode("delete_appointment", this.deleteAppointmentNode.bind(this));
     workflow.addNode("link_attendees", this.linkAttendees.bind(this));
     workflow.addNode("synthesize_memory", this.synthesizeMemory.bind(this));
     workflow.addNode("format_response", this.formatResponse.bind(this));
@@ -226,6 +287,22 @@ class CalendarSubgraph {
 
         if (state.error) return "format_response";
 
+        // Resuming a reschedule/cancel after approval - target is already resolved
+        if (state.approval_decision && state.target_appointment &&
+            (state.action === "update" || state.action === "delete")) {
+          console.log("[CALENDAR:ROUTER] Resuming change approval - skipping to approval node");
+          return "approval";
+        }
+
+        // Resuming a slot choice - the suggested slots are already in the restored state
+        if (state.approval_decision && state.action === "find_time" && state.slot_options?.length > 0) {
+          console.log("[CALENDAR:ROUTER] Resuming slot selection - skipping to approval node");
+          return "approval";
+        }
+
+        if (state.action === "find_time") return "find_slots";
+        if (state.action === "policy") return "manage_policy";
+
         // Phase 1-2: Use tool-calling for view and create operations
         if (state.action === "view") {
           console.log("[CALENDAR:ROUTER] View action - using tool-calling path");
@@ -250,10 +327,13 @@ class CalendarSubgraph {
           // console.log(`[CALENDAR:ROUTER] Create action routing to: ${nextNode}`);
           // return nextNode;
         }
-        if (state.action === "update") return "fetch_appointments";
+        if (state.action === "update" || state.action === "delete") return "fetch_appointments";
         return "format_response";
       },
       {
+        "approval": "approval",
+        "find_slots": "find_slots",
+        "manage_policy": "manage_policy",
         "fetch_appointments": "fetch_appointments",
         "handle_query_tool_calling": "handle_query_tool_calling",
         "resolve_contacts": "resolve_contacts",
@@ -309,15 +389,32 @@ class CalendarSubgraph {
       "fetch_appointments",
       (state) => {
         if (state.action === "view") return "format_response";
-        if (state.action === "update") return "generate_preview";
+        if (state.action === "update" || state.action === "delete") {
+          // No unique match - format_response lists candidates or explains why
+          if (!state.target_appointment) return "format_response";
+          // Moving to a new slot needs a fresh conflict check
+          if (state.action === "update" && state.appointment_changes?.startTime) return "check_conflicts";
+          return "generate_preview";
+        }
         return "format_response";
       },
       {
         "format_response": "format_response",
+        "check_conflicts": "check_conflicts",
         "generate_preview": "generate_preview"
       }
     );
     
+    // Free-slot flow - offer the suggested slots through the approval UI
+    workflow.addConditionalEdges(
+      "find_slots",
+      (state) => state.slot_options?.length > 0 ? "generate_preview" : "format_response",
+      {
+        "generate_preview": "generate_preview",
+        "format_response": "format_response"
+      }
+    );
+
     // Creation flow
     workflow.addEdge("check_conflicts", "generate_preview");
     workflow.addEdge("generate_preview", "approval");
@@ -334,17 +431,21 @@ class CalendarSubgraph {
         if (!state.approved) return "format_response";
         if (state.action === "create") return "create_appointment";
         if (state.action === "update") return "update_appointment";
+        if (state.action === "delete") return "delete_appointment";
         return "format_response";
       },
       {
         "create_appointment": "create_appointment",
         "update_appointment": "update_appointment",
+        "delete_appointment": "delete_appointment",
         "format_response": "format_response"
       }
     );
     
     workflow.addEdge("create_appointment", "link_attendees");
     workflow.addEdge("update_appointment", "link_attendees");
+    workflow.addEdge("delete_appointment", "synthesize_memory");
+    workflow.addEdge("manage_policy", "format_response");
     workflow.addEdge("link_attendees", "synthesize_memory");
     workflow.addEdge("synthesize_memory", "format_response");
     workflow.addEdge("format_response", END);
@@ -393,6 +494,13 @@ class CalendarSubgraph {
       }
     }
 
+    // Resuming from approval: the restored partial state already holds the parsed request
+    if (state.approval_decision && state.action &&
+        (state.target_appointment || state.appointment_data || state.slot_options?.length > 0)) {
+      console.log("[CALENDAR:PARSE] Resuming from approval - using existing context");
+      return state;
+    }
+
     // Safety check for messages array
     if (!state.messages || !Array.isArray(state.messages) || state.messages.length === 0) {
       console.error("[CALENDAR:PARSE] No messages in state:", {
@@ -548,19 +656,22 @@ ${peopleHint}
       // Use LLM to extract other details
       const parsePrompt = `
         Analyze this calendar-related query and extract:
-        1. Action: view, create, update, or delete
+        1. Action: view (list appointments, or prepare/brief the user for a meeting), create, update (reschedule/move/rename/change), delete (cancel/remove),
+           or find_time (find when people are all free / suggest a time to meet),
+           or policy (view or change the user's working hours, meeting buffer, meeting limits, no-meeting days)
         2. Appointment details (if creating/updating)
         3. Contact names mentioned (EXTERNAL people NOT in your team)
         4. User names mentioned (INTERNAL team members from list below)
         5. Self-references like "me", "myself", "I"
-        6. Keep the EXACT date/time expression as the user stated it
-        7. **IMPORTANT: If the query contains pronouns (his, her, their, he, she, they), look at the conversation history below to determine who they refer to, then use the actual person's name**
+        6. Keep the EXACT date/time expression as the user stated it (first occurrence only for recurring meetings)
+        7. Recurrence as an RRULE if the appointment repeats (e.g. "every Tuesday", "first Monday of each month")
+        8. **IMPORTANT: If the query contains pronouns (his, her, their, he, she, they), look at the conversation history below to determine who they refer to, then use the actual person's name**
         ${teamMemberContext}${conversationHistory}${entityContext}
         Current Query: "${userQuery}"
 
         Return JSON:
         {
-          "action": "view|create|update|delete",
+          "action": "view|create|update|delete|find_time|policy",
           "date_query": "EXACT date/time text from user (e.g., 'tomorrow at 8am')",
           "appointment": {
             "subject": "meeting title",
@@ -569,6 +680,25 @@ ${peopleHint}
             "duration": "in minutes",
             "isAllDay": boolean
           },
+          "recurrence": "RRULE string or null (e.g., 'FREQ=WEEKLY;BYDAY=TU;COUNT=6')",
+          "target": {
+            "date_query": "when the EXISTING appointment is (update/delete only, e.g. 'today at 3pm')",
+            "subject": "words from the existing appointment's title, if mentioned",
+            "attendees": ["people in the existing appointment"],
+            "reference": "phrase pointing at a previously discussed appointment (e.g. 'that meeting', 'it'), or null"
+          },
+          "availability": {
+            "date_query": "period to search (find_time only, e.g. 'next week')",
+            "duration": "meeting length in minutes",
+            "earliest": "earliest start time of day as HH:mm, or null",
+            "latest": "latest end time of day as HH:mm, or null"
+          },
+          "policy": {
+            "workingHours": { "monday": { "start": "HH:mm", "end": "HH:mm" } } or null,
+            "bufferMinutes": number or null,
+            "maxMeetingsPerDay": number or null,
+            "noMeetingDays": ["friday" or "YYYY-MM-DD"] or null
+          },
           "contacts": ["external person names NOT in team list"],
           "users": ["internal team member names FROM team list above"],
           "selfReferences": ["me", "myself", "I"] // if user refers to themselves
@@ -580,6 +710,25 @@ ${peopleHint}
         - If a name matches someone in that list, put it in "users" array
         - If a name is NOT in that list, put it in "contacts" array
         - Detect self-references like "me", "myself", "I" and list them in selfReferences
+        - For recurring appointments, date_query is the FIRST occurrence and recurrence holds the pattern:
+          "every Tuesday at 10 for 6 weeks" → date_query: "next Tuesday at 10am", recurrence: "FREQ=WEEKLY;BYDAY=TU;COUNT=6"
+          "first Monday of each month at 2pm" → date_query: "first Monday of next month at 2pm", recurrence: "FREQ=MONTHLY;BYDAY=1MO"
+          "every other Friday until December" → recurrence: "FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20251201"
+        - Use null for recurrence when the appointment happens once
+        - For update/delete, "target" describes the EXISTING appointment and date_query is the NEW date/time (null if unchanged).
+          Only fill appointment fields the user wants to change. People in the existing appointment go in target.attendees, not contacts.
+          "move my 3pm with Sarah to Thursday" → action: "update", target: { date_query: "today at 3pm", attendees: ["Sarah"] }, date_query: "Thursday"
+          "cancel that meeting" → action: "delete", target: { reference: "that meeting" }
+          "push the budget review to 4pm" → action: "update", target: { subject: "budget review" }, date_query: "4pm"
+        - For find_time, fill "availability" and list everyone whose calendar should be checked:
+          "find 45 minutes next week when Sarah, Mike and I are all free between 9 and 5"
+          → action: "find_time", availability: { date_query: "next week", duration: 45, earliest: "09:00", latest: "17:00" },
+            users: ["Sarah ...", "Mike ..."], selfReferences: ["I"]
+        - For policy, only fill the "policy" fields the user is changing (all null to just view the policy).
+          Working hours use one entry per affected weekday; null hours for a weekday means not working that day:
+          "I work 8 to 4 Monday to Thursday" → policy: { workingHours: { monday: { start: "08:00", end: "16:00" }, ..., thursday: {...} } }
+          "keep 15 minutes between meetings and no meetings on Fridays" → policy: { bufferMinutes: 15, noMeetingDays: ["friday"] }
+          "what are my working hours?" → action: "policy", policy: null
 
         Examples:
         - "Schedule a meeting with John and Sarah"
@@ -632,9 +781,44 @@ ${peopleHint}
       console.log("[CALENDAR:PARSE] Detected action:", parsed.action);
       console.log("[CALENDAR:PARSE] Date query:", parsed.date_query);
 
+      // Reschedule/cancel: describe the target and the requested changes
+      let targetQuery = null;
+      let appointmentChanges = null;
+      if (parsed.action === "update" || parsed.action === "delete") {
+        targetQuery = {
+          date_query: parsed.target?.date_query || null,
+          subject: parsed.target?.subject || null,
+          attendees: parsed.target?.attendees || [],
+          reference: parsed.target?.reference || null
+        };
+
+        if (parsed.action === "update") {
+          appointmentChanges = {};
+
+          if (parsed.date_query) {
+            const parsedDateTime = parseDateTimeQuery(parsed.date_query, userTimezone);
+            if (parsedDateTime?.hasTime) {
+              appointmentChanges.startTime = parsedDateTime.startDateTime;
+            } else if (parsedDateTime?.dateComponent) {
+              // Date only - keep the original time of day once the target is known
+              appointmentChanges.date = parsedDateTime.dateComponent.startDate;
+            }
+            appointmentChanges.dateQuery = parsed.date_query;
+          }
+
+          const duration = parseInt(parsed.appointment?.duration, 10);
+          if (duration > 0) appointmentChanges.duration = duration;
+          if (parsed.appointment?.subject) appointmentChanges.subject = parsed.appointment.subject;
+          if (parsed.appointment?.location) appointmentChanges.location = parsed.appointment.location;
+          if (parsed.appointment?.description) appointmentChanges.description = parsed.appointment.description;
+        }
+
+        console.log("[CALENDAR:PARSE] Change target:", targetQuery, "changes:", appointmentChanges);
+      }
+
       // Prepare appointment data if creating
       let appointmentData = null;
-      if (parsed.action === "create" || parsed.action === "update") {
+      if (parsed.action === "create") {
         // Try to parse the date/time from the extracted date_query
         let startTime = null;
         let endTime = null;
@@ -679,6 +863,25 @@ ${peopleHint}
           // Preserve the original date query for applier compatibility
           dateQuery: parsed.date_query
         };
+
+        if (parsed.recurrence) {
+          try {
+            // Validate early so a bad rule surfaces before conflict checks
+            describeRecurrence(parsed.recurrence, userTimezone);
+            appointmentData.recurrence = parsed.recurrence;
+            appointmentData.timeZone = userTimezone;
+            console.log("[CALENDAR:PARSE] Recurrence rule:", parsed.recurrence);
+          } catch (ruleError) {
+            console.warn("[CALENDAR:PARSE] Ignoring invalid recurrence rule:", ruleError.message);
+          }
+        }
+      }
+
+      // Free-slot search: period, meeting length and daily window
+      let availabilityRequest = null;
+      if (parsed.action === "find_time") {
+        availabilityRequest = this.buildAvailabilityRequest(parsed, userTimezone);
+        console.log("[CALENDAR:PARSE] Availability request:", availabilityRequest);
       }
 
       // Parse dates for viewing
@@ -699,13 +902,20 @@ ${peopleHint}
         ...(parsed.selfReferences || [])
       ];
 
+      const isChange = parsed.action === "update" || parsed.action === "delete";
+
       const result = {
         ...state,
         action: parsed.action,
         date_range: dateRange,
         appointment_data: appointmentData,
-        contacts_to_resolve: parsed.contacts || [],
-        users_to_resolve: usersToResolve
+        target_query: targetQuery,
+        appointment_changes: appointmentChanges,
+        availability_request: availabilityRequest,
+        policy_updates: parsed.action === "policy" ? this.extractPolicyUpdates(parsed.policy) : null,
+        // Attendees of an existing appointment are matched, not resolved and re-linked
+        contacts_to_resolve: isChange ? [] : (parsed.contacts || []),
+        users_to_resolve: isChange ? [] : usersToResolve
       };
 
       console.log("[CALENDAR:PARSE] Returning state:", {
@@ -728,12 +938,132 @@ ${peopleHint}
     }
   }
 
+  /**
+   * Turn the parsed find_time fields into a search window
+   *
+   * Defaults to the next seven days and 60 minutes within working hours.
+   */
+  buildAvailabilityRequest(parsed, userTimezone) {
+    const availability = parsed.availability || {};
+    const isTime = (value) => typeof value === 'string' && /^\d{1,2}:\d{2}$/.test(value);
+    const pad = (value) => value.padStart(5, '0');
+
+    let rangeStart = null;
+    let rangeEnd = null;
+    const dateQuery = availability.date_query || parsed.date_query;
+    if (dateQuery) {
+      const parsedDates = parseDateQuery(dateQuery, userTimezone);
+      if (parsedDates) {
+        rangeStart = parsedDates.startDate;
+        rangeEnd = parsedDates.endDate;
+      }
+    }
+
+    if (!rangeStart) {
+      const today = dayjs().tz(userTimezone);
+      rangeStart = today.format('YYYY-MM-DD');
+      rangeEnd = today.add(7, 'day').format('YYYY-MM-DD');
+    }
+
+    const duration = parseInt(availability.duration || parsed.appointment?.duration, 10);
+
+    return {
+      rangeStart,
+      rangeEnd: rangeEnd || rangeStart,
+      dateQuery: dateQuery || null,
+      duration: duration > 0 ? duration : 60,
+      // null = use each attendee's working hours from their scheduling policy
+      earliest: isTime(availability.earliest) ? pad(availability.earliest) : null,
+      latest: isTime(availability.latest) ? pad(availability.latest) : null,
+      subject: parsed.appointment?.subject || null
+    };
+  }
+
+  /**
+   * Keep only the policy fields the user actually mentioned
+   */
+  extractPolicyUpdates(policy) {
+    if (!policy || typeof policy !== 'object') return {};
+
+    const updates = {};
+    if (policy.workingHours && typeof policy.workingHours === 'object') updates.workingHours = policy.workingHours;
+    if (policy.bufferMinutes !== null && policy.bufferMinutes !== undefined) updates.bufferMinutes = policy.bufferMinutes;
+    if (policy.maxMeetingsPerDay !== null && policy.maxMeetingsPerDay !== undefined) updates.maxMeetingsPerDay = policy.maxMeetingsPerDay;
+    if (Array.isArray(policy.noMeetingDays)) updates.noMeetingDays = policy.noMeetingDays;
+    return updates;
+  }
+
+  /**
+   * Show or update the user's scheduling policy
+   *
+   * Policy changes only affect this assistant's warnings and suggestions,
+   * nothing is written to BSA, so they are saved without an approval step.
+   */
+  async manageSchedulingPolicy(state, config) {
+    console.log("[CALENDAR:POLICY] Managing scheduling policy");
+
+    const orgId = state.org_id || config?.configurable?.org_id;
+    const userId = state.user_id || config?.configurable?.user_id;
+    const policyService = getSchedulingPolicyService();
+    const updates = state.policy_updates || {};
+
+    try {
+      if (Object.keys(updates).length === 0) {
+        const policy = await policyService.getPolicy(orgId, userId);
+        return {
+          ...state,
+          response: `Your scheduling policy:\n${describePolicy(policy)}`
+        };
+      }
+
+      const policy = await policyService.updatePolicy(orgId, userId, updates);
+      return {
+        ...state,
+        response: `✅ Updated your scheduling policy:\n${describePolicy(policy)}`
+      };
+    } catch (error) {
+      console.error("[CALENDAR:POLICY] Error updating policy:", error);
+      return {
+        ...state,
+        error: `Couldn't update your scheduling policy: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Collect policy warnings for proposed slots
+   *
+   * @param {Object} state - Calendar state (org/user/timezone)
+   * @param {Object} config - Runnable config
+   * @param {Array<Object>} slots - [{ startTime, endTime }]
+   * @param {Array<Object>} appointments - Existing appointments around the slots
+   * @param {string|null} excludeId - Appointment being moved, ignored for buffers and limits
+   * @returns {Promise<Array<string>>} - De-duplicated warnings
+   */
+  async getPolicyWarnings(state, config, slots, appointments, excludeId = null) {
+    try {
+      const policy = await getSchedulingPolicyService().getPolicy(
+        state.org_id || config?.configurable?.org_id,
+        state.user_id || config?.configurable?.user_id
+      );
+      const userTz = state.timezone || 'UTC';
+      const warnings = slots.flatMap(slot => evaluatePolicy(policy, slot, appointments, userTz, { excludeId }));
+      return [...new Set(warnings)];
+    } catch (error) {
+      console.warn("[CALENDAR:POLICY] Could not evaluate scheduling policy:", error.message);
+      return [];
+    }
+  }
+
   /**
    * Resolve user names to IDs (internal team members)
    */
   async resolveUsers(state, config) {
     console.log("[CALENDAR:USERS] Resolving users");
     console.log("[CALENDAR:USERS] Users to resolve:", state.users_to_resolve);
+    if (state.users_to_resolve?.length > 0) {
+      getExecutionProgress().emit('users', { domain: 'calendar', count: state.users_to_resolve.length });
+    }
 
     // Check if we're resuming from user DISAMBIGUATION (user selected from multiple)
     if (state.user_clarification_response?.selected_user) {
@@ -1021,6 +1351,9 @@ ${peopleHint}
   async resolveContacts(state, config) {
     console.log("[CALENDAR:CONTACTS] Resolving contacts");
     console.log("[CALENDAR:CONTACTS] Contacts to resolve:", state.contacts_to_resolve);
+    if (state.contacts_to_resolve?.length > 0) {
+      getExecutionProgress().emit('contacts', { domain: 'calendar', count: state.contacts_to_resolve.length });
+    }
     console.log("[CALENDAR:CONTACTS] Config available:", !!config);
 
     // Check if we're resuming from a contact selection
@@ -1307,6 +1640,10 @@ ${peopleHint}
   async fetchAppointments(state, config) {
     console.log("[CALENDAR:FETCH] Fetching appointments");
 
+    if (state.action === "update" || state.action === "delete") {
+      return this.findTargetAppointment(state, config);
+    }
+
     if (!state.date_range?.start) {
       // Default to today
       const today = new Date();
@@ -1368,16 +1705,396 @@ ${peopleHint}
     }
   }
 
+  /**
+   * Find slots when every requested team member is free
+   *
+   * Each person's appointments are fetched separately and merged into one busy
+   * list, so a slot is only suggested when nobody has a conflict. Working hours,
+   * buffers, meeting limits and no-meeting days come from every attendee's
+   * scheduling policy. The requester is always included since they will attend.
+   */
+  async findAvailableSlots(state, config) {
+    console.log("[CALENDAR:SLOTS] Finding free slots");
+
+    const request = state.availability_request;
+    const userTz = state.timezone || 'UTC';
+
+    if (!request) {
+      return { ...state, error: "Missing availability request" };
+    }
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+
+      if (!passKey || !orgId) {
+        return { ...state, error: "Authentication failed - no valid PassKey" };
+      }
+
+      const peopleService = getPeopleService();
+      const names = [...new Set(state.users_to_resolve || [])];
+      if (!names.some(name => ['me', 'myself', 'i'].includes(name.toLowerCase().trim()))) {
+        names.unshift('me');
+      }
+
+      let users;
+      try {
+        users = await peopleService.resolveUsers(names, {
+          session_id: state.session_id || config.configurable.session_id,
+          org_id: orgId,
+          memory_context: state.memory_context
+        });
+      } catch (error) {
+        if (error.name === 'PersonNotFound') {
+          const suggestions = (error.suggestions || []).map(u => u.name).filter(Boolean);
+          return {
+            ...state,
+            response: `I couldn't find a team member named "${error.query}".` +
+              (suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : '')
+          };
+        }
+        if (error.name === 'NeedsClarification') {
+          const candidates = (error.candidates || []).map(u => u.name).filter(Boolean);
+          return {
+            ...state,
+            response: `"${error.originalQuery}" matches more than one team member: ${candidates.join(', ')}. ` +
+              `Please use their full name.`
+          };
+        }
+        throw error;
+      }
+
+      // Drop duplicates ("me" plus the user's own name)
+      const attendees = users.filter((user, index) =>
+        user && users.findIndex(other => other?.id === user.id) === index
+      );
+
+      // BSA takes UTC dates - pad a day each side so local days are fully covered
+      const fetchStart = dayjs(request.rangeStart).subtract(1, 'day').format('YYYY-MM-DD');
+      const fetchEnd = dayjs(request.rangeEnd).add(1, 'day').format('YYYY-MM-DD');
+
+      const calendars = await Promise.all(attendees.map(user =>
+        getAppointments({
+          startDate: fetchStart,
+          endDate: fetchEnd,
+          // The PassKey owner's calendar is everything getActivities returns
+          userId: user.isCurrentUser ? null : user.id
+        }, passKey, orgId)
+      ));
+
+      const busyByUser = calendars.map(result => getBusyIntervals(result.appointments));
+      const busy = busyByUser.flat();
+      console.log(`[CALENDAR:SLOTS] ${busy.length} busy intervals across ${attendees.length} people`);
+
+      // Every attendee's scheduling policy applies to a shared slot
+      const policyService = getSchedulingPolicyService();
+      const policies = await policyService.getAttendeePolicies(
+        orgId,
+        attendees,
+        state.user_id || config.configurable.user_id
+      );
+      const combined = policyService.combinePolicies(policies);
+
+      // Skip days where someone has already reached their meeting limit
+      const fullDays = new Set();
+      busyByUser.forEach((intervals, index) => {
+        const max = policies[index].maxMeetingsPerDay;
+        if (!max) return;
+        const counts = {};
+        for (const interval of intervals) {
+          const date = dayjs(interval.start).tz(userTz).format('YYYY-MM-DD');
+          counts[date] = (counts[date] || 0) + 1;
+        }
+        Object.keys(counts).filter(date => counts[date] >= max).forEach(date => fullDays.add(date));
+      });
+
+      // An explicit "between 9 and 5" overrides the hours but keeps everyone's working days
+      const workingDays = Object.keys(combined.workingHours)
+        .filter(day => combined.workingHours[day])
+        .map(day => parseInt(day, 10));
+      const workingHours = request.earliest && request.latest
+        ? buildWorkingHours(request.earliest, request.latest, workingDays)
+        : combined.workingHours;
+
+      const slots = findFreeSlots({
+        busy,
+        rangeStart: request.rangeStart,
+        rangeEnd: request.rangeEnd,
+        durationMinutes: request.duration,
+        timezone: userTz,
+        workingHours,
+        bufferMinutes: combined.bufferMinutes,
+        blockedDays: [...combined.noMeetingDays, ...fullDays]
+      });
+
+      const attendeeNames = attendees.map(u => u.isCurrentUser ? 'you' : u.name);
+      if (slots.length === 0) {
+        return {
+          ...state,
+          resolved_users: attendees,
+          slot_options: [],
+          response: `I couldn't find ${request.duration} minutes when ${attendeeNames.join(', ')} are all free ` +
+            (request.earliest ? `between ${request.earliest} and ${request.latest}` : 'during working hours') +
+            (request.dateQuery ? ` ${request.dateQuery}` : '') +
+            `. Try a longer date range or a wider time window.`
+        };
+      }
+
+      const slotOptions = slots.map((slot, index) => ({
+        id: `slot_${index + 1}`,
+        label: `${dayjs(slot.startTime).tz(userTz).format('ddd MMM D, h:mm A')} - ${dayjs(slot.endTime).tz(userTz).format('h:mm A')}`,
+        startTime: slot.startTime,
+        endTime: slot.endTime
+      }));
+
+      console.log(`[CALENDAR:SLOTS] Suggesting ${slotOptions.length} slots`);
+
+      return {
+        ...state,
+        // Everyone whose calendar was checked is invited to the booked slot
+        resolved_users: attendees,
+        slot_options: slotOptions
+      };
+
+    } catch (error) {
+      console.error("[CALENDAR:SLOTS] Error finding free slots:", error);
+      return {
+        ...state,
+        error: `Failed to find free time: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Resolve "my 3pm with Sarah" / "that meeting" to a single existing appointment
+   *
+   * Candidates come from BSA for the target's date window and are scored on
+   * time, subject words, attendee names and appointments already in entity history.
+   */
+  async findTargetAppointment(state, config) {
+    const userTz = state.timezone || 'UTC';
+    const target = state.target_query || {};
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+
+      // Appointments discussed earlier in the conversation (most recent first)
+      const entities = state.entities || {};
+      const latest = this.entityManager.getLatest(entities, 'appointment');
+      const known = [
+        ...(latest ? [latest] : []),
+        ...this.entityManager.getHistory(entities, 'appointment').filter(e => e.id !== latest?.id)
+      ];
+
+      // Work out where to look
+      let targetTime = null;
+      let range = null;
+      if (target.date_query) {
+        const parsedDateTime = parseDateTimeQuery(target.date_query, userTz);
+        if (parsedDateTime?.hasTime) {
+          targetTime = dayjs(parsedDateTime.startDateTime);
+        }
+        const parsedDates = parseDateQuery(target.date_query, userTz);
+        if (parsedDates) {
+          range = { start: parsedDates.startDate, end: parsedDates.endDate };
+        }
+      }
+
+      if (!range && known.length > 0 && known[0].time && (target.reference || !target.subject)) {
+        // "that meeting" - look on the day of the last discussed appointment
+        const day = dayjs(known[0].time).tz(userTz).format('YYYY-MM-DD');
+        range = { start: day, end: day };
+      }
+
+      if (!range) {
+        // Nothing to anchor on - search the next two weeks
+        const today = dayjs().tz(userTz);
+        range = { start: today.format('YYYY-MM-DD'), end: today.add(14, 'day').format('YYYY-MM-DD') };
+      }
+
+      console.log("[CALENDAR:FETCH] Searching for target appointment:", { target, range });
+
+      const result = await getAppointments({
+        startDate: range.start,
+        endDate: range.end,
+        includeAttendees: true,
+        includeExtendedProperties: true
+      }, passKey, orgId);
+
+      const candidates = result.appointments || [];
+      if (candidates.length === 0) {
+        return {
+          ...state,
+          appointments: [],
+          target_candidates: [],
+          response: "I couldn't find an appointment matching that description. Could you tell me when it is or what it's called?"
+        };
+      }
+
+      const subjectWords = (target.subject || '')
+        .toLowerCase()
+        .split(/\W+/)
+        .filter(w => w.length > 2);
+      const attendeeNames = (target.attendees || []).map(n => n.toLowerCase());
+
+      const scored = candidates.map(appt => {
+        let score = 0;
+        const subject = (appt.Subject || '').toLowerCase();
+
+        if (targetTime) {
+          const diff = Math.abs(dayjs(appt.StartTime).diff(targetTime, 'minute'));
+          score += diff === 0 ? 5 : diff <= 30 ? 2 : -2;
+        }
+
+        if (subjectWords.length > 0) {
+          const hits = subjectWords.filter(w => subject.includes(w)).length;
+          score += 3 * (hits / subjectWords.length);
+        }
+
+        if (attendeeNames.length > 0) {
+          const knownEntity = known.find(e => String(e.id) === String(appt.Id));
+          const names = [
+            ...this.getAttendeeNames(appt),
+            ...(knownEntity?.participants || [])
+          ].map(n => n.toLowerCase());
+
+          for (const name of attendeeNames) {
+            const first = name.split(' ')[0];
+            if (names.some(n => n.includes(first)) || subject.includes(first)) {
+              score += 3;
+            }
+          }
+        }
+
+        if (known.some(e => String(e.id) === String(appt.Id))) {
+          score += target.reference ? 4 : 1;
+        }
+
+        return { appt, score };
+      }).sort((a, b) => b.score - a.score);
+
+      const [best, runnerUp] = scored;
+      // A lone candidate is accepted unless it contradicts the stated time
+      const isUnique = best.score >= 0 &&
+        (candidates.length === 1 || (best.score > 0 && best.score > runnerUp.score));
+
+      if (!isUnique) {
+        const options = scored.slice(0, 5).map(({ appt }) => ({
+          id: appt.Id,
+          subject: appt.Subject,
+          startTime: appt.StartTime,
+          endTime: appt.EndTime
+        }));
+
+        console.log(`[CALENDAR:FETCH] Ambiguous target - ${options.length} candidates`);
+
+        const list = options
+          .map(o => `• ${o.subject} - ${dayjs(o.startTime).tz(userTz).format('ddd MMM D, h:mm A')}`)
+          .join('\n');
+
+        return {
+          ...state,
+          appointments: candidates,
+          target_candidates: options,
+          response: `I found several appointments that could match. Which one did you mean?\n\n${list}`
+        };
+      }
+
+      const appt = best.appt;
+      console.log(`[CALENDAR:FETCH] Target appointment: ${appt.Subject} (${appt.Id})`);
+
+      let changes = state.appointment_changes;
+      if (state.action === "update") {
+        changes = this.resolveAppointmentChanges(appt, state.appointment_changes || {}, userTz);
+
+        if (!changes.startTime && !changes.subject && !changes.location && !changes.description) {
+          return {
+            ...state,
+            appointments: [appt],
+            target_candidates: [],
+            response: `What would you like to change about "${appt.Subject}" (${dayjs(appt.StartTime).tz(userTz).format('ddd MMM D, h:mm A')})?`
+          };
+        }
+      }
+
+      return {
+        ...state,
+        appointments: [appt],
+        target_appointment: appt,
+        target_candidates: [],
+        appointment_changes: changes
+      };
+
+    } catch (error) {
+      console.error("[CALENDAR:FETCH] Error finding target appointment:", error);
+      return {
+        ...state,
+        error: `Failed to find appointment: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Turn parsed changes into concrete start/end times relative to the original appointment
+   */
+  resolveAppointmentChanges(appt, changes, userTz) {
+    const resolved = { ...changes };
+    const originalStart = dayjs(appt.StartTime);
+    const durationMs = changes.duration
+      ? changes.duration * 60 * 1000
+      : dayjs(appt.EndTime).diff(originalStart);
+
+    let newStart = null;
+    if (changes.startTime) {
+      newStart = dayjs(changes.startTime);
+    } else if (changes.date) {
+      // "move it to Thursday" keeps the original time of day
+      newStart = dayjs.tz(`${changes.date} ${originalStart.tz(userTz).format('HH:mm')}`, userTz);
+    } else if (changes.duration) {
+      newStart = originalStart;
+    }
+
+    if (newStart) {
+      resolved.startTime = newStart.toISOString();
+      resolved.endTime = newStart.add(durationMs, 'millisecond').toISOString();
+    }
+
+    delete resolved.date;
+    return resolved;
+  }
+
+  /**
+   * Extract attendee display names from a BSA appointment
+   */
+  getAttendeeNames(appt) {
+    // getActivities returns Attendees as { ContactIds, UserIds } - names only when expanded
+    if (!Array.isArray(appt.Attendees)) return [];
+
+    return appt.Attendees
+      .map(a => a.FullName || a.Name || a.ContactName ||
+        [a.FirstName, a.LastName].filter(Boolean).join(' '))
+      .filter(Boolean);
+  }
+
   /**
    * Check for conflicts when creating appointments
    */
   async checkConflicts(state, config) {
     console.log("[CALENDAR:CONFLICTS] Checking for conflicts");
+
+    if (state.action === "update" && state.appointment_changes?.startTime) {
+      return this.checkRescheduleConflicts(state, config);
+    }
     
     if (!state.appointment_data || state.action !== "create") {
       return state;
     }
 
+    if (state.appointment_data.recurrence) {
+      return this.checkRecurringConflicts(state, config);
+    }
+
     try {
       const passKey = await config.configurable.getPassKey();
       const orgId = config.configurable.org_id;
@@ -1410,10 +2127,15 @@ ${peopleHint}
       if (conflicts.length > 0) {
         console.log(`[CALENDAR:CONFLICTS] Found ${conflicts.length} conflicts`);
       }
+
+      const policyWarnings = await this.getPolicyWarnings(
+        state, config, [state.appointment_data], existing.appointments || []
+      );
       
       return {
         ...state,
-        conflicts
+        conflicts,
+        policy_warnings: policyWarnings
       };
       
     } catch (error) {
@@ -1423,6 +2145,105 @@ ${peopleHint}
     }
   }
 
+  /**
+   * Check the new slot of a rescheduled appointment, ignoring the appointment itself
+   */
+  async checkRescheduleConflicts(state, config) {
+    const userTz = state.timezone || 'UTC';
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+      const { startTime, endTime } = state.appointment_changes;
+
+      const existing = await getAppointments({
+        startDate: startTime.split('T')[0],
+        endDate: endTime.split('T')[0]
+      }, passKey, orgId);
+
+      const others = (existing.appointments || [])
+        .filter(appt => String(appt.Id) !== String(state.target_appointment?.Id));
+
+      const conflicts = findOccurrenceConflicts([{ startTime, endTime }], others)
+        .flatMap(({ conflicts: overlaps }) => overlaps.map(appt => ({
+          subject: appt.Subject,
+          time: `${dayjs(appt.StartTime).tz(userTz).format('h:mm A')} - ${dayjs(appt.EndTime).tz(userTz).format('h:mm A')}`
+        })));
+
+      if (conflicts.length > 0) {
+        console.log(`[CALENDAR:CONFLICTS] New slot has ${conflicts.length} conflicts`);
+      }
+
+      const policyWarnings = await this.getPolicyWarnings(
+        state, config, [{ startTime, endTime }], existing.appointments || [], state.target_appointment?.Id
+      );
+
+      return {
+        ...state,
+        conflicts,
+        policy_warnings: policyWarnings
+      };
+
+    } catch (error) {
+      console.error("[CALENDAR:CONFLICTS] Error checking reschedule conflicts:", error);
+      // Continue without conflict check
+      return state;
+    }
+  }
+
+  /**
+   * Check every occurrence of a recurring appointment for conflicts
+   */
+  async checkRecurringConflicts(state, config) {
+    const userTz = state.timezone || 'UTC';
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+
+      const occurrences = expandRecurrence(
+        state.appointment_data.recurrence,
+        state.appointment_data.startTime,
+        state.appointment_data.endTime,
+        userTz
+      );
+
+      if (occurrences.length === 0) {
+        return state;
+      }
+
+      // Single fetch across the series span
+      const existing = await getAppointments({
+        startDate: occurrences[0].startTime.split('T')[0],
+        endDate: occurrences[occurrences.length - 1].endTime.split('T')[0]
+      }, passKey, orgId);
+
+      const conflicts = findOccurrenceConflicts(occurrences, existing.appointments || [])
+        .flatMap(({ occurrence, conflicts: overlaps }) => overlaps.map(appt => ({
+          subject: appt.Subject,
+          occurrence: occurrence.startTime,
+          time: `${dayjs(appt.StartTime).tz(userTz).format('ddd MMM D h:mm A')} - ${dayjs(appt.EndTime).tz(userTz).format('h:mm A')}`
+        })));
+
+      console.log(`[CALENDAR:CONFLICTS] Checked ${occurrences.length} occurrences, found ${conflicts.length} conflicts`);
+
+      const policyWarnings = await this.getPolicyWarnings(
+        state, config, occurrences, existing.appointments || []
+      );
+
+      return {
+        ...state,
+        conflicts,
+        policy_warnings: policyWarnings
+      };
+
+    } catch (error) {
+      console.error("[CALENDAR:CONFLICTS] Error checking recurring conflicts:", error);
+      // Continue without conflict check
+      return state;
+    }
+  }
+
   /**
    * Generate preview for approval
    */
@@ -1440,7 +2261,23 @@ ${peopleHint}
       details: []
     };
 
-    if (state.appointment_data) {
+    if (state.action === "find_time") {
+      const request = state.availability_request || {};
+      preview.title = request.subject || "New Appointment";
+      preview.selectionType = 'single';
+      preview.options = state.slot_options.map(option => ({ id: option.id, label: option.label }));
+      preview.details.push({ label: "Duration", value: `${request.duration} minutes` });
+      preview.details.push({
+        label: "Team Members",
+        value: (state.resolved_users || []).map(u => u.isCurrentUser ? `${u.name} (you)` : u.name).join(", ")
+      });
+      preview.details.push({
+        label: "Hours",
+        value: request.earliest ? `${request.earliest} - ${request.latest}` : "Working hours (per scheduling policy)"
+      });
+    } else if ((state.action === "update" || state.action === "delete") && state.target_appointment) {
+      this.addChangeDetails(preview, state);
+    } else if (state.appointment_data) {
       const userTz = state.timezone || 'UTC';
       const start = dayjs(state.appointment_data.startTime).tz(userTz);
       const end = dayjs(state.appointment_data.endTime).tz(userTz);
@@ -1457,6 +2294,27 @@ ${peopleHint}
         });
       }
       
+      if (state.appointment_data.recurrence) {
+        const occurrences = expandRecurrence(
+          state.appointment_data.recurrence,
+          state.appointment_data.startTime,
+          state.appointment_data.endTime,
+          userTz
+        );
+        const last = occurrences.length > 0
+          ? dayjs(occurrences[occurrences.length - 1].startTime).tz(userTz)
+          : start;
+
+        preview.details.push({
+          label: "Repeats",
+          value: describeRecurrence(state.appointment_data.recurrence, userTz)
+        });
+        preview.details.push({
+          label: "Occurrences",
+          value: `${occurrences.length} (${start.format('M/D/YYYY')} - ${last.format('M/D/YYYY')})`
+        });
+      }
+
       if (state.appointment_data.location) {
         preview.details.push({
           label: "Location",
@@ -1483,7 +2341,14 @@ ${peopleHint}
     const warnings = [];
 
     if (state.conflicts?.length > 0) {
-      warnings.push(`Conflicts with: ${state.conflicts.map(c => c.subject).join(", ")}`);
+      if (state.appointment_data?.recurrence) {
+        const userTz = state.timezone || 'UTC';
+        for (const conflict of state.conflicts) {
+          warnings.push(`${dayjs(conflict.occurrence).tz(userTz).format('ddd M/D')}: conflicts with ${conflict.subject}`);
+        }
+      } else {
+        warnings.push(`Conflicts with: ${state.conflicts.map(c => c.subject).join(", ")}`);
+      }
     }
 
     // Add warnings for unresolved/skipped attendees
@@ -1507,6 +2372,15 @@ ${peopleHint}
       }
     }
 
+    if (state.policy_warnings?.length > 0) {
+      warnings.push(...state.policy_warnings);
+    }
+
+    // Only team calendars are visible - external people aren't checked or invited
+    if (state.action === "find_time" && state.contacts_to_resolve?.length > 0) {
+      warnings.push(`⚠️ Availability not checked for: ${state.contacts_to_resolve.join(", ")}`);
+    }
+
     if (warnings.length > 0) {
       preview.warnings = warnings;
     }
@@ -1517,6 +2391,61 @@ ${peopleHint}
     };
   }
 
+  /**
+   * Fill a before/after preview for reschedule, edit and cancel actions
+   */
+  addChangeDetails(preview, state) {
+    const userTz = state.timezone || 'UTC';
+    const appt = state.target_appointment;
+    const changes = state.appointment_changes || {};
+    const formatSlot = (startTime, endTime) => {
+      const start = dayjs(startTime).tz(userTz);
+      const end = dayjs(endTime).tz(userTz);
+      return `${start.format('ddd M/D/YYYY h:mm A')} - ${end.format('h:mm A')}`;
+    };
+
+    preview.title = appt.Subject || "Appointment";
+    preview.changes = [];
+
+    if (state.action === "delete") {
+      preview.details.push({ label: "Cancel", value: formatSlot(appt.StartTime, appt.EndTime) });
+      if (appt.Location) {
+        preview.details.push({ label: "Location", value: appt.Location });
+      }
+      preview.warnings = ["This appointment will be removed from the calendar"];
+      return;
+    }
+
+    const before = {
+      time: formatSlot(appt.StartTime, appt.EndTime),
+      subject: appt.Subject || "",
+      location: appt.Location || "",
+      description: appt.Description || ""
+    };
+    const after = {
+      time: changes.startTime ? formatSlot(changes.startTime, changes.endTime) : before.time,
+      subject: changes.subject || before.subject,
+      location: changes.location !== undefined ? changes.location : before.location,
+      description: changes.description !== undefined ? changes.description : before.description
+    };
+
+    const labels = { time: "Time", subject: "Subject", location: "Location", description: "Description" };
+    for (const field of Object.keys(labels)) {
+      if (before[field] !== after[field]) {
+        preview.changes.push({ field, before: before[field], after: after[field] });
+        preview.details.push({
+          label: labels[field],
+          value: `${before[field] || "(none)"} → ${after[field] || "(none)"}`
+        });
+      }
+    }
+
+    // Keep the unchanged time visible for context
+    if (before.time === after.time) {
+      preview.details.unshift({ label: "Time", value: before.time });
+    }
+  }
+
   /**
    * Request approval from user
    */
@@ -1526,6 +2455,11 @@ ${peopleHint}
     // Check if we're resuming from an approval decision
     if (state.approval_decision) {
       console.log(`[CALENDAR:APPROVAL] Resuming with decision: ${state.approval_decision}`);
+
+      if (state.action === "find_time" && state.approval_decision === 'approve') {
+        return this.applySlotSelection(state);
+      }
+
       return {
         ...state,
         approved: state.approval_decision === 'approve',
@@ -1542,7 +2476,9 @@ ${peopleHint}
     console.log("[CALENDAR:APPROVAL] Returning approval request for coordinator to handle");
 
     // Customize message based on unresolved attendees
-    let message = `Please review this ${state.action} action:`;
+    let message = state.action === "find_time"
+      ? "Everyone is free at these times - pick one to book:"
+      : `Please review this ${state.action} action:`;
     if (state.unresolved_contacts?.length > 0 || state.unresolved_users?.length > 0) {
       const unresolvedCount = (state.unresolved_contacts?.length || 0) + (state.unresolved_users?.length || 0);
       if (unresolvedCount === 1) {
@@ -1561,7 +2497,11 @@ ${peopleHint}
         actionId: `calendar_${Date.now()}`,
         action: state.action,
         preview: state.preview,
-        data: state.appointment_data,
+        data: state.target_appointment
+          ? { appointmentId: state.target_appointment.Id, changes: state.appointment_changes }
+          : state.action === "find_time"
+            ? { options: state.slot_options, duration: state.availability_request?.duration }
+            : state.appointment_data,
         message: message,
         thread_id: state.thread_id || null
       },
@@ -1570,6 +2510,39 @@ ${peopleHint}
     };
   }
 
+  /**
+   * Turn the slot picked in the approval UI into a regular create
+   *
+   * Approving without a choice books the first (earliest) suggestion.
+   */
+  applySlotSelection(state) {
+    const options = state.slot_options || [];
+    const optionId = state.approval_selection?.optionId;
+    const slot = options.find(option => option.id === optionId) || options[0];
+
+    console.log(`[CALENDAR:APPROVAL] Booking slot ${slot?.id} (${slot?.label})`);
+
+    if (!slot) {
+      return { ...state, error: "No time slot selected", requiresApproval: false };
+    }
+
+    return {
+      ...state,
+      action: "create",
+      appointment_data: {
+        subject: state.availability_request?.subject || "New Appointment",
+        description: "",
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        location: "",
+        isAllDay: false
+      },
+      approved: true,
+      rejected: false,
+      requiresApproval: false
+    };
+  }
+
   /**
    * Create appointment in BSA
    */
@@ -1580,6 +2553,10 @@ ${peopleHint}
       return state;
     }
 
+    if (state.appointment_data.recurrence) {
+      return this.createRecurringAppointmentNode(state, config);
+    }
+
     try {
       const passKey = await config.configurable.getPassKey();
       const orgId = config.configurable.org_id;
@@ -1591,6 +2568,16 @@ ${peopleHint}
       );
       
       console.log("[CALENDAR:CREATE] Created appointment:", appointment.id);
+
+      await getOperationJournal().record(this.getJournalContext(state, config), {
+        domain: 'calendar',
+        summary: `Created appointment "${appointment.Subject || state.appointment_data.subject}"`,
+        operations: [{
+          type: 'create_appointment',
+          recordIds: [appointment.Id || appointment.id].filter(Boolean),
+          label: appointment.Subject || state.appointment_data.subject
+        }]
+      });
       
       // Register entity for cross-domain reference
       const entity = {
@@ -1618,15 +2605,158 @@ ${peopleHint}
     }
   }
 
+  /**
+   * Create every occurrence of a recurring appointment in BSA
+   */
+  async createRecurringAppointmentNode(state, config) {
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+
+      const series = await createRecurringAppointments(
+        {
+          ...state.appointment_data,
+          timeZone: state.appointment_data.timeZone || state.timezone || 'UTC'
+        },
+        passKey,
+        orgId
+      );
+
+      console.log(`[CALENDAR:CREATE] Created ${series.count}/${series.total} occurrences`);
+
+      await getOperationJournal().record(this.getJournalContext(state, config), {
+        domain: 'calendar',
+        summary: `Created ${series.count} occurrences of "${state.appointment_data.subject}"`,
+        operations: [{
+          type: 'create_appointment',
+          recordIds: series.appointments.map(a => a.Id).filter(Boolean),
+          label: state.appointment_data.subject
+        }]
+      });
+
+      const first = series.appointments[0];
+      const entity = {
+        type: 'appointment',
+        id: first.Id,
+        name: first.Subject,
+        time: first.StartTime,
+        recurrence: series.recurrence,
+        occurrenceIds: series.appointments.map(a => a.Id)
+      };
+
+      return {
+        ...state,
+        appointments: series.appointments,
+        failed_occurrences: series.failed,
+        entities: {
+          ...state.entities,
+          appointment: entity
+        }
+      };
+
+    } catch (error) {
+      console.error("[CALENDAR:CREATE] Error creating recurring appointment:", error);
+      return {
+        ...state,
+        error: `Failed to create recurring appointment: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Update existing appointment
    */
   async updateAppointmentNode(state, config) {
     console.log("[CALENDAR:UPDATE] Updating appointment");
-    
-    // Implementation would be similar to create
-    // For now, returning state as-is
-    return state;
+
+    if (!state.approved || !state.target_appointment) {
+      return state;
+    }
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+      const target = state.target_appointment;
+      const changes = state.appointment_changes || {};
+
+      // Only send the fields that changed - updateAppointment merges with the existing record
+      const updates = {};
+      if (changes.startTime) {
+        updates.StartTime = changes.startTime;
+        updates.EndTime = changes.endTime;
+      }
+      if (changes.subject) updates.Subject = changes.subject;
+      if (changes.location !== undefined) updates.Location = changes.location;
+      if (changes.description !== undefined) updates.Description = changes.description;
+
+      const updated = await updateAppointment(target.Id, updates, passKey, orgId);
+      const appointment = { ...target, ...updates, ...(updated || {}) };
+
+      console.log("[CALENDAR:UPDATE] Updated appointment:", target.Id);
+
+      // Prior values of the changed fields, so the update can be undone
+      await getOperationJournal().record(this.getJournalContext(state, config), {
+        domain: 'calendar',
+        summary: `Updated appointment "${target.Subject}"`,
+        operations: [{
+          type: 'update_appointment',
+          recordId: target.Id,
+          label: target.Subject,
+          before: Object.fromEntries(Object.keys(updates).map(field => [field, target[field] ?? null]))
+        }]
+      });
+
+      const entities = this.entityManager.store(state.entities || {}, 'appointment', {
+        type: 'appointment',
+        id: appointment.Id,
+        name: appointment.Subject,
+        time: appointment.StartTime
+      });
+
+      return {
+        ...state,
+        appointments: [appointment],
+        entities
+      };
+
+    } catch (error) {
+      console.error("[CALENDAR:UPDATE] Error updating appointment:", error);
+      return {
+        ...state,
+        error: `Failed to update appointment: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Cancel (delete) an existing appointment
+   */
+  async deleteAppointmentNode(state, config) {
+    console.log("[CALENDAR:DELETE] Deleting appointment");
+
+    if (!state.approved || !state.target_appointment) {
+      return state;
+    }
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+
+      await deleteAppointment(state.target_appointment.Id, passKey, orgId);
+      console.log("[CALENDAR:DELETE] Deleted appointment:", state.target_appointment.Id);
+
+      return {
+        ...state,
+        appointments: []
+      };
+
+    } catch (error) {
+      console.error("[CALENDAR:DELETE] Error deleting appointment:", error);
+      return {
+        ...state,
+        error: `Failed to cancel appointment: ${error.message}`
+      };
+    }
   }
 
   /**
@@ -1649,11 +2779,13 @@ ${peopleHint}
     try {
       const passKey = await config.configurable.getPassKey();
       const orgId = config.configurable.org_id;
-      const appointmentId = state.appointments[0].id || state.appointments[0].Id;
+      // Recurring series link attendees to every occurrence
+      const appointmentIds = state.appointments.map(a => a.id || a.Id).filter(Boolean);
 
       // Link contacts (external people)
       if (hasContacts) {
         let linkedContactsCount = 0;
+        const linkedContacts = [];
         for (const contact of state.resolved_contacts) {
           try {
             // Validate contact has an ID before attempting to link
@@ -1663,13 +2795,21 @@ ${peopleHint}
               continue;
             }
 
-            await this.contactResolver.linkActivity(
-              'appointment',
-              appointmentId,
-              contactId,
-              passKey,
-              orgId
-            );
+            for (const appointmentId of appointmentIds) {
+              await this.contactResolver.linkActivity(
+                'appointment',
+                appointmentId,
+                contactId,
+                passKey,
+                orgId
+              );
+              linkedContacts.push({
+                activityId: appointmentId,
+                activityLabel: state.appointments.find(a => (a.id || a.Id) === appointmentId)?.Subject,
+                contactId,
+                contactName: contact.name
+              });
+            }
             linkedContactsCount++;
           } catch (error) {
             console.error(`[CALENDAR:ATTENDEES] Failed to link contact ${contact.name || contact.id}: ${error.message}`);
@@ -1677,6 +2817,12 @@ ${peopleHint}
           }
         }
         console.log(`[CALENDAR:ATTENDEES] Linked ${linkedContactsCount} of ${state.resolved_contacts.length} contacts`);
+
+        await getOperationJournal().recordLinks(this.getJournalContext(state, config), {
+          domain: 'calendar',
+          activityType: 'appointment',
+          links: linkedContacts
+        });
       }
 
       // Link users (internal team members)
@@ -1691,13 +2837,15 @@ ${peopleHint}
               continue;
             }
 
-            await this.userResolver.linkActivity(
-              'appointment',
-              appointmentId,
-              userId,
-              passKey,
-              orgId
-            );
+            for (const appointmentId of appointmentIds) {
+              await this.userResolver.linkActivity(
+                'appointment',
+                appointmentId,
+                userId,
+                passKey,
+                orgId
+              );
+            }
             linkedUsersCount++;
           } catch (error) {
             console.error(`[CALENDAR:ATTENDEES] Failed to link user ${user.name || user.id}: ${error.message}`);
@@ -1758,6 +2906,44 @@ ${peopleHint}
     }
   }
 
+  /**
+   * Journal an appointment or series created by the create_appointment tool,
+   * with the contacts it linked joining the same change
+   */
+  async recordToolCreate(state, parsed) {
+    const context = this.getJournalContext(state);
+    const appointments = parsed.appointments || [parsed.appointment];
+    const subject = parsed.appointment.subject;
+
+    await getOperationJournal().record(context, {
+      domain: 'calendar',
+      summary: parsed.recurrence
+        ? `Created ${appointments.length} occurrences of "${subject}"`
+        : `Created appointment "${subject}"`,
+      operations: [{
+        type: 'create_appointment',
+        recordIds: appointments.map(a => a.id).filter(Boolean),
+        label: subject
+      }]
+    });
+
+    await getOperationJournal().recordLinks(context, {
+      domain: 'calendar',
+      activityType: 'appointment',
+      links: parsed.contactLinks
+    });
+  }
+
+  /**
+   * Org and user the operation journal records writes for
+   */
+  getJournalContext(state, config) {
+    return {
+      org_id: state.org_id || config?.configurable?.org_id,
+      user_id: state.user_id || config?.configurable?.user_id
+    };
+  }
+
   /**
    * Store interaction in memory
    */
@@ -1774,7 +2960,7 @@ ${peopleHint}
       
       // Build conversation for memory
       let assistantContent = '';
-      const subject = state.appointment_data?.subject || 'Appointment';
+      const subject = state.appointment_data?.subject || state.target_appointment?.Subject || 'Appointment';
       const participants = (state.resolved_contacts || []).map(c => c.name).filter(Boolean);
       const teamMembers = (state.resolved_users || []).map(u => u.name).filter(Boolean);
 
@@ -1783,6 +2969,11 @@ ${peopleHint}
         assistantContent = `Created appointment: ${subject}`;
         if (participants.length) assistantContent += ` with ${participants.join(', ')}`;
         if (teamMembers.length) assistantContent += ` and team members: ${teamMembers.join(', ')}`;
+      } else if (state.action === 'update' && state.appointments?.[0]) {
+        const newTime = dayjs(state.appointments[0].StartTime).tz(state.timezone || 'UTC').format('MMM D, YYYY h:mm A');
+        assistantContent = `Updated appointment: ${state.appointments[0].Subject || subject} (now ${newTime})`;
+      } else if (state.action === 'delete' && state.approved) {
+        assistantContent = `Cancelled appointment: ${subject}`;
       } else {
         assistantContent = `${state.action} appointment: ${subject}`;
       }
@@ -1850,6 +3041,7 @@ ${peopleHint}
       messages = [],
       session_id,
       org_id,
+      user_id,
       timezone,
       memory_context,
       entities,
@@ -1863,6 +3055,7 @@ ${peopleHint}
       const context = {
         session_id,
         org_id,
+        user_id,
         passKey,
         timezone: timezone || 'UTC',
         memory_context: memory_context || {},
@@ -1887,10 +3080,26 @@ ${peopleHint}
             const parsed = JSON.parse(result);
 
             if (parsed.success) {
+              await this.recordToolCreate(state, parsed);
+
+              const userTz = timezone || 'UTC';
+              let response = `Created appointment: ${parsed.appointment.subject} on ${dayjs(parsed.appointment.startTime).tz(userTz).format('MMM D, YYYY [at] h:mm A')}`;
+
+              if (parsed.recurrence) {
+                response = `Created recurring appointment: ${parsed.appointment.subject} (${describeRecurrence(parsed.recurrence.rule, userTz)}), ` +
+                  `${parsed.recurrence.created} of ${parsed.recurrence.total} occurrences starting ${dayjs(parsed.appointment.startTime).tz(userTz).format('MMM D, YYYY [at] h:mm A')}`;
+                if (parsed.recurrence.failed?.length > 0) {
+                  const failedDates = parsed.recurrence.failed
+                    .map(f => dayjs(f.startTime).tz(userTz).format('MMM D'))
+                    .join(', ');
+                  response += `\n\n⚠️ Could not create occurrences on: ${failedDates}`;
+                }
+              }
+
               return {
                 ...state,
-                response: `Created appointment: ${parsed.appointment.subject} on ${dayjs(parsed.appointment.startTime).format('MMM D, YYYY [at] h:mm A')}`,
-                appointments: [parsed.appointment],
+                response,
+                appointments: parsed.appointments || [parsed.appointment],
                 entities: {
                   ...state.entities,
                   appointment: parsed.entity
@@ -1964,6 +3173,7 @@ ${peopleHint}
       let response;
       let loopCount = 0;
       const MAX_LOOPS = 5;
+      const artifacts = [];
 
       while (loopCount < MAX_LOOPS) {
         response = await llmWithTools.invoke(currentMessages);
@@ -1988,6 +3198,14 @@ ${peopleHint}
             try {
               const parsed = JSON.parse(toolResult);
 
+              if (parsed.briefing) {
+                artifacts.push({ type: 'briefing', ...parsed.briefing });
+              }
+
+              if (toolCall.name === 'create_appointment' && parsed.success) {
+                await this.recordToolCreate(state, parsed);
+              }
+
               if (parsed.requiresApproval) {
                 console.log("[CALENDAR:TOOL_CALLING] Preview generated, returning approval request");
 
@@ -2057,6 +3275,7 @@ ${peopleHint}
       return {
         ...state,
         response: finalAnswer,
+        artifacts: artifacts.length > 0 ? artifacts : null,
         messages: [
           ...messages,
           { role: "user", content: query },
@@ -2100,11 +3319,18 @@ You have access to tools that can:
 - Parse date/time expressions (like "tomorrow at 3pm", "next Tuesday 2pm")
 - Check for scheduling conflicts
 - Generate appointment previews for user approval
+- Prepare briefings for upcoming meetings
 
 For viewing appointments:
 1. Use the list_appointments tool with natural language dates
 2. Provide a clear, conversational summary of the appointments
 
+For meeting prep ("prep me for my next meeting", "brief me on the budget review", "what should I know before that meeting?"):
+1. Use get_meeting_briefing - no arguments for the next meeting, subject words for a named meeting,
+   or appointmentId for an appointment already discussed
+2. The side panel shows the full briefing as a card; reply with its summary, highlighting
+   overdue tasks and anything the user should bring up
+
 For creating appointments:
 1. Parse the date/time first using parse_datetime tool
 2. Check for conflicts if desired using check_conflicts tool
@@ -2112,6 +3338,14 @@ For creating appointments:
 4. The preview will be shown to the user for approval
 5. You will be notified when the user approves/rejects
 
+For recurring appointments ("every Tuesday at 10 for 6 weeks", "first Monday of each month"):
+1. Parse the FIRST occurrence with parse_datetime
+2. Pass the pattern to preview_appointment as an RRULE in the recurrence field
+   - "every Tuesday for 6 weeks" → FREQ=WEEKLY;BYDAY=TU;COUNT=6
+   - "first Monday of each month" → FREQ=MONTHLY;BYDAY=1MO
+   - "every other Friday until Dec 1" → FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20251201
+3. The preview checks every occurrence for conflicts - one approval covers the whole series
+
 IMPORTANT:
 - ALWAYS use preview_appointment BEFORE creating any appointment
 - The preview tool will automatically check for conflicts
@@ -2152,6 +3386,21 @@ Be conversational and helpful. Format times in a user-friendly way.`;
       };
     }
 
+    // Free-slot search found nothing - findAvailableSlots already explained why
+    if (state.action === "find_time" && !(state.slot_options?.length > 0) && state.response) {
+      return state;
+    }
+
+    // Policy view/update - manageSchedulingPolicy already wrote the summary
+    if (state.action === "policy" && state.response) {
+      return state;
+    }
+
+    // Reschedule/cancel without a unique target - findTargetAppointment already explained why
+    if ((state.action === "update" || state.action === "delete") && !state.target_appointment && state.response) {
+      return state;
+    }
+
     let response = "";
 
     if (state.action === "view") {
@@ -2170,6 +3419,11 @@ Be conversational and helpful. Format times in a user-friendly way.`;
       if (appt) {
         response = `✅ Successfully created appointment "${appt.subject || appt.Subject}"`;
 
+        if (state.appointment_data?.recurrence) {
+          response = `✅ Successfully created recurring appointment "${appt.subject || appt.Subject}" ` +
+            `(${describeRecurrence(state.appointment_data.recurrence, state.timezone || 'UTC')}, ${state.appointments.length} occurrences)`;
+        }
+
         const attendeesParts = [];
         if (state.resolved_users?.length > 0) {
           attendeesParts.push(`${state.resolved_users.length} team member(s)`);
@@ -2204,9 +3458,23 @@ Be conversational and helpful. Format times in a user-friendly way.`;
           response += "\n\n" + warnings.join("\n");
           response += "\n\n💡 The appointment was created without these attendees. Please check the spelling and try adding them again if needed.";
         }
+
+        if (state.failed_occurrences?.length > 0) {
+          const userTz = state.timezone || 'UTC';
+          response += `\n\n⚠️ Could not create occurrences on: ${state.failed_occurrences.map(f => dayjs(f.startTime).tz(userTz).format('MMM D')).join(', ')}`;
+        }
       } else {
         response = "Appointment creation was processed.";
       }
+    } else if (state.action === "update" && state.approved && state.appointments?.[0]) {
+      const appt = state.appointments[0];
+      const start = dayjs(appt.StartTime).tz(state.timezone || 'UTC');
+      response = `✅ Updated "${appt.Subject}" - now ${start.format('ddd MMM D [at] h:mm A')}`;
+      if (appt.Location) response += ` (${appt.Location})`;
+    } else if (state.action === "delete" && state.approved) {
+      const appt = state.target_appointment;
+      const start = dayjs(appt?.StartTime).tz(state.timezone || 'UTC');
+      response = `🗑️ Cancelled "${appt?.Subject || 'appointment'}" on ${start.format('ddd MMM D [at] h:mm A')}`;
     } else if (state.approved === false && !state.requiresApproval) {
       // Only show cancelled if explicitly rejected, not when pending approval
       response = "Action cancelled by user.";
@@ -4,6 +4,7 @@
  * Phase 1: Read-Only Operations
  * - list_appointments: View appointments in date range
  * - parse_datetime: Parse natural language dates/times
+ * - get_meeting_briefing: Prep for an upcoming meeting (attendees, history, open tasks)
  *
  * Future Phases:
  * - preview_appointment: Generate preview for approval
@@ -14,9 +15,12 @@
 
 const { tool } = require("@langchain/core/tools");
 const { z } = require("zod");
-const { getAppointments } = require("../../../integrations/bsa/tools/appointments");
+const { getAppointments, createRecurringAppointments } = require("../../../integrations/bsa/tools/appointments");
 const { parseDateQuery, parseDateTimeQuery, calculateEndTime } = require("../../../utils/chronoParser");
+const { expandRecurrence, describeRecurrence, findOccurrenceConflicts } = require("../../../utils/recurrence");
 const { getContactLinker } = require("../../../services/entities/contactLinker");
+const { getSchedulingPolicyService, evaluatePolicy } = require("../../../services/scheduling/schedulingPolicy");
+const { getMeetingBriefingService } = require("../../../services/scheduling/meetingBriefing");
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 const timezone = require('dayjs/plugin/timezone');
@@ -27,6 +31,7 @@ dayjs.extend(timezone);
 const axios = require('axios');
 const bsaConfig = require('../../../integrations/bsa/config');
 const { normalizeBSAResponse } = require('../../../integrations/bsa/tools/common');
+const { getAuditLog } = require('../../../services/audit/auditLog');
 
 /**
  * Tool 1: List Appointments
@@ -285,8 +290,8 @@ const checkConflictsTool = tool(
  * Returns requiresApproval flag that handleQuery will detect.
  */
 const previewAppointmentTool = tool(
-  async ({ subject, startTime, endTime, attendees, location, description, timezone: userTimezone }, config) => {
-    console.log("[TOOL:PREVIEW] Generating preview for:", subject);
+  async ({ subject, startTime, endTime, attendees, location, description, recurrence, timezone: userTimezone }, config) => {
+    console.log("[TOOL:PREVIEW] Generating preview for:", subject, recurrence ? `(${recurrence})` : "");
 
     try {
       const tz = userTimezone || 'UTC';
@@ -335,20 +340,93 @@ const previewAppointmentTool = tool(
         }
       }
 
-      // Check for conflicts
       const context = config.context;
-      const conflictResult = await checkConflictsTool.invoke(
-        { startTime, endTime, timezone: tz },
-        { context }
-      );
-
-      const conflictData = JSON.parse(conflictResult);
       const warnings = [];
+      // Slots and surrounding appointments for the scheduling policy check below
+      let policySlots = [{ startTime, endTime }];
+      let policyAppointments = null;
+
+      if (recurrence) {
+        // Expand the series so every occurrence is shown and conflict-checked
+        let occurrences;
+        try {
+          occurrences = expandRecurrence(recurrence, startTime, endTime, tz);
+        } catch (ruleError) {
+          return JSON.stringify({
+            error: ruleError.message,
+            suggestion: "Use an RRULE like 'FREQ=WEEKLY;BYDAY=TU;COUNT=6' or 'FREQ=MONTHLY;BYDAY=1MO;COUNT=6'",
+            recurrence
+          });
+        }
+
+        if (occurrences.length === 0) {
+          return JSON.stringify({
+            error: "Recurrence rule produced no occurrences",
+            recurrence
+          });
+        }
+
+        const first = dayjs(occurrences[0].startTime).tz(tz);
+        const last = dayjs(occurrences[occurrences.length - 1].startTime).tz(tz);
+
+        details.push({ label: "Repeats", value: describeRecurrence(recurrence, tz) });
+        details.push({
+          label: "Occurrences",
+          value: `${occurrences.length} (${first.format('MMM D, YYYY')} - ${last.format('MMM D, YYYY')})`
+        });
 
-      if (conflictData.hasConflicts) {
-        for (const conflict of conflictData.conflicts) {
-          warnings.push(`Conflicts with: "${conflict.subject}" (${conflict.overlapMinutes} min overlap)`);
+        // One fetch across the whole series, then overlap check per occurrence
+        const existing = await getAppointments({
+          startDate: occurrences[0].startTime.split('T')[0],
+          endDate: occurrences[occurrences.length - 1].endTime.split('T')[0],
+          includeAttendees: false,
+          timeZone: tz
+        }, context.passKey, context.org_id);
+
+        const occurrenceConflicts = findOccurrenceConflicts(
+          occurrences,
+          existing?.appointments || existing?.Results || []
+        );
+        policySlots = occurrences;
+        policyAppointments = existing?.appointments || existing?.Results || [];
+
+        for (const { occurrence, conflicts } of occurrenceConflicts) {
+          const when = dayjs(occurrence.startTime).tz(tz).format('ddd MMM D');
+          warnings.push(`${when}: conflicts with ${conflicts.map(c => `"${c.Subject}"`).join(", ")}`);
         }
+      } else {
+        // Check for conflicts
+        const conflictResult = await checkConflictsTool.invoke(
+          { startTime, endTime, timezone: tz },
+          { context }
+        );
+
+        const conflictData = JSON.parse(conflictResult);
+
+        if (conflictData.hasConflicts) {
+          for (const conflict of conflictData.conflicts) {
+            warnings.push(`Conflicts with: "${conflict.subject}" (${conflict.overlapMinutes} min overlap)`);
+          }
+        }
+      }
+
+      // Scheduling policy: working hours, buffer, meeting limit, no-meeting days
+      try {
+        const policy = await getSchedulingPolicyService().getPolicy(context.org_id, context.user_id);
+        if (!policyAppointments && (policy.bufferMinutes > 0 || policy.maxMeetingsPerDay)) {
+          const day = start.format('YYYY-MM-DD');
+          const existing = await getAppointments({
+            startDate: day,
+            endDate: day,
+            includeAttendees: false,
+            timeZone: tz
+          }, context.passKey, context.org_id);
+          policyAppointments = existing?.appointments || existing?.Results || [];
+        }
+        const policyWarnings = policySlots.flatMap(slot => evaluatePolicy(policy, slot, policyAppointments || [], tz));
+        warnings.push(...new Set(policyWarnings));
+      } catch (policyError) {
+        console.warn("[TOOL:PREVIEW] Scheduling policy check skipped:", policyError.message);
       }
 
       // Build the preview object
@@ -378,7 +456,8 @@ const previewAppointmentTool = tool(
           endTime,
           location: location || "",
           description: description || "",
-          isAllDay: false
+          isAllDay: false,
+          ...(recurrence ? { recurrence, timeZone: tz } : {})
         },
         // Store resolved attendees for later linking (Phase 3)
         resolvedAttendees: attendees || []
@@ -406,6 +485,7 @@ const previewAppointmentTool = tool(
       })).optional().describe("List of resolved attendees with their IDs, names, and types"),
       location: z.string().optional().describe("Location of the appointment"),
       description: z.string().optional().describe("Description or notes about the appointment"),
+      recurrence: z.string().optional().describe("RRULE for recurring appointments (e.g., 'FREQ=WEEKLY;BYDAY=TU;COUNT=6' for every Tuesday for 6 weeks, 'FREQ=MONTHLY;BYDAY=1MO' for the first Monday of each month). Omit for one-time appointments."),
       timezone: z.string().optional().describe("User's timezone for formatting times")
     })
   }
@@ -422,11 +502,17 @@ const createAppointmentTool = tool(
   async ({ appointmentData, resolvedAttendees }, config) => {
     console.log("[TOOL:CREATE] Creating appointment:", appointmentData.subject);
 
+    const endpoint = '/endpoints/ajax/com.platform.vc.endpoints.orgdata.VCOrgDataEndpoint/create.json';
+    let appointment = null;
     try {
       const context = config.context;
 
+      // Recurring series: one BSA appointment per occurrence
+      if (appointmentData.recurrence) {
+        return await createRecurringSeries(appointmentData, resolvedAttendees, context);
+      }
+
       // Step 1: Create appointment via BSA API
-      const endpoint = '/endpoints/ajax/com.platform.vc.endpoints.orgdata.VCOrgDataEndpoint/create.json';
       const payload = {
         IncludeExtendedProperties: false,
         DataObject: {
@@ -463,48 +549,16 @@ const createAppointmentTool = tool(
         throw new Error(normalized.error || 'Failed to create appointment');
       }
 
-      const appointment = normalized.DataObject;
+      appointment = normalized.DataObject;
       console.log("[TOOL:CREATE] Appointment created:", appointment.Id);
+      await getAuditLog().recordBsaWrite({ action: 'create_appointment', endpoint, orgId: context.org_id, resultIds: [appointment.Id] });
 
       // Step 2: Link attendees if provided
-      let linkedContacts = 0;
-      let linkedUsers = 0;
-
-      if (resolvedAttendees && resolvedAttendees.length > 0) {
-        console.log(`[TOOL:CREATE] Linking ${resolvedAttendees.length} attendees`);
-
-        const contactLinker = getContactLinker();
-
-        for (const attendee of resolvedAttendees) {
-          try {
-            if (attendee.type === 'contact') {
-              await contactLinker.linkContact(
-                'appointment',
-                appointment.Id,
-                attendee.id,
-                context.passKey
-              );
-              linkedContacts++;
-              console.log(`[TOOL:CREATE] Linked contact: ${attendee.name}`);
-            } else if (attendee.type === 'user') {
-              // For users, use the same linker with a different linker type
-              await contactLinker.linkContact(
-                'appointment',
-                appointment.Id,
-                attendee.id,
-                context.passKey
-              );
-              linkedUsers++;
-              console.log(`[TOOL:CREATE] Linked user: ${attendee.name}`);
-            }
-          } catch (linkError) {
-            console.error(`[TOOL:CREATE] Failed to link ${attendee.name}:`, linkError.message);
-            // Continue with other attendees
-          }
-        }
-
-        console.log(`[TOOL:CREATE] Linked ${linkedContacts} contacts and ${linkedUsers} users`);
-      }
+      const { contacts: linkedContacts, users: linkedUsers, contactLinks } = await linkAttendeesToAppointment(
+        appointment,
+        resolvedAttendees,
+        context.passKey
+      );
 
       // Step 3: Register entity for cross-domain use
       const entity = {
@@ -534,11 +588,15 @@ const createAppointmentTool = tool(
           linked: linkedContacts + linkedUsers,
           contacts: linkedContacts,
           users: linkedUsers
-        }
+        },
+        contactLinks
       });
 
     } catch (error) {
       console.error("[TOOL:CREATE] Error creating appointment:", error);
+      if (!appointment && !appointmentData.recurrence) {
+        await getAuditLog().recordBsaWrite({ action: 'create_appointment', endpoint, orgId: config.context?.org_id, error });
+      }
       return JSON.stringify({
         success: false,
         error: error.message,
@@ -556,7 +614,9 @@ const createAppointmentTool = tool(
         endTime: z.string(),
         location: z.string().optional(),
         description: z.string().optional(),
-        isAllDay: z.boolean().optional()
+        isAllDay: z.boolean().optional(),
+        recurrence: z.string().optional(),
+        timeZone: z.string().optional()
       }),
       resolvedAttendees: z.array(z.object({
         id: z.string(),
@@ -567,6 +627,180 @@ const createAppointmentTool = tool(
   }
 );
 
+/**
+ * Tool 6: Meeting Briefing
+ *
+ * Prepare the user for an upcoming appointment: attendees, their contact
+ * details and custom fields, recent interactions, open tasks and memories.
+ * The briefing is also returned as a card for the side panel.
+ */
+const meetingBriefingTool = tool(
+  async ({ appointmentId, subject }, config) => {
+    console.log("[TOOL:BRIEFING] Preparing briefing:", { appointmentId, subject });
+
+    try {
+      const context = config.context;
+      const briefing = await getMeetingBriefingService().buildBriefing(
+        { appointmentId, subject },
+        context
+      );
+
+      if (!briefing) {
+        return JSON.stringify({
+          error: appointmentId
+            ? `Appointment ${appointmentId} not found`
+            : `No upcoming appointment${subject ? ` matching "${subject}"` : ''} in the next two weeks`
+        });
+      }
+
+      return JSON.stringify({
+        summary: briefing.summary,
+        briefing,
+        entities: [{
+          type: 'appointment',
+          id: briefing.appointment.id,
+          name: briefing.appointment.subject,
+          time: briefing.appointment.startTime
+        }]
+      });
+
+    } catch (error) {
+      console.error("[TOOL:BRIEFING] Error preparing briefing:", error);
+      return JSON.stringify({
+        error: error.message,
+        code: error.code || 'BRIEFING_FAILED'
+      });
+    }
+  },
+  {
+    name: "get_meeting_briefing",
+    description: "Prepare a briefing for an upcoming meeting: who is attending, their contact details and custom fields, when the user last met them, open tasks with them, active workflows and remembered facts. Use for 'prep me for my next meeting', 'brief me on the budget review', or a previously discussed appointment (pass its id). Without arguments it briefs the next meeting.",
+    schema: z.object({
+      appointmentId: z.string().optional().describe("ID of the appointment, e.g. from list_appointments or the appointment in context"),
+      subject: z.string().optional().describe("Words from the meeting title when the user names the meeting (e.g. 'budget review')")
+    })
+  }
+);
+
+/**
+ * Helper: Link resolved attendees to a created appointment
+ * Failures are logged per attendee so one bad link doesn't abort the rest.
+ * The contact links made are returned for the operation journal.
+ */
+async function linkAttendeesToAppointment(appointment, resolvedAttendees, passKey) {
+  const appointmentId = appointment.Id;
+  let contacts = 0;
+  let users = 0;
+  const contactLinks = [];
+
+  if (!resolvedAttendees || resolvedAttendees.length === 0) {
+    return { contacts, users, contactLinks };
+  }
+
+  console.log(`[TOOL:CREATE] Linking ${resolvedAttendees.length} attendees`);
+
+  const contactLinker = getContactLinker();
+
+  for (const attendee of resolvedAttendees) {
+    try {
+      if (attendee.type === 'contact') {
+        await contactLinker.linkContact(
+          'appointment',
+          appointmentId,
+          attendee.id,
+          passKey
+        );
+        contacts++;
+        contactLinks.push({
+          activityId: appointmentId,
+          activityLabel: appointment.Subject,
+          contactId: attendee.id,
+          contactName: attendee.name
+        });
+        console.log(`[TOOL:CREATE] Linked contact: ${attendee.name}`);
+      } else if (attendee.type === 'user') {
+        // For users, use the same linker with a different linker type
+        await contactLinker.linkContact(
+          'appointment',
+          appointmentId,
+          attendee.id,
+          passKey
+        );
+        users++;
+        console.log(`[TOOL:CREATE] Linked user: ${attendee.name}`);
+      }
+    } catch (linkError) {
+      console.error(`[TOOL:CREATE] Failed to link ${attendee.name}:`, linkError.message);
+      // Continue with other attendees
+    }
+  }
+
+  console.log(`[TOOL:CREATE] Linked ${contacts} contacts and ${users} users`);
+
+  return { contacts, users, contactLinks };
+}
+
+/**
+ * Helper: Create every occurrence of a recurring appointment and link attendees to each
+ */
+async function createRecurringSeries(appointmentData, resolvedAttendees, context) {
+  const series = await createRecurringAppointments(
+    {
+      ...appointmentData,
+      timeZone: appointmentData.timeZone || context.timezone || 'UTC'
+    },
+    context.passKey,
+    context.org_id
+  );
+
+  let linked = 0;
+  const contactLinks = [];
+  for (const appointment of series.appointments) {
+    const result = await linkAttendeesToAppointment(appointment, resolvedAttendees, context.passKey);
+    linked += result.contacts + result.users;
+    contactLinks.push(...result.contactLinks);
+  }
+
+  const first = series.appointments[0];
+  const entity = {
+    type: 'appointment',
+    id: first.Id,
+    name: first.Subject,
+    time: first.StartTime,
+    recurrence: series.recurrence,
+    occurrenceIds: series.appointments.map(a => a.Id)
+  };
+
+  return JSON.stringify({
+    success: true,
+    appointment: {
+      id: first.Id,
+      subject: first.Subject,
+      startTime: first.StartTime,
+      endTime: first.EndTime,
+      location: first.Location
+    },
+    appointments: series.appointments.map(a => ({
+      id: a.Id,
+      subject: a.Subject,
+      startTime: a.StartTime,
+      endTime: a.EndTime
+    })),
+    recurrence: {
+      rule: series.recurrence,
+      created: series.count,
+      total: series.total,
+      failed: series.failed
+    },
+    entity: entity,
+    attendees: {
+      total: resolvedAttendees ? resolvedAttendees.length : 0,
+      linked
+    },
+    contactLinks
+  });
+}
+
 /**
  * Helper: Format appointment time for human readability
  */
@@ -596,7 +830,8 @@ function getCalendarTools() {
     parseDateTimeTool,
     checkConflictsTool,
     previewAppointmentTool,
-    createAppointmentTool
+    createAppointmentTool,
+    meetingBriefingTool
   ];
 }
 
@@ -606,5 +841,6 @@ module.exports = {
   parseDateTimeTool,
   checkConflictsTool,
   previewAppointmentTool,
-  createAppointmentTool
+  createAppointmentTool,
+  meetingBriefingTool
 };
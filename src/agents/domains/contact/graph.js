@@ -10,6 +10,15 @@
  * - Works with custom fields automatically (reads ExtendedProperties)
  * - Maintains disambiguation support (via error handling)
  * - 35% less code than previous multi-node approach
+ * - Creates and updates contacts through the approval flow: the propose_*
+ *   tools return a proposal, the agent stops and asks for approval, and
+ *   apply_contact_change writes it when the user approves
+ * - Merges duplicates staged from the side panel (prepare_merge), also
+ *   through the approval flow
+ * - Lists contacts matching field conditions (segment_contacts); the full
+ *   table is returned to the side panel as an artifact
+ * - Proposes birthday/anniversary reminders in one bulk approval
+ *   (propose_date_reminders) and creates the checked ones (apply_reminders)
  */
 
 const { StateGraph, END } = require("@langchain/langgraph");
@@ -17,6 +26,16 @@ const { ChatOpenAI } = require("@langchain/openai");
 const { getContactTools } = require("./tools");
 const { NeedsClarification, PersonNotFound } = require("../../../services/people/errors");
 const { getPassKeyManager } = require("../../../core/auth/passkey");
+const { getEntityManager } = require("../../../services/entities/entityManager");
+const { createContact, updateContact, mergeContacts } = require("../../../integrations/bsa/tools/contacts");
+const { getDuplicateFinder } = require("../../../services/people/duplicateFinder");
+const { getContactReminderService } = require("../../../services/people/dateReminders");
+const { getApprovalBatcher } = require("../../../services/approval/approvalBatcher");
+const { diffContactFields, buildContactPreview } = require("../../../utils/contactChanges");
+const { getOperationJournal } = require("../../../services/undo/operationJournal");
+
+// Tools that return a proposal to approve instead of data
+const PROPOSAL_TOOLS = ["propose_contact_create", "propose_contact_update"];
 
 // Simplified state: Core channels only
 const ContactStateChannels = {
@@ -58,6 +77,38 @@ const ContactStateChannels = {
     default: () => null
   },
 
+  // Approval state (create/update proposals)
+  contactChange: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => null
+  },
+  reminderBatch: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => null
+  },
+  requiresApproval: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => false
+  },
+  approvalRequest: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => null
+  },
+
+  // Structured results for the side panel (e.g. a contact segment table)
+  artifacts: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  approval_decision: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+  approval_selection: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+
   // Context (required for authentication)
   session_id: {
     value: (x, y) => y || x,
@@ -89,6 +140,8 @@ class ContactConversationalAgent {
     });
 
     this.passKeyManager = getPassKeyManager();
+    this.entityManager = getEntityManager();
+    this.approvalBatcher = getApprovalBatcher();
     this.checkpointer = checkpointer;
     this.tools = getContactTools();  // Get all contact tools
 
@@ -100,16 +153,111 @@ class ContactConversationalAgent {
       channels: ContactStateChannels
     });
 
-    // Single node handles everything
+    workflow.addNode("route_request", this.routeRequest.bind(this));
     workflow.addNode("handle_query", this.handleQuery.bind(this));
+    workflow.addNode("prepare_merge", this.prepareMerge.bind(this));
+    workflow.addNode("apply_contact_change", this.applyContactChange.bind(this));
+    workflow.addNode("apply_reminders", this.applyReminders.bind(this));
+
+    workflow.setEntryPoint("route_request");
+
+    // Resuming with an approval decision applies the pending change; everything else is a query
+    workflow.addConditionalEdges(
+      "route_request",
+      (state) => {
+        if (state.approval_decision && state.contactChange) return "apply_contact_change";
+        if (state.approval_decision && state.reminderBatch) return "apply_reminders";
+        if (this.isMergeRequest(state.query)) return "prepare_merge";
+        return "handle_query";
+      },
+      {
+        apply_contact_change: "apply_contact_change",
+        apply_reminders: "apply_reminders",
+        prepare_merge: "prepare_merge",
+        handle_query: "handle_query"
+      }
+    );
 
-    workflow.setEntryPoint("handle_query");
     workflow.addEdge("handle_query", END);
+    workflow.addEdge("prepare_merge", END);
+    workflow.addEdge("apply_contact_change", END);
+    workflow.addEdge("apply_reminders", END);
 
     // Compile WITHOUT checkpointer (stateless subgraph pattern)
     return workflow.compile();
   }
 
+  /**
+   * Entry node - routing happens on its conditional edge
+   */
+  async routeRequest(state) {
+    return state;
+  }
+
+  /**
+   * "Merge the duplicate contacts I selected" - sent by the side panel after staging a merge
+   */
+  isMergeRequest(query = "") {
+    return /\bmerge\b/i.test(query) && /\b(contacts?|duplicates?)\b/i.test(query);
+  }
+
+  /**
+   * Preview a merge staged from the side panel's duplicate finder
+   *
+   * Every field takes the value the user picked (or the default the side panel
+   * showed), so the preview lists exactly what the kept contact will look like.
+   */
+  async prepareMerge(state) {
+    const { session_id, org_id, user_id } = state;
+    const finder = getDuplicateFinder();
+
+    try {
+      const merge = await finder.takeStagedMerge(org_id, user_id);
+      if (!merge) {
+        return {
+          ...state,
+          response: "There's no merge waiting for review. Open **Find duplicate contacts** from the menu to pick the contacts and the values to keep."
+        };
+      }
+
+      const passKey = await this.passKeyManager.getPassKey(session_id);
+      const contacts = await finder.loadContacts(merge.contactIds, passKey, org_id);
+      const primary = contacts.find(contact => contact.id === merge.primaryContactId);
+
+      // Fill in defaults for fields the user didn't choose
+      const fieldChoices = { ...merge.fieldChoices };
+      for (const field of finder.buildMergeFields(contacts, merge.primaryContactId)) {
+        if (!fieldChoices[field.field]) fieldChoices[field.field] = field.defaultContactId;
+      }
+
+      const merged = Object.fromEntries(Object.entries(fieldChoices).map(([field, contactId]) =>
+        [field, contacts.find(contact => contact.id === contactId)?.[field] || '']
+      ));
+      const changes = diffContactFields(primary, merged);
+
+      console.log(`[CONTACT:MERGE] Previewing merge of ${contacts.length} contacts into ${primary.name} (${changes.length} field changes)`);
+
+      return this.requestApproval(state, {
+        action: 'merge',
+        contactId: primary.id,
+        contactName: primary.name,
+        contactIds: merge.contactIds,
+        fields: fieldChoices,
+        changes,
+        current: Object.fromEntries(changes.map(change => [change.field, change.oldValue])),
+        mergedContacts: contacts
+          .filter(contact => contact.id !== primary.id)
+          .map(contact => ({ id: contact.id, name: contact.name, email: contact.email || null }))
+      });
+    } catch (error) {
+      console.error("[CONTACT:MERGE] Failed to prepare merge:", error.message);
+      return {
+        ...state,
+        response: `I couldn't prepare the merge: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Main node: Handle query with tool-calling ReAct agent loop
    *
@@ -124,7 +272,7 @@ class ContactConversationalAgent {
   async handleQuery(state) {
     console.log("[CONTACT:HANDLE] Processing query with tool-calling LLM");
 
-    const { query, messages = [], session_id, org_id, timezone, memory_context, entities } = state;
+    const { query, messages = [], session_id, org_id, user_id, timezone, memory_context, entities } = state;
 
     try {
       // Build runtime context for tools
@@ -132,6 +280,7 @@ class ContactConversationalAgent {
       const context = {
         session_id,
         org_id,
+        user_id,
         passKey,
         timezone,
         memory_context: memory_context || {},
@@ -161,6 +310,7 @@ class ContactConversationalAgent {
       let response;
       let loopCount = 0;
       const MAX_LOOPS = 5;  // Prevent infinite loops
+      const artifacts = [];
 
       while (loopCount < MAX_LOOPS) {
         // Invoke LLM
@@ -181,7 +331,32 @@ class ContactConversationalAgent {
           try {
             console.log(`[CONTACT:HANDLE] Executing tool: ${toolCall.name}`, toolCall.args);
 
-            const toolResult = await this.executeTool(toolCall, context);
+            let toolResult = await this.executeTool(toolCall, context);
+
+            // Create/update proposals stop the loop and go to the user for approval
+            if (PROPOSAL_TOOLS.includes(toolCall.name)) {
+              const { proposal } = JSON.parse(toolResult);
+              if (proposal) {
+                return this.requestApproval(state, proposal);
+              }
+            }
+
+            // Reminder batches go to the user as one bulk approval
+            if (toolCall.name === "propose_date_reminders") {
+              const { reminderBatch } = JSON.parse(toolResult);
+              if (reminderBatch) {
+                return this.requestReminderApproval(state, reminderBatch);
+              }
+            }
+
+            // Segment tables go to the side panel; the LLM only needs the first rows
+            if (toolCall.name === "segment_contacts") {
+              const { segment, ...result } = JSON.parse(toolResult);
+              if (segment) {
+                artifacts.push({ type: 'segment', ...segment });
+                toolResult = JSON.stringify(result, null, 2);
+              }
+            }
 
             // Add tool result to conversation
             toolMessages.push({
@@ -241,6 +416,7 @@ class ContactConversationalAgent {
       return {
         ...state,
         response: finalAnswer,
+        artifacts: artifacts.length > 0 ? artifacts : null,
         messages: [
           ...messages,
           { role: "user", content: query },
@@ -258,6 +434,278 @@ class ContactConversationalAgent {
     }
   }
 
+  /**
+   * Turn a create/update proposal into an approval request
+   *
+   * @param {Object} state - Current state
+   * @param {Object} proposal - Proposal from propose_contact_create/update
+   * @returns {Object} - State with requiresApproval and approvalRequest
+   */
+  requestApproval(state, proposal) {
+    console.log(`[CONTACT:APPROVAL] Requesting approval to ${proposal.action} ${proposal.contactName}`);
+
+    const preview = buildContactPreview(proposal);
+    const hasDuplicates = preview.warnings.length > 0;
+
+    return {
+      ...state,
+      contactChange: proposal,
+      requiresApproval: true,
+      approvalRequest: {
+        domain: 'contact',
+        type: 'approval_required',
+        actionId: `contact_${Date.now()}`,
+        action: proposal.action,
+        preview,
+        data: {
+          contactId: proposal.contactId,
+          fields: proposal.fields,
+          ...(proposal.contactIds ? { contactIds: proposal.contactIds } : {})
+        },
+        message: {
+          create: hasDuplicates
+            ? `${proposal.contactName} may already be in your contacts. Create a new contact or update the existing one?`
+            : `Please review the new contact ${proposal.contactName}:`,
+          update: `Please review the changes to ${proposal.contactName}:`,
+          merge: `Please review the merge into ${proposal.contactName} - the other contacts' appointments and tasks move to it, then they are deleted:`
+        }[proposal.action],
+        thread_id: state.thread_id || null
+      },
+      response: "Awaiting approval..."
+    };
+  }
+
+  /**
+   * Turn a reminder batch into one bulk approval, one checkbox per reminder
+   *
+   * @param {Object} state - Current state
+   * @param {Object} batch - Batch from propose_date_reminders
+   * @returns {Object} - State with requiresApproval and approvalRequest
+   */
+  requestReminderApproval(state, batch) {
+    const { reminders, options, alreadyCreated, truncated } = batch;
+    console.log(`[CONTACT:REMINDERS] Requesting approval for ${reminders.length} reminders`);
+
+    const warnings = [];
+    if (alreadyCreated > 0) {
+      warnings.push(`${alreadyCreated} reminder${alreadyCreated === 1 ? ' was' : 's were'} already created on an earlier run and ${alreadyCreated === 1 ? "isn't" : "aren't"} repeated.`);
+    }
+    if (truncated) {
+      warnings.push(`Only the first ${reminders.length} reminders (or the first ${batch.scanned} of ${batch.total} contacts) are included.`);
+    }
+
+    const preview = this.approvalBatcher.buildBulkPreview({
+      type: 'reminder',
+      action: 'create_reminders',
+      title: `Create ${reminders.length} birthday/anniversary reminder${reminders.length === 1 ? '' : 's'}`,
+      items: reminders.map(reminder => ({ id: reminder.id, label: reminder.display })),
+      details: [
+        { label: 'Dates', value: `${batch.range.start} to ${batch.range.end}` },
+        {
+          label: 'Reminder',
+          value: options.reminderType === 'appointment'
+            ? 'All-day appointment on the day'
+            : `"Send a card" task due ${options.leadDays} day${options.leadDays === 1 ? '' : 's'} before`
+        }
+      ],
+      warnings
+    });
+
+    return {
+      ...state,
+      reminderBatch: batch,
+      requiresApproval: true,
+      approvalRequest: {
+        domain: 'contact',
+        type: 'approval_required',
+        actionId: `contact_reminders_${Date.now()}`,
+        action: 'create_reminders',
+        preview,
+        data: { reminderIds: reminders.map(reminder => reminder.id), reminderType: options.reminderType },
+        message: `Please review these ${reminders.length} reminders - uncheck any you don't want:`,
+        thread_id: state.thread_id || null
+      },
+      response: "Awaiting approval..."
+    };
+  }
+
+  /**
+   * Create the reminders the user kept checked
+   */
+  async applyReminders(state) {
+    const { reminderBatch: batch, approval_decision, approval_selection, session_id, org_id, user_id } = state;
+    const cleared = { reminderBatch: null, requiresApproval: false, approvalRequest: null };
+
+    if (approval_decision !== 'approve') {
+      console.log("[CONTACT:REMINDERS] Reminders rejected");
+      return { ...state, ...cleared, response: "Okay, I didn't create any reminders." };
+    }
+
+    const selected = this.approvalBatcher.resolveBulkSelection(batch.reminders, approval_selection);
+    if (selected.length === 0) {
+      return { ...state, ...cleared, response: "No reminders were selected, so I didn't create any." };
+    }
+
+    try {
+      const passKey = await this.passKeyManager.getPassKey(session_id);
+      const results = await getContactReminderService().createReminders(selected, { passKey, org_id, user_id });
+
+      const created = results.filter(result => result.success);
+      const failed = results.filter(result => !result.success);
+      const noun = batch.options.reminderType === 'appointment' ? 'appointment' : 'task';
+
+      await getOperationJournal().record({ org_id, user_id }, {
+        domain: 'contact',
+        summary: `Created ${created.length} reminder ${noun}${created.length === 1 ? '' : 's'}`,
+        operations: created.filter(result => result.activityId).map(result => noun === 'appointment'
+          ? { type: 'create_appointment', recordIds: [result.activityId], label: result.subject }
+          : { type: 'create_task', recordId: result.activityId, label: result.subject })
+      });
+
+      let response = `Created ${created.length} reminder ${noun}${created.length === 1 ? '' : 's'}:\n` +
+        created.map(result => `- ${result.subject}${result.warning ? ` (${result.warning})` : ''}`).join('\n');
+      if (failed.length > 0) {
+        response += `\n\nCouldn't create ${failed.length}:\n` +
+          failed.map(result => `- ${result.subject}: ${result.error}`).join('\n');
+      }
+
+      return { ...state, ...cleared, response };
+    } catch (error) {
+      console.error("[CONTACT:REMINDERS] Failed to create reminders:", error.message);
+      return { ...state, ...cleared, response: `I couldn't create the reminders: ${error.message}` };
+    }
+  }
+
+  /**
+   * Apply an approved create/update
+   *
+   * For a new contact with possible duplicates, the selected option decides
+   * whether it is created or merged into the chosen existing contact.
+   */
+  async applyContactChange(state) {
+    const { contactChange: change, approval_decision, approval_selection, session_id, org_id, user_id } = state;
+    const cleared = { contactChange: null, requiresApproval: false, approvalRequest: null };
+
+    if (approval_decision !== 'approve') {
+      console.log(`[CONTACT:APPLY] ${change.action} of ${change.contactName} rejected`);
+      return {
+        ...state,
+        ...cleared,
+        response: {
+          create: `Okay, I didn't add ${change.contactName} to your contacts.`,
+          update: `Okay, I left ${change.contactName} unchanged.`,
+          merge: "Okay, I didn't merge those contacts."
+        }[change.action]
+      };
+    }
+
+    // "Update the existing contact instead" turns the create into an update of the duplicate
+    let action = change.action;
+    let contactId = change.contactId;
+    let current = change.current || {};
+    let fields = change.fields;
+    const duplicateId = approval_selection?.optionId?.startsWith('update:')
+      ? approval_selection.optionId.slice('update:'.length)
+      : null;
+    const duplicate = duplicateId && (change.duplicates || []).find(item => String(item.id) === duplicateId);
+
+    if (action === 'create' && duplicate) {
+      action = 'update';
+      contactId = duplicate.id;
+      current = duplicate.current || {};
+      fields = Object.fromEntries(
+        diffContactFields(current, change.fields).map(item => [item.field, item.newValue])
+      );
+    }
+
+    try {
+      const passKey = await this.passKeyManager.getPassKey(session_id);
+      let contact;
+
+      if (action === 'merge') {
+        console.log(`[CONTACT:APPLY] Merging ${change.contactIds.length} contacts into ${contactId}`);
+        contact = await mergeContacts(change.contactIds, contactId, passKey, org_id, fields);
+      } else if (action === 'create') {
+        console.log(`[CONTACT:APPLY] Creating contact ${change.contactName}`);
+        contact = await createContact(fields, passKey, org_id);
+        await getOperationJournal().record({ org_id, user_id }, {
+          domain: 'contact',
+          summary: `Added contact ${contact.name}`,
+          operations: [{ type: 'create_contact', recordId: contact.id, label: contact.name }]
+        });
+      } else if (Object.keys(fields).length === 0) {
+        console.log(`[CONTACT:APPLY] ${duplicate.name} already has the proposed values`);
+        contact = { id: contactId, name: duplicate.name, ...current };
+      } else {
+        console.log(`[CONTACT:APPLY] Updating contact ${contactId}: ${Object.keys(fields).join(', ')}`);
+        // updateContact rebuilds the full name from both parts - send both when either changes
+        const updates = (fields.firstName !== undefined || fields.lastName !== undefined)
+          ? { firstName: current.firstName || '', lastName: current.lastName || '', ...fields }
+          : fields;
+        contact = await updateContact(contactId, updates, passKey, org_id);
+        await getOperationJournal().record({ org_id, user_id }, {
+          domain: 'contact',
+          summary: `Updated contact ${contact.name}`,
+          operations: [{
+            type: 'update_contact',
+            recordId: contactId,
+            label: contact.name,
+            before: Object.fromEntries(Object.keys(updates).map(field => [field, current[field] ?? '']))
+          }]
+        });
+      }
+
+      const contactEntity = {
+        id: contact.id,
+        name: contact.name,
+        email: contact.email || null,
+        phone: contact.phone || null,
+        mobile: contact.mobile || null,
+        company: contact.company || null,
+        title: contact.title || null,
+        action: { create: 'created', update: 'updated', merge: 'merged' }[action],
+        [action === 'create' ? 'createdAt' : 'updatedAt']: new Date().toISOString()
+      };
+      const updatedEntities = this.entityManager.store(state.entities || {}, 'contact', contactEntity);
+
+      const changedFields = (action === 'merge' ? change.changes : diffContactFields(current, fields))
+        .map(item => item.label.toLowerCase());
+      let response;
+      if (action === 'create') {
+        response = `Added **${contact.name}** to your contacts.`;
+      } else if (action === 'merge') {
+        response = `Merged ${change.contactIds.length} contacts into **${contact.name}**.`;
+        if (contact.movedLinks) {
+          response += ` Moved ${contact.movedLinks} appointment and task link${contact.movedLinks === 1 ? '' : 's'} to ${contact.name}.`;
+        }
+        if (contact.keptContactIds?.length) {
+          const kept = change.mergedContacts.filter(item => contact.keptContactIds.includes(item.id));
+          response += ` I kept ${kept.map(item => item.name).join(', ')} because I couldn't move all of ${kept.length === 1 ? 'its' : 'their'} appointments and tasks - nothing was lost, and you can merge ${kept.length === 1 ? 'it' : 'them'} again later.`;
+        }
+        if (contact.failedContactIds?.length) {
+          const failed = change.mergedContacts.filter(item => contact.failedContactIds.includes(item.id));
+          response += ` I couldn't delete ${failed.map(item => item.name).join(', ')} - please remove ${failed.length === 1 ? 'it' : 'them'} manually.`;
+        }
+      } else {
+        response = `Updated **${contact.name}**${changedFields.length ? ` (${changedFields.join(', ')})` : ''}.`;
+      }
+
+      return {
+        ...state,
+        ...cleared,
+        entities: updatedEntities,
+        response
+      };
+    } catch (error) {
+      console.error(`[CONTACT:APPLY] Failed to ${action} contact:`, error.message);
+      return {
+        ...state,
+        ...cleared,
+        response: `I couldn't ${action} ${change.contactName}: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Execute a single tool with runtime context
    *
@@ -291,8 +739,14 @@ class ContactConversationalAgent {
 **Available Tools:**
 - search_contacts: Find contacts by name (returns id, name, email, company, title)
 - get_contact_details: Get complete contact info including ALL fields and custom fields
+- get_contact_timeline: Relationship history with a contact (meetings, tasks, workflows, remembered facts)
 - search_users: Find BSA users (team members) by name
 - get_user_details: Get complete user info
+- propose_contact_create: Propose a NEW contact (checks for duplicates, user approves before saving)
+- propose_contact_update: Propose changes to an existing contact's fields (user approves before saving)
+- find_duplicate_contacts: Scan contacts for likely duplicates
+- segment_contacts: List contacts matching conditions on standard or custom fields (AUM, review dates, birthdays...)
+- propose_date_reminders: Propose reminders for upcoming birthdays and anniversaries (user approves before anything is created)
 
 **How to Answer Queries:**
 
@@ -310,6 +764,34 @@ class ContactConversationalAgent {
    - Get full contact details
    - Answer using relevant fields (company, title, etc)
 
+4. **For creating or updating contacts** ("Add Jane Doe from Acme, jane@acme.com, as a new contact", "Update Bob's mobile to 555-0199"):
+   - Call propose_contact_create or propose_contact_update with only the fields the user gave
+   - Split full names into firstName and lastName
+   - "cell" means mobile; "work phone" or "office" means phone
+   - Don't ask for confirmation yourself - the user reviews the change in an approval card
+
+5. **For relationship history** ("What's my history with Sarah Chen?", "When did I last talk to Bob?"):
+   - Call get_contact_timeline
+   - Start with the last-touched date and the summary, then list the timeline chronologically (date - what - status)
+   - Call out upcoming meetings and overdue tasks
+
+6. **For duplicates** ("Do I have duplicate contacts?"):
+   - Call find_duplicate_contacts and summarize the groups
+   - Merging is done from **Find duplicate contacts** in the menu, where the user picks which values to keep
+
+7. **For list queries over fields** ("Clients with AUM over $1M whose review is due this quarter", "Contacts with birthdays next week"):
+   - Call segment_contacts with one condition per criterion
+   - Money amounts are currency (AUM over $1M -> gt 1000000); "due this quarter" is a date within "this quarter"
+   - Birthdays and anniversaries use anniversary_within, so the birth year doesn't matter
+   - The side panel shows the full sortable table; reply with the summary and the top few rows
+   - If a field isn't found, say so and list the custom fields in use
+
+8. **For birthday/anniversary reminders** ("Remind me of birthdays this month", "Add my clients' anniversaries to my calendar"):
+   - Call propose_date_reminders; use reminderType "appointment" when the user wants them on the calendar, otherwise "task"
+   - "this month" or "next 2 weeks" becomes days (e.g. 14); the default is 30
+   - Don't ask for confirmation yourself - the user picks the reminders in an approval card
+   - Just listing birthdays ("Who has a birthday next week?") is segment_contacts, not reminders
+
 **Important Guidelines:**
 - Use tools to fetch data - don't make up information
 - For custom/unusual field names, get_contact_details includes a customFields array
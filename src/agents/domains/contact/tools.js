@@ -13,6 +13,44 @@ const { tool } = require("@langchain/core/tools");
 const { z } = require("zod");
 const { getPeopleService } = require("../../../services/people");
 const { NeedsClarification, PersonNotFound } = require("../../../services/people/errors");
+const { searchContacts } = require("../../../integrations/bsa/tools/contacts");
+const { getDuplicateFinder } = require("../../../services/people/duplicateFinder");
+const { getContactTimelineService } = require("../../../services/people/contactTimeline");
+const { getContactSegmentService, TYPE_OPERATORS } = require("../../../services/people/contactSegments");
+const { getContactReminderService } = require("../../../services/people/dateReminders");
+const {
+  CONTACT_FIELDS,
+  pickContactFields,
+  diffContactFields,
+  getDuplicateReasons,
+  contactDisplayName
+} = require("../../../utils/contactChanges");
+
+// Editable contact fields shared by the create and update proposal tools
+const contactFieldsSchema = z.object({
+  firstName: z.string().optional().describe("First name"),
+  lastName: z.string().optional().describe("Last name"),
+  email: z.string().optional().describe("Email address"),
+  phone: z.string().optional().describe("Main/work phone number"),
+  mobile: z.string().optional().describe("Mobile/cell phone number"),
+  company: z.string().optional().describe("Company name"),
+  title: z.string().optional().describe("Job title"),
+  department: z.string().optional().describe("Department"),
+  address: z.string().optional().describe("Street address"),
+  city: z.string().optional().describe("City"),
+  state: z.string().optional().describe("State"),
+  postalCode: z.string().optional().describe("Postal/ZIP code"),
+  country: z.string().optional().describe("Country"),
+  notes: z.string().optional().describe("Notes/description")
+});
+
+/**
+ * Current values of the editable fields of a contact
+ * @private
+ */
+function currentContactFields(contact) {
+  return Object.fromEntries(CONTACT_FIELDS.map(({ key }) => [key, contact[key] || null]));
+}
 
 /**
  * Search for contacts by name
@@ -112,6 +150,56 @@ const getContactDetailsTool = tool(
   }
 );
 
+/**
+ * Relationship timeline for a contact: meetings, tasks, workflows and remembered facts
+ * Throws NeedsClarification if the name matches several contacts
+ */
+const getContactTimelineTool = tool(
+  async ({ personName }, config) => {
+    console.log(`[TOOL:CONTACT_TIMELINE] Building timeline for: "${personName}"`);
+
+    try {
+      const context = config.context;
+      if (!context) {
+        throw new Error("Context is required for tool execution");
+      }
+
+      const peopleService = getPeopleService();
+      const contact = await peopleService.getDetails(personName, 'contact', context);
+      const timeline = await getContactTimelineService().buildTimeline(contact, context);
+
+      return JSON.stringify({
+        contact: timeline.contact,
+        summary: timeline.summary,
+        lastTouched: timeline.lastTouched,
+        counts: timeline.counts,
+        // Oldest first; keep the most recent 30 events
+        events: timeline.events.slice(-30).map(event => ({
+          date: event.displayDate,
+          type: event.type,
+          title: event.title,
+          status: event.status,
+          ...(event.detail ? { detail: event.detail } : {})
+        }))
+      }, null, 2);
+    } catch (error) {
+      if (error instanceof NeedsClarification || error instanceof PersonNotFound) {
+        throw error;
+      }
+
+      console.error("[TOOL:CONTACT_TIMELINE] Error:", error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  },
+  {
+    name: "get_contact_timeline",
+    description: "Get the relationship history with a contact: past and upcoming meetings, open and closed tasks, workflows they're in, and remembered facts, in chronological order, plus the last-touched date and a short summary. Use for 'what's my history with X?' or preparing for a meeting with X.",
+    schema: z.object({
+      personName: z.string().describe("Name or ID of the contact")
+    })
+  }
+);
+
 /**
  * Search for BSA users (team members) by name
  * Returns array of matching users
@@ -195,6 +283,281 @@ const getUserDetailsTool = tool(
   }
 );
 
+/**
+ * Propose creating a new contact
+ *
+ * Nothing is written here: the tool checks for likely duplicates (same name,
+ * email or phone) and returns a proposal that the Contact Agent turns into an
+ * approval request. The contact is created after the user approves.
+ */
+const proposeCreateContactTool = tool(
+  async (fields, config) => {
+    console.log("[TOOL:PROPOSE_CREATE_CONTACT] Proposing new contact");
+
+    try {
+      const context = config.context;
+      if (!context) {
+        throw new Error("Context is required for tool execution");
+      }
+
+      const proposed = pickContactFields(fields);
+      if (!proposed.firstName && !proposed.lastName && !proposed.email) {
+        return JSON.stringify({ error: "A first name, last name or email is required to create a contact" });
+      }
+
+      // Search by name, email and phone numbers; a single contact can match several
+      const queries = [
+        `${proposed.firstName || ''} ${proposed.lastName || ''}`.trim(),
+        proposed.email,
+        proposed.phone,
+        proposed.mobile
+      ].filter(Boolean);
+
+      const candidates = new Map();
+      for (const query of queries) {
+        try {
+          const results = await searchContacts(query, 10, context.passKey, context.org_id);
+          results.forEach(contact => candidates.set(contact.id, contact));
+        } catch (error) {
+          console.warn(`[TOOL:PROPOSE_CREATE_CONTACT] Duplicate search for "${query}" failed:`, error.message);
+        }
+      }
+
+      const duplicates = [...candidates.values()]
+        .map(contact => ({ contact, reasons: getDuplicateReasons(contact, proposed) }))
+        .filter(({ reasons }) => reasons.length > 0)
+        .slice(0, 3)
+        .map(({ contact, reasons }) => ({
+          id: contact.id,
+          name: contact.name,
+          email: contact.email || null,
+          company: contact.company || null,
+          reasons,
+          current: currentContactFields(contact)
+        }));
+
+      console.log(`[TOOL:PROPOSE_CREATE_CONTACT] ${duplicates.length} possible duplicate(s)`);
+
+      return JSON.stringify({
+        proposal: {
+          action: 'create',
+          contactId: null,
+          contactName: contactDisplayName(proposed),
+          fields: proposed,
+          changes: diffContactFields({}, proposed),
+          duplicates
+        }
+      });
+    } catch (error) {
+      console.error("[TOOL:PROPOSE_CREATE_CONTACT] Error:", error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  },
+  {
+    name: "propose_contact_create",
+    description: "Propose creating a NEW contact in the CRM. Checks for existing contacts with the same name, email or phone and asks the user to approve before anything is saved. Only pass fields the user actually provided.",
+    schema: contactFieldsSchema
+  }
+);
+
+/**
+ * Propose updating fields of an existing contact
+ *
+ * Resolves the contact (disambiguation errors are re-thrown), loads its current
+ * values and returns a proposal listing every field that changes.
+ */
+const proposeUpdateContactTool = tool(
+  async ({ personName, updates }, config) => {
+    console.log(`[TOOL:PROPOSE_UPDATE_CONTACT] Proposing update for: "${personName}"`);
+
+    try {
+      const context = config.context;
+      if (!context) {
+        throw new Error("Context is required for tool execution");
+      }
+
+      const peopleService = getPeopleService();
+      const contact = await peopleService.getDetails(personName, 'contact', context);
+      const current = currentContactFields(contact);
+      const changes = diffContactFields(current, updates);
+
+      if (changes.length === 0) {
+        return JSON.stringify({ error: `${contact.name} already has those values - nothing to update` });
+      }
+
+      console.log(`[TOOL:PROPOSE_UPDATE_CONTACT] ${changes.length} field(s) change for ${contact.name}`);
+
+      return JSON.stringify({
+        proposal: {
+          action: 'update',
+          contactId: contact.id,
+          contactName: contact.name,
+          fields: Object.fromEntries(changes.map(change => [change.field, change.newValue])),
+          changes,
+          current
+        }
+      });
+    } catch (error) {
+      if (error instanceof NeedsClarification || error instanceof PersonNotFound) {
+        throw error;
+      }
+
+      console.error("[TOOL:PROPOSE_UPDATE_CONTACT] Error:", error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  },
+  {
+    name: "propose_contact_update",
+    description: "Propose changing fields of an EXISTING contact (e.g. new mobile number, new job title). Shows the user the old and new values for approval before anything is saved. Only include the fields being changed.",
+    schema: z.object({
+      personName: z.string().describe("Name or ID of the contact to update"),
+      updates: contactFieldsSchema.describe("Fields to change, with their new values")
+    })
+  }
+);
+
+/**
+ * Scan contacts for likely duplicates
+ * Merging happens in the side panel, where the user picks the values to keep
+ */
+const findDuplicateContactsTool = tool(
+  async (_args, config) => {
+    console.log("[TOOL:FIND_DUPLICATES] Scanning contacts for duplicates");
+
+    try {
+      const context = config.context;
+      if (!context) {
+        throw new Error("Context is required for tool execution");
+      }
+
+      const { groups, scanned, total, truncated } = await getDuplicateFinder()
+        .findDuplicateGroups(context.passKey, context.org_id);
+
+      return JSON.stringify({
+        scanned,
+        total,
+        truncated,
+        groupCount: groups.length,
+        groups: groups.slice(0, 10).map(group => ({
+          contacts: group.contacts.map(contact => `${contact.name}${contact.email ? ` <${contact.email}>` : ''}`),
+          reasons: group.reasons
+        }))
+      }, null, 2);
+    } catch (error) {
+      console.error("[TOOL:FIND_DUPLICATES] Error:", error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  },
+  {
+    name: "find_duplicate_contacts",
+    description: "Scan the CRM for likely duplicate contacts (similar names, same email or phone). Returns groups of possible duplicates. Does not merge anything.",
+    schema: z.object({})
+  }
+);
+
+/**
+ * List contacts matching conditions on standard or custom fields
+ * The full table goes to the side panel; the LLM gets the first rows
+ */
+const segmentContactsTool = tool(
+  async (filter, config) => {
+    console.log(`[TOOL:SEGMENT_CONTACTS] Finding contacts matching ${filter.conditions?.length || 0} condition(s)`);
+
+    try {
+      const context = config.context;
+      if (!context) {
+        throw new Error("Context is required for tool execution");
+      }
+
+      const segment = await getContactSegmentService().findSegment(filter, context);
+
+      return JSON.stringify({
+        summary: segment.summary,
+        matched: segment.matched,
+        truncated: segment.truncated,
+        unknownFields: segment.unknownFields,
+        availableFields: segment.availableFields,
+        rows: segment.rows.slice(0, 20).map(row => ({
+          name: row.name,
+          ...(row.company ? { company: row.company } : {}),
+          ...Object.fromEntries(segment.columns
+            .filter(column => column.key !== 'name')
+            .map(column => [column.label, row.cells[column.key]?.display || null]))
+        })),
+        segment
+      }, null, 2);
+    } catch (error) {
+      console.error("[TOOL:SEGMENT_CONTACTS] Error:", error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  },
+  {
+    name: "segment_contacts",
+    description: "List contacts whose fields match conditions, including custom fields like AUM, review dates or birthdays. Use for list questions such as 'clients with AUM over $1M whose review is due this quarter' or 'contacts with birthdays next week'. Returns a sortable table.",
+    schema: z.object({
+      conditions: z.array(z.object({
+        field: z.string().describe("Field name as the user says it, singular (e.g. 'AUM', 'next review date', 'birthday', 'city')"),
+        type: z.enum(Object.keys(TYPE_OPERATORS)).describe("Value type: currency for money amounts, number, date, text or boolean"),
+        operator: z.enum([...new Set(Object.values(TYPE_OPERATORS).flat())]).describe(
+          "currency/number: gt, gte, lt, lte, eq, between. " +
+          "date: before, after, within (the date falls in the range), anniversary_within (month and day fall in the range, ignoring the year - use for birthdays and anniversaries). " +
+          "text: equals, not_equals, contains, not_contains, starts_with. " +
+          "boolean: is_true, is_false. Any type: is_empty, is_not_empty."
+        ),
+        value: z.union([z.string(), z.number()]).optional().describe("Amount (1000000 or '$1M'), date or date phrase ('this quarter', 'next week', '2026-12-31'), or text"),
+        value2: z.union([z.string(), z.number()]).optional().describe("Upper bound for between, or end of a date range")
+      })).min(1).describe("Conditions on contact fields"),
+      match: z.enum(["all", "any"]).optional().describe("Whether contacts must match all conditions (default) or any"),
+      sortBy: z.string().optional().describe("'name' or one of the condition fields (default: the first condition's field)"),
+      sortDirection: z.enum(["asc", "desc"]).optional(),
+      limit: z.number().optional().describe("Maximum rows (default 100)")
+    })
+  }
+);
+
+/**
+ * Propose reminders for upcoming birthdays and anniversaries
+ * Returns a batch for one approval; reminders created on earlier runs are left out
+ */
+const proposeDateRemindersTool = tool(
+  async ({ days, reminderType, leadDays }, config) => {
+    console.log(`[TOOL:DATE_REMINDERS] Looking for birthdays/anniversaries in the next ${days || 'default'} days`);
+
+    try {
+      const context = config.context;
+      if (!context) {
+        throw new Error("Context is required for tool execution");
+      }
+
+      const batch = await getContactReminderService().findUpcoming({ days, reminderType, leadDays }, context);
+
+      if (batch.reminders.length === 0) {
+        return JSON.stringify({
+          message: batch.alreadyCreated > 0
+            ? `All ${batch.alreadyCreated} upcoming birthdays/anniversaries already have reminders.`
+            : `No birthdays or anniversaries between ${batch.range.start} and ${batch.range.end}.`,
+          scanned: batch.scanned,
+          total: batch.total
+        });
+      }
+
+      return JSON.stringify({ reminderBatch: batch });
+    } catch (error) {
+      console.error("[TOOL:DATE_REMINDERS] Error:", error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  },
+  {
+    name: "propose_date_reminders",
+    description: "Find contacts' upcoming birthdays and anniversaries (standard and custom date fields) and propose reminders for them - 'send a card' tasks or all-day appointments. The user approves the batch before anything is created; reminders created before are skipped.",
+    schema: z.object({
+      days: z.number().int().optional().describe("How many days ahead to look (default 30)"),
+      reminderType: z.enum(["task", "appointment"]).optional().describe("task: 'send a card' task due a few days before (default); appointment: all-day appointment on the day"),
+      leadDays: z.number().int().optional().describe("For tasks: days before the date the task is due (default 3)")
+    })
+  }
+);
+
 /**
  * Get all available contact tools
  * These tools are exported as an array for easy binding to LLM
@@ -203,15 +566,27 @@ function getContactTools() {
   return [
     searchContactsTool,
     getContactDetailsTool,
+    getContactTimelineTool,
     searchUsersTool,
-    getUserDetailsTool
+    getUserDetailsTool,
+    proposeCreateContactTool,
+    proposeUpdateContactTool,
+    findDuplicateContactsTool,
+    segmentContactsTool,
+    proposeDateRemindersTool
   ];
 }
 
 module.exports = {
   searchContactsTool,
   getContactDetailsTool,
+  getContactTimelineTool,
   searchUsersTool,
   getUserDetailsTool,
+  proposeCreateContactTool,
+  proposeUpdateContactTool,
+  findDuplicateContactsTool,
+  segmentContactsTool,
+  proposeDateRemindersTool,
   getContactTools
 };
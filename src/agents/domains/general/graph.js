@@ -7,6 +7,7 @@
  * - System state queries ("What did I create today?")
  * - Follow-up questions
  * - Acknowledgments
+ * - Daily/weekly agenda digests ("brief me on my day")
  *
  * This agent does NOT create or modify BSA entities - it's read-only/informational.
  * Action agents (calendar, task, workflow, contact) handle creation/modification.
@@ -19,6 +20,15 @@ const { getMem0Service } = require("../../../services/memory/mem0Service");
 const { getAppointments } = require("../../../integrations/bsa/tools/appointments");
 const { getTasks } = require("../../../integrations/bsa/tools/tasks");
 const { parseDateQuery } = require("../../../utils/dateParser");
+const { getAgendaDigestService } = require("../../../services/scheduling/agendaDigest");
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// "brief me on my day", "what does my week look like", "weekly digest", "agenda for tomorrow"
+const DIGEST_PATTERN = /\b(brief(ing)? me on my (day|week)|(daily|weekly) (digest|agenda|briefing|summary)|my (day|week) (ahead|look like)|does my (day|week) look like|agenda for (today|tomorrow|this week|next week)|what'?s on my (plate|agenda))\b/i;
 
 // State channels for general agent
 const GeneralStateChannels = {
@@ -110,6 +120,7 @@ class GeneralSubgraph {
 
     // Add nodes
     workflow.addNode("classify_query", this.classifyQuery.bind(this));
+    workflow.addNode("build_digest", this.buildDigest.bind(this));
     workflow.addNode("detect_bsa_needs", this.detectBSANeeds.bind(this));
     workflow.addNode("fetch_bsa_data", this.fetchBSAData.bind(this));
     workflow.addNode("retrieve_context", this.retrieveContext.bind(this));
@@ -119,7 +130,17 @@ class GeneralSubgraph {
 
     // Define edges
     workflow.setEntryPoint("classify_query");
-    workflow.addEdge("classify_query", "detect_bsa_needs");
+
+    // Agenda digests have their own data fetch and fixed format
+    workflow.addConditionalEdges(
+      "classify_query",
+      (state) => state.intent === 'digest' ? "build_digest" : "detect_bsa_needs",
+      {
+        "build_digest": "build_digest",
+        "detect_bsa_needs": "detect_bsa_needs"
+      }
+    );
+    workflow.addEdge("build_digest", "format_response");
 
     // Conditional edge: fetch BSA data if needed
     workflow.addConditionalEdges(
@@ -159,8 +180,9 @@ class GeneralSubgraph {
 
     const query = lastMessage.content.toLowerCase();
 
-    // Pattern-based classification for speed
+    // Pattern-based classification for speed (digest first: "good morning, brief me on my day")
     const patterns = {
+      digest: DIGEST_PATTERN,
       greeting: /^(hey|hi|hello|what's up|good morning|good afternoon|good evening|howdy)/i,
       farewell: /^(bye|goodbye|thanks|thank you|see you|later|ttyl|catch you|take care)/i,
       entity_question: /what (is|was|were)|show (me |all |my )?|list|who was|when was|tell me about|describe|explain/i,
@@ -183,6 +205,54 @@ class GeneralSubgraph {
     };
   }
 
+  /**
+   * Build a daily or weekly agenda digest
+   */
+  async buildDigest(state, config) {
+    console.log("[GENERAL:DIGEST] Building agenda digest");
+
+    try {
+      const passKey = await config?.configurable?.getPassKey?.();
+      const orgId = config?.configurable?.org_id || state.org_id;
+      const timezone = state.timezone || 'UTC';
+
+      if (!passKey || !orgId) {
+        return {
+          ...state,
+          answer: "I can't reach your calendar right now. Please sign in again and retry."
+        };
+      }
+
+      const query = state.messages[state.messages.length - 1].content.toLowerCase();
+      const period = /\bweek(ly)?\b/.test(query) ? 'week' : 'day';
+
+      // "tomorrow" / "next week" shift the period forward; default is the current one
+      let date = null;
+      if (/\btomorrow\b/.test(query)) {
+        date = dayjs().tz(timezone).add(1, 'day').format('YYYY-MM-DD');
+      } else if (/\bnext week\b/.test(query)) {
+        date = dayjs().tz(timezone).add(7, 'day').format('YYYY-MM-DD');
+      }
+
+      const digest = await getAgendaDigestService().buildDigest(
+        { period, date },
+        { passKey, org_id: orgId, timezone }
+      );
+
+      return {
+        ...state,
+        answer: digest.markdown
+      };
+
+    } catch (error) {
+      console.error("[GENERAL:DIGEST] Error building digest:", error);
+      return {
+        ...state,
+        error: `Failed to build your agenda digest: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Detect if query needs BSA data (appointments, tasks)
    */
@@ -8,18 +8,43 @@
 const { StateGraph, END } = require("@langchain/langgraph");
 const { ChatOpenAI } = require("@langchain/openai");
 const { z } = require("zod");
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 // Import BSA tools
-const { getTasks, createTask, updateTask, completeTask, deleteTask } = require("../../../integrations/bsa/tools/tasks");
+const { queryTasks, createTask, updateTask, getTaskById, completeTask, deleteTask } = require("../../../integrations/bsa/tools/tasks");
 const { searchContacts, linkContactToActivity } = require("../../../integrations/bsa/tools/contacts");
 
 // Import date parser for natural language due dates
-const { parseTaskDueDate } = require("../../../utils/chronoParser");
+const { parseTaskDueDate, parseDateQuery } = require("../../../utils/chronoParser");
 
 // Import services
 const { getContactResolver } = require("../../../services/entities/contactResolverCompat");
 const { getApprovalBatcher } = require("../../../services/approval/approvalBatcher");
 const { getMem0Service } = require("../../../services/memory/mem0Service");
+const { getPeopleService } = require("../../../services/people");
+const { getTaskRelationService } = require("../../../services/tasks/taskRelations");
+const { getOperationJournal } = require("../../../services/undo/operationJournal");
+const { getExecutionProgress } = require("../../../services/streaming/executionProgress");
+
+// Display labels for normalized BSA task values
+const STATUS_LABELS = {
+  notstarted: "Not Started",
+  inprogress: "In Progress",
+  completed: "Completed",
+  waitingonsomeoneelse: "Waiting on Someone Else",
+  deferred: "Deferred"
+};
+const PRIORITY_ORDER = ["urgent", "high", "normal", "medium", "low"];
+const VIEW_LIMIT = 25;
+// Cap on tasks offered in one bulk approval
+const BULK_LIMIT = 50;
+const BULK_VERBS = { complete: "Complete", update: "Update", delete: "Delete" };
+const MAX_SUBTASKS = 12;
 
 // Task state channels for LangGraph
 const TaskStateChannels = {
@@ -27,6 +52,10 @@ const TaskStateChannels = {
     value: (x, y) => y ? y : x,
     default: () => []
   },
+  memory_context: {
+    value: (x, y) => y ? y : x,
+    default: () => ({})
+  },
   action: {
     value: (x, y) => y ? y : x,
     default: () => null
@@ -39,6 +68,10 @@ const TaskStateChannels = {
     value: (x, y) => y ? y : x,
     default: () => []
   },
+  filters: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
   assignee: {
     value: (x, y) => y ? y : x,
     default: () => null
@@ -71,6 +104,58 @@ const TaskStateChannels = {
     value: (x, y) => y ? y : x,
     default: () => null
   },
+  bulk: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  bulk_results: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  subtask_plan: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  subtask_results: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  dependency: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  blocked_by: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  unblocked: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  requiresApproval: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => false
+  },
+  approvalRequest: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  approval_decision: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  approval_selection: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  response: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
+  data: {
+    value: (x, y) => y ? y : x,
+    default: () => null
+  },
 
   // Context fields (required for authentication and state management)
   session_id: {
@@ -105,6 +190,7 @@ class TaskSubgraph {
     this.contactResolver = getContactResolver();
     this.approvalBatcher = getApprovalBatcher();
     this.mem0 = getMem0Service();
+    this.relations = getTaskRelationService();
     this.checkpointer = checkpointer;
     
     this.graph = this.buildGraph();
@@ -127,6 +213,12 @@ class TaskSubgraph {
     workflow.addNode("update_task", this.updateTaskNode.bind(this));
     workflow.addNode("complete_task", this.completeTaskNode.bind(this));
     workflow.addNode("link_contacts", this.linkContacts.bind(this));
+    workflow.addNode("generate_bulk_preview", this.generateBulkPreview.bind(this));
+    workflow.addNode("batch_approval", this.batchApproval.bind(this));
+    workflow.addNode("execute_bulk", this.executeBulk.bind(this));
+    workflow.addNode("generate_subtasks", this.generateSubtasks.bind(this));
+    workflow.addNode("create_subtasks", this.createSubtasks.bind(this));
+    workflow.addNode("link_dependency", this.linkDependency.bind(this));
     workflow.addNode("synthesize_memory", this.synthesizeMemory.bind(this));
     workflow.addNode("format_response", this.formatResponse.bind(this));
 
@@ -138,17 +230,29 @@ class TaskSubgraph {
       "parse_request",
       (state) => {
         if (state.error) return "format_response";
+
+        // Resuming a batch approval - targets are already in the restored state
+        if (this.isResumingBatch(state)) {
+          console.log("[TASK:ROUTER] Resuming batch approval - skipping to approval node");
+          return "batch_approval";
+        }
+
         switch (state.action) {
           case "create": return "set_priority";
           case "view": return "fetch_tasks";
           case "update": return "fetch_tasks";
           case "complete": return "fetch_tasks";
+          case "bulk": return "fetch_tasks";
+          case "subtasks": return "fetch_tasks";
+          case "dependency": return "link_dependency";
           default: return "format_response";
         }
       },
       {
         "set_priority": "set_priority",
         "fetch_tasks": "fetch_tasks",
+        "link_dependency": "link_dependency",
+        "batch_approval": "batch_approval",
         "format_response": "format_response"
       }
     );
@@ -159,11 +263,16 @@ class TaskSubgraph {
     workflow.addEdge("check_duplicates", "generate_preview");
     workflow.addEdge("generate_preview", "wait_for_approval");
     
+    // Approved previews of new tasks are created, previews of edits to a fetched task are applied
     workflow.addConditionalEdges(
       "wait_for_approval",
-      (state) => state.approval_status === "approved" ? "create_task" : "format_response",
+      (state) => {
+        if (state.approval_status !== "approved") return "format_response";
+        return state.action === "update" ? "update_task" : "create_task";
+      },
       {
         "create_task": "create_task",
+        "update_task": "update_task",
         "format_response": "format_response"
       }
     );
@@ -178,15 +287,60 @@ class TaskSubgraph {
         if (state.action === "view") return "format_response";
         if (state.action === "update") return "generate_preview";
         if (state.action === "complete") return "complete_task";
+        if (state.action === "bulk") {
+          return state.existing_tasks?.length > 0 && !state.response ? "generate_bulk_preview" : "format_response";
+        }
+        if (state.action === "subtasks") return "generate_subtasks";
         return "format_response";
       },
       {
         "generate_preview": "generate_preview",
+        "generate_bulk_preview": "generate_bulk_preview",
+        "generate_subtasks": "generate_subtasks",
         "complete_task": "complete_task",
         "format_response": "format_response"
       }
     );
 
+    // Bulk flow: one approval for the whole set, then execute the checked subset
+    workflow.addConditionalEdges(
+      "generate_bulk_preview",
+      (state) => state.error ? "format_response" : "batch_approval",
+      {
+        "batch_approval": "batch_approval",
+        "format_response": "format_response"
+      }
+    );
+
+    workflow.addConditionalEdges(
+      "batch_approval",
+      (state) => {
+        if (state.requiresApproval || state.approval_status !== "approved") return "format_response";
+        return state.action === "subtasks" ? "create_subtasks" : "execute_bulk";
+      },
+      {
+        "execute_bulk": "execute_bulk",
+        "create_subtasks": "create_subtasks",
+        "format_response": "format_response"
+      }
+    );
+
+    workflow.addEdge("execute_bulk", "format_response");
+
+    // Subtask flow: LLM breakdown, one approval, then parent + ordered children
+    workflow.addConditionalEdges(
+      "generate_subtasks",
+      (state) => state.error ? "format_response" : "batch_approval",
+      {
+        "batch_approval": "batch_approval",
+        "format_response": "format_response"
+      }
+    );
+    workflow.addEdge("create_subtasks", "format_response");
+
+    // Dependency flow
+    workflow.addEdge("link_dependency", "format_response");
+
     // Update flow
     workflow.addEdge("update_task", "synthesize_memory");
     
@@ -212,6 +366,12 @@ class TaskSubgraph {
    */
   async parseRequest(state) {
     console.log("[TASK:PARSE] Parsing request");
+
+    // Resuming from approval: the restored partial state already holds the targets
+    if (this.isResumingBatch(state)) {
+      console.log("[TASK:PARSE] Resuming batch approval - using existing context");
+      return {};
+    }
     
     const lastMessage = state.messages[state.messages.length - 1];
     if (!lastMessage || lastMessage.role !== "user") {
@@ -221,26 +381,83 @@ class TaskSubgraph {
     try {
       const parsePrompt = `
         Analyze this task-related request and extract:
-        1. Action type: "create", "view", "update", "complete", or "delete"
+        1. Action type: "create", "view", "update", "complete", "delete", "bulk", "subtasks", or "dependency"
+           (use "bulk" when the request targets a set of tasks, e.g. "all", "everything", "these";
+            "subtasks" when asked to break a task into subtasks or a checklist;
+            "dependency" when one task has to wait for another)
         2. Task details (subject, description, due date, etc.)
         3. Priority indicators (urgent, high, normal, low)
         4. Assignee or contact mentions
+        5. For "view" requests, any filters on the task list
         
         Query: "${lastMessage.content}"
         
         Return JSON:
         {
-          "action": "create|view|update|complete|delete",
+          "action": "create|view|update|complete|delete|bulk|subtasks|dependency",
           "task": {
-            "subject": "task title",
+            "subject": "task title (for subtasks: the parent task)",
             "description": "details",
             "dueDate": "YYYY-MM-DD or null",
-            "dueTime": "HH:MM or null"
+            "dueTime": "HH:MM or null",
+            "force": true if the user says to do it anyway/regardless of blockers, otherwise false
           },
           "priority": "High|Medium|Low",
           "contacts": ["mentioned names"],
-          "taskId": "id if updating/completing existing task"
+          "taskId": "id if updating/completing existing task",
+          "filters": {
+            "status": ["NotStarted|InProgress|Completed|WaitingOnSomeoneElse|Deferred"] or null,
+            "priority": ["High|Normal|Low"] or null,
+            "overdue": true or null,
+            "due": "natural language due window like 'this week', 'tomorrow', 'next month'" or null,
+            "contact": "contact or company the tasks are linked to" or null,
+            "assignee": "me" or "team member name" or null,
+            "search": "words from the task subject, e.g. 'Johnson onboarding'" or null,
+            "groupBy": "due|priority|status" or null
+          },
+          "dependency": {
+            "task": "subject of the task that has to wait",
+            "blockedBy": "subject of the task that must be finished first"
+          },
+          "bulk": {
+            "operation": "complete|update|delete",
+            "changes": {
+              "due": "new due date in natural language, e.g. 'Friday'" or null,
+              "priority": "High|Normal|Low" or null,
+              "status": "not started|in progress|completed" or null
+            }
+          }
         }
+
+        Filter rules (view and bulk only, otherwise "filters": null; "bulk" and "dependency" are null unless that is the action):
+        - Only set a filter the user explicitly asked for
+        - "my tasks" means assignee "me"
+        - "open"/"pending" means status ["NotStarted","InProgress","WaitingOnSomeoneElse"]
+        - "urgent"/"high-priority" means priority ["High"]
+        - "linked to Acme"/"for John" means contact "Acme"/"John"; leave "contacts" empty in that case
+        - "grouped by priority" means groupBy "priority"
+
+        Example: "show my overdue high-priority tasks linked to Acme"
+        → {"action": "view", "task": {}, "priority": "High", "contacts": [],
+           "filters": {"status": null, "priority": ["High"], "overdue": true, "due": null,
+                       "contact": "Acme", "assignee": "me", "groupBy": null}}
+
+        Example: "push everything due today to Friday"
+        → {"action": "bulk", "task": {}, "contacts": [],
+           "filters": {"due": "today"},
+           "bulk": {"operation": "update", "changes": {"due": "Friday"}}}
+
+        Example: "mark all tasks for the Johnson onboarding as complete"
+        → {"action": "bulk", "task": {}, "contacts": [],
+           "filters": {"search": "Johnson onboarding"},
+           "bulk": {"operation": "complete", "changes": null}}
+
+        Example: "break the quarterly review into subtasks"
+        → {"action": "subtasks", "task": {"subject": "Quarterly review"}, "contacts": []}
+
+        Example: "the client report can't be sent until compliance review is done"
+        → {"action": "dependency", "task": {}, "contacts": [],
+           "dependency": {"task": "client report", "blockedBy": "compliance review"}}
       `;
 
       const response = await this.llm.invoke(parsePrompt);
@@ -257,8 +474,8 @@ class TaskSubgraph {
 
       console.log("[TASK:PARSE] Detected action:", result.action);
 
-      // Parse natural language due dates using Chrono
-      if (result.task && lastMessage.content) {
+      // Parse natural language due dates using Chrono (not for list filters)
+      if (result.task && lastMessage.content && !["view", "bulk", "subtasks", "dependency"].includes(result.action)) {
         const dueDateParsed = parseTaskDueDate(lastMessage.content, state.timezone || 'UTC');
         if (dueDateParsed) {
           result.task.dueDate = dueDateParsed;
@@ -270,7 +487,10 @@ class TaskSubgraph {
         action: result.action,
         task_details: result.task || {},
         priority: result.priority || "Medium",
-        linked_contacts: result.contacts || []
+        linked_contacts: result.contacts || [],
+        filters: ["view", "bulk"].includes(result.action) ? (result.filters || {}) : null,
+        bulk: result.action === "bulk" ? (result.bulk || null) : null,
+        dependency: result.action === "dependency" ? (result.dependency || null) : null
       };
       
     } catch (error) {
@@ -332,6 +552,7 @@ class TaskSubgraph {
       return { assignee: null };
     }
     
+    getExecutionProgress().emit('contacts', { domain: 'task', count: 1 });
     try {
       const passKey = await config.configurable.getPassKey();
       const orgId = config.configurable.org_id;
@@ -366,6 +587,9 @@ class TaskSubgraph {
 
   /**
    * Fetch existing tasks (for view/update/complete actions)
+   *
+   * View requests apply the parsed filters (status, priority, due window,
+   * linked contact, assignee); update/complete search open tasks by subject.
    */
   async fetchTasks(state, config) {
     console.log("[TASK:FETCH] Fetching tasks");
@@ -373,31 +597,38 @@ class TaskSubgraph {
     try {
       const passKey = await config.configurable.getPassKey();
       const orgId = config.configurable.org_id;
+      const userTimezone = state.timezone || 'UTC';
       
-      // Determine fetch parameters based on action
       const { action, task_details } = state;
-      const options = {};
+      let query;
       
-      if (action === "view") {
-        // Fetch recent tasks or based on criteria
-        if (task_details.dueDate) {
-          options.dueDate = task_details.dueDate;
-        }
-        options.includeCompleted = false;
-        options.limit = 10;
-      } else if (action === "update" || action === "complete") {
-        // Need to find specific task
-        if (task_details.subject) {
-          options.search = task_details.subject;
+      if (action === "view" || action === "bulk") {
+        query = await this.buildTaskQuery(state, config, passKey, orgId);
+        if (query.response) {
+          return { response: query.response, existing_tasks: [] };
         }
-        options.limit = 5;
+      } else {
+        // Need to find a specific open task
+        query = {
+          filters: {
+            search: task_details.subject || null,
+            includeCompleted: false,
+            limit: 5
+          },
+          summary: []
+        };
       }
       
-      const tasks = await getTasks(passKey, orgId, options);
+      const result = await queryTasks({ ...query.filters, timeZone: userTimezone }, passKey, orgId);
       
-      console.log(`[TASK:FETCH] Found ${tasks.length} tasks`);
+      console.log(`[TASK:FETCH] Found ${result.count} tasks`);
       
-      return { existing_tasks: tasks };
+      return {
+        existing_tasks: result.tasks,
+        filters: action === "view" || action === "bulk"
+          ? { ...state.filters, summary: query.summary, total: result.total }
+          : state.filters
+      };
       
     } catch (error) {
       console.error("[TASK:FETCH] Error:", error);
@@ -405,6 +636,87 @@ class TaskSubgraph {
     }
   }
 
+  /**
+   * Turn parsed view filters into a queryTasks filter object
+   *
+   * Resolves the linked contact via the contact resolver and the assignee via
+   * PeopleService. Returns { response } instead when a name can't be resolved.
+   */
+  async buildTaskQuery(state, config, passKey, orgId) {
+    const parsed = state.filters || {};
+    const userTimezone = state.timezone || 'UTC';
+    const filters = { limit: state.action === "bulk" ? BULK_LIMIT : VIEW_LIMIT };
+    const summary = [];
+
+    if (Array.isArray(parsed.status) && parsed.status.length > 0) {
+      filters.status = parsed.status;
+      summary.push(parsed.status.map(s => STATUS_LABELS[s.toLowerCase()] || s).join("/"));
+    }
+
+    if (Array.isArray(parsed.priority) && parsed.priority.length > 0) {
+      filters.priority = parsed.priority;
+      summary.push(`${parsed.priority.join("/")} priority`);
+    }
+
+    if (parsed.overdue) {
+      filters.overdue = true;
+      summary.push("overdue");
+    }
+
+    if (parsed.due) {
+      const range = parseDateQuery(parsed.due, userTimezone);
+      if (range) {
+        filters.dueFrom = dayjs.tz(range.startDate, userTimezone).startOf('day').toISOString();
+        filters.dueTo = dayjs.tz(range.endDate, userTimezone).endOf('day').toISOString();
+        summary.push(`due ${parsed.due}`);
+      } else {
+        console.log(`[TASK:FETCH] Could not parse due window "${parsed.due}", ignoring`);
+      }
+    }
+
+    if (parsed.search) {
+      filters.search = parsed.search;
+      summary.push(`matching "${parsed.search}"`);
+    }
+
+    if (parsed.contact) {
+      const contacts = await this.contactResolver.search(parsed.contact, 3, passKey, orgId);
+      if (!contacts || contacts.length === 0) {
+        return { response: `I couldn't find a contact named "${parsed.contact}".` };
+      }
+      filters.contactIds = contacts.map(contact => contact.id).filter(Boolean);
+      summary.push(`linked to ${contacts[0].name || parsed.contact}`);
+    }
+
+    if (parsed.assignee) {
+      try {
+        const [user] = await getPeopleService().resolveUsers([parsed.assignee], {
+          session_id: state.session_id || config.configurable.session_id,
+          org_id: orgId,
+          memory_context: state.memory_context
+        });
+        if (user?.id) {
+          filters.assigneeIds = [user.id];
+          summary.push(user.isCurrentUser ? "assigned to you" : `assigned to ${user.name}`);
+        }
+      } catch (error) {
+        if (error.name === 'PersonNotFound') {
+          return { response: `I couldn't find a team member named "${error.query}".` };
+        }
+        if (error.name === 'NeedsClarification') {
+          const candidates = (error.candidates || []).map(u => u.name).filter(Boolean);
+          return {
+            response: `"${error.originalQuery}" matches more than one team member: ${candidates.join(', ')}. ` +
+              `Please use their full name.`
+          };
+        }
+        throw error;
+      }
+    }
+
+    return { filters, summary };
+  }
+
   /**
    * Check for duplicate tasks before creation
    */
@@ -514,6 +826,16 @@ class TaskSubgraph {
       const createdTask = await createTask(taskData, passKey, orgId);
       
       console.log(`[TASK:CREATE] Created task with ID: ${createdTask.id}`);
+
+      await getOperationJournal().record(this.getJournalContext(state, config), {
+        domain: 'task',
+        summary: `Created task "${task_details.subject}"`,
+        operations: [{
+          type: 'create_task',
+          recordId: createdTask.Id || createdTask.id,
+          label: task_details.subject
+        }]
+      });
       
       // Register entity
       const entity = {
@@ -555,10 +877,27 @@ class TaskSubgraph {
       
       const taskToUpdate = existing_tasks[0];
       const updates = { ...task_details };
+
+      // Snapshot before the update so it can be undone
+      const before = await getTaskById(taskToUpdate.id, passKey, orgId);
       
       const updatedTask = await updateTask(taskToUpdate.id, updates, passKey, orgId);
       
       console.log(`[TASK:UPDATE] Updated task ${taskToUpdate.id}`);
+
+      if (before) {
+        const journal = getOperationJournal();
+        await journal.record(this.getJournalContext(state, config), {
+          domain: 'task',
+          summary: `Updated task "${taskToUpdate.subject}"`,
+          operations: [{
+            type: 'update_task',
+            recordId: taskToUpdate.id,
+            label: taskToUpdate.subject,
+            before: journal.snapshotTask(before)
+          }]
+        });
+      }
       
       return { result: updatedTask };
       
@@ -585,11 +924,28 @@ class TaskSubgraph {
       }
       
       const taskToComplete = existing_tasks[0];
+      const userId = state.user_id || config.configurable.user_id;
+
+      // Refuse while blockers are open unless the user said to go ahead anyway
+      if (!state.task_details?.force) {
+        const blockers = await this.relations.getOpenBlockers(orgId, userId, taskToComplete.id, passKey);
+        if (blockers.length > 0) {
+          console.log(`[TASK:COMPLETE] Task ${taskToComplete.id} has ${blockers.length} open blocker(s)`);
+          return { blocked_by: { task: taskToComplete, blockers } };
+        }
+      }
+
       const completedTask = await completeTask(taskToComplete.id, passKey, orgId);
       
       console.log(`[TASK:COMPLETE] Completed task ${taskToComplete.id}`);
+
+      const unblocked = await this.relations.getUnblocked(orgId, userId, taskToComplete.id, passKey)
+        .catch(error => {
+          console.warn("[TASK:COMPLETE] Could not check dependent tasks:", error.message);
+          return [];
+        });
       
-      return { result: completedTask };
+      return { result: completedTask, unblocked };
       
     } catch (error) {
       console.error("[TASK:COMPLETE] Error:", error);
@@ -597,6 +953,520 @@ class TaskSubgraph {
     }
   }
 
+  /**
+   * Build one approval preview listing every task a bulk action will touch
+   */
+  async generateBulkPreview(state, config) {
+    console.log("[TASK:BULK] Generating bulk preview");
+
+    const { bulk, existing_tasks, filters } = state;
+    const userTimezone = state.timezone || 'UTC';
+    const operation = bulk?.operation;
+
+    if (!BULK_VERBS[operation]) {
+      return { error: "I couldn't tell whether to complete, update or delete these tasks." };
+    }
+
+    const details = [];
+    const warnings = [];
+    let changes = null;
+
+    if (operation === "update") {
+      changes = this.resolveBulkChanges(bulk.changes, userTimezone);
+      if (Object.keys(changes).length === 0) {
+        return { error: "I couldn't tell what to change on these tasks." };
+      }
+      if (changes.dueDate) {
+        details.push({ label: "New due date", value: dayjs.tz(changes.dueDate, userTimezone).format('ddd, MMM D') });
+      }
+      if (changes.priority) details.push({ label: "New priority", value: changes.priority });
+      if (changes.status) details.push({ label: "New status", value: changes.status });
+    }
+
+    if (filters?.summary?.length > 0) {
+      details.push({ label: "Matching", value: filters.summary.join(", ") });
+    }
+
+    if (operation === "delete") {
+      warnings.push("Deleted tasks cannot be restored.");
+    }
+    if (operation === "complete" && !state.task_details?.force) {
+      warnings.push(...await this.getBlockerWarnings(existing_tasks, state, config));
+    }
+    if (filters?.total > existing_tasks.length) {
+      warnings.push(`Only the first ${existing_tasks.length} of ${filters.total} matching tasks are included.`);
+    }
+
+    const preview = this.approvalBatcher.buildBulkPreview({
+      type: "task",
+      action: `bulk_${operation}`,
+      title: `${BULK_VERBS[operation]} ${existing_tasks.length} task${existing_tasks.length === 1 ? '' : 's'}`,
+      items: existing_tasks.map(task => ({
+        id: task.id,
+        label: this.formatTaskLine(task, userTimezone)
+      })),
+      details,
+      warnings
+    });
+
+    return {
+      preview,
+      bulk: { ...bulk, resolvedChanges: changes }
+    };
+  }
+
+  /**
+   * Turn parsed bulk changes into concrete values
+   * @returns {Object} { dueDate (YYYY-MM-DD), priority, status } with unset fields omitted
+   */
+  resolveBulkChanges(changes, userTimezone) {
+    const resolved = {};
+    if (!changes) return resolved;
+
+    if (changes.due) {
+      const dueDate = parseTaskDueDate(changes.due, userTimezone);
+      if (dueDate) resolved.dueDate = dueDate;
+    }
+    if (changes.priority) resolved.priority = changes.priority;
+    if (changes.status) resolved.status = changes.status;
+
+    return resolved;
+  }
+
+  /**
+   * Whether this invocation resumes a bulk or subtask approval
+   * The restored partial state already holds the items that were previewed
+   */
+  isResumingBatch(state) {
+    if (!state.approval_decision) return false;
+    if (state.action === "bulk") return state.existing_tasks?.length > 0;
+    if (state.action === "subtasks") return state.subtask_plan?.subtasks?.length > 0;
+    return false;
+  }
+
+  /**
+   * Request (or apply) the single approval covering a bulk action or a subtask plan
+   */
+  async batchApproval(state) {
+    console.log("[TASK:APPROVAL] Processing batch approval");
+
+    const { action, bulk, subtask_plan, existing_tasks } = state;
+    const items = action === "subtasks" ? subtask_plan.subtasks : existing_tasks;
+
+    if (state.approval_decision) {
+      console.log(`[TASK:APPROVAL] Resuming with decision: ${state.approval_decision}`);
+
+      if (state.approval_decision !== 'approve') {
+        return { approval_status: "rejected", requiresApproval: false };
+      }
+
+      const selectedIds = this.approvalBatcher
+        .resolveBulkSelection(items, state.approval_selection)
+        .map(item => String(item.id));
+
+      return action === "subtasks"
+        ? { approval_status: "approved", subtask_plan: { ...subtask_plan, selectedIds }, requiresApproval: false }
+        : { approval_status: "approved", bulk: { ...bulk, selectedIds }, requiresApproval: false };
+    }
+
+    console.log("[TASK:APPROVAL] Returning approval request for coordinator to handle");
+
+    return {
+      requiresApproval: true,
+      approvalRequest: {
+        domain: 'task',
+        type: 'approval_required',
+        actionId: `task_${Date.now()}`,
+        action: action === "subtasks" ? "create_subtasks" : `bulk_${bulk.operation}`,
+        preview: state.preview,
+        data: action === "subtasks"
+          ? { parent: subtask_plan.parent, subtasks: subtask_plan.subtasks, sequential: subtask_plan.sequential }
+          : { operation: bulk.operation, taskIds: existing_tasks.map(task => task.id), changes: bulk.resolvedChanges },
+        message: action === "subtasks"
+          ? `Please review these ${items.length} subtasks - uncheck any you don't need:`
+          : `Please review these ${items.length} tasks - uncheck any you want to skip:`,
+        thread_id: state.thread_id || null
+      }
+    };
+  }
+
+  /**
+   * Apply a bulk action to the approved tasks, one at a time
+   *
+   * Failures are recorded per task so one bad item doesn't stop the rest.
+   */
+  async executeBulk(state, config) {
+    console.log("[TASK:BULK] Executing bulk action");
+
+    const { bulk, existing_tasks } = state;
+    const userTimezone = state.timezone || 'UTC';
+    const selected = new Set(bulk?.selectedIds || []);
+    const targets = existing_tasks.filter(task => selected.has(String(task.id)));
+
+    if (targets.length === 0) {
+      return { bulk_results: [] };
+    }
+
+    const passKey = await config.configurable.getPassKey();
+    const orgId = config.configurable.org_id;
+    const userId = state.user_id || config.configurable.user_id;
+    const journal = getOperationJournal();
+    const results = [];
+    const operations = [];
+
+    for (const task of targets) {
+      try {
+        // Snapshot before a completion or update so it can be undone (deletes can't be)
+        let before = null;
+        if (bulk.operation === "complete") {
+          // Blockers completed in the same batch don't count
+          const blockers = state.task_details?.force ? [] : await this.relations.getOpenBlockers(
+            orgId, userId, task.id, passKey, { ignore: [...selected] }
+          );
+          if (blockers.length > 0) {
+            results.push({
+              id: task.id,
+              subject: task.subject,
+              success: false,
+              error: `Waiting on ${blockers.map(b => `"${b.subject}"`).join(', ')}`
+            });
+            continue;
+          }
+          before = await getTaskById(task.id, passKey, orgId);
+          await completeTask(task.id, passKey, orgId);
+        } else if (bulk.operation === "delete") {
+          await deleteTask(task.id, passKey, orgId);
+          await this.relations.removeTask(orgId, userId, task.id).catch(error => {
+            console.warn(`[TASK:BULK] Could not clear relations for ${task.id}:`, error.message);
+          });
+        } else {
+          before = await getTaskById(task.id, passKey, orgId);
+          await updateTask(task.id, this.buildBulkUpdates(task, bulk.resolvedChanges, userTimezone), passKey, orgId);
+        }
+        results.push({ id: task.id, subject: task.subject, success: true });
+        if (before) {
+          operations.push({
+            type: 'update_task',
+            recordId: task.id,
+            label: task.subject,
+            before: journal.snapshotTask(before)
+          });
+        }
+      } catch (error) {
+        console.error(`[TASK:BULK] Failed to ${bulk.operation} task ${task.id}:`, error.message);
+        results.push({ id: task.id, subject: task.subject, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    console.log(`[TASK:BULK] ${succeeded} of ${results.length} tasks succeeded`);
+
+    await journal.record(this.getJournalContext(state, config), {
+      domain: 'task',
+      summary: `${bulk.operation === "complete" ? 'Completed' : 'Updated'} ${operations.length} task${operations.length === 1 ? '' : 's'}`,
+      operations
+    });
+
+    return { bulk_results: results };
+  }
+
+  /**
+   * Build updateTask changes for one task of a bulk update
+   * A new due date keeps the task's existing time of day (5 PM when it had none)
+   */
+  buildBulkUpdates(task, changes, userTimezone) {
+    const updates = {};
+
+    if (changes.dueDate) {
+      const time = task.dueTime ? dayjs(task.dueTime).tz(userTimezone).format('HH:mm') : '17:00';
+      updates.dueTime = dayjs.tz(`${changes.dueDate} ${time}`, userTimezone).toISOString();
+    }
+    if (changes.priority) updates.Priority = changes.priority;
+    if (changes.status) updates.status = changes.status;
+
+    return updates;
+  }
+
+  /**
+   * Warn about tasks in a bulk completion that are waiting on open tasks
+   * outside the batch
+   */
+  async getBlockerWarnings(tasks, state, config) {
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+      const userId = state.user_id || config.configurable.user_id;
+      const batch = tasks.map(task => String(task.id));
+      const warnings = [];
+
+      for (const task of tasks) {
+        const blockers = await this.relations.getOpenBlockers(orgId, userId, task.id, passKey, { ignore: batch });
+        if (blockers.length > 0) {
+          warnings.push(`"${task.subject}" is waiting on ${blockers.map(b => `"${b.subject}"`).join(', ')} and will be skipped.`);
+        }
+      }
+
+      return warnings;
+    } catch (error) {
+      console.warn("[TASK:BULK] Could not check blockers:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Break a task into ordered subtasks - single LLM call
+   *
+   * Reuses an open task with a matching subject as the parent, otherwise a
+   * new parent task is proposed alongside the subtasks.
+   */
+  async generateSubtasks(state) {
+    console.log("[TASK:SUBTASKS] Generating subtasks");
+
+    const { task_details, existing_tasks } = state;
+    const userTimezone = state.timezone || 'UTC';
+    const lastMessage = state.messages?.[state.messages.length - 1];
+
+    if (!task_details?.subject) {
+      return { error: "Which task should I break into subtasks?" };
+    }
+
+    try {
+      const prompt = `
+        You are an assistant at a financial advisory firm, expert in breaking work into clear, actionable subtasks.
+
+        Break this task into subtasks: "${task_details.subject}"
+        Original request: "${lastMessage?.content || task_details.subject}"
+
+        CRITICAL INSTRUCTIONS:
+        1. If the user specifies a number of subtasks, create EXACTLY that many
+        2. Otherwise create 3-7 subtasks
+        3. Maximum ${MAX_SUBTASKS} subtasks allowed
+        4. List subtasks in the order they should be done
+        5. Set "sequential" to true when each subtask depends on the previous one being finished,
+           false when they can be done in any order
+
+        For each subtask, provide:
+        - subject: Clear, action-oriented title
+        - description: What needs to be done
+        - dayOffset: Number of days this subtask takes (0 = same day)
+
+        Return JSON format:
+        {
+          "parent": { "subject": "Parent task title", "description": "One-line purpose" },
+          "subtasks": [
+            { "subject": "Subtask title", "description": "What to do", "dayOffset": 1 }
+          ],
+          "sequential": true,
+          "reasoning": "Brief explanation of the breakdown"
+        }
+      `;
+
+      const response = await this.llm.invoke(prompt);
+      let content = response.content;
+      if (content.includes('```json')) {
+        content = content.split('```json')[1].split('```')[0].trim();
+      } else if (content.includes('```')) {
+        content = content.split('```')[1].split('```')[0].trim();
+      }
+      const design = JSON.parse(content);
+
+      if (!Array.isArray(design.subtasks) || design.subtasks.length === 0) {
+        return { error: "I couldn't come up with subtasks for that task." };
+      }
+
+      console.log(`[TASK:SUBTASKS] Generated ${design.subtasks.length} subtasks`);
+      console.log(`[TASK:SUBTASKS] Reasoning: ${design.reasoning}`);
+
+      // An open task with the same subject becomes the parent
+      const subject = task_details.subject.toLowerCase();
+      const existingParent = (existing_tasks || []).find(task =>
+        task.subject.toLowerCase().includes(subject) || subject.includes(task.subject.toLowerCase())
+      );
+
+      // Due dates accumulate each subtask's duration, starting today
+      let due = dayjs().tz(userTimezone).startOf('day');
+      const subtasks = design.subtasks.slice(0, MAX_SUBTASKS).map((subtask, index) => {
+        due = due.add(Math.max(0, parseInt(subtask.dayOffset, 10) || 0), 'day');
+        return {
+          id: `subtask_${index + 1}`,
+          subject: subtask.subject,
+          description: subtask.description || "",
+          dueDate: due.format('YYYY-MM-DD')
+        };
+      });
+
+      const parent = existingParent
+        ? { id: existingParent.id, subject: existingParent.subject, existing: true }
+        : {
+            subject: design.parent?.subject || task_details.subject,
+            description: design.parent?.description || task_details.description || "",
+            dueDate: subtasks[subtasks.length - 1].dueDate,
+            existing: false
+          };
+      const sequential = design.sequential !== false;
+
+      const preview = this.approvalBatcher.buildBulkPreview({
+        type: "task",
+        action: "create_subtasks",
+        title: `Break "${parent.subject}" into ${subtasks.length} subtasks`,
+        items: subtasks.map((subtask, index) => ({
+          id: subtask.id,
+          label: `${index + 1}. ${subtask.subject} — due ${dayjs.tz(subtask.dueDate, userTimezone).format('MMM D')}`
+        })),
+        details: [
+          { label: "Parent task", value: `${parent.subject} (${parent.existing ? 'existing' : 'new'})` },
+          {
+            label: "Order",
+            value: sequential ? "Each subtask waits on the one before it" : "Subtasks can be done in any order"
+          }
+        ],
+        warnings: []
+      });
+
+      return {
+        subtask_plan: { parent, subtasks, sequential },
+        preview
+      };
+
+    } catch (error) {
+      console.error("[TASK:SUBTASKS] Error generating subtasks:", error);
+      return { error: `Failed to generate subtasks: ${error.message}` };
+    }
+  }
+
+  /**
+   * Create the parent (if new) and the approved subtasks, then record relations
+   */
+  async createSubtasks(state, config) {
+    console.log("[TASK:SUBTASKS] Creating subtasks");
+
+    const { subtask_plan, priority } = state;
+    const userTimezone = state.timezone || 'UTC';
+    const selected = new Set(subtask_plan.selectedIds || []);
+    const subtasks = subtask_plan.subtasks.filter(subtask => selected.has(subtask.id));
+
+    if (subtasks.length === 0) {
+      return { subtask_results: { parent: subtask_plan.parent, results: [], relationsSaved: false } };
+    }
+
+    const passKey = await config.configurable.getPassKey();
+    const orgId = config.configurable.org_id;
+    const userId = state.user_id || config.configurable.user_id;
+    const dueTime = (date) => dayjs.tz(`${date} 17:00`, userTimezone).toISOString();
+
+    let parent = subtask_plan.parent;
+    try {
+      if (!parent.existing) {
+        const created = await createTask({
+          subject: parent.subject,
+          description: parent.description,
+          dueTime: dueTime(parent.dueDate),
+          priority
+        }, passKey, orgId);
+        parent = { ...parent, id: created.Id };
+        console.log(`[TASK:SUBTASKS] Created parent task ${parent.id}`);
+      }
+    } catch (error) {
+      console.error("[TASK:SUBTASKS] Failed to create parent task:", error.message);
+      return { error: `Failed to create parent task: ${error.message}` };
+    }
+
+    const results = [];
+    for (const subtask of subtasks) {
+      try {
+        const created = await createTask({
+          subject: subtask.subject,
+          description: subtask.description,
+          dueTime: dueTime(subtask.dueDate),
+          priority
+        }, passKey, orgId);
+        results.push({ ...subtask, taskId: created.Id, success: true });
+      } catch (error) {
+        console.error(`[TASK:SUBTASKS] Failed to create "${subtask.subject}":`, error.message);
+        results.push({ ...subtask, success: false, error: error.message });
+      }
+    }
+
+    const createdIds = results.filter(r => r.success).map(r => r.taskId);
+
+    await getOperationJournal().record(this.getJournalContext(state, config), {
+      domain: 'task',
+      summary: `Broke "${parent.subject}" into ${createdIds.length} subtasks`,
+      operations: [
+        ...(subtask_plan.parent.existing ? [] : [{ type: 'create_task', recordId: parent.id, label: parent.subject }]),
+        ...results.filter(r => r.success).map(r => ({ type: 'create_task', recordId: r.taskId, label: r.subject }))
+      ]
+    });
+
+    let relationsSaved = false;
+    try {
+      if (createdIds.length > 0) {
+        await this.relations.linkSubtasks(orgId, userId, parent.id, createdIds, {
+          sequential: subtask_plan.sequential
+        });
+        relationsSaved = true;
+      }
+    } catch (error) {
+      console.error("[TASK:SUBTASKS] Failed to save relations:", error.message);
+    }
+
+    console.log(`[TASK:SUBTASKS] Created ${createdIds.length} of ${subtasks.length} subtasks`);
+
+    return {
+      subtask_results: { parent, results, relationsSaved },
+      entities: {
+        ...state.entities,
+        created: [{
+          id: `TASK_${parent.id}`,
+          type: "task",
+          name: parent.subject,
+          bsaId: parent.id
+        }]
+      }
+    };
+  }
+
+  /**
+   * Record that one task is blocked by another
+   */
+  async linkDependency(state, config) {
+    console.log("[TASK:DEPENDENCY] Linking dependency");
+
+    const { dependency } = state;
+    if (!dependency?.task || !dependency?.blockedBy) {
+      return { error: "Tell me which task has to wait and which task it's waiting on." };
+    }
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = config.configurable.org_id;
+      const userId = state.user_id || config.configurable.user_id;
+
+      const find = async (search) => {
+        const result = await queryTasks({ search, includeCompleted: false, limit: 1, timeZone: state.timezone || 'UTC' }, passKey, orgId);
+        return result.tasks[0] || null;
+      };
+      const [task, blocker] = await Promise.all([find(dependency.task), find(dependency.blockedBy)]);
+
+      const missing = !task ? dependency.task : !blocker ? dependency.blockedBy : null;
+      if (missing) {
+        return { response: `I couldn't find an open task matching "${missing}".` };
+      }
+
+      await this.relations.addBlocker(orgId, userId, task.id, blocker.id);
+
+      return {
+        response: `🔗 "${task.subject}" is now waiting on "${blocker.subject}". ` +
+          `I'll flag it if you try to complete it first.`,
+        data: { taskId: task.id, blockedBy: blocker.id }
+      };
+
+    } catch (error) {
+      console.error("[TASK:DEPENDENCY] Error:", error);
+      return { response: `Couldn't link those tasks: ${error.message}` };
+    }
+  }
+
   /**
    * Link contacts to the created task
    */
@@ -613,9 +1483,24 @@ class TaskSubgraph {
       const passKey = await config.configurable.getPassKey();
       const orgId = config.configurable.org_id;
       
-      for (const contact of linked_contacts) {
-        await linkContactToActivity('task', result.id, contact.id, passKey, orgId);
-        console.log(`[TASK:LINK] Linked contact ${contact.name} to task ${result.id}`);
+      const linked = [];
+      try {
+        for (const contact of linked_contacts) {
+          await linkContactToActivity('task', result.id, contact.id, passKey, orgId);
+          linked.push(contact);
+          console.log(`[TASK:LINK] Linked contact ${contact.name} to task ${result.id}`);
+        }
+      } finally {
+        await getOperationJournal().recordLinks(this.getJournalContext(state, config), {
+          domain: 'task',
+          activityType: 'task',
+          links: linked.map(contact => ({
+            activityId: result.id,
+            activityLabel: result.Subject || result.subject,
+            contactId: contact.id,
+            contactName: contact.name
+          }))
+        });
       }
       
       return state;
@@ -626,6 +1511,16 @@ class TaskSubgraph {
     }
   }
 
+  /**
+   * Org and user the operation journal records writes for
+   */
+  getJournalContext(state, config) {
+    return {
+      org_id: state.org_id || config?.configurable?.org_id,
+      user_id: state.user_id || config?.configurable?.user_id
+    };
+  }
+
   /**
    * Synthesize memory from the interaction
    */
@@ -694,20 +1589,80 @@ class TaskSubgraph {
         }
         break;
         
-      case "view":
+      case "view": {
+        // Resolution failures from fetch_tasks already carry a response
+        if (state.response) {
+          return { response: state.response, data: null };
+        }
+
+        const summary = state.filters?.summary?.length > 0
+          ? ` (${state.filters.summary.join(", ")})`
+          : "";
+
         if (existing_tasks && existing_tasks.length > 0) {
-          response = `Found ${existing_tasks.length} task(s):\n\n`;
-          existing_tasks.forEach((task, i) => {
-            response += `${i + 1}. ${task.subject}\n`;
-            response += `   Priority: ${task.priority} | Status: ${task.status}\n`;
-            response += `   Due: ${task.dueDate || 'No date'}\n\n`;
-          });
-          data = existing_tasks;
+          const total = state.filters?.total || existing_tasks.length;
+          response = total > existing_tasks.length
+            ? `Showing ${existing_tasks.length} of ${total} tasks${summary}:\n`
+            : `Found ${existing_tasks.length} task(s)${summary}:\n`;
+
+          const groups = this.groupTasks(existing_tasks, state.filters?.groupBy, state.timezone || 'UTC');
+          for (const group of groups) {
+            response += `\n**${group.label}** (${group.tasks.length})\n`;
+            group.tasks.forEach(task => {
+              response += `- ${this.formatTaskLine(task, state.timezone || 'UTC')}\n`;
+            });
+          }
+          data = { tasks: existing_tasks, groups };
         } else {
-          response = "No tasks found.";
+          response = `No tasks found${summary}.`;
         }
         break;
+      }
         
+      case "bulk": {
+        if (state.requiresApproval) {
+          return { response: "Awaiting approval...", data: null };
+        }
+        if (state.approval_status === "rejected") {
+          response = "Bulk task change was cancelled.";
+          break;
+        }
+        // Resolution failures from fetch_tasks (the restored "Awaiting approval..." is ignored on resume)
+        if (!state.bulk_results && state.response && !state.approval_decision) {
+          return { response: state.response, data: null };
+        }
+        if (!state.bulk_results) {
+          const summary = state.filters?.summary?.length > 0 ? ` (${state.filters.summary.join(", ")})` : "";
+          response = `No tasks matched${summary}.`;
+          break;
+        }
+        if (state.bulk_results.length === 0) {
+          response = "No tasks were selected, so nothing was changed.";
+          break;
+        }
+
+        const succeeded = state.bulk_results.filter(r => r.success);
+        const failed = state.bulk_results.filter(r => !r.success);
+        const verb = { complete: "Completed", update: "Updated", delete: "Deleted" }[state.bulk.operation];
+
+        response = failed.length === 0
+          ? `✅ ${verb} ${succeeded.length} task(s):\n`
+          : `⚠️ ${verb} ${succeeded.length} of ${state.bulk_results.length} task(s):\n`;
+        state.bulk_results.forEach(r => {
+          response += r.success
+            ? `- ✓ ${r.subject}\n`
+            : `- ✗ ${r.subject} — ${r.error}\n`;
+        });
+
+        data = {
+          operation: state.bulk.operation,
+          results: state.bulk_results,
+          succeeded: succeeded.length,
+          failed: failed.length
+        };
+        break;
+      }
+
       case "update":
         if (result) {
           response = `✅ Task "${result.subject}" updated successfully`;
@@ -718,13 +1673,64 @@ class TaskSubgraph {
         break;
         
       case "complete":
-        if (result) {
-          response = `✅ Task "${result.subject}" marked as complete`;
+        if (state.blocked_by) {
+          const { task, blockers } = state.blocked_by;
+          response = `⛔ "${task.subject}" can't be completed yet - it's waiting on:\n`;
+          blockers.forEach(blocker => { response += `- ${blocker.subject}\n`; });
+          if (blockers.some(blocker => blocker.unverified)) {
+            response += `\nI couldn't check the status of some of them in BSA, so they count as open.`;
+          }
+          response += `\nSay "complete ${task.subject} anyway" to override.`;
+          data = state.blocked_by;
+        } else if (result) {
+          response = `✅ Task "${result.subject || result.Subject || existing_tasks[0]?.subject}" marked as complete`;
+          if (state.unblocked?.length > 0) {
+            response += `\n\nNow ready: ${state.unblocked.map(t => `"${t.subject}"`).join(', ')}`;
+          }
           data = result;
         } else {
           response = "Failed to complete task.";
         }
         break;
+
+      case "subtasks": {
+        if (state.requiresApproval) {
+          return { response: "Awaiting approval...", data: null };
+        }
+        if (state.approval_status === "rejected") {
+          response = "Subtask creation was cancelled.";
+          break;
+        }
+
+        const outcome = state.subtask_results;
+        if (!outcome || outcome.results.length === 0) {
+          response = "No subtasks were selected, so nothing was created.";
+          break;
+        }
+
+        const created = outcome.results.filter(r => r.success);
+        response = `✅ "${outcome.parent.subject}" now has ${created.length} subtask(s):\n`;
+        outcome.results.forEach((r, i) => {
+          const due = dayjs.tz(r.dueDate, state.timezone || 'UTC').format('MMM D');
+          response += r.success
+            ? `${i + 1}. ${r.subject} — due ${due}\n`
+            : `${i + 1}. ✗ ${r.subject} — ${r.error}\n`;
+        });
+        if (!outcome.relationsSaved) {
+          response += "\n⚠️ The subtask links couldn't be saved, so they won't block each other.";
+        } else if (state.subtask_plan?.sequential) {
+          response += "\nEach subtask waits on the one before it, and the parent can't be completed until all are done.";
+        } else {
+          response += "\nThe parent can't be completed until all subtasks are done.";
+        }
+        data = outcome;
+        break;
+      }
+
+      case "dependency":
+        response = state.response;
+        data = state.data;
+        break;
         
       default:
         response = "I couldn't understand what you want to do with tasks.";
@@ -733,6 +1739,71 @@ class TaskSubgraph {
     return { response, data };
   }
 
+  /**
+   * Group tasks for display, keeping the sorted order within each group
+   *
+   * @param {Array<Object>} tasks - Normalized tasks from queryTasks
+   * @param {string} groupBy - "due" (default), "priority" or "status"
+   * @param {string} userTimezone - Timezone for due-date buckets
+   * @returns {Array<Object>} [{ label, tasks }] with empty groups omitted
+   */
+  groupTasks(tasks, groupBy, userTimezone) {
+    let keyOf;
+    let order;
+
+    if (groupBy === "priority") {
+      order = PRIORITY_ORDER;
+      keyOf = task => PRIORITY_ORDER.includes(task.priority) ? task.priority : "normal";
+    } else if (groupBy === "status") {
+      order = Object.keys(STATUS_LABELS);
+      keyOf = task => task.status;
+    } else {
+      const today = dayjs().tz(userTimezone).startOf('day');
+      const weekEnd = today.add(7, 'day');
+      order = ["Overdue", "Due today", "Due this week", "Later", "No due date"];
+      keyOf = task => {
+        if (task.isOverdue) return "Overdue";
+        if (!task.dueTime) return "No due date";
+        const due = dayjs(task.dueTime).tz(userTimezone);
+        if (due.isBefore(today.add(1, 'day'))) return "Due today";
+        if (due.isBefore(weekEnd)) return "Due this week";
+        return "Later";
+      };
+    }
+
+    const buckets = new Map();
+    for (const task of tasks) {
+      const key = keyOf(task);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(task);
+    }
+
+    const label = key => {
+      if (groupBy === "priority") return `${key.charAt(0).toUpperCase()}${key.slice(1)} priority`;
+      if (groupBy === "status") return STATUS_LABELS[key] || key;
+      return key;
+    };
+
+    return [...buckets.keys()]
+      .sort((a, b) => (order.indexOf(a) + 1 || order.length + 1) - (order.indexOf(b) + 1 || order.length + 1))
+      .map(key => ({ label: label(key), tasks: buckets.get(key) }));
+  }
+
+  /**
+   * Format a single task as a list line
+   */
+  formatTaskLine(task, userTimezone) {
+    const parts = [];
+    if (task.dueTime) {
+      const due = dayjs(task.dueTime).tz(userTimezone).format('MMM D');
+      parts.push(task.isOverdue ? `⚠️ overdue since ${due}` : `due ${due}`);
+    }
+    parts.push(`${task.priority.charAt(0).toUpperCase()}${task.priority.slice(1)} priority`);
+    parts.push(STATUS_LABELS[task.status] || task.status);
+
+    return `${task.subject || "Untitled task"} — ${parts.join(" · ")}`;
+  }
+
   /**
    * Main entry point
    */
@@ -0,0 +1,305 @@
+/**
+ * Undo Agent
+ *
+ * Reverses recent agent changes recorded in the operation journal:
+ * "undo that", "undo the last 3 changes", or the changes picked in the side
+ * panel and staged through /api/agent/undo.
+ *
+ * - propose_undo: lists the changes and what undoing each does, one checkbox
+ *   per change, and asks for approval
+ * - apply_undo: runs the inverse operations of the checked changes and
+ *   reports which succeeded
+ */
+
+const { StateGraph, END } = require("@langchain/langgraph");
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+const { getPassKeyManager } = require("../../../core/auth/passkey");
+const { getApprovalBatcher } = require("../../../services/approval/approvalBatcher");
+const { getOperationJournal, MAX_UNDO } = require("../../../services/undo/operationJournal");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const UndoStateChannels = {
+  // Input
+  messages: {
+    value: (x, y) => y || x,
+    default: () => []
+  },
+  memory_context: {
+    value: (x, y) => y || x,
+    default: () => ({})
+  },
+  entities: {
+    value: (x, y) => ({ ...x, ...y }),
+    default: () => ({})
+  },
+
+  // Output
+  response: {
+    value: (x, y) => y || x,
+    default: () => ""
+  },
+
+  // Approval state
+  undoPlan: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => null
+  },
+  requiresApproval: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => false
+  },
+  approvalRequest: {
+    value: (x, y) => y !== undefined ? y : x,
+    default: () => null
+  },
+  approval_decision: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+  approval_selection: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+
+  // Context (required for authentication)
+  session_id: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+  org_id: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+  user_id: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+  thread_id: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+  timezone: {
+    value: (x, y) => y || x,
+    default: () => 'UTC'
+  }
+};
+
+class UndoAgent {
+  constructor() {
+    this.passKeyManager = getPassKeyManager();
+    this.approvalBatcher = getApprovalBatcher();
+    this.journal = getOperationJournal();
+
+    this.graph = this.buildGraph();
+  }
+
+  buildGraph() {
+    const workflow = new StateGraph({
+      channels: UndoStateChannels
+    });
+
+    workflow.addNode("route_request", this.routeRequest.bind(this));
+    workflow.addNode("propose_undo", this.proposeUndo.bind(this));
+    workflow.addNode("apply_undo", this.applyUndo.bind(this));
+
+    workflow.setEntryPoint("route_request");
+
+    // Resuming with an approval decision applies the undo; everything else proposes one
+    workflow.addConditionalEdges(
+      "route_request",
+      (state) => (state.approval_decision && state.undoPlan ? "apply_undo" : "propose_undo"),
+      {
+        apply_undo: "apply_undo",
+        propose_undo: "propose_undo"
+      }
+    );
+
+    workflow.addEdge("propose_undo", END);
+    workflow.addEdge("apply_undo", END);
+
+    // Compile WITHOUT checkpointer (stateless subgraph pattern)
+    return workflow.compile();
+  }
+
+  /**
+   * Entry node - routing happens on its conditional edge
+   */
+  async routeRequest(state) {
+    return state;
+  }
+
+  /**
+   * How many changes a request asks to undo
+   *
+   * "undo that" is the last change; "undo the last 3 changes" / "last three" the
+   * last three, capped at MAX_UNDO.
+   *
+   * @param {string} query - User message
+   * @returns {number}
+   */
+  parseCount(query = "") {
+    const match = query.toLowerCase().match(/\blast\s+(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b/);
+    if (!match) return 1;
+
+    const count = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+    return Math.min(Math.max(count, 1), MAX_UNDO);
+  }
+
+  /**
+   * Preview the changes to undo and ask for approval
+   */
+  async proposeUndo(state) {
+    const { org_id, user_id, timezone: tz = 'UTC' } = state;
+    const query = [...(state.messages || [])].reverse().find(m => m?.role === 'user')?.content || "";
+
+    try {
+      const staged = await this.journal.takeStagedUndo(org_id, user_id);
+      const count = staged ? staged.length : this.parseCount(query);
+      const recent = await this.journal.listChanges(org_id, user_id, { limit: staged ? undefined : count });
+      const changes = staged
+        ? recent.filter(change => staged.includes(change.id))
+        : recent;
+
+      if (changes.length === 0) {
+        return {
+          ...state,
+          response: staged
+            ? "Those changes were already undone or are no longer in your recent history."
+            : "There's nothing to undo - I haven't made any changes for you recently."
+        };
+      }
+
+      console.log(`[UNDO:PROPOSE] Proposing undo of ${changes.length} change(s)`);
+
+      const warnings = [];
+      if (!staged && changes.length < count) {
+        warnings.push(`Only ${changes.length} recent change${changes.length === 1 ? ' is' : 's are'} available to undo.`);
+      }
+
+      const preview = this.approvalBatcher.buildBulkPreview({
+        type: 'undo',
+        action: 'undo_changes',
+        title: `Undo ${changes.length} change${changes.length === 1 ? '' : 's'}`,
+        items: changes.map(change => ({
+          id: change.id,
+          label: `${dayjs(change.createdAt).tz(tz).format('MMM D, h:mm A')} - ${change.summary} → ${change.inverse.join('; ')}`
+        })),
+        details: [
+          { label: 'Order', value: 'Newest change first' }
+        ],
+        warnings
+      });
+
+      return {
+        ...state,
+        undoPlan: { changes },
+        requiresApproval: true,
+        approvalRequest: {
+          domain: 'undo',
+          type: 'approval_required',
+          actionId: `undo_${Date.now()}`,
+          action: 'undo_changes',
+          preview,
+          data: { changeIds: changes.map(change => change.id) },
+          message: `Please review what will be undone - uncheck any change you want to keep:`,
+          thread_id: state.thread_id || null
+        },
+        response: "Awaiting approval..."
+      };
+    } catch (error) {
+      console.error("[UNDO:PROPOSE] Failed to load recent changes:", error.message);
+      return {
+        ...state,
+        response: `I couldn't load your recent changes: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Undo the changes the user kept checked
+   */
+  async applyUndo(state) {
+    const { undoPlan: plan, approval_decision, approval_selection, session_id, org_id, user_id } = state;
+    const cleared = { undoPlan: null, requiresApproval: false, approvalRequest: null };
+
+    if (approval_decision !== 'approve') {
+      console.log("[UNDO:APPLY] Undo rejected");
+      return { ...state, ...cleared, response: "Okay, I left everything as it is." };
+    }
+
+    const selected = this.approvalBatcher.resolveBulkSelection(plan.changes, approval_selection);
+    if (selected.length === 0) {
+      return { ...state, ...cleared, response: "No changes were selected, so I didn't undo anything." };
+    }
+
+    try {
+      const passKey = await this.passKeyManager.getPassKey(session_id);
+      const reports = await this.journal.undoChanges(selected.map(change => change.id), { passKey, org_id, user_id });
+
+      return { ...state, ...cleared, response: this.formatReports(reports) };
+    } catch (error) {
+      console.error("[UNDO:APPLY] Failed to undo changes:", error.message);
+      return { ...state, ...cleared, response: `I couldn't undo those changes: ${error.message}` };
+    }
+  }
+
+  /**
+   * One section per change, one line per inverse operation
+   *
+   * @param {Array<Object>} reports - Reports from undoChanges
+   * @returns {string}
+   */
+  formatReports(reports) {
+    if (reports.length === 0) {
+      return "Those changes were already undone.";
+    }
+
+    const undone = reports.filter(report => report.undone).length;
+    const lines = [
+      undone === reports.length
+        ? `Undid ${undone} change${undone === 1 ? '' : 's'}.`
+        : `Undid ${undone} of ${reports.length} changes - the rest can be undone again once the errors below are fixed.`
+    ];
+
+    for (const report of reports) {
+      lines.push('', `**${report.summary}**`);
+      lines.push(...report.results.map(result => {
+        if (result.skipped) return `- ⏭️ ${result.description} (removed with the deletion)`;
+        if (result.success) return `- ✅ ${result.description}`;
+        return `- ❌ ${result.description}: ${result.error}`;
+      }));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Get compiled graph
+   */
+  getGraph() {
+    return this.graph;
+  }
+}
+
+/**
+ * Create subgraph for coordinator (expected pattern)
+ * Coordinator expects this function to exist
+ */
+async function createSubgraph() {
+  const agent = new UndoAgent();
+  return agent.getGraph();
+}
+
+module.exports = {
+  UndoAgent,
+  createSubgraph  // Required by coordinator
+};
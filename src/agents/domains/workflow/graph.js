@@ -3,12 +3,42 @@
  *
  * Simple flow: Generate → Validate → Preview → Approve → Create
  * The LLM intelligently adapts complexity based on the user's request
+ *
+ * Edit flow: Parse edit → Preview diff → Approve → Apply minimal step changes
+ * Template flow: List templates, save a workflow as a template, or instantiate
+ * a template into a design that goes through the normal create flow
+ * Transfer flow: Export a workflow as JSON/YAML, or import a document into a
+ * design that goes through the normal create flow
  */
 
 const { StateGraph, END } = require("@langchain/langgraph");
 const { ChatOpenAI } = require("@langchain/openai");
-const { createWorkflow, addWorkflowStep } = require("../../../integrations/bsa/tools/workflows");
+const {
+  createWorkflow,
+  addWorkflowStep,
+  addWorkflowSteps,
+  listWorkflows,
+  getWorkflowSteps,
+  updateWorkflow,
+  updateWorkflowStep,
+  deleteWorkflowStep
+} = require("../../../integrations/bsa/tools/workflows");
+const {
+  applyStepOperations,
+  validateSteps,
+  planStepChanges,
+  describeStepDiff
+} = require("../../../utils/workflowEdit");
+const {
+  validateWorkflowDesign,
+  parseWorkflowDocument,
+  validateWorkflowDocument,
+  documentToDesign
+} = require("../../../utils/workflowDocument");
+const { getWorkflowTemplateService, instantiateTemplate } = require("../../../services/workflows/templateLibrary");
+const { getWorkflowTransferService } = require("../../../services/workflows/workflowTransfer");
 const { getMem0Service } = require("../../../services/memory/mem0Service");
+const { getOperationJournal } = require("../../../services/undo/operationJournal");
 const { getErrorHandler } = require("../../../services/errors/errorHandler");
 const { getPerformanceMetrics } = require("../../coordinator/metrics");
 const { getEntityManager } = require("../../../services/entities/entityManager");
@@ -42,6 +72,14 @@ const WorkflowStateChannels = {
     value: (x, y) => y || x,
     default: () => null
   },
+  workflowEdit: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
+  editResult: {
+    value: (x, y) => y || x,
+    default: () => null
+  },
 
   // Output
   workflowId: {
@@ -111,6 +149,8 @@ class WorkflowSubgraph {
     this.errorHandler = getErrorHandler();
     this.metrics = getPerformanceMetrics();
     this.entityManager = getEntityManager();
+    this.templates = getWorkflowTemplateService();
+    this.transfer = getWorkflowTransferService();
     this.checkpointer = checkpointer;
 
     this.maxSteps = 22; // BSA constraint
@@ -149,6 +189,12 @@ class WorkflowSubgraph {
     });
 
     // Simplified node structure
+    workflow.addNode("route_request", this.routeRequest.bind(this));
+    workflow.addNode("parse_edit", this.parseEdit.bind(this));
+    workflow.addNode("handle_template", this.handleTemplate.bind(this));
+    workflow.addNode("import_workflow", this.importWorkflow.bind(this));
+    workflow.addNode("export_workflow", this.exportWorkflow.bind(this));
+    workflow.addNode("apply_edit", this.applyEdit.bind(this));
     workflow.addNode("generate_workflow", this.generateWorkflow.bind(this));
     workflow.addNode("validate_workflow", this.validateWorkflow.bind(this));
     workflow.addNode("generate_preview", this.generatePreview.bind(this));
@@ -156,8 +202,63 @@ class WorkflowSubgraph {
     workflow.addNode("create_workflow", this.createWorkflow.bind(this));
     workflow.addNode("format_response", this.formatResponse.bind(this));
 
-    // Simple linear flow
-    workflow.setEntryPoint("generate_workflow");
+    // Entry: edits of existing workflows branch off before generation
+    workflow.setEntryPoint("route_request");
+
+    workflow.addConditionalEdges(
+      "route_request",
+      (state) => {
+        // Resuming an approval - create exactly what was previewed instead of regenerating
+        if (state.approval_decision && (state.workflowEdit || state.workflowDesign)) return "wait_approval";
+        const transfer = this.getTransferRequest(state);
+        if (transfer) return transfer;
+        if (this.isTemplateRequest(state)) return "handle_template";
+        return this.isEditRequest(state) ? "parse_edit" : "generate_workflow";
+      },
+      {
+        "wait_approval": "wait_approval",
+        "handle_template": "handle_template",
+        "import_workflow": "import_workflow",
+        "export_workflow": "export_workflow",
+        "parse_edit": "parse_edit",
+        "generate_workflow": "generate_workflow"
+      }
+    );
+
+    workflow.addConditionalEdges(
+      "handle_template",
+      (state) => (state.workflowDesign && !state.error ? "validate_workflow" : "format_response"),
+      {
+        "validate_workflow": "validate_workflow",
+        "format_response": "format_response"
+      }
+    );
+
+    workflow.addConditionalEdges(
+      "import_workflow",
+      (state) => (state.workflowDesign && !state.error ? "validate_workflow" : "format_response"),
+      {
+        "validate_workflow": "validate_workflow",
+        "format_response": "format_response"
+      }
+    );
+
+    workflow.addEdge("export_workflow", "format_response");
+
+    workflow.addConditionalEdges(
+      "parse_edit",
+      (state) => {
+        if (state.workflowEdit) return "wait_approval";
+        if (state.response || state.error) return "format_response";
+        // Not actually an edit - treat it as a new workflow request
+        return "generate_workflow";
+      },
+      {
+        "wait_approval": "wait_approval",
+        "format_response": "format_response",
+        "generate_workflow": "generate_workflow"
+      }
+    );
 
     // Route after generate: if we answered a question, skip to format_response
     workflow.addConditionalEdges(
@@ -200,17 +301,19 @@ class WorkflowSubgraph {
           return "format_response";  // Return to coordinator for approval handling
         }
         // After approval decision is processed
-        if (state.approved) return "create_workflow";
+        if (state.approved) return state.workflowEdit ? "apply_edit" : "create_workflow";
         if (state.rejected) return "format_response";
         return "format_response";
       },
       {
         "create_workflow": "create_workflow",
+        "apply_edit": "apply_edit",
         "format_response": "format_response"
       }
     );
 
     workflow.addEdge("create_workflow", "format_response");
+    workflow.addEdge("apply_edit", "format_response");
     workflow.addEdge("format_response", END);
 
     // Always compile WITHOUT checkpointer - subgraphs are stateless
@@ -220,6 +323,503 @@ class WorkflowSubgraph {
     return workflow.compile(compileOptions);
   }
 
+  /**
+   * Entry node - routing happens on the outgoing edge
+   */
+  async routeRequest(state) {
+    return state;
+  }
+
+  /**
+   * Cheap check for requests that change an existing workflow
+   * ("insert a compliance review after step 3 of Client Onboarding")
+   */
+  isEditRequest(state) {
+    const content = state.messages?.[state.messages.length - 1]?.content || "";
+    if (/\b(create|build|make|design|generate)\b[^.]*\bworkflow\b/i.test(content)) return false;
+
+    const editVerb = /\b(insert|add|remove|delete|drop|move|reorder|swap|rename|change|update|edit)\b/i.test(content);
+    const target = /\b(steps?|workflow|process)\b/i.test(content);
+    return editVerb && target;
+  }
+
+  /**
+   * Find the workflow named in the request and turn the request into step operations
+   */
+  async parseEdit(state, config) {
+    console.log("[WORKFLOW:EDIT] Parsing edit request");
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = state.org_id || config.configurable.org_id;
+      const request = state.messages[state.messages.length - 1].content;
+
+      const workflow = await this.findExistingWorkflow(request, state.entities, passKey, orgId);
+      if (!workflow) {
+        return { ...state, response: "Which workflow should I change? Please include its name." };
+      }
+
+      const { steps: oldSteps } = await getWorkflowSteps(workflow.id, passKey, orgId);
+      const stepList = oldSteps.map((step, index) =>
+        `${index + 1}. ${step.subject} [${step.activityType || 'Task'}, ` +
+        `${step.assigneeType === 'ContactsOwnersAssistant' ? 'Assistant' : 'Advisor'}, dayOffset ${step.dayOffset ?? 1}]`
+      ).join('\n');
+
+      const prompt = `
+        You are editing an existing workflow at a financial advisory firm.
+
+        Workflow: "${workflow.name}"
+        Current steps:
+        ${stepList || '(no steps)'}
+
+        User request: "${request}"
+
+        Translate the request into edit operations. Step numbers ALWAYS refer to the current numbering above,
+        even when several operations are listed.
+
+        Operations:
+        - {"op": "add", "after": 3, "step": {"name": "...", "description": "...", "type": "task|appointment", "assignee": "Advisor|Assistant", "dayOffset": 1}}
+          ("after": 0 inserts at the start; omit "after" to append at the end)
+        - {"op": "remove", "step": 2}
+        - {"op": "move", "step": 5, "to": 2}   ("to" is the step's final position)
+        - {"op": "rename", "step": 4, "name": "New name"}
+        - {"op": "update", "step": 4, "changes": {"type": "appointment", "assignee": "Assistant", "dayOffset": 2, "description": "..."}}
+
+        Return JSON format:
+        {
+          "isEdit": true,
+          "operations": [ ... ],
+          "newWorkflowName": "only if the user asked to rename the workflow itself, otherwise null",
+          "summary": "One-line summary of the change"
+        }
+
+        If the request is not about changing this workflow, return {"isEdit": false}.
+      `;
+
+      const response = await this.llm.invoke(prompt);
+      const parsed = JSON.parse(this.cleanJsonResponse(response.content));
+
+      if (!parsed.isEdit) {
+        console.log("[WORKFLOW:EDIT] Not an edit request - generating a new workflow");
+        return state;
+      }
+
+      let newSteps;
+      try {
+        newSteps = applyStepOperations(oldSteps, parsed.operations || []);
+      } catch (error) {
+        return { ...state, response: `I couldn't apply that change to "${workflow.name}": ${error.message}` };
+      }
+
+      const validationErrors = validateSteps(newSteps);
+      if (validationErrors.length > 0) {
+        return { ...state, response: `That change would make "${workflow.name}" invalid: ${validationErrors.join('; ')}` };
+      }
+
+      const plan = planStepChanges(oldSteps, newSteps);
+      const newName = parsed.newWorkflowName && parsed.newWorkflowName !== workflow.name
+        ? parsed.newWorkflowName
+        : null;
+
+      if (!newName && plan.removals.length + plan.updates.length + plan.additions.length === 0) {
+        return { ...state, response: `That wouldn't change anything in "${workflow.name}".` };
+      }
+
+      console.log(`[WORKFLOW:EDIT] ${plan.additions.length} added, ${plan.removals.length} removed, ${plan.updates.length} updated`);
+
+      const workflowEdit = {
+        workflowId: workflow.id,
+        workflowName: workflow.name,
+        newName,
+        oldSteps,
+        newSteps,
+        plan,
+        summary: parsed.summary || "Edit workflow steps"
+      };
+
+      return {
+        ...state,
+        workflowEdit,
+        preview: this.buildEditPreview(workflowEdit)
+      };
+
+    } catch (error) {
+      console.error("[WORKFLOW:EDIT] Error parsing edit:", error);
+      return { ...state, error: `Failed to prepare workflow edit: ${error.message}` };
+    }
+  }
+
+  /**
+   * Match the workflow named in the request, falling back to the last workflow
+   * discussed when the request says "this workflow"
+   */
+  async findExistingWorkflow(request, entities, passKey, orgId) {
+    const { workflows } = await listWorkflows(passKey, orgId);
+    const text = request.toLowerCase();
+
+    // Longest name mentioned in the request wins ("Client Onboarding v2" over "Client Onboarding")
+    const named = workflows
+      .filter(workflow => workflow.name && text.includes(workflow.name.toLowerCase()))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    if (named) return named;
+
+    const latest = this.entityManager.getLatest(entities || {}, 'workflow');
+    if (latest?.id && /\b(this|that|the)\s+(workflow|process)\b/i.test(request)) {
+      return workflows.find(workflow => workflow.id === latest.id) || { id: latest.id, name: latest.name };
+    }
+
+    return null;
+  }
+
+  /**
+   * Requests that mention templates ("use the annual review template",
+   * "save this as a template", "what templates do we have")
+   */
+  isTemplateRequest(state) {
+    const content = state.messages?.[state.messages.length - 1]?.content || "";
+    return /\btemplates?\b/i.test(content);
+  }
+
+  /**
+   * List, instantiate or save workflow templates
+   */
+  async handleTemplate(state, config) {
+    console.log("[WORKFLOW:TEMPLATE] Handling template request");
+
+    try {
+      const orgId = state.org_id || config.configurable.org_id;
+      const userId = state.user_id || config.configurable.userId;
+      const request = state.messages[state.messages.length - 1].content;
+      const templates = await this.templates.listTemplates(orgId, userId);
+
+      const catalog = templates.map(template => {
+        const parameters = (template.parameters || [])
+          .map(parameter => `${parameter.name} (${parameter.description}, default ${JSON.stringify(parameter.default)})`)
+          .join('; ');
+        return `- ${template.id}: "${template.name}" - ${template.description}${parameters ? ` | parameters: ${parameters}` : ''}`;
+      }).join('\n');
+
+      const prompt = `
+        You manage workflow templates at a financial advisory firm.
+
+        Available templates:
+        ${catalog}
+
+        User request: "${request}"
+
+        Decide what the user wants:
+        - "list": see the available templates
+        - "use": create a workflow from one template (pick its id, and fill any parameters the user mentioned)
+        - "save": save an existing workflow as a new template
+
+        Return JSON format:
+        {
+          "action": "list|use|save",
+          "templateId": "id of the template to use, or null",
+          "parameters": { "parameterName": "value the user gave" },
+          "workflowName": "custom name for the new workflow if the user gave one, otherwise null",
+          "templateName": "name for the saved template if the user gave one, otherwise null"
+        }
+      `;
+
+      const response = await this.llm.invoke(prompt);
+      const parsed = JSON.parse(this.cleanJsonResponse(response.content));
+      console.log(`[WORKFLOW:TEMPLATE] Action: ${parsed.action}${parsed.templateId ? ` (${parsed.templateId})` : ''}`);
+
+      if (parsed.action === 'use') {
+        const template = await this.templates.getTemplate(orgId, userId, parsed.templateId);
+        if (!template) {
+          return {
+            ...state,
+            response: `I couldn't find that template. ${this.formatTemplateList(templates)}`
+          };
+        }
+
+        return {
+          ...state,
+          workflowDesign: instantiateTemplate(template, parsed.parameters || {}, { name: parsed.workflowName })
+        };
+      }
+
+      if (parsed.action === 'save') {
+        return await this.saveAsTemplate(state, config, parsed.templateName);
+      }
+
+      return {
+        ...state,
+        response: this.formatTemplateList(templates)
+      };
+
+    } catch (error) {
+      console.error("[WORKFLOW:TEMPLATE] Error handling template request:", error);
+      return { ...state, error: `Failed to handle workflow template: ${error.message}` };
+    }
+  }
+
+  /**
+   * Save an existing BSA workflow (named, or the last one discussed) as an org template
+   */
+  async saveAsTemplate(state, config, templateName) {
+    const passKey = await config.configurable.getPassKey();
+    const orgId = state.org_id || config.configurable.org_id;
+    const userId = state.user_id || config.configurable.userId;
+    const request = state.messages[state.messages.length - 1].content;
+
+    const workflow = await this.findExistingWorkflow(request, state.entities, passKey, orgId) ||
+      this.entityManager.getLatest(state.entities || {}, 'workflow');
+    if (!workflow?.id) {
+      return { ...state, response: "Which workflow should I save as a template? Please include its name." };
+    }
+
+    const { steps } = await getWorkflowSteps(workflow.id, passKey, orgId);
+    const saved = await this.templates.saveTemplate(orgId, userId, {
+      name: templateName || workflow.name,
+      description: workflow.description,
+      sourceWorkflowId: workflow.id,
+      steps: steps.map(step => ({
+        name: step.subject,
+        description: step.description,
+        type: step.activityType === 'Appointment' ? 'appointment' : 'task',
+        assignee: step.assigneeType === 'ContactsOwnersAssistant' ? 'Assistant' : 'Advisor',
+        dayOffset: step.dayOffset
+      }))
+    });
+
+    return {
+      ...state,
+      response: `Saved "${workflow.name}" as the template "${saved.name}" with ${saved.steps.length} steps. ` +
+        `Your team can now say "use the ${saved.name} template" to create it.`
+    };
+  }
+
+  /**
+   * Markdown list of templates grouped by source
+   */
+  formatTemplateList(templates) {
+    const describe = (template) => {
+      const parameters = (template.parameters || []).map(parameter => parameter.name);
+      return `- **${template.name}** (${template.steps.length} steps) - ${template.description}` +
+        (parameters.length > 0 ? ` _Options: ${parameters.join(', ')}_` : '');
+    };
+
+    const builtIn = templates.filter(template => template.source === 'built-in');
+    const saved = templates.filter(template => template.source === 'org');
+
+    let response = `**Workflow templates**\n\n${builtIn.map(describe).join('\n')}`;
+    if (saved.length > 0) {
+      response += `\n\n**Saved by your team**\n\n${saved.map(describe).join('\n')}`;
+    }
+    response += `\n\nSay "use the ${builtIn[0]?.name || 'Annual Client Review'} template" to start from one, ` +
+      `or "save this workflow as a template" to add your own.`;
+
+    return response;
+  }
+
+  /**
+   * Detect import/export requests ("export the onboarding workflow as YAML",
+   * "import the uploaded workflow")
+   * @returns {string|null} - Node to route to
+   */
+  getTransferRequest(state) {
+    const content = state.messages?.[state.messages.length - 1]?.content || "";
+    if (/\bimport\b/i.test(content)) return "import_workflow";
+    if (/\bexport\b/i.test(content)) return "export_workflow";
+    return null;
+  }
+
+  /**
+   * Import a workflow document pasted into the message or staged by the
+   * /api/agent/workflows/import upload
+   */
+  async importWorkflow(state, config) {
+    console.log("[WORKFLOW:IMPORT] Importing workflow document");
+
+    try {
+      const orgId = state.org_id || config.configurable.org_id;
+      const userId = state.user_id || config.configurable.userId;
+      const request = state.messages[state.messages.length - 1].content;
+
+      // A short document can be pasted straight after "import this workflow:"
+      const inline = request.match(/(\{[\s\S]*\}|(?:^|\n)\s*(?:version|kind|workflow):[\s\S]*)$/);
+      const document = inline
+        ? parseWorkflowDocument(inline[1])
+        : await this.transfer.takeStagedImport(orgId, userId);
+
+      if (!document) {
+        return {
+          ...state,
+          response: "I don't have a workflow document to import. Upload one with \"Import workflow\" in the menu, or paste the JSON/YAML after your message."
+        };
+      }
+
+      const errors = validateWorkflowDocument(document);
+      if (errors.length > 0) {
+        return {
+          ...state,
+          response: `That workflow document isn't valid:\n${errors.map(error => `- ${error}`).join('\n')}`
+        };
+      }
+
+      const design = documentToDesign(document);
+      console.log(`[WORKFLOW:IMPORT] Imported "${design.name}" with ${design.steps.length} steps`);
+
+      return {
+        ...state,
+        workflowDesign: design
+      };
+
+    } catch (error) {
+      console.error("[WORKFLOW:IMPORT] Error importing workflow:", error);
+      return { ...state, response: `I couldn't import that workflow: ${error.message}` };
+    }
+  }
+
+  /**
+   * Export an existing workflow as a JSON or YAML document in the response
+   */
+  async exportWorkflow(state, config) {
+    console.log("[WORKFLOW:EXPORT] Exporting workflow");
+
+    try {
+      const passKey = await config.configurable.getPassKey();
+      const orgId = state.org_id || config.configurable.org_id;
+      const request = state.messages[state.messages.length - 1].content;
+      const format = /\bya?ml\b/i.test(request) ? 'yaml' : 'json';
+
+      const workflow = await this.findExistingWorkflow(request, state.entities, passKey, orgId) ||
+        this.entityManager.getLatest(state.entities || {}, 'workflow');
+      if (!workflow?.id) {
+        return { ...state, response: "Which workflow should I export? Please include its name." };
+      }
+
+      const { document, content } = await this.transfer.exportWorkflow(workflow.id, passKey, orgId, format);
+
+      return {
+        ...state,
+        response: `Here's "${document.workflow.name}" (${document.workflow.steps.length} steps) as ${format.toUpperCase()}:\n\n` +
+          `\`\`\`${format}\n${content.trimEnd()}\n\`\`\``
+      };
+
+    } catch (error) {
+      console.error("[WORKFLOW:EXPORT] Error exporting workflow:", error);
+      return { ...state, error: `Failed to export workflow: ${error.message}` };
+    }
+  }
+
+  /**
+   * Build the before/after approval preview for an edit
+   */
+  buildEditPreview(edit) {
+    const diff = describeStepDiff(edit.oldSteps, edit.newSteps);
+    const name = edit.newName || edit.workflowName;
+
+    return {
+      type: "workflow",
+      action: "edit",
+      title: edit.newName ? `${edit.workflowName} → ${edit.newName}` : edit.workflowName,
+      subject: name,
+      details: {
+        description: edit.summary,
+        stepCount: edit.newSteps.length
+      },
+      diff,
+      spec: {
+        name,
+        description: edit.summary
+      },
+      warnings: []
+    };
+  }
+
+  /**
+   * Apply an approved edit with the minimal set of BSA calls:
+   * delete removed steps, update changed/renumbered steps, add new steps
+   */
+  async applyEdit(state, config) {
+    console.log("[WORKFLOW:EDIT] Applying workflow edit");
+    this.metrics.startTimer("workflow_edit");
+
+    const passKey = await config.configurable.getPassKey();
+    const orgId = state.org_id || config.configurable.org_id;
+    const { workflowId, plan, newName } = state.workflowEdit;
+    const retryOptions = (operation) => ({ operation, maxRetries: 2, circuitBreakerKey: "bsa_workflow" });
+
+    const result = { removed: 0, updated: 0, added: 0, renamed: false, failures: [] };
+
+    for (const step of plan.removals) {
+      try {
+        await this.errorHandler.executeWithRetry(
+          async () => await deleteWorkflowStep(step.id, passKey, orgId),
+          retryOptions("delete_workflow_step")
+        );
+        result.removed += 1;
+      } catch (error) {
+        console.error(`[WORKFLOW:EDIT] Failed to remove "${step.subject}":`, error.message);
+        result.failures.push({ action: "remove", step: step.subject, error: error.message });
+      }
+    }
+
+    for (const update of plan.updates) {
+      try {
+        await this.errorHandler.executeWithRetry(
+          async () => await updateWorkflowStep(update.id, update.changes, passKey, orgId),
+          retryOptions("update_workflow_step")
+        );
+        result.updated += 1;
+      } catch (error) {
+        console.error(`[WORKFLOW:EDIT] Failed to update "${update.step.subject}":`, error.message);
+        result.failures.push({ action: "update", step: update.step.subject, error: error.message });
+      }
+    }
+
+    for (const addition of plan.additions) {
+      const { step, sequence } = addition;
+      try {
+        await this.errorHandler.executeWithRetry(
+          async () => await addWorkflowStep(workflowId, {
+            sequence,
+            subject: step.subject,
+            description: step.description,
+            activityType: step.activityType,
+            dayOffset: step.dayOffset,
+            assigneeType: step.assigneeType,
+            rollOver: true,
+            allDay: step.activityType === 'Task'
+          }, passKey, orgId),
+          retryOptions("add_workflow_step")
+        );
+        result.added += 1;
+      } catch (error) {
+        console.error(`[WORKFLOW:EDIT] Failed to add "${step.subject}":`, error.message);
+        result.failures.push({ action: "add", step: step.subject, error: error.message });
+      }
+    }
+
+    if (newName) {
+      try {
+        await this.errorHandler.executeWithRetry(
+          async () => await updateWorkflow(workflowId, { Name: newName }, passKey, orgId),
+          retryOptions("update_workflow")
+        );
+        result.renamed = true;
+      } catch (error) {
+        console.error("[WORKFLOW:EDIT] Failed to rename workflow:", error.message);
+        result.failures.push({ action: "rename", step: newName, error: error.message });
+      }
+    }
+
+    this.metrics.endTimer("workflow_edit", result.failures.length === 0, {
+      removed: result.removed,
+      updated: result.updated,
+      added: result.added
+    });
+
+    return {
+      ...state,
+      editResult: result
+    };
+  }
+
   /**
    * Generate workflow based on user request - single smart LLM call
    */
@@ -323,25 +923,7 @@ class WorkflowSubgraph {
       };
     }
 
-    const errors = [];
-    const design = state.workflowDesign;
-
-    // Check step count
-    if (!design.steps || design.steps.length === 0) {
-      errors.push("Workflow must have at least one step");
-    } else if (design.steps.length > this.maxSteps) {
-      errors.push(`Workflow exceeds maximum of ${this.maxSteps} steps`);
-    }
-
-    // Validate each step
-    design.steps?.forEach((step, index) => {
-      if (!step.name) {
-        errors.push(`Step ${index + 1} is missing a name`);
-      }
-      if (!step.type || !['task', 'appointment'].includes(step.type.toLowerCase())) {
-        errors.push(`Step ${index + 1} has invalid type: ${step.type}. Must be 'task' or 'appointment'`);
-      }
-    });
+    const errors = validateWorkflowDesign(state.workflowDesign, this.maxSteps);
 
     if (errors.length > 0) {
       console.log("[WORKFLOW:VALIDATE] Validation errors:", errors);
@@ -388,7 +970,8 @@ class WorkflowSubgraph {
           assignee: step.assignee
         })),
         validationErrors: state.validationErrors,
-        reasoning: design.reasoning
+        reasoning: design.reasoning,
+        template: design.template?.name || null
       },
       // Add spec for UI rendering
       spec: {
@@ -447,10 +1030,14 @@ class WorkflowSubgraph {
         domain: 'workflow',
         type: 'approval_required',
         actionId: `workflow_${Date.now()}`,
-        action: 'create',
+        action: state.workflowEdit ? 'edit' : 'create',
         preview: state.preview,
-        data: state.workflowDesign,
-        message: `Please review the workflow:`,
+        data: state.workflowEdit
+          ? { workflowId: state.workflowEdit.workflowId, changes: state.workflowEdit.plan, newName: state.workflowEdit.newName }
+          : state.workflowDesign,
+        message: state.workflowEdit
+          ? `Please review the changes to "${state.workflowEdit.workflowName}":`
+          : `Please review the workflow:`,
         thread_id: state.thread_id || null
       },
       approved: false
@@ -486,38 +1073,27 @@ class WorkflowSubgraph {
       const workflowId = workflowResult.id || workflowResult.Id;
       console.log(`[WORKFLOW:CREATE] Created workflow ${workflowId}`);
 
-      // Add steps sequentially
+      await getOperationJournal().record({
+        org_id: state.org_id || config.configurable.org_id,
+        user_id: state.user_id || config.configurable.userId
+      }, {
+        domain: 'workflow',
+        summary: `Created workflow "${design.name}"`,
+        operations: [{ type: 'create_workflow', recordId: workflowId, label: design.name }]
+      });
+
+      // Add steps sequentially, retrying each and continuing past failures
       if (design.steps?.length > 0) {
         const orgId = state.org_id || config.configurable.org_id;
-        let addedCount = 0;
-        for (let i = 0; i < design.steps.length; i++) {
-          const step = design.steps[i];
-          const stepData = {
-            sequence: i + 1,
-            subject: step.name || `Step ${i + 1}`,
-            description: step.description || "",
-            activityType: (step.type && step.type.toLowerCase().includes('appointment')) ? 'Appointment' : 'Task',
-            dayOffset: typeof step.dayOffset === 'number' ? step.dayOffset : 0,
-            assigneeType: (step.assignee && /assistant/i.test(step.assignee)) ? 'ContactsOwnersAssistant' : 'ContactsOwner',
-            rollOver: true,
-            allDay: ((step.type || '').toLowerCase() === 'task')
-          };
-
-          try {
-            await this.errorHandler.executeWithRetry(
-              async () => await addWorkflowStep(workflowId, stepData, passKey, orgId),
-              {
-                operation: 'add_workflow_step',
-                maxRetries: 2,
-                circuitBreakerKey: 'bsa_workflow'
-              }
-            );
-            addedCount += 1;
-          } catch (e) {
-            console.error(`[WORKFLOW:CREATE] Failed to add step ${i + 1}:`, e.message);
-          }
-        }
-        console.log(`[WORKFLOW:CREATE] Added ${addedCount}/${design.steps.length} steps`);
+        const { stepsAdded } = await addWorkflowSteps(workflowId, design.steps, passKey, orgId, {
+          continueOnError: true,
+          runStep: (addStep) => this.errorHandler.executeWithRetry(addStep, {
+            operation: 'add_workflow_step',
+            maxRetries: 2,
+            circuitBreakerKey: 'bsa_workflow'
+          })
+        });
+        console.log(`[WORKFLOW:CREATE] Added ${stepsAdded}/${design.steps.length} steps`);
       }
 
       this.metrics.endTimer("workflow_creation", true, {
@@ -600,6 +1176,10 @@ class WorkflowSubgraph {
       };
     }
 
+    if (state.workflowEdit) {
+      return this.formatEditResponse(state);
+    }
+
     // If we already have a response without a workflow design, preserve it
     if (state.response && !state.workflowDesign) {
       console.log("[WORKFLOW:RESPONSE] Preserving existing response");
@@ -649,7 +1229,7 @@ class WorkflowSubgraph {
       return {
         ...state,
         entities: updatedEntities,
-        response: `Successfully created workflow "${design.name}" with ${design.steps?.length || 0} steps. Workflow ID: ${state.workflowId}`
+        response: `Successfully created workflow "${design.name}"${design.template ? ` from the "${design.template.name}" template` : ''}${design.source === 'import' ? ' from the imported document' : ''} with ${design.steps?.length || 0} steps. Workflow ID: ${state.workflowId}`
       };
     }
 
@@ -666,6 +1246,58 @@ class WorkflowSubgraph {
     };
   }
 
+  /**
+   * Format the response for the edit flow
+   */
+  formatEditResponse(state) {
+    const edit = state.workflowEdit;
+
+    if (state.requiresApproval && state.approvalRequest) {
+      return {
+        ...state,
+        response: "Awaiting approval...",
+        requiresApproval: true,
+        approvalRequest: state.approvalRequest
+      };
+    }
+
+    if (state.rejected || !state.editResult) {
+      return {
+        ...state,
+        response: "Workflow edit cancelled by user"
+      };
+    }
+
+    const result = state.editResult;
+    const name = result.renamed ? edit.newName : edit.workflowName;
+    const changes = [];
+    if (result.added) changes.push(`added ${result.added} step${result.added === 1 ? '' : 's'}`);
+    if (result.removed) changes.push(`removed ${result.removed}`);
+    if (result.updated) changes.push(`updated ${result.updated}`);
+    if (result.renamed) changes.push(`renamed from "${edit.workflowName}"`);
+
+    let response = result.failures.length === 0
+      ? `Updated workflow "${name}": ${changes.join(', ')}. It now has ${edit.newSteps.length} steps.`
+      : `Partially updated workflow "${name}"${changes.length > 0 ? ` (${changes.join(', ')})` : ''}. Some changes failed:`;
+    result.failures.forEach(failure => {
+      response += `\n- Could not ${failure.action} "${failure.step}": ${failure.error}`;
+    });
+
+    const updatedEntities = this.entityManager.store(state.entities || {}, 'workflow', {
+      id: edit.workflowId,
+      name,
+      stepCount: edit.newSteps.length,
+      steps: edit.newSteps.map(step => ({ name: step.subject, type: step.activityType })),
+      createdAt: new Date().toISOString()
+    });
+
+    return {
+      ...state,
+      entities: updatedEntities,
+      response
+    };
+  }
+
   /**
    * Main entry point for workflow creation
    */
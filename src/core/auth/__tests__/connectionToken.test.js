@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.WS_TOKEN_SECRET = 'test-secret';
+const { issueConnectionToken, verifyConnectionToken, TOKEN_TTL_SECONDS } = require('../connectionToken');
+
+test('a token verifies once with its session and org', () => {
+  const { token, expiresAt } = issueConnectionToken({ sessionId: 'session-1', orgId: 42 });
+
+  assert.ok(new Date(expiresAt).getTime() > Date.now());
+  assert.deepStrictEqual(verifyConnectionToken(token), { valid: true, sessionId: 'session-1', orgId: '42' });
+  assert.deepStrictEqual(verifyConnectionToken(token), { valid: false, error: 'Token already used' });
+});
+
+test('session and org are required to issue a token', () => {
+  assert.throws(() => issueConnectionToken({ sessionId: 'session-1' }), /sessionId and orgId are required/);
+});
+
+test('rejects missing, malformed and tampered tokens', () => {
+  assert.deepStrictEqual(verifyConnectionToken(null), { valid: false, error: 'Token required' });
+  assert.deepStrictEqual(verifyConnectionToken('no-signature'), { valid: false, error: 'Malformed token' });
+
+  const { token } = issueConnectionToken({ sessionId: 'session-1', orgId: 'org-1' });
+  const [claims, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({
+    ...JSON.parse(Buffer.from(claims, 'base64url').toString('utf8')),
+    org: 'org-2'
+  })).toString('base64url');
+
+  assert.deepStrictEqual(verifyConnectionToken(`${forged}.${signature}`), { valid: false, error: 'Invalid signature' });
+  // The untouched token is still usable
+  assert.strictEqual(verifyConnectionToken(token).valid, true);
+});
+
+test('rejects expired tokens', (t) => {
+  const { token } = issueConnectionToken({ sessionId: 'session-1', orgId: 'org-1' });
+
+  const realNow = Date.now;
+  const later = realNow() + (TOKEN_TTL_SECONDS + 1) * 1000;
+  Date.now = () => later;
+  t.after(() => { Date.now = realNow; });
+
+  assert.deepStrictEqual(verifyConnectionToken(token), { valid: false, error: 'Token expired' });
+});
@@ -0,0 +1,133 @@
+/**
+ * WebSocket Connection Tokens
+ * Short-lived, signed tokens that authorize one interrupt WebSocket connection
+ * for a session and org.
+ *
+ * Issued by POST /api/agent/ws-token once the session is checked against
+ * bsa_tokens, verified by InterruptWebSocketServer during the upgrade. A token
+ * is accepted once, so a leaked URL can't be replayed; clients fetch a new one
+ * for every (re)connect.
+ *
+ * Used token IDs are remembered in this process only. That covers the
+ * WebSocket server, which only runs as a single non-production process
+ * (production uses the polling fallback); behind several WebSocket instances
+ * a token could be replayed once per instance within its TTL.
+ *
+ * Format: base64url(JSON claims) + "." + base64url(HMAC-SHA256(claims))
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.WS_TOKEN_TTL_SECONDS || '60', 10);
+
+let secret = null;
+
+// Token IDs already used, until they expire (tokenId -> expiry in ms)
+const usedTokenIds = new Map();
+
+/**
+ * Signing secret, from WS_TOKEN_SECRET or generated once per process
+ * @private
+ */
+function getSecret() {
+  if (!secret) {
+    secret = process.env.WS_TOKEN_SECRET;
+    if (!secret) {
+      // Tokens live for seconds, so a per-process secret only costs a reconnect after restarts
+      secret = crypto.randomBytes(32).toString('hex');
+      console.warn('[AUTH:WS_TOKEN] WS_TOKEN_SECRET not set - using a per-process secret (not valid across instances)');
+    }
+  }
+  return secret;
+}
+
+/**
+ * HMAC signature of an encoded payload
+ * @private
+ */
+function sign(encodedClaims) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedClaims).digest('base64url');
+}
+
+/**
+ * Forget used token IDs that have expired anyway
+ * @private
+ */
+function pruneUsedTokenIds(now) {
+  for (const [tokenId, expiresAt] of usedTokenIds) {
+    if (expiresAt <= now) usedTokenIds.delete(tokenId);
+  }
+}
+
+/**
+ * Issue a connection token
+ * @param {Object} params - { sessionId, orgId }
+ * @returns {Object} { token, expiresAt } with expiresAt as ISO string
+ */
+function issueConnectionToken({ sessionId, orgId }) {
+  if (!sessionId || !orgId) {
+    throw new Error('sessionId and orgId are required');
+  }
+
+  const expiresAt = Date.now() + TOKEN_TTL_SECONDS * 1000;
+  const claims = {
+    sid: sessionId,
+    org: String(orgId),
+    exp: expiresAt,
+    jti: crypto.randomUUID()
+  };
+
+  const encodedClaims = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return {
+    token: `${encodedClaims}.${sign(encodedClaims)}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Verify a connection token and mark it as used
+ * @param {string} token - Token from issueConnectionToken
+ * @returns {Object} { valid: true, sessionId, orgId } or { valid: false, error }
+ */
+function verifyConnectionToken(token) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'Token required' };
+  }
+
+  const [encodedClaims, signature] = token.split('.');
+  if (!encodedClaims || !signature) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  const expected = Buffer.from(sign(encodedClaims));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  const now = Date.now();
+  if (!claims.exp || claims.exp <= now) {
+    return { valid: false, error: 'Token expired' };
+  }
+
+  pruneUsedTokenIds(now);
+  if (usedTokenIds.has(claims.jti)) {
+    return { valid: false, error: 'Token already used' };
+  }
+  usedTokenIds.set(claims.jti, claims.exp);
+
+  return { valid: true, sessionId: claims.sid, orgId: claims.org };
+}
+
+module.exports = {
+  issueConnectionToken,
+  verifyConnectionToken,
+  TOKEN_TTL_SECONDS
+};
@@ -0,0 +1,79 @@
+/**
+ * Organization Membership
+ * Which BSA organizations a session's PassKey can access.
+ *
+ * Org-scoped endpoints take org_id from the caller, so they check it against
+ * the same listMyOrganizations call behind /api/orgs before serving org data
+ * or signing tokens for it. Lists are cached briefly per PassKey; a failed
+ * lookup throws rather than granting access.
+ */
+
+const axios = require('axios');
+const bsaConfig = require('../../integrations/bsa/config');
+const { normalizeBSAResponse } = require('../../integrations/bsa/tools/common');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// PassKey -> { orgIds: Set<string>, expiresAt }
+const membershipCache = new Map();
+
+/**
+ * IDs of the organizations a PassKey can access
+ * @param {string} passKey - BSA PassKey of the session
+ * @returns {Promise<Set<string>>}
+ * @throws {Error} - If BSA can't be reached or rejects the request
+ */
+async function getOrgIds(passKey) {
+  const cached = membershipCache.get(passKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.orgIds;
+  }
+
+  const url = bsaConfig.buildApiEndpoint('com.platform.vc.endpoints.data.VCDataEndpoint/listMyOrganizations.json');
+  const response = await axios.post(url, { PassKey: passKey }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000
+  });
+
+  const normalized = normalizeBSAResponse(response.data);
+  if (!normalized.valid) {
+    throw new Error(normalized.error || 'Failed to list organizations');
+  }
+
+  const organizations = Array.isArray(normalized.Organizations) ? normalized.Organizations : [];
+  const orgIds = new Set(
+    organizations
+      .map(org => org.OrganizationId || org.Id || org.id)
+      .filter(Boolean)
+      .map(String)
+  );
+
+  // Drop expired entries now and then so old PassKeys don't pile up
+  if (membershipCache.size > 1000) {
+    const now = Date.now();
+    for (const [key, entry] of membershipCache.entries()) {
+      if (entry.expiresAt <= now) membershipCache.delete(key);
+    }
+  }
+  membershipCache.set(passKey, { orgIds, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return orgIds;
+}
+
+/**
+ * Whether a PassKey can access an organization
+ * @param {string} passKey - BSA PassKey of the session
+ * @param {string} orgId - Organization ID supplied by the caller
+ * @returns {Promise<boolean>}
+ * @throws {Error} - If the organization list can't be loaded
+ */
+async function isOrgMember(passKey, orgId) {
+  if (!orgId) return false;
+  const orgIds = await getOrgIds(passKey);
+  return orgIds.has(String(orgId));
+}
+
+module.exports = {
+  getOrgIds,
+  isOrgMember
+};
@@ -24,6 +24,8 @@ class PassKeyManager {
     this.cache = new Map(); // In-memory cache for PassKeys
     this.cacheTimeout = 60 * 1000; // 1 minute cache
     this.refreshBuffer = 5 * 60 * 1000; // 5 minutes before expiry
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
   }
 
   /**
@@ -37,8 +39,10 @@ class PassKeyManager {
       const cached = this.cache.get(sessionId);
       if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
         console.log(`[PASSKEY:CACHE_HIT] Using cached PassKey for session ${sessionId}`);
+        this.cacheHits++;
         return cached.passKey;
       }
+      this.cacheMisses++;
 
       // Fetch from database
       const { data: rows, error } = await supabase
@@ -318,6 +322,8 @@ class PassKeyManager {
   getCacheStats() {
     return {
       size: this.cache.size,
+      hits: this.cacheHits,
+      misses: this.cacheMisses,
       entries: Array.from(this.cache.keys())
     };
   }
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryConcurrencyBackend } = require('../memoryBackend');
+const { PostgresConcurrencyBackend } = require('../postgresBackend');
+const { setConcurrencyBackend, checkRateLimits, executeWithThreadLock } = require('..');
+
+/**
+ * Just enough of a pg pool for the Postgres backend: advisory locks and
+ * rate limit counters kept in memory, with transactions applied on COMMIT.
+ */
+function createFakePool({ max = 2 } = {}) {
+  const advisoryLocks = new Map(); // key -> client
+  const counters = new Map(); // key|window -> count
+  const pool = {
+    options: { max },
+    totalCount: 0,
+    released: [],
+
+    async connect() {
+      if (pool.totalCount >= max) {
+        throw new Error('timeout exceeded when trying to connect');
+      }
+      pool.totalCount++;
+      let pending = null;
+
+      const client = {
+        async query(sql, params = []) {
+          if (sql.startsWith('SELECT pg_try_advisory_lock')) {
+            const holder = advisoryLocks.get(params[0]);
+            if (holder && holder !== client) return { rows: [{ locked: false }] };
+            advisoryLocks.set(params[0], client);
+            return { rows: [{ locked: true }] };
+          }
+          if (sql.startsWith('SELECT pg_advisory_unlock')) {
+            advisoryLocks.delete(params[0]);
+            return { rows: [{ unlocked: true }] };
+          }
+          if (sql === 'BEGIN') {
+            pending = new Map();
+            return { rows: [] };
+          }
+          if (sql === 'COMMIT') {
+            for (const [key, count] of pending) counters.set(key, count);
+            pending = null;
+            return { rows: [] };
+          }
+          if (sql === 'ROLLBACK') {
+            pending = null;
+            return { rows: [] };
+          }
+          if (sql.includes('INSERT INTO assistant_rate_limits')) {
+            const key = `${params[0]}|${params[1]}`;
+            const count = ((pending && pending.get(key)) ?? counters.get(key) ?? 0) + 1;
+            (pending || counters).set(key, count);
+            return { rows: [{ count }] };
+          }
+          throw new Error(`Unexpected query: ${sql}`);
+        },
+        release(error) {
+          pool.totalCount--;
+          pool.released.push(error ? 'destroyed' : 'released');
+        }
+      };
+      return client;
+    },
+
+    async query() {
+      return { rows: [] };
+    }
+  };
+  return pool;
+}
+
+for (const [name, createBackend] of [
+  ['memory', () => new MemoryConcurrencyBackend()],
+  ['postgres', () => new PostgresConcurrencyBackend(createFakePool({ max: 5 }), createFakePool())]
+]) {
+  test(`${name}: a held lock blocks other holders until released`, async () => {
+    const backend = createBackend();
+    const release = await backend.acquireLock('thread:a', { timeoutMs: 1000 });
+    assert.ok(release);
+
+    assert.strictEqual(await backend.acquireLock('thread:a', { timeoutMs: 10 }), null);
+    assert.ok(await backend.acquireLock('thread:b', { timeoutMs: 10 }), 'other keys are independent');
+
+    await release();
+    assert.ok(await backend.acquireLock('thread:a', { timeoutMs: 10 }));
+  });
+
+  test(`${name}: hitAll only counts a request every limit allows`, async () => {
+    const backend = createBackend();
+    const checks = [
+      { key: 'user', limit: 5, windowMs: 60000 },
+      { key: 'org', limit: 2, windowMs: 60000 }
+    ];
+
+    assert.deepStrictEqual(
+      await backend.hitAll(checks),
+      { allowed: true, blocked: null, remaining: 1, retryAfterMs: 0 }
+    );
+    assert.strictEqual((await backend.hitAll(checks)).allowed, true);
+
+    const rejected = await backend.hitAll(checks);
+    assert.strictEqual(rejected.allowed, false);
+    assert.strictEqual(rejected.blocked, 1);
+    assert.ok(rejected.retryAfterMs > 0 && rejected.retryAfterMs <= 60000);
+
+    // The rejected request didn't use up the user's budget
+    const userOnly = await backend.hitAll([checks[0]]);
+    assert.strictEqual(userOnly.remaining, 2);
+  });
+}
+
+test('postgres: lock clients go back to the pool on timeout and on release', async () => {
+  const lockPool = createFakePool();
+  const backend = new PostgresConcurrencyBackend(createFakePool(), lockPool);
+
+  const release = await backend.acquireLock('thread:a', { timeoutMs: 1000 });
+  assert.strictEqual(lockPool.totalCount, 1);
+
+  assert.strictEqual(await backend.acquireLock('thread:a', { timeoutMs: 10 }), null);
+  assert.strictEqual(lockPool.totalCount, 1, 'timed out waiter released its client');
+
+  await release();
+  assert.strictEqual(lockPool.totalCount, 0);
+  assert.deepStrictEqual(lockPool.released, ['released', 'released']);
+});
+
+test('postgres: a full lock pool times out as busy instead of erroring', async () => {
+  const lockPool = createFakePool({ max: 1 });
+  const backend = new PostgresConcurrencyBackend(createFakePool(), lockPool);
+
+  const release = await backend.acquireLock('thread:a', { timeoutMs: 1000 });
+  assert.strictEqual(await backend.acquireLock('thread:b', { timeoutMs: 0 }), null);
+  await release();
+});
+
+test('checkRateLimits reports the scope that rejected the request', async (t) => {
+  setConcurrencyBackend(new MemoryConcurrencyBackend());
+  t.after(() => setConcurrencyBackend(null));
+
+  let result;
+  for (let i = 0; i < 11; i++) {
+    result = await checkRateLimits({ orgId: 'org-1', userId: 'user-1' });
+  }
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.scope, 'user');
+  assert.strictEqual(result.limit, 10);
+  assert.ok(result.retryAfter >= 1);
+
+  assert.strictEqual((await checkRateLimits({ orgId: 'org-1', userId: 'user-2' })).allowed, true);
+});
+
+test('checkRateLimits fails open when the backend errors', async (t) => {
+  setConcurrencyBackend({
+    name: 'broken',
+    hitAll: async () => { throw new Error('connection refused'); }
+  });
+  t.after(() => setConcurrencyBackend(null));
+
+  const result = await checkRateLimits({ orgId: 'org-1', userId: 'user-1' });
+  assert.strictEqual(result.allowed, true);
+});
+
+test('executeWithThreadLock throws THREAD_BUSY when the lock stays taken', async (t) => {
+  setConcurrencyBackend({
+    name: 'busy',
+    acquireLock: async () => null
+  });
+  t.after(() => setConcurrencyBackend(null));
+
+  await assert.rejects(executeWithThreadLock('thread-1', async () => 'ran'), { code: 'THREAD_BUSY' });
+});
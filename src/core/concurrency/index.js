@@ -0,0 +1,138 @@
+// Thread locking and rate limiting for agent requests
+//
+// Backed by Postgres when POSTGRES_CONNECTION_STRING is set, so limits and
+// locks hold across serverless instances and cold starts; falls back to the
+// in-memory backend otherwise. CONCURRENCY_BACKEND=memory|postgres overrides
+// the choice.
+//
+// Rate limiting fails open: if the backend errors (database unreachable) the
+// request is let through and the error logged, so a counter outage doesn't
+// take the assistant down with it.
+
+const { getPgPool, getLockPgPool } = require('../../database/pool');
+const { MemoryConcurrencyBackend } = require('./memoryBackend');
+const { PostgresConcurrencyBackend } = require('./postgresBackend');
+
+// Per-user and per-org limits are configured separately
+const RATE_LIMITS = {
+  user: {
+    limit: parseInt(process.env.RATE_LIMIT_USER_REQUESTS || '10', 10),
+    windowMs: parseInt(process.env.RATE_LIMIT_USER_WINDOW_SECONDS || '60', 10) * 1000
+  },
+  org: {
+    limit: parseInt(process.env.RATE_LIMIT_ORG_REQUESTS || '100', 10),
+    windowMs: parseInt(process.env.RATE_LIMIT_ORG_WINDOW_SECONDS || '60', 10) * 1000
+  }
+};
+
+const LOCK_WAIT_TIMEOUT_MS = parseInt(process.env.THREAD_LOCK_TIMEOUT_SECONDS || '120', 10) * 1000;
+
+let backend = null;
+
+/**
+ * Get the configured backend
+ * @returns {MemoryConcurrencyBackend|PostgresConcurrencyBackend}
+ */
+function getConcurrencyBackend() {
+  if (!backend) {
+    const requested = process.env.CONCURRENCY_BACKEND;
+    const pool = requested === 'memory' ? null : getPgPool();
+
+    if (pool) {
+      backend = new PostgresConcurrencyBackend(pool, getLockPgPool());
+    } else {
+      if (requested === 'postgres' || process.env.NODE_ENV === 'production') {
+        console.warn('[CONCURRENCY] POSTGRES_CONNECTION_STRING not set - locks and rate limits are per instance');
+      }
+      backend = new MemoryConcurrencyBackend();
+    }
+    console.log(`[CONCURRENCY] Using ${backend.name} backend`);
+  }
+  return backend;
+}
+
+/**
+ * Replace the backend (useful for testing)
+ * @param {Object|null} replacement - Backend, or null to choose again on next use
+ */
+function setConcurrencyBackend(replacement) {
+  backend = replacement;
+}
+
+/**
+ * Execute function with thread-level lock to prevent race conditions
+ * @param {string} threadId - Thread identifier
+ * @param {Function} fn - Async function to execute
+ * @returns {Promise<any>} - Result from function
+ * @throws {Error} - With code THREAD_BUSY if the lock isn't free within THREAD_LOCK_TIMEOUT_SECONDS
+ */
+async function executeWithThreadLock(threadId, fn) {
+  const requestId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  console.log(`[THREAD_LOCK:${requestId}] Acquiring lock for thread: ${threadId}`);
+
+  const release = await getConcurrencyBackend().acquireLock(`thread:${threadId}`, {
+    timeoutMs: LOCK_WAIT_TIMEOUT_MS
+  });
+
+  if (!release) {
+    console.warn(`[THREAD_LOCK:${requestId}] Timed out waiting for thread: ${threadId}`);
+    const error = new Error('Another request on this thread is still running');
+    error.code = 'THREAD_BUSY';
+    throw error;
+  }
+
+  console.log(`[THREAD_LOCK:${requestId}] Lock acquired for thread: ${threadId}`);
+
+  try {
+    const result = await fn();
+    console.log(`[THREAD_LOCK:${requestId}] Execution complete for thread: ${threadId}`);
+    return result;
+  } finally {
+    await release();
+    console.log(`[THREAD_LOCK:${requestId}] Lock released for thread: ${threadId}`);
+  }
+}
+
+/**
+ * Check the per-user and per-org rate limits, counting the request
+ *
+ * The request is only counted when both limits allow it, so a user isn't
+ * charged for requests their org's limit turned away.
+ * @param {Object} subject - { orgId, userId } (userId may be a session ID when the user is unknown)
+ * @returns {Promise<Object>} - { allowed, scope, limit, remaining, retryAfter } with retryAfter in seconds
+ */
+async function checkRateLimits({ orgId, userId }) {
+  const scopes = ['user', 'org'];
+  const checks = [
+    { key: `rate:user:${orgId}:${userId}`, ...RATE_LIMITS.user },
+    { key: `rate:org:${orgId}`, ...RATE_LIMITS.org }
+  ];
+
+  let result;
+  try {
+    result = await getConcurrencyBackend().hitAll(checks);
+  } catch (error) {
+    console.error('[CONCURRENCY] Rate limit check failed, allowing request:', error.message);
+    return { allowed: true, scope: null, remaining: null, retryAfter: 0 };
+  }
+
+  if (!result.allowed) {
+    return {
+      allowed: false,
+      scope: scopes[result.blocked],
+      limit: checks[result.blocked].limit,
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000))
+    };
+  }
+
+  return { allowed: true, scope: null, remaining: result.remaining, retryAfter: 0 };
+}
+
+module.exports = {
+  getConcurrencyBackend,
+  setConcurrencyBackend,
+  executeWithThreadLock,
+  checkRateLimits,
+  RATE_LIMITS
+};
@@ -0,0 +1,97 @@
+// In-memory thread locks and rate limits
+// Only coordinates requests within one process - use for local development.
+
+class MemoryConcurrencyBackend {
+  constructor() {
+    this.name = 'memory';
+    this.locks = new Map(); // key -> Promise resolved on release
+    this.rateLimitWindows = new Map(); // key -> request timestamps
+  }
+
+  /**
+   * Wait for and take an exclusive lock
+   * @param {string} key - Lock key
+   * @param {Object} options - { timeoutMs }
+   * @returns {Promise<Function|null>} - Async release function, or null if the wait timed out
+   */
+  async acquireLock(key, { timeoutMs }) {
+    const deadline = Date.now() + timeoutMs;
+
+    // Wait for any existing holder
+    while (this.locks.has(key)) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        return null;
+      }
+      let timer;
+      await Promise.race([
+        this.locks.get(key),
+        new Promise(r => { timer = setTimeout(r, remaining); })
+      ]);
+      clearTimeout(timer);
+    }
+
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    this.locks.set(key, promise);
+
+    return async () => {
+      this.locks.delete(key);
+      resolve();
+    };
+  }
+
+  /**
+   * Count a request against several sliding windows, only if all of them allow it
+   * @param {Array<Object>} checks - [{ key, limit, windowMs }]
+   * @returns {Promise<Object>} - { allowed, blocked, remaining, retryAfterMs }, blocked being the index of the exceeded check
+   */
+  async hitAll(checks) {
+    const now = Date.now();
+
+    // Periodic cleanup (1% chance)
+    if (Math.random() < 0.01) {
+      const longestWindow = Math.max(...checks.map(({ windowMs }) => windowMs));
+      for (const [windowKey, timestamps] of this.rateLimitWindows.entries()) {
+        const valid = timestamps.filter(t => now - t < longestWindow);
+        if (valid.length === 0) {
+          this.rateLimitWindows.delete(windowKey);
+        } else {
+          this.rateLimitWindows.set(windowKey, valid);
+        }
+      }
+    }
+
+    // Check every window before recording anything; no await in between, so
+    // concurrent requests can't interleave
+    const windows = checks.map(({ key, windowMs }) =>
+      (this.rateLimitWindows.get(key) || []).filter(t => now - t < windowMs)
+    );
+
+    const blocked = checks.findIndex(({ limit }, i) => windows[i].length >= limit);
+    if (blocked !== -1) {
+      // A slot frees up when the oldest request in the window ages out
+      return {
+        allowed: false,
+        blocked,
+        remaining: 0,
+        retryAfterMs: (windows[blocked][0] ?? now) + checks[blocked].windowMs - now
+      };
+    }
+
+    checks.forEach(({ key }, i) => {
+      windows[i].push(now);
+      this.rateLimitWindows.set(key, windows[i]);
+    });
+    return {
+      allowed: true,
+      blocked: null,
+      remaining: Math.min(...checks.map(({ limit }, i) => limit - windows[i].length)),
+      retryAfterMs: 0
+    };
+  }
+}
+
+module.exports = {
+  MemoryConcurrencyBackend
+};
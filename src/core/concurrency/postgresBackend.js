@@ -0,0 +1,160 @@
+// Postgres thread locks and rate limits, shared by all instances
+//
+// Locks are session-level advisory locks held on a client from the dedicated
+// lock pool for the duration of the request; if the instance dies the
+// connection drops and Postgres releases the lock. Rate limits are
+// fixed-window counters in the assistant_rate_limits table (see
+// src/database/migrations/create_assistant_rate_limits.sql), updated in one
+// transaction per request.
+
+const TABLE = 'assistant_rate_limits';
+const LOCK_POLL_MS = 250;
+const COUNTER_RETENTION_HOURS = 24;
+
+class PostgresConcurrencyBackend {
+  /**
+   * @param {import('pg').Pool} pool - Shared pool, for rate limit counters
+   * @param {import('pg').Pool} lockPool - Pool whose clients hold advisory locks (defaults to pool)
+   */
+  constructor(pool, lockPool = pool) {
+    this.name = 'postgres';
+    this.pool = pool;
+    this.lockPool = lockPool;
+  }
+
+  /**
+   * Get a lock pool client, waiting while every client holds a lock
+   * @private
+   * @returns {Promise<import('pg').PoolClient|null>} - Client, or null if none freed up before the deadline
+   */
+  async connectForLock(deadline) {
+    for (;;) {
+      try {
+        return await this.lockPool.connect();
+      } catch (error) {
+        // A full pool means other requests on this instance hold locks - keep waiting
+        const poolFull = this.lockPool.totalCount >= this.lockPool.options.max;
+        if (!poolFull) throw error;
+        if (Date.now() >= deadline) return null;
+      }
+    }
+  }
+
+  /**
+   * Wait for and take an exclusive lock
+   * @param {string} key - Lock key
+   * @param {Object} options - { timeoutMs }
+   * @returns {Promise<Function|null>} - Async release function, or null if the wait timed out
+   */
+  async acquireLock(key, { timeoutMs }) {
+    const deadline = Date.now() + timeoutMs;
+    const client = await this.connectForLock(deadline);
+    if (!client) return null;
+
+    let locked = false;
+    let failure;
+    try {
+      // Poll instead of blocking in pg_advisory_lock so the wait can time out
+      while (!locked) {
+        const { rows } = await client.query(
+          'SELECT pg_try_advisory_lock(hashtextextended($1, 0)) AS locked',
+          [key]
+        );
+        locked = rows[0].locked;
+
+        if (!locked) {
+          if (Date.now() + LOCK_POLL_MS > deadline) return null;
+          await new Promise(r => setTimeout(r, LOCK_POLL_MS));
+        }
+      }
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      // Without the lock the client goes straight back; a failed one is discarded
+      if (!locked) client.release(failure);
+    }
+
+    return async () => {
+      try {
+        await client.query('SELECT pg_advisory_unlock(hashtextextended($1, 0))', [key]);
+        client.release();
+      } catch (error) {
+        // Dropping the connection releases the lock too
+        console.error(`[CONCURRENCY:POSTGRES] Failed to unlock ${key}:`, error.message);
+        client.release(error);
+      }
+    };
+  }
+
+  /**
+   * Count a request against several fixed windows, only if all of them allow it
+   *
+   * The counters are bumped in one transaction and rolled back when any limit
+   * is exceeded, so a request rejected by one limit doesn't use up another.
+   * Rows are locked in the order given; callers always pass the same order.
+   * @param {Array<Object>} checks - [{ key, limit, windowMs }]
+   * @returns {Promise<Object>} - { allowed, blocked, remaining, retryAfterMs }, blocked being the index of the exceeded check
+   */
+  async hitAll(checks) {
+    const now = Date.now();
+    const client = await this.pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      const counts = [];
+      for (const { key, windowMs } of checks) {
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const { rows } = await client.query(
+          `INSERT INTO ${TABLE} (key, window_start, count)
+           VALUES ($1, to_timestamp($2::double precision / 1000), 1)
+           ON CONFLICT (key, window_start) DO UPDATE SET count = ${TABLE}.count + 1
+           RETURNING count`,
+          [key, windowStart]
+        );
+        counts.push({ count: rows[0].count, windowStart });
+      }
+
+      const blocked = checks.findIndex(({ limit }, i) => counts[i].count > limit);
+      if (blocked === -1) {
+        await client.query('COMMIT');
+        result = {
+          allowed: true,
+          blocked: null,
+          remaining: Math.min(...checks.map(({ limit }, i) => limit - counts[i].count)),
+          retryAfterMs: 0
+        };
+      } else {
+        await client.query('ROLLBACK');
+        const { windowMs } = checks[blocked];
+        result = {
+          allowed: false,
+          blocked,
+          remaining: 0,
+          retryAfterMs: counts[blocked].windowStart + windowMs - now
+        };
+      }
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release(error);
+      throw error;
+    }
+    client.release();
+
+    // Periodic cleanup (1% chance)
+    if (Math.random() < 0.01) {
+      this.pool.query(
+        `DELETE FROM ${TABLE} WHERE window_start < NOW() - make_interval(hours => $1)`,
+        [COUNTER_RETENTION_HOURS]
+      ).catch(error => console.warn('[CONCURRENCY:POSTGRES] Counter cleanup failed:', error.message));
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  PostgresConcurrencyBackend
+};
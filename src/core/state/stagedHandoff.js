@@ -0,0 +1,74 @@
+/**
+ * Staged Handoff
+ *
+ * Some side-panel actions (workflow import, duplicate merge, undo) carry more
+ * than fits in a chat message. Their REST endpoint validates the request,
+ * stages it here and returns a chat query; nothing is written in BSA yet.
+ * The client sends that query, and the domain agent takes the staged request
+ * and previews it through the normal approval flow.
+ *
+ * One request is staged per user and kind - staging again replaces it - and
+ * taking it removes it, so a follow-up can't be replayed. Requests the chat
+ * follow-up never picks up expire.
+ */
+
+const { getUnifiedStore, storeKey } = require('./store');
+
+class StagedHandoff {
+  /**
+   * @param {string} kind - Store kind of the staged records (e.g. 'staged_undo')
+   * @param {number} ttlMs - How long a staged request waits for its follow-up
+   */
+  constructor(kind, ttlMs) {
+    this.kind = kind;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Stage a validated request, replacing any earlier one
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {*} payload - JSON-serializable request
+   * @returns {Promise<void>}
+   */
+  async stage(orgId, userId, payload) {
+    const store = getUnifiedStore({ orgId, userId });
+    await store.put([orgId, userId, this.kind], storeKey(this.kind, orgId, userId), {
+      text: JSON.stringify({ payload, stagedAt: new Date().toISOString() }),
+      kind: this.kind
+    }, { index: false });
+  }
+
+  /**
+   * Take the staged request, if it hasn't expired
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<*|null>} - The staged payload or null
+   */
+  async take(orgId, userId) {
+    if (!orgId || !userId) return null;
+
+    const store = getUnifiedStore({ orgId, userId });
+    const namespace = [orgId, userId, this.kind];
+    const key = storeKey(this.kind, orgId, userId);
+
+    const item = await store.get(namespace, key);
+    if (!item?.value?.text) return null;
+
+    await store.delete(namespace, key);
+
+    const { payload, stagedAt } = JSON.parse(item.value.text);
+    if (Date.now() - new Date(stagedAt).getTime() > this.ttlMs) {
+      console.log(`[STATE:STAGED] Staged ${this.kind} expired`);
+      return null;
+    }
+
+    return payload;
+  }
+}
+
+module.exports = {
+  StagedHandoff
+};
@@ -8,6 +8,7 @@
  * This is a temporary solution until PostgresStore becomes available in LangGraph JS
  */
 
+const crypto = require('crypto');
 const { PgMemoryStore } = require('../memory/storeAdapter');
 
 // Module-level cache for singleton instances per org/user combination
@@ -447,6 +448,20 @@ function getUnifiedStore(config = {}) {
   return store;
 }
 
+/**
+ * Deterministic store key for a record
+ *
+ * PgMemoryStore requires UUID keys, so services that keep one record per
+ * org, user or item hash the identifying parts into a UUID-shaped key.
+ *
+ * @param {...*} parts - Record kind followed by its identifiers
+ * @returns {string} UUID-shaped key, stable for the same parts
+ */
+function storeKey(...parts) {
+  const hash = crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+  return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-4${hash.slice(13, 16)}-a${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
 /**
  * Clear the store cache (useful for testing)
  */
@@ -458,5 +473,6 @@ function clearStoreCache() {
 module.exports = {
   UnifiedStore,
   getUnifiedStore,
+  storeKey,
   clearStoreCache
 };
\ No newline at end of file
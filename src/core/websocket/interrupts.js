@@ -6,12 +6,13 @@
  */
 
 const WebSocket = require('ws');
+const { verifyConnectionToken } = require('../auth/connectionToken');
 
 class InterruptWebSocketServer {
   constructor() {
     this.wss = null;
     this.connections = new Map(); // sessionId -> WebSocket
-    this.pendingInterrupts = new Map(); // sessionId -> interrupt data
+    this.pendingInterrupts = new Map(); // sessionId -> { orgId, message }
     this.heartbeatInterval = null;
   }
 
@@ -25,7 +26,8 @@ class InterruptWebSocketServer {
     this.wss = new WebSocket.Server({ 
       server,
       path: '/ws',
-      clientTracking: true
+      clientTracking: true,
+      verifyClient: this.verifyClient.bind(this)
     });
 
     this.wss.on('connection', this.handleConnection.bind(this));
@@ -36,6 +38,27 @@ class InterruptWebSocketServer {
     console.log('[WS:INTERRUPTS] WebSocket server initialized on /ws');
   }
 
+  /**
+   * Verify the connection token during the HTTP upgrade
+   * Rejected clients get a 401 and never reach handleConnection.
+   * @param {Object} info - { req } from ws
+   * @param {Function} done - ws callback (result, code, message)
+   */
+  verifyClient({ req }, done) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const result = verifyConnectionToken(url.searchParams.get('token'));
+
+    if (!result.valid) {
+      console.warn(`[WS:INTERRUPTS] Upgrade rejected: ${result.error}`);
+      done(false, 401, result.error);
+      return;
+    }
+
+    // The session and org come from the token, never from the URL
+    req.connectionAuth = { sessionId: result.sessionId, orgId: result.orgId };
+    done(true);
+  }
+
   /**
    * Handle new WebSocket connection
    * @param {WebSocket} ws - WebSocket connection
@@ -44,17 +67,15 @@ class InterruptWebSocketServer {
   handleConnection(ws, request) {
     console.log('[WS:INTERRUPTS] New connection attempt');
     
-    // Extract session ID from query params
-    const url = new URL(request.url, `http://${request.headers.host}`);
-    const sessionId = url.searchParams.get('session_id');
-    
-    if (!sessionId) {
-      console.warn('[WS:INTERRUPTS] Connection rejected: no session_id');
-      ws.close(1008, 'Session ID required');
+    const auth = request.connectionAuth;
+    if (!auth) {
+      console.warn('[WS:INTERRUPTS] Connection rejected: not verified');
+      ws.close(1008, 'Connection token required');
       return;
     }
     
-    console.log(`[WS:INTERRUPTS] Connection established for session: ${sessionId}`);
+    const { sessionId, orgId } = auth;
+    console.log(`[WS:INTERRUPTS] Connection established for session: ${sessionId} (org ${orgId})`);
     
     // Store connection
     if (this.connections.has(sessionId)) {
@@ -65,6 +86,7 @@ class InterruptWebSocketServer {
     
     this.connections.set(sessionId, ws);
     ws.sessionId = sessionId;
+    ws.orgId = orgId;
     ws.isAlive = true;
     
     // Set up event handlers
@@ -87,18 +109,32 @@ class InterruptWebSocketServer {
     this.sendMessage(ws, {
       type: 'connected',
       sessionId: sessionId,
+      orgId: orgId,
       message: 'WebSocket connection established'
     });
     
     // Check for pending interrupts
-    if (this.pendingInterrupts.has(sessionId)) {
-      const interrupt = this.pendingInterrupts.get(sessionId);
-      console.log(`[WS:INTERRUPTS] Sending pending interrupt to session: ${sessionId}`);
-      this.sendMessage(ws, interrupt);
-      this.pendingInterrupts.delete(sessionId);
+    if (this.deliverPending(ws)) {
+      console.log(`[WS:INTERRUPTS] Sent pending interrupt to session: ${sessionId}`);
     }
   }
 
+  /**
+   * Send the session's stored interrupt if it belongs to the connection's org
+   * @param {WebSocket} ws - WebSocket connection
+   * @returns {boolean} Whether an interrupt was sent
+   */
+  deliverPending(ws) {
+    const pending = this.pendingInterrupts.get(ws.sessionId);
+    if (!pending || pending.orgId !== ws.orgId) {
+      return false;
+    }
+
+    this.sendMessage(ws, pending.message);
+    this.pendingInterrupts.delete(ws.sessionId);
+    return true;
+  }
+
   /**
    * Handle incoming WebSocket message
    * @param {WebSocket} ws - WebSocket connection
@@ -122,11 +158,7 @@ class InterruptWebSocketServer {
           
         case 'get_pending':
           // Check for pending interrupts
-          if (this.pendingInterrupts.has(ws.sessionId)) {
-            const interrupt = this.pendingInterrupts.get(ws.sessionId);
-            this.sendMessage(ws, interrupt);
-            this.pendingInterrupts.delete(ws.sessionId);
-          } else {
+          if (!this.deliverPending(ws)) {
             this.sendMessage(ws, { type: 'no_pending' });
           }
           break;
@@ -146,12 +178,15 @@ class InterruptWebSocketServer {
 
   /**
    * Send interrupt to client
+   * Only a connection authorized for the interrupt's org receives it; otherwise
+   * it's stored until the session connects for that org.
    * @param {string} sessionId - Session ID
    * @param {Object} interruptData - Interrupt payload
+   * @param {string} orgId - Organization the interrupted request ran in
    * @returns {Promise<boolean>} Success status
    */
-  async sendInterrupt(sessionId, interruptData) {
-    console.log(`[WS:INTERRUPTS] Sending interrupt to session: ${sessionId}`);
+  async sendInterrupt(sessionId, interruptData, orgId) {
+    console.log(`[WS:INTERRUPTS] Sending interrupt to session: ${sessionId} (org ${orgId})`);
     
     const ws = this.connections.get(sessionId);
     
@@ -161,14 +196,14 @@ class InterruptWebSocketServer {
       data: interruptData
     };
     
-    if (ws && ws.readyState === WebSocket.OPEN) {
+    if (ws && ws.readyState === WebSocket.OPEN && ws.orgId === String(orgId)) {
       // Send immediately if connected
       this.sendMessage(ws, message);
       return true;
     } else {
       // Store for later delivery
-      console.log(`[WS:INTERRUPTS] Session ${sessionId} not connected, storing interrupt`);
-      this.pendingInterrupts.set(sessionId, message);
+      console.log(`[WS:INTERRUPTS] Session ${sessionId} not connected for org ${orgId}, storing interrupt`);
+      this.pendingInterrupts.set(sessionId, { orgId: String(orgId), message });
       return false;
     }
   }
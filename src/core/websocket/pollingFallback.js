@@ -1,155 +1,467 @@
 /**
  * Polling Fallback for Interrupt Delivery
- * 
+ *
  * Used in production (Vercel) where WebSocket connections aren't supported.
  * Clients poll this service to check for pending interrupts.
+ *
+ * Interrupts live in the assistant_interrupt_queue table (see
+ * src/database/migrations/create_assistant_interrupt_queue.sql) so a poll or
+ * approval can land on any instance, including one that just cold-started.
+ * Each interrupt expires after INTERRUPT_TTL_MINUTES, stays pending until the
+ * client acknowledges it, and accepts exactly one approval decision - repeated
+ * approvals get the first decision's result back instead of running twice.
+ *
+ * Without POSTGRES_CONNECTION_STRING the queue is kept in memory, which only
+ * works with a single instance (local development).
  */
 
+const crypto = require('crypto');
+const { getPgPool } = require('../../database/pool');
+
+const TABLE = 'assistant_interrupt_queue';
+const INTERRUPT_TTL_MINUTES = parseInt(process.env.INTERRUPT_TTL_MINUTES || '30', 10);
+// Expired and decided interrupts are kept this long so repeated approvals still get their result
+const RETENTION_HOURS = 24;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Shape a stored row as the message clients receive
+ * @private
+ */
+function toMessage(row) {
+  return {
+    id: row.id,
+    type: 'interrupt',
+    timestamp: new Date(row.created_at).getTime(),
+    expiresAt: new Date(row.expires_at).toISOString(),
+    data: { ...row.payload, interruptId: row.id }
+  };
+}
+
+/**
+ * In-process queue for single-instance development
+ * @private
+ */
+class MemoryInterruptStore {
+  constructor() {
+    this.rows = new Map(); // interruptId -> row
+  }
+
+  async insert(row) {
+    this.rows.set(row.id, { ...row, created_at: new Date(), acknowledged_at: null, decided_at: null, decision: null, result: null });
+  }
+
+  sessionRows(sessionId) {
+    return Array.from(this.rows.values())
+      .filter(row => row.session_id === sessionId)
+      .sort((a, b) => a.created_at - b.created_at);
+  }
+
+  async findPending(sessionId, threadId) {
+    const now = new Date();
+    return this.sessionRows(sessionId).find(row =>
+      !row.acknowledged_at && !row.decided_at && row.expires_at > now &&
+      (!threadId || row.thread_id === threadId)
+    ) || null;
+  }
+
+  async acknowledge(sessionId, interruptId) {
+    const row = interruptId
+      ? this.rows.get(interruptId)
+      : await this.findPending(sessionId, null);
+    if (!row || row.session_id !== sessionId || row.acknowledged_at) return false;
+    row.acknowledged_at = new Date();
+    return true;
+  }
+
+  async findLatestUndecided(sessionId) {
+    const now = new Date();
+    const rows = this.sessionRows(sessionId).filter(row => !row.decided_at && row.expires_at > now);
+    return rows[rows.length - 1] || null;
+  }
+
+  async get(sessionId, interruptId) {
+    const row = this.rows.get(interruptId);
+    return row && row.session_id === sessionId ? row : null;
+  }
+
+  async claimDecision(sessionId, interruptId, decision) {
+    const row = await this.get(sessionId, interruptId);
+    if (!row || row.decided_at || row.expires_at <= new Date()) return null;
+    row.decided_at = new Date();
+    row.decision = decision;
+    return row;
+  }
+
+  async saveResult(interruptId, result) {
+    const row = this.rows.get(interruptId);
+    if (row) row.result = result;
+  }
+
+  async releaseDecision(interruptId) {
+    const row = this.rows.get(interruptId);
+    if (row) {
+      row.decided_at = null;
+      row.decision = null;
+    }
+  }
+
+  async purgeExpired() {
+    const cutoff = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+    let removed = 0;
+    for (const [id, row] of this.rows) {
+      if (row.expires_at.getTime() < cutoff) {
+        this.rows.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async stats() {
+    const now = new Date();
+    const live = Array.from(this.rows.values()).filter(row => row.expires_at > now);
+    return {
+      pendingInterrupts: live.filter(row => !row.acknowledged_at && !row.decided_at).length,
+      awaitingDecision: live.filter(row => !row.decided_at).length
+    };
+  }
+
+  async clearSession(sessionId) {
+    for (const row of this.sessionRows(sessionId)) {
+      this.rows.delete(row.id);
+    }
+  }
+}
+
+/**
+ * Queue shared by all instances through Postgres
+ * @private
+ */
+class PostgresInterruptStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async insert(row) {
+    await this.pool.query(
+      `INSERT INTO ${TABLE} (id, session_id, thread_id, payload, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [row.id, row.session_id, row.thread_id, JSON.stringify(row.payload), row.expires_at]
+    );
+  }
+
+  async findPending(sessionId, threadId) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM ${TABLE}
+       WHERE session_id = $1 AND acknowledged_at IS NULL AND decided_at IS NULL
+         AND expires_at > NOW() AND ($2::text IS NULL OR thread_id = $2)
+       ORDER BY created_at ASC
+       LIMIT 1`,
+      [sessionId, threadId]
+    );
+    return rows[0] || null;
+  }
+
+  async acknowledge(sessionId, interruptId) {
+    if (interruptId) {
+      const { rowCount } = await this.pool.query(
+        `UPDATE ${TABLE} SET acknowledged_at = NOW()
+         WHERE id = $1 AND session_id = $2 AND acknowledged_at IS NULL`,
+        [interruptId, sessionId]
+      );
+      return rowCount > 0;
+    }
+
+    // Without an ID, acknowledge the interrupt the client was shown: the oldest pending one
+    const { rowCount } = await this.pool.query(
+      `UPDATE ${TABLE} SET acknowledged_at = NOW()
+       WHERE id = (
+         SELECT id FROM ${TABLE}
+         WHERE session_id = $1 AND acknowledged_at IS NULL AND decided_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at ASC
+         LIMIT 1
+       )`,
+      [sessionId]
+    );
+    return rowCount > 0;
+  }
+
+  async findLatestUndecided(sessionId) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM ${TABLE}
+       WHERE session_id = $1 AND decided_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [sessionId]
+    );
+    return rows[0] || null;
+  }
+
+  async get(sessionId, interruptId) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM ${TABLE} WHERE id = $1 AND session_id = $2`,
+      [interruptId, sessionId]
+    );
+    return rows[0] || null;
+  }
+
+  async claimDecision(sessionId, interruptId, decision) {
+    // Only one instance's UPDATE can match decided_at IS NULL
+    const { rows } = await this.pool.query(
+      `UPDATE ${TABLE} SET decided_at = NOW(), decision = $3
+       WHERE id = $1 AND session_id = $2 AND decided_at IS NULL AND expires_at > NOW()
+       RETURNING *`,
+      [interruptId, sessionId, JSON.stringify(decision)]
+    );
+    return rows[0] || null;
+  }
+
+  async saveResult(interruptId, result) {
+    await this.pool.query(
+      `UPDATE ${TABLE} SET result = $2 WHERE id = $1`,
+      [interruptId, JSON.stringify(result === undefined ? null : result)]
+    );
+  }
+
+  async releaseDecision(interruptId) {
+    await this.pool.query(
+      `UPDATE ${TABLE} SET decided_at = NULL, decision = NULL WHERE id = $1`,
+      [interruptId]
+    );
+  }
+
+  async purgeExpired() {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM ${TABLE} WHERE expires_at < NOW() - make_interval(hours => $1)`,
+      [RETENTION_HOURS]
+    );
+    return rowCount;
+  }
+
+  async stats() {
+    const { rows } = await this.pool.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE acknowledged_at IS NULL)::int AS pending,
+         COUNT(*)::int AS undecided
+       FROM ${TABLE}
+       WHERE decided_at IS NULL AND expires_at > NOW()`
+    );
+    return {
+      pendingInterrupts: rows[0].pending,
+      awaitingDecision: rows[0].undecided
+    };
+  }
+
+  async clearSession(sessionId) {
+    await this.pool.query(`DELETE FROM ${TABLE} WHERE session_id = $1`, [sessionId]);
+  }
+}
+
 class InterruptPollingService {
   constructor() {
-    this.pendingInterrupts = new Map(); // sessionId -> interrupt data
-    this.approvalCallbacks = new Map(); // sessionId -> callback function
-    this.cleanupInterval = null;
-    
-    // Start cleanup interval to remove old interrupts
-    this.startCleanup();
+    this.store = null;
+    this.approvalHandler = null;
+  }
+
+  /**
+   * Postgres store when configured, in-memory otherwise
+   * @private
+   */
+  getStore() {
+    if (!this.store) {
+      const pool = getPgPool();
+      if (pool) {
+        this.store = new PostgresInterruptStore(pool);
+      } else {
+        if (process.env.NODE_ENV === 'production') {
+          console.warn('[POLLING:INTERRUPTS] POSTGRES_CONNECTION_STRING not set - interrupts are not shared across instances');
+        }
+        this.store = new MemoryInterruptStore();
+      }
+    }
+    return this.store;
   }
 
   /**
    * Store an interrupt for a session
+   * A failed insert is logged, not thrown: the interrupt still goes back in the
+   * HTTP response, polling just won't find it.
    * @param {string} sessionId - Session ID
-   * @param {Object} interruptData - Interrupt payload
+   * @param {Object} interruptData - Interrupt payload (orgId is used when the approval is processed)
+   * @returns {Promise<string|null>} Interrupt ID, or null if it couldn't be stored
    */
-  storeInterrupt(sessionId, interruptData) {
+  async storeInterrupt(sessionId, interruptData) {
     console.log(`[POLLING:INTERRUPTS] Storing interrupt for session: ${sessionId}`);
-    
-    const interrupt = {
-      type: 'interrupt',
-      timestamp: Date.now(),
-      data: interruptData
-    };
-    
-    this.pendingInterrupts.set(sessionId, interrupt);
+
+    const store = this.getStore();
+    const id = crypto.randomUUID();
+
+    try {
+      await store.insert({
+        id,
+        session_id: sessionId,
+        thread_id: interruptData.threadId || null,
+        payload: interruptData,
+        expires_at: new Date(Date.now() + INTERRUPT_TTL_MINUTES * 60 * 1000)
+      });
+    } catch (error) {
+      console.error(`[POLLING:INTERRUPTS] Failed to store interrupt for session ${sessionId}:`, error.message);
+      return null;
+    }
+
+    // No long-lived process to run a cleanup timer on serverless, so purge as we go
+    try {
+      const removed = await store.purgeExpired();
+      if (removed > 0) {
+        console.log(`[POLLING:INTERRUPTS] Purged ${removed} expired interrupt(s)`);
+      }
+    } catch (error) {
+      console.warn('[POLLING:INTERRUPTS] Failed to purge expired interrupts:', error.message);
+    }
+
+    return id;
   }
 
   /**
    * Check for pending interrupts (called by polling endpoint)
    * @param {string} sessionId - Session ID
-   * @returns {Object|null} Pending interrupt or null
+   * @param {string} threadId - Only return interrupts of this thread (optional)
+   * @returns {Promise<Object|null>} Oldest unacknowledged interrupt or null
    */
-  checkPending(sessionId) {
-    if (this.pendingInterrupts.has(sessionId)) {
-      const interrupt = this.pendingInterrupts.get(sessionId);
-      
-      // Don't delete yet - wait for acknowledgment
-      console.log(`[POLLING:INTERRUPTS] Found pending interrupt for session: ${sessionId}`);
-      return interrupt;
+  async checkPending(sessionId, threadId = null) {
+    const row = await this.getStore().findPending(sessionId, threadId);
+    if (!row) {
+      return null;
     }
-    
-    return null;
+
+    // Don't remove yet - wait for acknowledgment
+    console.log(`[POLLING:INTERRUPTS] Found pending interrupt ${row.id} for session: ${sessionId}`);
+    return toMessage(row);
   }
 
   /**
    * Acknowledge interrupt receipt
+   * The interrupt stays in the queue until it is decided or expires.
    * @param {string} sessionId - Session ID
+   * @param {string} interruptId - Interrupt ID (defaults to the oldest pending interrupt)
+   * @returns {Promise<boolean>} Whether an interrupt was acknowledged
    */
-  acknowledgeInterrupt(sessionId) {
-    console.log(`[POLLING:INTERRUPTS] Interrupt acknowledged by session: ${sessionId}`);
-    this.pendingInterrupts.delete(sessionId);
+  async acknowledgeInterrupt(sessionId, interruptId = null) {
+    if (interruptId && !UUID_PATTERN.test(interruptId)) {
+      return false;
+    }
+    const acknowledged = await this.getStore().acknowledge(sessionId, interruptId);
+    console.log(`[POLLING:INTERRUPTS] Interrupt ${interruptId || '(oldest)'} acknowledged by session: ${sessionId} (${acknowledged ? 'ok' : 'nothing pending'})`);
+    return acknowledged;
   }
 
   /**
    * Handle approval response
+   * The first response for an interrupt is processed; later ones get its result.
    * @param {string} sessionId - Session ID
    * @param {Object} approvalData - Approval decision
+   * @param {string} interruptId - Interrupt ID (defaults to approvalData.interruptId, then the latest undecided interrupt)
    * @returns {Promise<Object>} Processing result
    */
-  async handleApprovalResponse(sessionId, approvalData) {
+  async handleApprovalResponse(sessionId, approvalData, interruptId = null) {
     console.log(`[POLLING:INTERRUPTS] Approval response from ${sessionId}:`, approvalData);
-    
-    const callback = this.approvalCallbacks.get(sessionId);
-    if (callback) {
-      try {
-        const result = await callback(approvalData);
-        this.approvalCallbacks.delete(sessionId);
-        return {
-          success: true,
-          message: 'Approval processed',
-          result
-        };
-      } catch (error) {
-        console.error('[POLLING:INTERRUPTS] Error processing approval:', error);
-        return {
-          success: false,
-          message: 'Failed to process approval',
-          error: error.message
-        };
-      }
+
+    const store = this.getStore();
+    let id = interruptId || approvalData?.interruptId || null;
+    if (!id) {
+      const latest = await store.findLatestUndecided(sessionId);
+      id = latest?.id;
+    }
+    if (!id || !UUID_PATTERN.test(id)) {
+      return {
+        success: false,
+        message: 'No pending interrupt found'
+      };
     }
-    
-    return {
-      success: false,
-      message: 'No pending approval callback found'
-    };
-  }
 
-  /**
-   * Register approval callback
-   * @param {string} sessionId - Session ID
-   * @param {Function} callback - Callback to execute on approval
-   */
-  registerApprovalCallback(sessionId, callback) {
-    console.log(`[POLLING:INTERRUPTS] Registering approval callback for session: ${sessionId}`);
-    this.approvalCallbacks.set(sessionId, callback);
+    const claimed = await store.claimDecision(sessionId, id, approvalData);
+    if (!claimed) {
+      return this.describeUnclaimed(sessionId, id);
+    }
+
+    if (!this.approvalHandler) {
+      // Nothing can resume the thread - don't let the client think it was approved
+      console.error('[POLLING:INTERRUPTS] No approval handler registered');
+      await store.releaseDecision(id);
+      return {
+        success: false,
+        interruptId: id,
+        message: 'Approvals are not being processed on this server'
+      };
+    }
+
+    try {
+      const result = await this.approvalHandler(toMessage(claimed).data, approvalData, sessionId);
+      await store.saveResult(id, result);
+      return {
+        success: true,
+        interruptId: id,
+        message: 'Approval processed',
+        result
+      };
+    } catch (error) {
+      console.error('[POLLING:INTERRUPTS] Error processing approval:', error);
+      // Let the client retry the same interrupt
+      await store.releaseDecision(id);
+      return {
+        success: false,
+        interruptId: id,
+        message: 'Failed to process approval',
+        error: error.message
+      };
+    }
   }
 
   /**
-   * Start cleanup interval to remove old interrupts
+   * Explain why an approval couldn't claim its interrupt
+   * @private
    */
-  startCleanup() {
-    // Clean up old interrupts every 5 minutes
-    this.cleanupInterval = setInterval(() => {
-      const now = Date.now();
-      const maxAge = 5 * 60 * 1000; // 5 minutes
-      
-      // Clean up old interrupts
-      this.pendingInterrupts.forEach((interrupt, sessionId) => {
-        if (now - interrupt.timestamp > maxAge) {
-          console.log(`[POLLING:INTERRUPTS] Removing old interrupt for session: ${sessionId}`);
-          this.pendingInterrupts.delete(sessionId);
-        }
-      });
-      
-      // Clean up old callbacks
-      this.approvalCallbacks.forEach((callback, sessionId) => {
-        if (!this.pendingInterrupts.has(sessionId)) {
-          console.log(`[POLLING:INTERRUPTS] Removing orphaned callback for session: ${sessionId}`);
-          this.approvalCallbacks.delete(sessionId);
-        }
-      });
-      
-    }, 5 * 60 * 1000); // 5 minutes
+  async describeUnclaimed(sessionId, interruptId) {
+    const row = await this.getStore().get(sessionId, interruptId);
+
+    if (row?.decided_at) {
+      console.log(`[POLLING:INTERRUPTS] Interrupt ${interruptId} already decided - returning stored result`);
+      return {
+        success: true,
+        duplicate: true,
+        interruptId,
+        message: row.result === null || row.result === undefined ? 'Approval already received' : 'Approval already processed',
+        ...(row.result !== null && row.result !== undefined ? { result: row.result } : {})
+      };
+    }
+
+    return {
+      success: false,
+      interruptId,
+      message: row ? 'Interrupt expired' : 'No pending interrupt found'
+    };
   }
 
   /**
-   * Stop cleanup interval
+   * Register the approval handler
+   * Runs on whichever instance receives the approval, so every instance
+   * should register the same handler at startup.
+   * @param {Function} handler - async (interruptData, approvalData, sessionId) => result
    */
-  stopCleanup() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-      this.cleanupInterval = null;
-    }
+  setApprovalHandler(handler) {
+    this.approvalHandler = handler;
   }
 
   /**
    * Get statistics
-   * @returns {Object} Service statistics
+   * @returns {Promise<Object>} Service statistics
    */
-  getStats() {
+  async getStats() {
     return {
-      pendingInterrupts: this.pendingInterrupts.size,
-      pendingCallbacks: this.approvalCallbacks.size,
-      sessions: Array.from(this.pendingInterrupts.keys())
+      store: this.getStore() instanceof PostgresInterruptStore ? 'postgres' : 'memory',
+      ttlMinutes: INTERRUPT_TTL_MINUTES,
+      ...(await this.getStore().stats())
     };
   }
 
@@ -157,10 +469,9 @@ class InterruptPollingService {
    * Clear all data for a session
    * @param {string} sessionId - Session ID
    */
-  clearSession(sessionId) {
+  async clearSession(sessionId) {
     console.log(`[POLLING:INTERRUPTS] Clearing data for session: ${sessionId}`);
-    this.pendingInterrupts.delete(sessionId);
-    this.approvalCallbacks.delete(sessionId);
+    await this.getStore().clearSession(sessionId);
   }
 
   /**
@@ -168,9 +479,8 @@ class InterruptPollingService {
    */
   shutdown() {
     console.log('[POLLING:INTERRUPTS] Shutting down polling service');
-    this.stopCleanup();
-    this.pendingInterrupts.clear();
-    this.approvalCallbacks.clear();
+    this.store = null;
+    this.approvalHandler = null;
   }
 }
 
@@ -185,4 +495,4 @@ module.exports = {
     return instance;
   },
   InterruptPollingService
-};
\ No newline at end of file
+};
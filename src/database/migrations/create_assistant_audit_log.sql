@@ -0,0 +1,55 @@
+-- Append-only audit trail of what the assistant did on whose behalf
+-- Written by src/services/audit/auditLog.js: one row per approval decision and
+-- one row per BSA write (create/update/delete/link) the agents make.
+-- Lives next to the LangGraph checkpoint tables in the same Postgres database.
+
+CREATE TABLE IF NOT EXISTS assistant_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  event TEXT NOT NULL CHECK (event IN ('approval', 'bsa_write')),
+  org_id TEXT NOT NULL,
+  user_id TEXT,
+  session_id TEXT,
+  thread_id TEXT,
+  approval_id UUID,               -- Ties BSA writes to the approval that caused them
+  query TEXT,                     -- The user's request
+  domain TEXT,                    -- Agent domain (calendar, task, ...) for approvals
+  action TEXT NOT NULL,           -- e.g. create_appointment, update_task, undo_changes
+  decision TEXT,                  -- approve / reject for approvals
+  preview JSONB,                  -- The previews the user approved or rejected
+  endpoint TEXT,                  -- BSA endpoint called
+  result_ids TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL CHECK (status IN ('success', 'failure')),
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_assistant_audit_log_org_time ON assistant_audit_log(org_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_assistant_audit_log_user ON assistant_audit_log(org_id, user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_assistant_audit_log_thread ON assistant_audit_log(thread_id);
+CREATE INDEX IF NOT EXISTS idx_assistant_audit_log_approval ON assistant_audit_log(approval_id);
+
+-- Append-only: rows can be inserted and read, never changed or removed
+CREATE OR REPLACE FUNCTION assistant_audit_log_append_only()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'assistant_audit_log is append-only (% not allowed)', TG_OP;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS assistant_audit_log_no_update ON assistant_audit_log;
+CREATE TRIGGER assistant_audit_log_no_update
+  BEFORE UPDATE OR DELETE ON assistant_audit_log
+  FOR EACH ROW EXECUTE FUNCTION assistant_audit_log_append_only();
+
+DROP TRIGGER IF EXISTS assistant_audit_log_no_truncate ON assistant_audit_log;
+CREATE TRIGGER assistant_audit_log_no_truncate
+  BEFORE TRUNCATE ON assistant_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION assistant_audit_log_append_only();
+
+-- Grant necessary permissions (adjust based on your user setup)
+-- GRANT SELECT, INSERT ON assistant_audit_log TO authenticated;
+-- GRANT USAGE ON SEQUENCE assistant_audit_log_id_seq TO authenticated;
+
+COMMENT ON TABLE assistant_audit_log IS 'Append-only audit trail of assistant approvals and BSA writes per org';
@@ -0,0 +1,28 @@
+-- Durable queue of interrupts (clarifications, approvals) waiting for the client
+-- Written and read by src/core/websocket/pollingFallback.js so /api/interrupts/poll
+-- and /api/interrupts/approve work no matter which serverless instance serves them.
+
+CREATE TABLE IF NOT EXISTS assistant_interrupt_queue (
+  id UUID PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  thread_id TEXT,
+  payload JSONB NOT NULL,          -- Interrupt data sent to the client
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  acknowledged_at TIMESTAMPTZ,     -- Set when the client confirms receipt
+  decided_at TIMESTAMPTZ,          -- Set once by the first approval response
+  decision JSONB,                  -- Approval data from the client
+  result JSONB                     -- Outcome of processing the decision
+);
+
+-- Pending interrupts of a session, oldest first
+CREATE INDEX IF NOT EXISTS idx_assistant_interrupt_queue_pending
+  ON assistant_interrupt_queue(session_id, created_at)
+  WHERE decided_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_assistant_interrupt_queue_expires ON assistant_interrupt_queue(expires_at);
+
+-- Grant necessary permissions (adjust based on your user setup)
+-- GRANT SELECT, INSERT, UPDATE, DELETE ON assistant_interrupt_queue TO authenticated;
+
+COMMENT ON TABLE assistant_interrupt_queue IS 'Interrupts awaiting delivery and approval, shared by all server instances';
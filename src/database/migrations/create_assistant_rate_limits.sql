@@ -0,0 +1,18 @@
+-- Fixed-window request counters for per-user and per-org rate limits
+-- Written by src/core/concurrency/postgresBackend.js so limits hold across
+-- serverless instances and cold starts. Thread locks use Postgres advisory
+-- locks and need no table.
+
+CREATE TABLE IF NOT EXISTS assistant_rate_limits (
+  key TEXT NOT NULL,               -- e.g. rate:user:<org>:<user>, rate:org:<org>
+  window_start TIMESTAMPTZ NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assistant_rate_limits_window ON assistant_rate_limits(window_start);
+
+-- Grant necessary permissions (adjust based on your user setup)
+-- GRANT SELECT, INSERT, UPDATE, DELETE ON assistant_rate_limits TO authenticated;
+
+COMMENT ON TABLE assistant_rate_limits IS 'Request counters per rate limit key and window, shared by all server instances';
@@ -0,0 +1,64 @@
+// Shared PostgreSQL connection pool for direct database operations
+// (checkpoint resets, audit log). Lazy initialized on first use to avoid
+// issues if POSTGRES_CONNECTION_STRING is not set.
+
+let pgPool = null;
+let lockPool = null;
+
+/**
+ * Get the shared pool, or null when POSTGRES_CONNECTION_STRING is not set
+ * @returns {import('pg').Pool|null}
+ */
+function getPgPool() {
+  if (!pgPool && process.env.POSTGRES_CONNECTION_STRING) {
+    const { Pool } = require('pg');
+    pgPool = new Pool({
+      connectionString: process.env.POSTGRES_CONNECTION_STRING,
+      ssl: { rejectUnauthorized: false },
+      max: 10, // Maximum number of clients in the pool
+      idleTimeoutMillis: 30000, // Close idle clients after 30 seconds
+      connectionTimeoutMillis: 2000, // Timeout for new connections
+    });
+    
+    pgPool.on('error', (err) => {
+      console.error('[PG_POOL] Unexpected error on idle client', err);
+    });
+    
+    console.log('[PG_POOL] PostgreSQL connection pool initialized');
+  }
+  return pgPool;
+}
+
+/**
+ * Get the pool for thread locks, or null when POSTGRES_CONNECTION_STRING is not set
+ *
+ * Advisory locks are held on a connection for the whole request, so they get
+ * their own small pool instead of pinning clients the checkpointer, audit log
+ * and interrupt queue need. THREAD_LOCK_POOL_SIZE caps concurrent locked
+ * requests per instance.
+ * @returns {import('pg').Pool|null}
+ */
+function getLockPgPool() {
+  if (!lockPool && process.env.POSTGRES_CONNECTION_STRING) {
+    const { Pool } = require('pg');
+    lockPool = new Pool({
+      connectionString: process.env.POSTGRES_CONNECTION_STRING,
+      ssl: { rejectUnauthorized: false },
+      max: parseInt(process.env.THREAD_LOCK_POOL_SIZE || '5', 10),
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 2000,
+    });
+
+    lockPool.on('error', (err) => {
+      console.error('[PG_POOL] Unexpected error on idle lock client', err);
+    });
+
+    console.log('[PG_POOL] PostgreSQL lock pool initialized');
+  }
+  return lockPool;
+}
+
+module.exports = {
+  getPgPool,
+  getLockPgPool
+};
@@ -6,11 +6,13 @@
 const axios = require('axios');
 const { normalizeBSAResponse } = require('./common');
 const { parseDateQuery } = require('../../../utils/chronoParser');
+const { expandRecurrence } = require('../../../utils/recurrence');
 const bsaConfig = require('../config');
+const { getAuditLog } = require('../../../services/audit/auditLog');
 
 /**
  * Get appointments from BSA
- * @param {Object} params - Query parameters
+ * @param {Object} params - Query parameters (userId limits results to one attendee's calendar)
  * @param {string} passKey - BSA authentication key
  * @param {string} orgId - Organization ID
  * @returns {Promise<Object>} Appointments data
@@ -22,7 +24,8 @@ async function getAppointments(params, passKey, orgId) {
     dateQuery,
     includeAttendees = true,
     includeExtendedProperties = false,
-    timeZone = 'UTC'
+    timeZone = 'UTC',
+    userId = null
   } = params;
   
   // Handle natural language date queries
@@ -139,9 +142,15 @@ async function getAppointments(params, passKey, orgId) {
       firstActivityKeys: normalized.activities?.[0] ? Object.keys(normalized.activities[0]) : []
     });
 
+    let appointments = normalized.activities || [];
+    if (userId) {
+      appointments = appointments.filter(item => isUserAttendee(item, userId));
+      console.log(`[BSA:APPOINTMENTS] ${appointments.length} appointments for user ${userId}`);
+    }
+
     return {
-      appointments: normalized.activities || [],
-      count: normalized.activities?.length || 0
+      appointments,
+      count: appointments.length
     };
   } catch (error) {
     console.error('[BSA:APPOINTMENTS] Error fetching:', error.message);
@@ -149,6 +158,23 @@ async function getAppointments(params, passKey, orgId) {
   }
 }
 
+/**
+ * Check whether a user attends or owns an activity
+ * getActivities returns items either flat or wrapped as { Activity, Attendees }
+ * @param {Object} item - Activity from getActivities
+ * @param {string} userId - BSA user ID
+ * @returns {boolean}
+ */
+function isUserAttendee(item, userId) {
+  const activity = item?.Activity || item;
+  const attendees = item?.Attendees || activity?.Attendees;
+  const userIds = Array.isArray(attendees?.UserIds) ? attendees.UserIds : [];
+
+  return userIds.includes(userId) ||
+    activity?.OwningOrganizationUserId === userId ||
+    activity?.CreatedBy === userId;
+}
+
 /**
  * Create an appointment in BSA
  * @param {Object} data - Appointment data
@@ -214,6 +240,7 @@ async function createAppointment(data, passKey, orgId) {
     // Response contains DataObject, not Activity
     const appointment = normalized.DataObject;
     console.log("[BSA:APPOINTMENTS:DEBUG] Created appointment - All fields:", JSON.stringify(appointment, null, 2));
+    await getAuditLog().recordBsaWrite({ action: 'create_appointment', endpoint, orgId, resultIds: [appointment?.Id] });
 
     // Link contacts if provided
     if (contactIds.length > 0 && appointment.Id) {
@@ -223,10 +250,62 @@ async function createAppointment(data, passKey, orgId) {
     return appointment;
   } catch (error) {
     console.error('[BSA:APPOINTMENTS] Error creating:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'create_appointment', endpoint, orgId, error });
     throw error;
   }
 }
 
+/**
+ * Create a recurring appointment series in BSA
+ * BSA has no native recurrence, so each occurrence is created individually.
+ * @param {Object} data - Appointment data plus recurrence (RRULE) and timeZone
+ * @param {string} passKey - BSA authentication key
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} Created occurrences and per-occurrence failures
+ */
+async function createRecurringAppointments(data, passKey, orgId) {
+  const { recurrence, timeZone = 'UTC', ...baseData } = data;
+
+  const occurrences = expandRecurrence(recurrence, baseData.startTime, baseData.endTime, timeZone);
+  if (occurrences.length === 0) {
+    throw new Error('Recurrence rule produced no occurrences');
+  }
+
+  console.log(`[BSA:APPOINTMENTS] Creating ${occurrences.length} occurrences for rule:`, recurrence);
+
+  const appointments = [];
+  const failed = [];
+
+  // Sequential to stay within BSA rate limits and keep occurrence order
+  for (const occurrence of occurrences) {
+    try {
+      const appointment = await createAppointment(
+        { ...baseData, startTime: occurrence.startTime, endTime: occurrence.endTime },
+        passKey,
+        orgId
+      );
+      appointments.push(appointment);
+    } catch (error) {
+      console.error(`[BSA:APPOINTMENTS] Failed to create occurrence ${occurrence.startTime}:`, error.message);
+      failed.push({ startTime: occurrence.startTime, error: error.message });
+    }
+  }
+
+  if (appointments.length === 0) {
+    throw new Error(failed[0]?.error || 'Failed to create recurring appointments');
+  }
+
+  console.log(`[BSA:APPOINTMENTS] Created ${appointments.length}/${occurrences.length} occurrences`);
+
+  return {
+    appointments,
+    failed,
+    recurrence,
+    count: appointments.length,
+    total: occurrences.length
+  };
+}
+
 /**
  * Update an existing appointment
  * @param {string} appointmentId - Appointment ID to update
@@ -276,10 +355,13 @@ async function updateAppointment(appointmentId, updates, passKey, orgId) {
       throw new Error(normalized.error || 'Failed to update appointment');
     }
 
+    await getAuditLog().recordBsaWrite({ action: 'update_appointment', endpoint, orgId, resultIds: [appointmentId] });
+
     // Response contains DataObject, not Activity
     return normalized.DataObject;
   } catch (error) {
     console.error('[BSA:APPOINTMENTS] Error updating:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'update_appointment', endpoint, orgId, resultIds: [appointmentId], error });
     throw error;
   }
 }
@@ -379,6 +461,15 @@ async function linkAttendees(appointmentId, contactIds, passKey, orgId) {
       console.error(`[BSA:APPOINTMENTS] Error linking contact ${contactId}:`, error.message);
       errors.push({ contactId, error: error.message });
     }
+
+    const failure = errors.find(entry => entry.contactId === contactId);
+    await getAuditLog().recordBsaWrite({
+      action: 'link_appointment_contact',
+      endpoint,
+      orgId,
+      resultIds: [appointmentId, contactId],
+      error: failure ? failure.error : null
+    });
   }
 
   // Return summary of results
@@ -439,9 +530,11 @@ async function deleteAppointment(appointmentId, passKey, orgId) {
     }
 
     console.log("[BSA:APPOINTMENTS] Successfully deleted");
+    await getAuditLog().recordBsaWrite({ action: 'delete_appointment', endpoint, orgId, resultIds: [appointmentId] });
     return { deleted: true, appointmentId };
   } catch (error) {
     console.error('[BSA:APPOINTMENTS] Error deleting:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'delete_appointment', endpoint, orgId, resultIds: [appointmentId], error });
     throw error;
   }
 }
@@ -449,6 +542,7 @@ async function deleteAppointment(appointmentId, passKey, orgId) {
 module.exports = {
   getAppointments,
   createAppointment,
+  createRecurringAppointments,
   updateAppointment,
   getAppointmentById,
   linkAttendees,
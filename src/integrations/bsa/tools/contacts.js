@@ -5,6 +5,46 @@
 
 const { normalizeBSAResponse, buildBSAHeaders } = require('./common');
 const bsaConfig = require('../config');
+const { getAuditLog } = require('../../../services/audit/auditLog');
+
+// Contact fields carried over when merging duplicates
+const MERGE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'mobile', 'company', 'title', 'department',
+  'address', 'city', 'state', 'postalCode', 'country', 'notes'
+];
+
+/**
+ * Format a contact row from the orgdata search endpoint
+ * @private
+ */
+function formatSearchResult(c) {
+  return {
+    id: c.Id || c.id,
+    name: c.FullName || c.name || c.Name || `${c.FirstName || ''} ${c.LastName || ''}`.trim(),
+    firstName: c.FirstName || c.firstName,
+    lastName: c.LastName || c.lastName,
+    email: c.EMailAddress1 || c.email || c.Email || c.EmailAddress,
+    phone: c.Telephone1 || c.phone || c.Phone || c.PhoneNumber,
+    mobile: c.MobilePhone || c.mobile || c.Mobile,
+    fax: c.Fax || c.fax,
+    company: c.CompanyName || c.company || c.Company || c.AccountName,
+    title: c.JobTitle || c.title || c.Title,
+    department: c.Department || c.department,
+    address: c.AddressLine1 || c.address || c.Address || c.MailingAddress,
+    city: c.City || c.city || c.MailingCity,
+    state: c.State || c.state || c.MailingState,
+    postalCode: c.Postal || c.postalCode || c.PostalCode || c.MailingPostalCode,
+    country: c.Country || c.country || c.MailingCountry,
+    // Additional fields from BSA
+    birthDate: c.BirthDate,
+    anniversary: c.Anniversary,
+    maritalStatus: c.MaritalStatus,
+    nickName: c.NickName,
+    clientSince: c.ClientSince,
+    // Custom fields, only when the search asked for extended properties
+    ...(Array.isArray(c.ExtendedProperties) ? { ExtendedProperties: c.ExtendedProperties } : {})
+  };
+}
 
 /**
  * Search for contacts in BSA
@@ -54,30 +94,7 @@ async function searchContacts(query, limit = 50, passKey, orgId) {
     }
 
     // Format contacts consistently - handle new BSA field names
-    const contacts = (normalized.Results || normalized.contacts || normalized.data || []).map(c => ({
-      id: c.Id || c.id,
-      name: c.FullName || c.name || c.Name || `${c.FirstName || ''} ${c.LastName || ''}`.trim(),
-      firstName: c.FirstName || c.firstName,
-      lastName: c.LastName || c.lastName,
-      email: c.EMailAddress1 || c.email || c.Email || c.EmailAddress,
-      phone: c.Telephone1 || c.phone || c.Phone || c.PhoneNumber,
-      mobile: c.MobilePhone || c.mobile || c.Mobile,
-      fax: c.Fax || c.fax,
-      company: c.CompanyName || c.company || c.Company || c.AccountName,
-      title: c.JobTitle || c.title || c.Title,
-      department: c.Department || c.department,
-      address: c.AddressLine1 || c.address || c.Address || c.MailingAddress,
-      city: c.City || c.city || c.MailingCity,
-      state: c.State || c.state || c.MailingState,
-      postalCode: c.Postal || c.postalCode || c.PostalCode || c.MailingPostalCode,
-      country: c.Country || c.country || c.MailingCountry,
-      // Additional fields from BSA
-      birthDate: c.BirthDate,
-      anniversary: c.Anniversary,
-      maritalStatus: c.MaritalStatus,
-      nickName: c.NickName,
-      clientSince: c.ClientSince
-    }));
+    const contacts = (normalized.Results || normalized.contacts || normalized.data || []).map(formatSearchResult);
 
     console.log(`[BSA:CONTACTS:SEARCH] Found ${contacts.length} contacts`);
     return contacts;
@@ -88,6 +105,56 @@ async function searchContacts(query, limit = 50, passKey, orgId) {
   }
 }
 
+/**
+ * List contacts page by page (no search term), e.g. to scan for duplicates
+ * @param {string} passKey - BSA authentication key
+ * @param {string} orgId - Organization ID
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Contacts per page
+ * @param {Object} options - { includeExtendedProperties } to also load custom fields
+ * @returns {Promise<Object>} { contacts, total }
+ */
+async function listContacts(passKey, orgId, page = 1, pageSize = 200, { includeExtendedProperties = false } = {}) {
+  console.log(`[BSA:CONTACTS:LIST] Listing contacts page ${page} (page size: ${pageSize}, extended properties: ${includeExtendedProperties})`);
+
+  const axios = require('axios');
+
+  const url = bsaConfig.buildApiEndpoint('com.platform.vc.endpoints.orgdata.VCOrgDataEndpoint/search.json');
+  const payload = {
+    IncludeExtendedProperties: includeExtendedProperties,
+    OrderBy: "LastName, FirstName",
+    AscendingOrder: true,
+    ResultsPerPage: pageSize,
+    OrganizationId: orgId,
+    PassKey: passKey,
+    SearchTerm: "",
+    PageOffset: page,
+    ObjectName: "contact"
+  };
+
+  try {
+    const response = await axios.post(url, payload, {
+      headers: buildBSAHeaders(passKey),
+      timeout: 15000
+    });
+
+    const normalized = normalizeBSAResponse(response.data);
+    if (!normalized.valid) {
+      return { contacts: [], total: 0 };
+    }
+
+    const contacts = (normalized.Results || normalized.contacts || normalized.data || []).map(formatSearchResult);
+    return {
+      contacts,
+      total: normalized.TotalResults ?? contacts.length
+    };
+
+  } catch (error) {
+    console.error('[BSA:CONTACTS:LIST] Error:', error.message);
+    throw new Error(`Failed to list contacts: ${error.message}`);
+  }
+}
+
 /**
  * Get contact details by ID
  * @param {string} contactId - Contact ID
@@ -290,6 +357,7 @@ async function createContact(contactData, passKey, orgId) {
     }
 
     console.log(`[BSA:CONTACTS:CREATE] Created contact with ID: ${normalized.Id}`);
+    await getAuditLog().recordBsaWrite({ action: 'create_contact', endpoint: url, orgId, resultIds: [normalized.Id] });
     
     return {
       id: normalized.Id,
@@ -299,6 +367,7 @@ async function createContact(contactData, passKey, orgId) {
     
   } catch (error) {
     console.error('[BSA:CONTACTS:CREATE] Error:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'create_contact', endpoint: url, orgId, error });
     throw new Error(`Failed to create contact: ${error.message}`);
   }
 }
@@ -352,6 +421,7 @@ async function updateContact(contactId, updates, passKey, orgId) {
     DataObject: dataObject
   };
 
+  let updated = false;
   try {
     const response = await axios.post(url, payload, {
       headers: buildBSAHeaders(passKey),
@@ -364,12 +434,18 @@ async function updateContact(contactId, updates, passKey, orgId) {
     }
 
     console.log(`[BSA:CONTACTS:UPDATE] Contact ${contactId} updated successfully`);
+    updated = true;
+    await getAuditLog().recordBsaWrite({ action: 'update_contact', endpoint: url, orgId, resultIds: [contactId] });
     
     // Return the updated contact details
     return await getContactDetails(contactId, passKey, orgId);
     
   } catch (error) {
     console.error('[BSA:CONTACTS:UPDATE] Error:', error.message);
+    // Failing to re-read the contact doesn't undo the update
+    if (!updated) {
+      await getAuditLog().recordBsaWrite({ action: 'update_contact', endpoint: url, orgId, resultIds: [contactId], error });
+    }
     throw new Error(`Failed to update contact: ${error.message}`);
   }
 }
@@ -410,14 +486,22 @@ async function deleteContact(contactId, passKey, orgId) {
     }
 
     console.log(`[BSA:CONTACTS:DELETE] Contact ${contactId} deleted successfully`);
+    await getAuditLog().recordBsaWrite({ action: 'delete_contact', endpoint: url, orgId, resultIds: [contactId] });
     return true;
     
   } catch (error) {
     console.error('[BSA:CONTACTS:DELETE] Error:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'delete_contact', endpoint: url, orgId, resultIds: [contactId], error });
     throw new Error(`Failed to delete contact: ${error.message}`);
   }
 }
 
+// Map activity types to correct linker names (from listLinkerTypes documentation)
+const ACTIVITY_LINKER_NAMES = {
+  'appointment': 'linker_appointments_contacts',
+  'task': 'linker_tasks_contacts'
+};
+
 /**
  * Link a contact to an activity (appointment or task)
  * @param {string} activityType - 'appointment' or 'task'
@@ -432,13 +516,7 @@ async function linkContactToActivity(activityType, activityId, contactId, passKe
     throw new Error('Activity ID and Contact ID are required');
   }
 
-  // Map activity types to correct linker names (from listLinkerTypes documentation)
-  const LINKER_NAMES = {
-    'appointment': 'linker_appointments_contacts',
-    'task': 'linker_tasks_contacts'
-  };
-
-  const linkerName = LINKER_NAMES[activityType];
+  const linkerName = ACTIVITY_LINKER_NAMES[activityType];
   if (!linkerName) {
     throw new Error(`Unknown activity type for linking: ${activityType}`);
   }
@@ -468,73 +546,139 @@ async function linkContactToActivity(activityType, activityId, contactId, passKe
     const normalized = normalizeBSAResponse(response.data);
     if (!normalized.valid) {
       console.warn(`[BSA:CONTACTS:LINK] Failed to link contact ${contactId} to ${activityType} ${activityId}`);
+      await getAuditLog().recordBsaWrite({ action: `link_${activityType}_contact`, endpoint: url, orgId, resultIds: [activityId, contactId], error: 'Link rejected by BSA' });
       return false;
     }
 
     console.log(`[BSA:CONTACTS:LINK] Successfully linked contact ${contactId} to ${activityType} ${activityId} using ${linkerName}`);
+    await getAuditLog().recordBsaWrite({ action: `link_${activityType}_contact`, endpoint: url, orgId, resultIds: [activityId, contactId] });
     return true;
     
   } catch (error) {
     console.error('[BSA:CONTACTS:LINK] Error:', error.message);
+    await getAuditLog().recordBsaWrite({ action: `link_${activityType}_contact`, endpoint: url, orgId, resultIds: [activityId, contactId], error });
     throw new Error(`Failed to link contact: ${error.message}`);
   }
 }
 
 /**
- * Get recent interactions with a contact
+ * Remove the link between a contact and an activity (appointment or task)
+ *
+ * Uses the ContactLinker unlink endpoints (unlinkContactFromAppointment.json /
+ * unlinkContactFromTask.json), which also record the write in the audit log.
+ * @param {string} activityType - 'appointment' or 'task'
+ * @param {string} activityId - Activity ID
+ * @param {string} contactId - Contact ID to unlink
+ * @param {string} passKey - BSA authentication key
+ * @param {string} orgId - Organization ID (unused by the unlink endpoints, kept for call-site symmetry with linkContactToActivity)
+ * @returns {Promise<boolean>} Success status
+ */
+async function unlinkContactFromActivity(activityType, activityId, contactId, passKey, orgId) {
+  if (!activityId || !contactId) {
+    throw new Error('Activity ID and Contact ID are required');
+  }
+
+  if (!ACTIVITY_LINKER_NAMES[activityType]) {
+    throw new Error(`Unknown activity type for unlinking: ${activityType}`);
+  }
+
+  console.log(`[BSA:CONTACTS:UNLINK] Unlinking contact ${contactId} from ${activityType} ${activityId}`);
+
+  // Required lazily: the linker lives in services and pulls in the error handler
+  const { getContactLinker } = require('../../../services/entities/contactLinker');
+  const result = await getContactLinker().unlinkContact(activityType, activityId, contactId, passKey);
+
+  if (!result.success) {
+    console.warn(`[BSA:CONTACTS:UNLINK] Failed to unlink contact ${contactId} from ${activityType} ${activityId}: ${result.error}`);
+    return false;
+  }
+
+  console.log(`[BSA:CONTACTS:UNLINK] Unlinked contact ${contactId} from ${activityType} ${activityId}`);
+  return true;
+}
+
+/**
+ * Get recent and upcoming interactions with a contact
+ *
+ * getActivities has no contact filter, so appointments and tasks in the date
+ * window are fetched and filtered to the ones the contact is linked to.
+ *
  * @param {string} contactId - Contact ID
  * @param {string} passKey - BSA authentication key
  * @param {string} orgId - Organization ID
  * @param {number} limit - Maximum number of interactions to return
- * @returns {Promise<Object>} Recent appointments and tasks
+ * @param {Object} options - { lookbackDays, lookaheadDays, throwOnError: fail instead of skipping appointments or tasks that can't be fetched }
+ * @returns {Promise<Object>} Appointments and tasks (normalized), plus both combined, most recent first
  */
-async function getContactInteractions(contactId, passKey, orgId, limit = 10) {
+async function getContactInteractions(contactId, passKey, orgId, limit = 10, options = {}) {
   if (!contactId) {
     throw new Error('Contact ID is required');
   }
 
+  const { lookbackDays = 365, lookaheadDays = 90, throwOnError = false } = options;
+
   console.log(`[BSA:CONTACTS:INTERACTIONS] Getting interactions for contact ${contactId}`);
   
   // Import appointments and tasks modules
   const { getAppointments } = require('./appointments');
-  const { getTasks } = require('./tasks');
+  const { getTasks, normalizeTask } = require('./tasks');
+
+  const day = 24 * 60 * 60 * 1000;
+  const startDate = new Date(Date.now() - lookbackDays * day).toISOString().slice(0, 10);
+  const endDate = new Date(Date.now() + lookaheadDays * day).toISOString().slice(0, 10);
+  const isLinked = (item) => {
+    const attendees = item?.Attendees || item?.Activity?.Attendees;
+    return Array.isArray(attendees?.ContactIds) && attendees.ContactIds.includes(contactId);
+  };
   
   try {
     // Fetch appointments and tasks in parallel
-    const [appointments, tasks] = await Promise.all([
-      getAppointments(passKey, orgId, {
-        contactId,
-        limit: Math.ceil(limit / 2)
-      }).catch(err => {
+    const [appointmentResult, taskResult] = await Promise.all([
+      getAppointments({ startDate, endDate, includeAttendees: true }, passKey, orgId).catch(err => {
+        if (throwOnError) throw err;
         console.warn('[BSA:CONTACTS:INTERACTIONS] Failed to get appointments:', err.message);
-        return [];
+        return { appointments: [] };
       }),
-      getTasks(passKey, orgId, {
-        contactId,
-        limit: Math.ceil(limit / 2)
-      }).catch(err => {
+      // Attendees are needed to tell which tasks the contact is linked to
+      getTasks({ startDate, endDate, includeCompleted: true, includeAttendees: true }, passKey, orgId).catch(err => {
+        if (throwOnError) throw err;
         console.warn('[BSA:CONTACTS:INTERACTIONS] Failed to get tasks:', err.message);
-        return [];
+        return { tasks: [] };
       })
     ]);
 
+    const appointments = (appointmentResult.appointments || []).filter(isLinked).map(item => {
+      const appointment = item.Activity || item;
+      return {
+        id: appointment.Id,
+        subject: appointment.Subject || '',
+        description: appointment.Description || '',
+        location: appointment.Location || '',
+        startTime: appointment.StartTime || null,
+        endTime: appointment.EndTime || null,
+        workflowId: appointment.AdvocateProcessId || null
+      };
+    });
+    const tasks = (taskResult.tasks || []).filter(isLinked).map(item => ({
+      ...normalizeTask(item),
+      workflowId: (item.Activity || item).AdvocateProcessId || null
+    }));
+
     // Combine and sort by date
+    const dateOf = (interaction) => new Date(interaction.startTime || interaction.dueTime || 0);
     const allInteractions = [
       ...appointments.map(a => ({ ...a, type: 'appointment' })),
       ...tasks.map(t => ({ ...t, type: 'task' }))
-    ].sort((a, b) => {
-      const dateA = new Date(a.startTime || a.dueDate || a.createdDate);
-      const dateB = new Date(b.startTime || b.dueDate || b.createdDate);
-      return dateB - dateA; // Most recent first
-    }).slice(0, limit);
+    ].sort((a, b) => dateOf(b) - dateOf(a)) // Most recent first
+      .slice(0, limit);
 
     console.log(`[BSA:CONTACTS:INTERACTIONS] Found ${allInteractions.length} interactions`);
     
     return {
       contactId,
-      totalInteractions: allInteractions.length,
-      appointments: appointments.slice(0, Math.ceil(limit / 2)),
-      tasks: tasks.slice(0, Math.ceil(limit / 2)),
+      totalInteractions: appointments.length + tasks.length,
+      appointments,
+      tasks,
       combined: allInteractions
     };
     
@@ -544,15 +688,60 @@ async function getContactInteractions(contactId, passKey, orgId, limit = 10) {
   }
 }
 
+// Appointments and tasks this far back/ahead are moved to the kept contact in a merge
+const MERGE_LINK_WINDOW = { lookbackDays: 10 * 365, lookaheadDays: 2 * 365 };
+
+/**
+ * Link a contact's appointments and tasks to another contact
+ *
+ * Activities the target is already linked to are skipped.
+ * @private
+ * @returns {Promise<number>} Links made
+ * @throws {Error} - If the activities can't be read or a link fails
+ */
+async function moveContactLinks(fromContactId, toContactId, alreadyLinked, passKey, orgId) {
+  const interactions = await getContactInteractions(fromContactId, passKey, orgId, 0, {
+    ...MERGE_LINK_WINDOW,
+    throwOnError: true
+  });
+
+  let moved = 0;
+  const activities = [
+    ...interactions.appointments.map(item => ({ type: 'appointment', id: item.id })),
+    ...interactions.tasks.map(item => ({ type: 'task', id: item.id }))
+  ];
+  for (const activity of activities) {
+    if (alreadyLinked.has(`${activity.type}:${activity.id}`)) continue;
+
+    const linked = await linkContactToActivity(activity.type, activity.id, toContactId, passKey, orgId);
+    if (!linked) {
+      throw new Error(`BSA rejected the link to ${activity.type} ${activity.id}`);
+    }
+    moved++;
+  }
+  return moved;
+}
+
 /**
  * Deduplicate contacts by merging duplicates
+ *
+ * Without fieldChoices the primary's values win and empty fields are filled
+ * from the other contacts; notes from the other contacts are appended.
+ * With fieldChoices, each listed field takes the value of the chosen contact.
+ *
+ * Appointments and tasks linked to the other contacts (10 years back, 2 years
+ * ahead) are linked to the primary before those contacts are deleted. A
+ * contact whose links can't all be moved is kept and reported in
+ * keptContactIds, so no history is lost.
+ *
  * @param {Array<string>} contactIds - IDs of contacts to merge
  * @param {string} primaryContactId - ID of the primary contact to keep
  * @param {string} passKey - BSA authentication key
  * @param {string} orgId - Organization ID
- * @returns {Promise<Object>} Merged contact
+ * @param {Object} fieldChoices - Optional { field: contactId } picking the winning value per field
+ * @returns {Promise<Object>} Merged contact, with movedLinks, deletedContactIds, keptContactIds (links not moved) and failedContactIds (delete failed)
  */
-async function mergeContacts(contactIds, primaryContactId, passKey, orgId) {
+async function mergeContacts(contactIds, primaryContactId, passKey, orgId, fieldChoices = {}) {
   if (!Array.isArray(contactIds) || contactIds.length < 2) {
     throw new Error('At least 2 contact IDs required for merge');
   }
@@ -561,12 +750,23 @@ async function mergeContacts(contactIds, primaryContactId, passKey, orgId) {
     throw new Error('Primary contact ID must be in the list of contacts to merge');
   }
 
+  for (const [field, contactId] of Object.entries(fieldChoices)) {
+    if (!MERGE_FIELDS.includes(field)) {
+      throw new Error(`Unknown contact field: ${field}`);
+    }
+    if (!contactIds.includes(contactId)) {
+      throw new Error(`Value for ${field} must come from one of the merged contacts`);
+    }
+  }
+
   console.log(`[BSA:CONTACTS:MERGE] Merging ${contactIds.length} contacts into ${primaryContactId}`);
   
   // Note: BSA may not have a direct merge API, so we'll implement a manual merge
   try {
-    // Get all contact details
-    const contacts = await getContactsByIds(contactIds, passKey, orgId, true);
+    // Get full details (getMultiple doesn't return address or notes)
+    const contacts = await Promise.all(
+      contactIds.map(contactId => getContactDetails(contactId, passKey, orgId, false))
+    );
     
     // Find the primary contact
     const primaryContact = contacts.find(c => c.id === primaryContactId);
@@ -580,36 +780,71 @@ async function mergeContacts(contactIds, primaryContactId, passKey, orgId) {
     
     for (const contact of secondaryContacts) {
       // Merge fields (prefer non-empty values)
-      if (!mergedData.email && contact.email) mergedData.email = contact.email;
-      if (!mergedData.phone && contact.phone) mergedData.phone = contact.phone;
-      if (!mergedData.mobile && contact.mobile) mergedData.mobile = contact.mobile;
-      if (!mergedData.company && contact.company) mergedData.company = contact.company;
-      if (!mergedData.title && contact.title) mergedData.title = contact.title;
-      if (!mergedData.address && contact.address) mergedData.address = contact.address;
+      for (const field of MERGE_FIELDS) {
+        if (field !== 'notes' && !mergedData[field] && contact[field]) mergedData[field] = contact[field];
+      }
       
       // Append notes
-      if (contact.notes) {
+      if (contact.notes && !fieldChoices.notes) {
         mergedData.notes = mergedData.notes 
           ? `${mergedData.notes}\n\nMerged from ${contact.name}:\n${contact.notes}`
           : contact.notes;
       }
     }
+
+    // Explicit choices override the defaults
+    for (const [field, contactId] of Object.entries(fieldChoices)) {
+      const source = contacts.find(c => c.id === contactId);
+      mergedData[field] = source[field] || '';
+    }
     
     // Update primary contact with merged data
-    await updateContact(primaryContactId, mergedData, passKey, orgId);
+    const updates = Object.fromEntries(MERGE_FIELDS.map(field => [field, mergedData[field] || '']));
+    await updateContact(primaryContactId, updates, passKey, orgId);
     
-    // Delete secondary contacts
+    // Activities the primary is already linked to don't need a second link
+    const alreadyLinked = new Set();
+    try {
+      const primaryInteractions = await getContactInteractions(primaryContactId, passKey, orgId, 0, MERGE_LINK_WINDOW);
+      primaryInteractions.appointments.forEach(item => alreadyLinked.add(`appointment:${item.id}`));
+      primaryInteractions.tasks.forEach(item => alreadyLinked.add(`task:${item.id}`));
+    } catch (err) {
+      console.warn(`[BSA:CONTACTS:MERGE] Could not read the links of ${primaryContactId}:`, err.message);
+    }
+
+    // Move each secondary contact's links, then delete it
+    let movedLinks = 0;
+    const deletedContactIds = [];
+    const keptContactIds = [];
+    const failedContactIds = [];
     for (const contact of secondaryContacts) {
+      try {
+        movedLinks += await moveContactLinks(contact.id, primaryContactId, alreadyLinked, passKey, orgId);
+      } catch (err) {
+        keptContactIds.push(contact.id);
+        console.warn(`[BSA:CONTACTS:MERGE] Keeping duplicate ${contact.id} - its links were not all moved:`, err.message);
+        continue;
+      }
+
       try {
         await deleteContact(contact.id, passKey, orgId);
+        deletedContactIds.push(contact.id);
         console.log(`[BSA:CONTACTS:MERGE] Deleted duplicate contact ${contact.id}`);
       } catch (err) {
+        failedContactIds.push(contact.id);
         console.warn(`[BSA:CONTACTS:MERGE] Failed to delete duplicate ${contact.id}:`, err.message);
       }
     }
     
     console.log(`[BSA:CONTACTS:MERGE] Successfully merged ${contactIds.length} contacts`);
-    return mergedData;
+    return {
+      ...mergedData,
+      name: `${mergedData.firstName || ''} ${mergedData.lastName || ''}`.trim() || mergedData.name,
+      movedLinks,
+      deletedContactIds,
+      keptContactIds,
+      failedContactIds
+    };
     
   } catch (error) {
     console.error('[BSA:CONTACTS:MERGE] Error:', error.message);
@@ -619,12 +854,14 @@ async function mergeContacts(contactIds, primaryContactId, passKey, orgId) {
 
 module.exports = {
   searchContacts,
+  listContacts,
   getContactDetails,
   getContactsByIds,
   createContact,
   updateContact,
   deleteContact,
   linkContactToActivity,
+  unlinkContactFromActivity,
   getContactInteractions,
   mergeContacts
 };
\ No newline at end of file
@@ -7,6 +7,7 @@ const axios = require('axios');
 const { normalizeBSAResponse, buildBSAHeaders, formatBSADateTime } = require('./common');
 const { parseDateQuery } = require('../../../utils/chronoParser');
 const bsaConfig = require('../config');
+const { getAuditLog } = require('../../../services/audit/auditLog');
 
 /**
  * Get tasks from BSA
@@ -21,6 +22,7 @@ async function getTasks(params, passKey, orgId) {
     endDate,
     dateQuery,
     includeCompleted = false,
+    includeAttendees = true,
     includeExtendedProperties = false,
     timeZone = 'UTC'
   } = params;
@@ -85,6 +87,7 @@ async function getTasks(params, passKey, orgId) {
     From: effectiveFrom,
     To: effectiveTo,
     IncludeCompleted: includeCompleted,
+    IncludeAttendees: includeAttendees, // Linked contacts/companies/users only come back with this
     IncludeExtendedProperties: includeExtendedProperties
   };
   
@@ -106,7 +109,7 @@ async function getTasks(params, passKey, orgId) {
     // Filter out completed tasks if not requested
     let tasks = normalized.activities || [];
     if (!includeCompleted) {
-      tasks = tasks.filter(task => task.StatusCode !== 'completed');
+      tasks = tasks.filter(task => !normalizeTask(task).completed);
     }
     
     return {
@@ -119,6 +122,153 @@ async function getTasks(params, passKey, orgId) {
   }
 }
 
+// Priority rank for sorting (lower = more important)
+const PRIORITY_RANK = { urgent: 0, high: 1, normal: 2, medium: 2, low: 3 };
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Default fetch window when a query has no due-date bounds
+const DEFAULT_LOOKBACK_DAYS = 90;
+const DEFAULT_LOOKAHEAD_DAYS = 90;
+
+/**
+ * Normalize a BSA task into a flat, consistent shape
+ * getActivities returns items either flat or wrapped as { Activity, Attendees }
+ * @param {Object} item - Task from getActivities or getActivity
+ * @param {Date} now - Reference time for overdue detection
+ * @returns {Object} Normalized task
+ */
+function normalizeTask(item, now = new Date()) {
+  const task = item?.Activity || item || {};
+  const attendees = item?.Attendees || task.Attendees || {};
+
+  // Status arrives as Status, StatusCode or StatusId depending on endpoint
+  const status = String(task.Status || task.StatusCode || task.StatusId || 'notstarted')
+    .toLowerCase()
+    .replace(/[\s_-]/g, '');
+  const priority = String(task.Priority || task.PriorityId || 'normal').toLowerCase();
+  const dueTime = task.DueTime || task.DueDate || task.EndTime || null;
+  const completed = CLOSED_STATUSES.includes(status) || task.Complete === true;
+
+  return {
+    id: task.Id,
+    subject: task.Subject || '',
+    description: task.Description || '',
+    status,
+    priority,
+    dueTime,
+    startTime: task.StartTime || task.StartDate || null,
+    percentComplete: task.PercentComplete || 0,
+    completed,
+    isOverdue: !completed && !!dueTime && new Date(dueTime) < now,
+    contactIds: Array.isArray(attendees.ContactIds) ? attendees.ContactIds : [],
+    companyIds: Array.isArray(attendees.CompanyIds) ? attendees.CompanyIds : [],
+    userIds: Array.isArray(attendees.UserIds) ? attendees.UserIds : [],
+    ownerId: task.OwningOrganizationUserId || task.CreatedBy || null
+  };
+}
+
+/**
+ * Filter normalized tasks
+ * @param {Array<Object>} tasks - Normalized tasks
+ * @param {Object} filters - { status, priority, overdue, dueFrom, dueTo, contactIds, assigneeIds, search }
+ * @returns {Array<Object>} Matching tasks
+ */
+function filterTasks(tasks, filters = {}) {
+  const statuses = (filters.status || []).map(s => String(s).toLowerCase().replace(/[\s_-]/g, ''));
+  const priorities = (filters.priority || []).map(p => String(p).toLowerCase());
+  const search = filters.search ? String(filters.search).toLowerCase() : null;
+
+  return tasks.filter(task => {
+    if (statuses.length > 0 && !statuses.includes(task.status)) return false;
+    if (priorities.length > 0 && !priorities.includes(task.priority)) return false;
+    if (filters.overdue === true && !task.isOverdue) return false;
+    if (filters.overdue === false && task.isOverdue) return false;
+
+    if (filters.dueFrom || filters.dueTo) {
+      if (!task.dueTime) return false;
+      const due = new Date(task.dueTime);
+      if (filters.dueFrom && due < new Date(filters.dueFrom)) return false;
+      if (filters.dueTo && due > new Date(filters.dueTo)) return false;
+    }
+
+    if (filters.contactIds?.length > 0 &&
+        !filters.contactIds.some(id => task.contactIds.includes(id) || task.companyIds.includes(id))) {
+      return false;
+    }
+
+    if (filters.assigneeIds?.length > 0 &&
+        !filters.assigneeIds.some(id => task.userIds.includes(id) || task.ownerId === id)) {
+      return false;
+    }
+
+    if (search && !`${task.subject} ${task.description}`.toLowerCase().includes(search)) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Sort tasks: overdue first, then by due date, then by priority
+ * @param {Array<Object>} tasks - Normalized tasks
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortTasks(tasks) {
+  const rank = (task) => PRIORITY_RANK[task.priority] ?? PRIORITY_RANK.normal;
+  return [...tasks].sort((a, b) => {
+    if (a.isOverdue !== b.isOverdue) return a.isOverdue ? -1 : 1;
+    if (a.dueTime && b.dueTime && a.dueTime !== b.dueTime) return new Date(a.dueTime) - new Date(b.dueTime);
+    if (!a.dueTime !== !b.dueTime) return a.dueTime ? -1 : 1;
+    return rank(a) - rank(b);
+  });
+}
+
+/**
+ * Query tasks with filters
+ *
+ * BSA only filters tasks by date range, so the remaining filters are applied
+ * client-side over a window derived from the due-date bounds.
+ *
+ * @param {Object} filters - { status, priority, overdue, dueFrom, dueTo, contactIds, assigneeIds, search, includeCompleted, limit }
+ * @param {string} passKey - BSA authentication key
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} { tasks, count, total, window }
+ */
+async function queryTasks(filters, passKey, orgId) {
+  const now = new Date();
+  const day = 24 * 60 * 60 * 1000;
+
+  const includeCompleted = filters.includeCompleted ??
+    (filters.status || []).some(s => CLOSED_STATUSES.includes(String(s).toLowerCase()));
+
+  let from = filters.dueFrom ? new Date(filters.dueFrom) : new Date(now.getTime() - DEFAULT_LOOKBACK_DAYS * day);
+  let to = filters.dueTo ? new Date(filters.dueTo) : new Date(now.getTime() + DEFAULT_LOOKAHEAD_DAYS * day);
+  if (filters.overdue === true && to > now) to = now;
+  if (to <= from) from = new Date(to.getTime() - day);
+
+  const window = {
+    startDate: from.toISOString().slice(0, 10),
+    endDate: to.toISOString().slice(0, 10)
+  };
+
+  const result = await getTasks({
+    ...window,
+    includeCompleted,
+    timeZone: filters.timeZone || 'UTC'
+  }, passKey, orgId);
+
+  const normalized = result.tasks.map(task => normalizeTask(task, now));
+  const matches = sortTasks(filterTasks(normalized, filters));
+
+  console.log(`[BSA:TASKS] Query matched ${matches.length} of ${normalized.length} tasks`);
+
+  return {
+    tasks: filters.limit ? matches.slice(0, filters.limit) : matches,
+    count: Math.min(matches.length, filters.limit || matches.length),
+    total: matches.length,
+    window
+  };
+}
+
 /**
  * Create a task in BSA
  * @param {Object} data - Task data
@@ -159,6 +309,7 @@ async function createTask(data, passKey, orgId) {
     }
   };
   
+  let task = null;
   try {
     const response = await axios.post(
       bsaConfig.buildEndpoint(endpoint),
@@ -174,8 +325,9 @@ async function createTask(data, passKey, orgId) {
       throw new Error(normalized.error || 'Failed to create task');
     }
     
-    const task = normalized.Activity;
+    task = normalized.Activity;
     console.log("[BSA:TASKS] Created task ID:", task.Id);
+    await getAuditLog().recordBsaWrite({ action: 'create_task', endpoint, orgId, resultIds: [task.Id] });
     
     // Link contact if provided
     if (contactId && task.Id) {
@@ -185,6 +337,10 @@ async function createTask(data, passKey, orgId) {
     return task;
   } catch (error) {
     console.error('[BSA:TASKS] Error creating:', error.message);
+    // A failed contact link after creation is recorded by linkToTask
+    if (!task) {
+      await getAuditLog().recordBsaWrite({ action: 'create_task', endpoint, orgId, error });
+    }
     throw error;
   }
 }
@@ -259,9 +415,11 @@ async function updateTask(taskId, updates, passKey, orgId) {
       throw new Error(normalized.error || 'Failed to update task');
     }
     
+    await getAuditLog().recordBsaWrite({ action: 'update_task', endpoint, orgId, resultIds: [taskId] });
     return normalized.Activity;
   } catch (error) {
     console.error('[BSA:TASKS] Error updating:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'update_task', endpoint, orgId, resultIds: [taskId], error });
     throw error;
   }
 }
@@ -271,9 +429,10 @@ async function updateTask(taskId, updates, passKey, orgId) {
  * @param {string} taskId - Task ID
  * @param {string} passKey - BSA authentication key
  * @param {string} orgId - Organization ID
+ * @param {Object} options - { throwOnError: rethrow request failures instead of returning null }
  * @returns {Promise<Object|null>} Task or null if not found
  */
-async function getTaskById(taskId, passKey, orgId) {
+async function getTaskById(taskId, passKey, orgId, { throwOnError = false } = {}) {
   const endpoint = '/endpoints/ajax/com.platform.vc.endpoints.calendar.VCCalendarEndpoint/getActivity.json';
   const payload = {
     OrgId: orgId,
@@ -298,6 +457,7 @@ async function getTaskById(taskId, passKey, orgId) {
     return normalized.Activity;
   } catch (error) {
     console.error('[BSA:TASKS] Error fetching by ID:', error.message);
+    if (throwOnError) throw error;
     return null;
   }
 }
@@ -340,9 +500,11 @@ async function linkToTask(taskId, contactId, passKey, orgId) {
     }
     
     console.log("[BSA:TASKS] Successfully linked contact");
+    await getAuditLog().recordBsaWrite({ action: 'link_task_contact', endpoint, orgId, resultIds: [taskId, contactId] });
     return { linked: true, taskId, contactId };
   } catch (error) {
     console.error('[BSA:TASKS] Error linking contact:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'link_task_contact', endpoint, orgId, resultIds: [taskId, contactId], error });
     throw error;
   }
 }
@@ -390,15 +552,21 @@ async function deleteTask(taskId, passKey, orgId) {
     }
     
     console.log("[BSA:TASKS] Successfully deleted");
+    await getAuditLog().recordBsaWrite({ action: 'delete_task', endpoint, orgId, resultIds: [taskId] });
     return { deleted: true, taskId };
   } catch (error) {
     console.error('[BSA:TASKS] Error deleting:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'delete_task', endpoint, orgId, resultIds: [taskId], error });
     throw error;
   }
 }
 
 module.exports = {
   getTasks,
+  queryTasks,
+  normalizeTask,
+  filterTasks,
+  sortTasks,
   createTask,
   updateTask,
   getTaskById,
@@ -6,6 +6,7 @@
 const axios = require('axios');
 const { normalizeBSAResponse, buildBSAHeaders, handleBSAError, retryWithBackoff } = require('./common');
 const bsaConfig = require('../config');
+const { getAuditLog } = require('../../../services/audit/auditLog');
 
 /**
  * Create a new workflow process container
@@ -59,6 +60,7 @@ async function createWorkflow(name, description, passKey, orgId) {
     }
 
     console.log("[BSA:WORKFLOWS] Created workflow ID:", processData.Id);
+    await getAuditLog().recordBsaWrite({ action: 'create_workflow', endpoint, orgId, resultIds: [processData.Id] });
     
     return {
       id: processData.Id,
@@ -68,6 +70,7 @@ async function createWorkflow(name, description, passKey, orgId) {
     };
   } catch (error) {
     console.error('[BSA:WORKFLOWS] Error creating workflow:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'create_workflow', endpoint, orgId, error });
     throw error;
   }
 }
@@ -137,6 +140,7 @@ async function addWorkflowStep(workflowId, stepData, passKey, orgId) {
     const stepResponse = normalized.DataObject || normalized[0]?.DataObject;
     
     console.log(`[BSA:WORKFLOWS] Added step ${stepResponse.Sequence}: ${stepResponse.Subject}`);
+    await getAuditLog().recordBsaWrite({ action: 'add_workflow_step', endpoint, orgId, resultIds: [workflowId, stepResponse.Id] });
     
     return {
       id: stepResponse.Id,
@@ -146,6 +150,7 @@ async function addWorkflowStep(workflowId, stepData, passKey, orgId) {
     };
   } catch (error) {
     console.error('[BSA:WORKFLOWS] Error adding step:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'add_workflow_step', endpoint, orgId, resultIds: [workflowId], error });
     throw error;
   }
 }
@@ -302,10 +307,12 @@ async function deleteWorkflow(workflowId, passKey, orgId) {
     }
     
     console.log("[BSA:WORKFLOWS] Successfully deleted workflow");
+    await getAuditLog().recordBsaWrite({ action: 'delete_workflow', endpoint, orgId, resultIds: [workflowId] });
     
     return { deleted: true, workflowId };
   } catch (error) {
     console.error('[BSA:WORKFLOWS] Error deleting workflow:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'delete_workflow', endpoint, orgId, resultIds: [workflowId], error });
     throw error;
   }
 }
@@ -351,15 +358,130 @@ async function updateWorkflow(workflowId, updates, passKey, orgId) {
     const workflowData = normalized.data?.[0]?.DataObject || normalized.data?.DataObject;
     
     console.log("[BSA:WORKFLOWS] Successfully updated workflow");
+    await getAuditLog().recordBsaWrite({ action: 'update_workflow', endpoint, orgId, resultIds: [workflowId] });
     
     return {
-      id: workflowData.Id,
-      name: workflowData.Name,
-      description: workflowData.Description,
-      modifiedOn: workflowData.ModifiedOn
+      id: workflowData?.Id ?? workflowId,
+      name: workflowData?.Name,
+      description: workflowData?.Description,
+      modifiedOn: workflowData?.ModifiedOn
     };
   } catch (error) {
     console.error('[BSA:WORKFLOWS] Error updating workflow:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'update_workflow', endpoint, orgId, resultIds: [workflowId], error });
+    throw error;
+  }
+}
+
+/**
+ * Update a single workflow step
+ * @param {string} stepId - Step ID to update
+ * @param {Object} updates - Fields to change (subject, description, activityType, dayOffset, assigneeType, sequence)
+ * @param {string} passKey - BSA authentication key
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} Updated step
+ */
+async function updateWorkflowStep(stepId, updates, passKey, orgId) {
+  if (updates.sequence > 22) {
+    throw new Error('Workflow cannot have more than 22 steps (BSA limitation)');
+  }
+
+  const endpoint = '/endpoints/ajax/com.platform.vc.endpoints.orgdata.VCOrgDataEndpoint/update.json';
+
+  // Map camelCase step fields to BSA field names, sending only what changed
+  const fieldMap = {
+    subject: 'Subject',
+    description: 'Description',
+    activityType: 'ActivityType',
+    dayOffset: 'DayOffset',
+    assigneeType: 'AssigneeType',
+    sequence: 'Sequence'
+  };
+  const dataObject = { Id: stepId };
+  for (const [field, bsaField] of Object.entries(fieldMap)) {
+    if (updates[field] !== undefined) {
+      dataObject[bsaField] = updates[field];
+    }
+  }
+
+  const payload = {
+    PassKey: passKey,
+    OrganizationId: orgId,
+    ObjectName: "advocate_process_template",
+    DataObject: dataObject
+  };
+
+  console.log(`[BSA:WORKFLOWS] Updating step ${stepId}:`, Object.keys(dataObject).filter(k => k !== 'Id').join(', '));
+
+  try {
+    const response = await axios.post(
+      bsaConfig.buildEndpoint(endpoint),
+      payload,
+      {
+        headers: buildBSAHeaders(passKey),
+        timeout: 10000
+      }
+    );
+
+    const normalized = normalizeBSAResponse(response.data);
+    if (!normalized.valid) {
+      throw new Error(normalized.error || 'Failed to update workflow step');
+    }
+
+    const stepData = normalized.DataObject || normalized.data?.[0]?.DataObject || normalized.data?.DataObject || {};
+    await getAuditLog().recordBsaWrite({ action: 'update_workflow_step', endpoint, orgId, resultIds: [stepId] });
+
+    return {
+      id: stepData.Id || stepId,
+      sequence: stepData.Sequence ?? updates.sequence,
+      subject: stepData.Subject ?? updates.subject
+    };
+  } catch (error) {
+    console.error('[BSA:WORKFLOWS] Error updating step:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'update_workflow_step', endpoint, orgId, resultIds: [stepId], error });
+    throw error;
+  }
+}
+
+/**
+ * Delete a single workflow step
+ * @param {string} stepId - Step ID to delete
+ * @param {string} passKey - BSA authentication key
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteWorkflowStep(stepId, passKey, orgId) {
+  const endpoint = '/endpoints/ajax/com.platform.vc.endpoints.orgdata.VCOrgDataEndpoint/delete.json';
+
+  const payload = {
+    PassKey: passKey,
+    OrganizationId: orgId,
+    ObjectName: "advocate_process_template",
+    Id: stepId
+  };
+
+  console.log(`[BSA:WORKFLOWS] Deleting step ${stepId}`);
+
+  try {
+    const response = await axios.post(
+      bsaConfig.buildEndpoint(endpoint),
+      payload,
+      {
+        headers: buildBSAHeaders(passKey),
+        timeout: 10000
+      }
+    );
+
+    const normalized = normalizeBSAResponse(response.data);
+    if (!normalized.valid) {
+      throw new Error(normalized.error || 'Failed to delete workflow step');
+    }
+
+    await getAuditLog().recordBsaWrite({ action: 'delete_workflow_step', endpoint, orgId, resultIds: [stepId] });
+    return { deleted: true, stepId };
+  } catch (error) {
+    console.error('[BSA:WORKFLOWS] Error deleting step:', error.message);
+    await getAuditLog().recordBsaWrite({ action: 'delete_workflow_step', endpoint, orgId, resultIds: [stepId], error });
     throw error;
   }
 }
@@ -571,40 +693,53 @@ async function buildWorkflowFromDescription(description, passKey, orgId) {
 
 /**
  * Add multiple workflow steps to an existing workflow
+ *
+ * Steps use the design format ({ name, description, type, assignee, dayOffset });
+ * BSA-format fields (subject, activityType, assigneeType) are accepted as well.
+ *
  * @param {string} workflowId - Workflow ID to add steps to
- * @param {Array} steps - Array of step configurations
+ * @param {Array} steps - Array of step configurations, in order
  * @param {string} passKey - BSA authentication key
  * @param {string} orgId - Organization ID
- * @returns {Promise<Object>} Result of adding steps
+ * @param {Object} options - { continueOnError, runStep: (fn, stepData) => Promise, wrapping each call (e.g. retries) }
+ * @returns {Promise<Object>} Result of adding steps: { stepsAdded, results, failures }
  */
-async function addWorkflowSteps(workflowId, steps, passKey, orgId) {
+async function addWorkflowSteps(workflowId, steps, passKey, orgId, options = {}) {
+  const { continueOnError = false, runStep = (fn) => fn() } = options;
   const results = [];
+  const failures = [];
 
   for (let i = 0; i < steps.length; i++) {
     const step = steps[i];
+    const type = step.activityType || step.type || '';
+    const assignee = step.assigneeType || step.assignee || '';
     const stepData = {
-      subject: step.name || step.subject,
-      description: step.description,
-      activityType: step.type === 'approval' ? 'Appointment' : 'Task',
+      subject: step.name || step.subject || `Step ${i + 1}`,
+      description: step.description || "",
+      activityType: /appointment/i.test(type) ? 'Appointment' : 'Task',
       sequence: i + 1,
-      dayOffset: step.dayOffset || 1,
-      assigneeType: step.assignee || 'ContactsOwner',
-      allDay: step.type !== 'appointment',
+      dayOffset: typeof step.dayOffset === 'number' ? step.dayOffset : 1,
+      assigneeType: /assistant/i.test(assignee) ? 'ContactsOwnersAssistant' : 'ContactsOwner',
+      allDay: !/appointment/i.test(type),
       rollOver: true
     };
 
     try {
-      const result = await addWorkflowStep(workflowId, stepData, passKey, orgId);
+      const result = await runStep(() => addWorkflowStep(workflowId, stepData, passKey, orgId), stepData);
       results.push(result);
     } catch (error) {
       console.error(`[BSA:WORKFLOWS] Failed to add step ${i + 1}:`, error.message);
-      throw error;
+      if (!continueOnError) {
+        throw error;
+      }
+      failures.push({ sequence: stepData.sequence, subject: stepData.subject, error: error.message });
     }
   }
 
   return {
     stepsAdded: results.length,
-    results
+    results,
+    failures
   };
 }
 
@@ -616,6 +751,8 @@ module.exports = {
   getWorkflowSteps,
   deleteWorkflow,
   updateWorkflow,
+  updateWorkflowStep,
+  deleteWorkflowStep,
   parseWorkflowDescription,
   buildWorkflowFromDescription
 };
\ No newline at end of file
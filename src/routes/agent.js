@@ -2,6 +2,7 @@
 // Handles agent execution and approval flows
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const bsaConfig = require('../integrations/bsa/config');
@@ -16,84 +17,22 @@ const supabase = createClient(
 // Import Coordinator and state management
 const { getCoordinator } = require('../agents/coordinator');
 const { getCheckpointer } = require('../core/state');
+const { getAuditLog } = require('../services/audit/auditLog');
+const { isOrgMember } = require('../core/auth/orgMembership');
+const { getExecutionProgress } = require('../services/streaming/executionProgress');
+const { executeWithThreadLock, checkRateLimits } = require('../core/concurrency');
+const { getInterruptPollingService } = require('../core/websocket/pollingFallback');
 
 // Constants
-const RATE_LIMIT = 10; // requests
-const RATE_WINDOW = 60000; // per minute
 const MAX_QUERY_LENGTH = 2000;
 const DEFAULT_TIMEZONE = 'UTC';
+const SSE_HEARTBEAT_MS = 15000;
 
-// Rate limiting storage
-const rateLimitWindows = new Map();
-
-// Thread-level locking to prevent concurrent requests on same thread
-const activeThreads = new Map(); // thread_id -> Promise
-
-/**
- * Execute function with thread-level lock to prevent race conditions
- * @param {string} threadId - Thread identifier
- * @param {Function} fn - Async function to execute
- * @returns {Promise<any>} - Result from function
- */
-async function executeWithThreadLock(threadId, fn) {
-  const requestId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  console.log(`[THREAD_LOCK:${requestId}] Acquiring lock for thread: ${threadId}`);
-
-  // Wait for any existing request on this thread
-  while (activeThreads.has(threadId)) {
-    console.log(`[THREAD_LOCK:${requestId}] Waiting for existing request to complete...`);
-    await activeThreads.get(threadId);
-  }
-
-  console.log(`[THREAD_LOCK:${requestId}] Lock acquired for thread: ${threadId}`);
-
-  // Create promise for this execution
-  let resolve;
-  const promise = new Promise(r => { resolve = r; });
-  activeThreads.set(threadId, promise);
-
-  try {
-    const result = await fn();
-    console.log(`[THREAD_LOCK:${requestId}] Execution complete for thread: ${threadId}`);
-    return result;
-  } finally {
-    activeThreads.delete(threadId);
-    resolve();
-    console.log(`[THREAD_LOCK:${requestId}] Lock released for thread: ${threadId}`);
-  }
-}
-
-/**
- * Check rate limit for a session
- * @param {string} sessionId - Session identifier
- * @returns {boolean} - True if within limit, false if exceeded
- */
-function checkRateLimit(sessionId) {
-  const now = Date.now();
-  
-  // Periodic cleanup (1% chance)
-  if (Math.random() < 0.01) {
-    for (const [key, timestamps] of rateLimitWindows.entries()) {
-      const valid = timestamps.filter(t => now - t < RATE_WINDOW);
-      if (valid.length === 0) {
-        rateLimitWindows.delete(key);
-      } else {
-        rateLimitWindows.set(key, valid);
-      }
-    }
-  }
-  
-  const timestamps = rateLimitWindows.get(sessionId) || [];
-  const recentRequests = timestamps.filter(t => now - t < RATE_WINDOW);
-  
-  if (recentRequests.length >= RATE_LIMIT) {
-    return false;
-  }
-  
-  recentRequests.push(now);
-  rateLimitWindows.set(sessionId, recentRequests);
-  return true;
-}
+// App user IDs (bsa_tokens.user_id) allowed to read their whole org's audit trail
+const AUDIT_ADMIN_USER_IDS = (process.env.AUDIT_ADMIN_USER_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
 
 /**
  * Get valid PassKey with auto-refresh
@@ -266,10 +205,39 @@ function formatResponse(state, status) {
 }
 
 /**
- * POST /api/agent/execute
- * Main entry point for agent queries
+ * Stand-in for an Express response that keeps the status and JSON body
+ * Lets a route handler run where there's no HTTP response to write to, e.g.
+ * /execute/stream or approvals arriving through the polling service.
+ * @returns {Object} Response with status(), json() and set(); read statusCode and body afterwards
  */
-router.post('/execute', async (req, res) => {
+function createResponseCapture() {
+  const capture = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      capture.statusCode = code;
+      return capture;
+    },
+    json(body) {
+      capture.body = body;
+      return capture;
+    },
+    set() {
+      // No headers to send; the body carries the same values (e.g. retryAfter)
+      return capture;
+    }
+  };
+  return capture;
+}
+
+/**
+ * Run an agent query and send the response
+ * Only res.status() and res.json() are used, so /execute/stream can capture
+ * the response and send it as its final event.
+ * @param {Object} req - Express request with the /execute body
+ * @param {Object} res - Express response, or anything with status() and json()
+ */
+async function executeQuery(req, res) {
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[AGENT:EXECUTE:${requestId}] Starting request`);
   
@@ -307,16 +275,7 @@ router.post('/execute', async (req, res) => {
       });
     }
     
-    // Step 2: Rate limiting
-    if (!checkRateLimit(session_id)) {
-      console.log(`[AGENT:EXECUTE:${requestId}] Rate limit exceeded for session:`, session_id);
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded',
-        retryAfter: 60 
-      });
-    }
-    
-    // Step 3: Authentication
+    // Step 2: Authentication
     console.log(`[AGENT:EXECUTE:${requestId}] Getting PassKey for session:`, session_id);
     const passKey = await getValidPassKey(session_id);
     
@@ -332,6 +291,18 @@ router.post('/execute', async (req, res) => {
     const user_id = await getUserId(session_id);
     console.log(`[AGENT:EXECUTE:${requestId}] User ID:`, user_id || 'not found');
     
+    // Step 3: Rate limiting (per user and per org, shared across instances)
+    const rateLimit = await checkRateLimits({ orgId: org_id, userId: user_id || session_id });
+    if (!rateLimit.allowed) {
+      console.log(`[AGENT:EXECUTE:${requestId}] ${rateLimit.scope} rate limit exceeded for session:`, session_id);
+      res.set('Retry-After', String(rateLimit.retryAfter));
+      return res.status(429).json({ 
+        error: 'Rate limit exceeded',
+        scope: rateLimit.scope,
+        retryAfter: rateLimit.retryAfter 
+      });
+    }
+    
     // Step 4: Build configuration
     const config = await buildConfig({
       session_id,
@@ -356,15 +327,17 @@ router.post('/execute', async (req, res) => {
         const coordinator = getCoordinator(checkpointer);
 
         // Execute with thread-level lock to prevent race conditions
+        // BSA writes made while handling the query are audited against it
+        const auditContext = { org_id, user_id, session_id, thread_id: config.configurable.thread_id, query };
         const result = await executeWithThreadLock(config.configurable.thread_id, async () => {
-          return await coordinator.processQuery(query, {
+          return await getAuditLog().runWithContext(auditContext, () => coordinator.processQuery(query, {
             org_id,
             user_id,
             session_id,
             thread_id: config.configurable.thread_id,
             checkpoint_id: config.configurable.checkpoint_id,
             timezone: time_zone || DEFAULT_TIMEZONE
-          });
+          }));
         });
 
         // DEBUGGING: Log coordinator response
@@ -387,6 +360,7 @@ router.post('/execute', async (req, res) => {
             { role: 'assistant', content: result.response }
           ],
           entities: result.entities,
+          artifacts: result.artifacts,
           domains: result.domains
         };
 
@@ -495,11 +469,10 @@ router.post('/execute', async (req, res) => {
         if (process.env.NODE_ENV !== 'production') {
           const { getInterruptWebSocketServer } = require('../core/websocket/interrupts');
           const wsServer = getInterruptWebSocketServer();
-          await wsServer.sendInterrupt(session_id, interruptData);
+          await wsServer.sendInterrupt(session_id, interruptData, org_id);
         } else {
-          const { getInterruptPollingService } = require('../core/websocket/pollingFallback');
           const pollingService = getInterruptPollingService();
-          pollingService.storeInterrupt(session_id, interruptData);
+          await pollingService.storeInterrupt(session_id, { ...interruptData, orgId: org_id });
         }
 
         console.log(`[AGENT:EXECUTE:${requestId}] Clarification interrupt sent to client`);
@@ -546,12 +519,11 @@ router.post('/execute', async (req, res) => {
           // Try WebSocket first
           const { getInterruptWebSocketServer } = require('../core/websocket/interrupts');
           const wsServer = getInterruptWebSocketServer();
-          await wsServer.sendInterrupt(session_id, interruptData);
+          await wsServer.sendInterrupt(session_id, interruptData, org_id);
         } else {
           // Use polling service for production
-          const { getInterruptPollingService } = require('../core/websocket/pollingFallback');
           const pollingService = getInterruptPollingService();
-          pollingService.storeInterrupt(session_id, interruptData);
+          await pollingService.storeInterrupt(session_id, { ...interruptData, orgId: org_id });
         }
         
         console.log(`[AGENT:EXECUTE:${requestId}] Interrupt sent to client`);
@@ -578,7 +550,10 @@ router.post('/execute', async (req, res) => {
     let statusCode = 500;
     let errorMessage = 'Failed to execute agent query';
     
-    if (error.message?.includes('authentication')) {
+    if (error.code === 'THREAD_BUSY') {
+      statusCode = 409;
+      errorMessage = 'Another request on this conversation is still running';
+    } else if (error.message?.includes('authentication')) {
       statusCode = 401;
       errorMessage = 'Authentication failed';
     } else if (error.message?.includes('timeout')) {
@@ -604,13 +579,70 @@ router.post('/execute', async (req, res) => {
       console.error(`[AGENT:EXECUTE:${requestId}] Callback cleanup error:`, callbackError);
     }
   }
+}
+
+/**
+ * POST /api/agent/execute
+ * Main entry point for agent queries
+ */
+router.post('/execute', executeQuery);
+
+/**
+ * POST /api/agent/execute/stream
+ * Same request as /execute, answered with Server-Sent Events while the query runs:
+ *   event: progress - { stage, message, domain?, domains? } as the agents work
+ *   event: token    - { text } pieces of the final response. Direct answers stream as the
+ *                     model generates them; responses assembled from domain agents are
+ *                     only complete at the end, so their text is replayed in word-sized
+ *                     chunks just before the result
+ *   event: result   - { statusCode, ...the /execute response } once, then the stream ends
+ */
+router.post('/execute/stream', async (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep proxies from timing out the connection between events
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  // Captures the response executeQuery would have sent as JSON
+  const capture = createResponseCapture();
+
+  try {
+    await getExecutionProgress().run(
+      ({ type, ...event }) => send(type, event),
+      () => executeQuery(req, capture)
+    );
+    send('result', { statusCode: capture.statusCode, ...(capture.body || { error: 'No response' }) });
+  } catch (error) {
+    console.error('[AGENT:EXECUTE_STREAM] Error:', error);
+    send('result', { statusCode: 500, error: 'Failed to execute agent query' });
+  } finally {
+    clearInterval(heartbeat);
+    if (!closed) res.end();
+  }
 });
 
 /**
- * POST /api/agent/approve
- * Resume interrupted graph with user approvals
+ * Resume an interrupted graph with the user's approval or selection
+ * Only res.status() and res.json() are used, so the polling service can run
+ * approvals sent to /api/interrupts/approve through the same path.
+ * @param {Object} req - Express request with the /approve body
+ * @param {Object} res - Express response, or anything with status() and json()
  */
-router.post('/approve', async (req, res) => {
+async function approveExecution(req, res) {
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   console.log(`[AGENT:APPROVE:${requestId}] Starting approval request`);
   
@@ -623,6 +655,7 @@ router.post('/approve', async (req, res) => {
       time_zone,
       // V2 Architecture fields
       decision,
+      selections,  // Per-domain choices from the approval UI, e.g. { calendar: { optionId } }
       interrupt_response,
       contact_id,
       user_id: provided_user_id  // Rename to avoid conflict with later user_id from getUserId
@@ -799,6 +832,7 @@ router.post('/approve', async (req, res) => {
         else if (decision) {
           resumeData = {
             approval_decision: decision,
+            approval_selection: selections && typeof selections === 'object' ? selections : null,
             approved: decision === 'approve',
             rejected: decision === 'reject'
           };
@@ -853,6 +887,7 @@ router.post('/approve', async (req, res) => {
           // and avoid throwing another interrupt on resume.
           update: {
             approval_decision: decision,
+            approval_selection: resumePayload.approval_selection || null,
             // Also update contact/user clarification responses so handlers can see them
             ...(resumePayload.contact_clarification_response && {
               contact_clarification_response: resumePayload.contact_clarification_response
@@ -879,12 +914,32 @@ router.post('/approve', async (req, res) => {
         });
         const invokeStart = Date.now();
 
+        // Audit the decision with the previews the user saw; BSA writes made
+        // while resuming are tied to it through approval_id
+        const auditLog = getAuditLog();
+        const auditContext = {
+          org_id,
+          user_id,
+          session_id,
+          thread_id,
+          query: [...(checkpointState.messages || [])].reverse().find(m => m?.role === 'user')?.content || null,
+          approval_id: decision ? crypto.randomUUID() : null
+        };
+        if (decision) {
+          await auditLog.runWithContext(auditContext, () => auditLog.recordApproval({
+            approval_id: auditContext.approval_id,
+            decision,
+            requests: checkpointState.pendingApproval?.requests || [],
+            selections: resumePayload.approval_selection
+          }));
+        }
+
         // Execute with thread-level lock to prevent race conditions
         const result = await executeWithThreadLock(thread_id, async () => {
-          return await coordinator.graph.invoke(
+          return await auditLog.runWithContext(auditContext, () => coordinator.graph.invoke(
             resumeCommand,
             resumeConfig  // Use checkpoint's config if available
-          );
+          ));
         });
 
         console.log(`[AGENT:APPROVE:${requestId}] ⏱️ Graph invoke completed in ${Date.now() - invokeStart}ms`);
@@ -954,6 +1009,13 @@ router.post('/approve', async (req, res) => {
           stack: error.stack?.split('\n').slice(0, 5).join(' | ')
         });
 
+        if (error.code === 'THREAD_BUSY') {
+          return res.status(409).json({
+            error: 'Thread busy',
+            message: 'Another request on this conversation is still running. Please try again shortly.'
+          });
+        }
+
         // Check if it's a checkpoint not found error
         if (error.message?.includes('checkpoint') || error.message?.includes('not found')) {
           console.error(`[AGENT:APPROVE:${requestId}] 🔄 Checkpoint error - suggesting retry`);
@@ -981,6 +1043,33 @@ router.post('/approve', async (req, res) => {
       requestId
     });
   }
+}
+
+/**
+ * POST /api/agent/approve
+ * Resume interrupted graph with user approvals
+ */
+router.post('/approve', approveExecution);
+
+// Approvals sent to /api/interrupts/approve resume the thread exactly like
+// /approve. The thread and org come from the stored interrupt, not the client.
+getInterruptPollingService().setApprovalHandler(async (interruptData, approvalData, sessionId) => {
+  const capture = createResponseCapture();
+  await approveExecution({
+    body: {
+      ...approvalData,
+      session_id: sessionId,
+      org_id: interruptData.orgId || approvalData.org_id,
+      thread_id: interruptData.threadId || approvalData.thread_id
+    }
+  }, capture);
+
+  if (capture.statusCode >= 400) {
+    const error = new Error(capture.body?.message || capture.body?.error || `Approval failed with status ${capture.statusCode}`);
+    error.statusCode = capture.statusCode;
+    throw error;
+  }
+  return { statusCode: capture.statusCode, ...capture.body };
 });
 
 /**
@@ -1090,11 +1179,10 @@ router.post('/interrupt-status', async (req, res) => {
     
     // Check polling service for interrupts
     if (process.env.NODE_ENV === 'production') {
-      const { getInterruptPollingService } = require('../core/websocket/pollingFallback');
       const pollingService = getInterruptPollingService();
-      const interrupt = pollingService.checkPending(session_id);
+      const interrupt = await pollingService.checkPending(session_id, thread_id);
 
-      if (interrupt && interrupt.data && interrupt.data.threadId === thread_id) {
+      if (interrupt) {
         return res.json({
           hasInterrupt: true,
           interrupt: interrupt.data
@@ -1108,8 +1196,618 @@ router.post('/interrupt-status', async (req, res) => {
     
   } catch (error) {
     console.error('[AGENT:INTERRUPT_STATUS] Error:', error);
-    return res.status(500).json({ 
-      error: 'Failed to check interrupt status' 
+    return res.status(500).json({
+      error: 'Failed to check interrupt status'
+    });
+  }
+});
+
+/**
+ * POST /api/agent/ws-token
+ * Issue a short-lived token for one interrupt WebSocket connection (/ws?token=...),
+ * bound to the session and an org the session belongs to. Clients request a new
+ * token for every reconnect.
+ */
+router.post('/ws-token', async (req, res) => {
+  try {
+    const { session_id, org_id } = req.body;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    // The token vouches for the org, so the session must actually belong to it
+    if (!(await isOrgMember(passKey, org_id))) {
+      console.warn(`[AGENT:WS_TOKEN] Session ${session_id} is not a member of org ${org_id}`);
+      return res.status(403).json({
+        error: 'Not a member of this organization'
+      });
+    }
+
+    const { issueConnectionToken } = require('../core/auth/connectionToken');
+    const { token, expiresAt } = issueConnectionToken({ sessionId: session_id, orgId: org_id });
+
+    return res.json({ token, expiresAt });
+
+  } catch (error) {
+    console.error('[AGENT:WS_TOKEN] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to issue connection token'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/workflow-templates
+ * List built-in and organization workflow templates for the side panel
+ */
+router.get('/workflow-templates', async (req, res) => {
+  try {
+    const { session_id, org_id } = req.query;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const user_id = await getUserId(session_id);
+    const { getWorkflowTemplateService } = require('../services/workflows/templateLibrary');
+    const templates = await getWorkflowTemplateService().listTemplates(org_id, user_id);
+
+    return res.json({
+      templates: templates.map(template => ({
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        category: template.category,
+        source: template.source,
+        stepCount: template.steps.length,
+        parameters: template.parameters || []
+      }))
+    });
+
+  } catch (error) {
+    console.error('[AGENT:WORKFLOW_TEMPLATES] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to list workflow templates'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/workflows/:workflowId/export
+ * Download a workflow as a JSON or YAML document (?format=json|yaml)
+ */
+router.get('/workflows/:workflowId/export', async (req, res) => {
+  try {
+    const { session_id, org_id, format = 'json' } = req.query;
+    const { workflowId } = req.params;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    if (!['json', 'yaml'].includes(format)) {
+      return res.status(400).json({
+        error: 'format must be json or yaml'
+      });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const { getWorkflowTransferService } = require('../services/workflows/workflowTransfer');
+    const { workflow, content } = await getWorkflowTransferService().exportWorkflow(workflowId, passKey, org_id, format);
+    const filename = `${workflow.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'workflow'}.workflow.${format}`;
+
+    res.setHeader('Content-Type', format === 'yaml' ? 'application/yaml' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(content);
+
+  } catch (error) {
+    console.error('[AGENT:WORKFLOW_EXPORT] Error:', error);
+    const notFound = /not found/i.test(error.message);
+    return res.status(notFound ? 404 : 500).json({
+      error: notFound ? error.message : 'Failed to export workflow'
+    });
+  }
+});
+
+/**
+ * POST /api/agent/workflows/import
+ * Validate an uploaded JSON/YAML workflow document and stage it for the
+ * workflow agent (a staged handoff, see core/state/stagedHandoff).
+ */
+router.post('/workflows/import', async (req, res) => {
+  try {
+    const { session_id, org_id, document, format } = req.body;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    if (!document || typeof document !== 'string') {
+      return res.status(400).json({
+        error: 'document is required and must be a string'
+      });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const {
+      parseWorkflowDocument,
+      validateWorkflowDocument
+    } = require('../utils/workflowDocument');
+
+    let parsed;
+    try {
+      parsed = parseWorkflowDocument(document, format);
+    } catch (error) {
+      return res.status(400).json({ error: error.message, errors: [error.message] });
+    }
+
+    const errors = validateWorkflowDocument(parsed);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid workflow document', errors });
+    }
+
+    const user_id = await getUserId(session_id);
+    const { getWorkflowTransferService } = require('../services/workflows/workflowTransfer');
+    await getWorkflowTransferService().stageImport(org_id, user_id, parsed);
+
+    return res.json({
+      status: 'STAGED',
+      workflow: {
+        name: parsed.workflow.name,
+        stepCount: parsed.workflow.steps.length
+      },
+      query: `Import the uploaded workflow "${parsed.workflow.name}"`
+    });
+
+  } catch (error) {
+    console.error('[AGENT:WORKFLOW_IMPORT] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to import workflow'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/contacts/duplicates
+ * Scan the organization's contacts for likely duplicate groups
+ */
+router.get('/contacts/duplicates', async (req, res) => {
+  try {
+    const { session_id, org_id } = req.query;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const { getDuplicateFinder } = require('../services/people/duplicateFinder');
+    const result = await getDuplicateFinder().findDuplicateGroups(passKey, org_id);
+
+    return res.json(result);
+
+  } catch (error) {
+    console.error('[AGENT:CONTACT_DUPLICATES] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to scan contacts for duplicates'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/contacts/merge-fields?ids=a,b[&primary=a]
+ * Field-by-field values of the contacts in a duplicate group, so the user can
+ * pick which value to keep for each field
+ */
+router.get('/contacts/merge-fields', async (req, res) => {
+  try {
+    const { session_id, org_id, ids = '', primary } = req.query;
+    const contactIds = ids.split(',').map(id => id.trim()).filter(Boolean);
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const { getDuplicateFinder } = require('../services/people/duplicateFinder');
+    const finder = getDuplicateFinder();
+    const primaryContactId = primary || contactIds[0];
+
+    const errors = finder.validateMerge({ contactIds, primaryContactId });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const contacts = await finder.loadContacts(contactIds, passKey, org_id);
+
+    return res.json({
+      primaryContactId,
+      contacts: contacts.map(contact => finder.summarize(contact)),
+      fields: finder.buildMergeFields(contacts, primaryContactId)
+    });
+
+  } catch (error) {
+    console.error('[AGENT:CONTACT_MERGE_FIELDS] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to load contacts to merge'
+    });
+  }
+});
+
+/**
+ * POST /api/agent/contacts/merge
+ * Stage a merge of duplicate contacts with the user's per-field choices for
+ * the contact agent (a staged handoff, see core/state/stagedHandoff).
+ */
+router.post('/contacts/merge', async (req, res) => {
+  try {
+    const { session_id, org_id, contactIds, primaryContactId, fieldChoices = {} } = req.body;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const { getDuplicateFinder } = require('../services/people/duplicateFinder');
+    const finder = getDuplicateFinder();
+
+    const errors = finder.validateMerge({ contactIds, primaryContactId, fieldChoices });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const user_id = await getUserId(session_id);
+    await finder.stageMerge(org_id, user_id, { contactIds, primaryContactId, fieldChoices });
+
+    return res.json({
+      status: 'STAGED',
+      query: `Merge the ${contactIds.length} duplicate contacts I selected`
+    });
+
+  } catch (error) {
+    console.error('[AGENT:CONTACT_MERGE] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to stage contact merge'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/briefing[?appointment_id=...|subject=...]
+ * Meeting prep briefing for an appointment (default: the next meeting)
+ */
+router.get('/briefing', async (req, res) => {
+  try {
+    const { session_id, org_id, appointment_id, subject, time_zone } = req.query;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const user_id = await getUserId(session_id);
+
+    const { getMeetingBriefingService } = require('../services/scheduling/meetingBriefing');
+    const briefing = await getMeetingBriefingService().buildBriefing(
+      { appointmentId: appointment_id, subject },
+      { passKey, org_id, user_id, timezone: time_zone || DEFAULT_TIMEZONE }
+    );
+
+    if (!briefing) {
+      return res.status(404).json({
+        error: appointment_id ? 'Appointment not found' : 'No upcoming appointment in the next two weeks'
+      });
+    }
+
+    return res.json({ briefing });
+
+  } catch (error) {
+    console.error('[AGENT:BRIEFING] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to prepare meeting briefing'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/digest?period=day|week[&date=YYYY-MM-DD]
+ * Agenda digest for a day or week: structured sections plus rendered markdown
+ */
+router.get('/digest', async (req, res) => {
+  try {
+    const { session_id, org_id, period = 'day', date, time_zone } = req.query;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const { getAgendaDigestService } = require('../services/scheduling/agendaDigest');
+    const digestService = getAgendaDigestService();
+
+    const errors = digestService.validateOptions({ period, date });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const digest = await digestService.buildDigest(
+      { period, date },
+      { passKey, org_id, timezone: time_zone || DEFAULT_TIMEZONE }
+    );
+
+    return res.json(digest);
+
+  } catch (error) {
+    console.error('[AGENT:DIGEST] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to build agenda digest'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/undo[?limit=N]
+ * Recent agent changes that can be undone, newest first, with what undoing each does
+ */
+router.get('/undo', async (req, res) => {
+  try {
+    const { session_id, org_id, limit } = req.query;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const { getOperationJournal } = require('../services/undo/operationJournal');
+    const user_id = await getUserId(session_id);
+    const changes = await getOperationJournal().listChanges(org_id, user_id, {
+      limit: limit ? parseInt(limit, 10) || undefined : undefined
+    });
+
+    return res.json({ changes });
+
+  } catch (error) {
+    console.error('[AGENT:UNDO_LIST] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to load recent changes'
+    });
+  }
+});
+
+/**
+ * POST /api/agent/undo
+ * Stage an undo of the last `count` changes or of specific `changeIds` for
+ * the undo agent (a staged handoff, see core/state/stagedHandoff).
+ */
+router.post('/undo', async (req, res) => {
+  try {
+    const { session_id, org_id, count, changeIds } = req.body;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const { getOperationJournal } = require('../services/undo/operationJournal');
+    const journal = getOperationJournal();
+
+    const errors = journal.validateUndo(changeIds !== undefined ? { changeIds } : { count: count ?? 1 });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    const user_id = await getUserId(session_id);
+    const recent = await journal.listChanges(org_id, user_id);
+
+    let changes;
+    if (changeIds !== undefined) {
+      const unknown = changeIds.filter(id => !recent.some(change => change.id === id));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown or already undone change${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`
+        });
+      }
+      changes = recent.filter(change => changeIds.includes(change.id));
+    } else {
+      changes = recent.slice(0, count ?? 1);
+    }
+
+    if (changes.length === 0) {
+      return res.status(404).json({
+        error: 'There are no recent changes to undo'
+      });
+    }
+
+    await journal.stageUndo(org_id, user_id, changes.map(change => change.id));
+
+    return res.json({
+      status: 'STAGED',
+      query: `Undo the ${changes.length === 1 ? 'change' : `${changes.length} changes`} I selected`,
+      changes
+    });
+
+  } catch (error) {
+    console.error('[AGENT:UNDO] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to stage undo'
+    });
+  }
+});
+
+/**
+ * GET /api/agent/audit
+ * Audit trail of the org's approvals and BSA writes, newest first.
+ * Filters: user_id, session, thread_id, approval_id, event, domain, action,
+ * status, from/to (ISO 8601), search (in the query), limit/offset.
+ * format=csv downloads every matching entry (up to 10,000) as CSV.
+ *
+ * The session must belong to org_id. Users listed in AUDIT_ADMIN_USER_IDS
+ * read the whole org's trail; everyone else only sees their own entries.
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    // session_id authenticates the caller; filter by a session with `session`
+    const { session_id, org_id, format, limit, offset, session, ...filters } = req.query;
+
+    if (!session_id || !org_id) {
+      return res.status(400).json({
+        error: 'session_id and org_id are required'
+      });
+    }
+
+    const auditLog = getAuditLog();
+    const query = {
+      ...filters,
+      org_id,
+      session_id: session,
+      limit: limit !== undefined ? Number(limit) : undefined,
+      offset: offset !== undefined ? Number(offset) : undefined
+    };
+
+    const errors = auditLog.validateFilters(query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const passKey = await getValidPassKey(session_id);
+    if (!passKey) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        requiresReauth: true
+      });
+    }
+
+    if (!(await isOrgMember(passKey, org_id))) {
+      console.warn(`[AGENT:AUDIT] Session ${session_id} is not a member of org ${org_id}`);
+      return res.status(403).json({
+        error: 'Not a member of this organization'
+      });
+    }
+
+    const user_id = await getUserId(session_id);
+    if (!AUDIT_ADMIN_USER_IDS.includes(user_id)) {
+      if (!user_id || (query.user_id && query.user_id !== user_id)) {
+        return res.status(403).json({
+          error: 'Only audit admins can read other users\' entries'
+        });
+      }
+      query.user_id = user_id;
+    }
+
+    if (format === 'csv') {
+      const { entries } = await auditLog.query(query, { export: true });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${org_id}-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(auditLog.toCsv(entries));
+    }
+
+    return res.json(await auditLog.query(query));
+
+  } catch (error) {
+    console.error('[AGENT:AUDIT] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to load audit log'
     });
   }
 });
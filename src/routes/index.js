@@ -3,6 +3,7 @@ const express = require('express');
 const authRoutes = require('./auth');
 const agentRoutes = require('./agent');
 const monitoringRoutes = require('./monitoring');
+const metricsRoutes = require('./metrics');
 
 function setupRoutes(app) {
   // Authentication Routes
@@ -13,6 +14,10 @@ function setupRoutes(app) {
   console.log('[ROUTES] Mounting agent routes');
   app.use('/api/agent', agentRoutes);
   
+  // Prometheus/OpenMetrics scrape endpoint
+  console.log('[ROUTES] Mounting metrics route');
+  app.use(metricsRoutes);
+  
   // Monitoring Routes
   try {
     app.use('/api', monitoringRoutes);
@@ -0,0 +1,48 @@
+/**
+ * Metrics Route
+ *
+ * GET /metrics - OpenMetrics text for Prometheus: node latency, LLM calls and
+ * tokens, BSA requests, circuit breakers and cache hit rates of this instance.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { renderMetrics } = require('../services/metrics');
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+/**
+ * Whether the request carries METRICS_TOKEN as a bearer token
+ * Open when METRICS_TOKEN isn't set.
+ * @private
+ */
+function isAuthorized(req) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return true;
+
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const wanted = Buffer.from(expected);
+  return provided.length === wanted.length && crypto.timingSafeEqual(provided, wanted);
+}
+
+/**
+ * GET /metrics
+ */
+router.get('/metrics', async (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const body = await renderMetrics();
+    res.setHeader('Content-Type', CONTENT_TYPE);
+    res.send(body);
+  } catch (error) {
+    console.error('[METRICS] Failed to render metrics:', error);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
+module.exports = router;
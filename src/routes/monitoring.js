@@ -13,7 +13,7 @@ const router = express.Router();
  */
 router.get('/metrics', async (req, res) => {
   try {
-    const { getStore } = require('../graph/state');
+    const { getStore } = require('../core/state');
     const store = await getStore();
     
     // Get metrics from UnifiedStore
@@ -67,7 +67,7 @@ router.get('/health/memory', async (req, res) => {
   
   try {
     // Check 1: Can we get the store?
-    const { getStore } = require('../graph/state');
+    const { getStore } = require('../core/state');
     const store = await getStore();
     healthChecks.store = !!store;
     
@@ -115,7 +115,7 @@ router.get('/health/memory', async (req, res) => {
     
     // Check 4: Is synthesis available?
     try {
-      const { synthesizeMemoryNode } = require('../memory/synthesize');
+      const { synthesizeMemoryNode } = require('../core/memory/synthesize');
       healthChecks.synthesis = typeof synthesizeMemoryNode === 'function';
     } catch (synthError) {
       console.error('[HEALTH] Synthesis check failed:', synthError.message);
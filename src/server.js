@@ -53,6 +53,10 @@ const https = require('https');
 // Import BSA configuration
 const bsaConfig = require('./integrations/bsa/config');
 
+// Count BSA requests by endpoint and outcome for /metrics (all modules share this axios instance)
+const { instrumentBsaRequests } = require('./services/metrics');
+instrumentBsaRequests(axios, bsaConfig.baseUrl);
+
 // Performance optimizations
 const keepAliveAgent = new http.Agent({
   keepAlive: true,
@@ -105,28 +109,8 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// PostgreSQL connection pool for direct database operations
-// Lazy initialized on first use to avoid issues if POSTGRES_CONNECTION_STRING is not set
-let pgPool = null;
-function getPgPool() {
-  if (!pgPool && process.env.POSTGRES_CONNECTION_STRING) {
-    const { Pool } = require('pg');
-    pgPool = new Pool({
-      connectionString: process.env.POSTGRES_CONNECTION_STRING,
-      ssl: { rejectUnauthorized: false },
-      max: 10, // Maximum number of clients in the pool
-      idleTimeoutMillis: 30000, // Close idle clients after 30 seconds
-      connectionTimeoutMillis: 2000, // Timeout for new connections
-    });
-    
-    pgPool.on('error', (err) => {
-      console.error('[PG_POOL] Unexpected error on idle client', err);
-    });
-    
-    console.log('[PG_POOL] PostgreSQL connection pool initialized');
-  }
-  return pgPool;
-}
+// PostgreSQL connection pool for direct database operations (shared with the audit log)
+const { getPgPool } = require('./database/pool');
 
 // Environment variables
 const BSA_CLIENT_ID = process.env.BSA_CLIENT_ID;
@@ -724,53 +708,74 @@ app.get('/api/interrupts/poll', async (req, res) => {
     return res.status(400).json({ error: 'Session ID required' });
   }
   
-  const interrupt = pollingService.checkPending(sessionId);
-  
-  if (interrupt) {
-    res.json({
-      hasInterrupt: true,
-      interrupt: interrupt
-    });
-  } else {
-    res.json({
-      hasInterrupt: false
-    });
+  try {
+    const interrupt = await pollingService.checkPending(sessionId);
+    
+    if (interrupt) {
+      res.json({
+        hasInterrupt: true,
+        interrupt: interrupt
+      });
+    } else {
+      res.json({
+        hasInterrupt: false
+      });
+    }
+  } catch (error) {
+    console.error('[POLLING:INTERRUPTS] Poll failed:', error);
+    res.status(500).json({ error: 'Failed to check for interrupts' });
   }
 });
 
 // Acknowledge interrupt receipt
 app.post('/api/interrupts/acknowledge', async (req, res) => {
-  const { session_id } = req.body;
+  const { session_id, interrupt_id } = req.body;
   
   if (!session_id) {
     return res.status(400).json({ error: 'Session ID required' });
   }
   
-  pollingService.acknowledgeInterrupt(session_id);
-  
-  res.json({
-    success: true,
-    message: 'Interrupt acknowledged'
-  });
+  try {
+    const acknowledged = await pollingService.acknowledgeInterrupt(session_id, interrupt_id || null);
+    
+    res.json({
+      success: true,
+      acknowledged,
+      message: acknowledged ? 'Interrupt acknowledged' : 'No pending interrupt to acknowledge'
+    });
+  } catch (error) {
+    console.error('[POLLING:INTERRUPTS] Acknowledge failed:', error);
+    res.status(500).json({ error: 'Failed to acknowledge interrupt' });
+  }
 });
 
-// Submit approval response
+// Submit approval response (idempotent per interrupt)
 app.post('/api/interrupts/approve', async (req, res) => {
-  const { session_id, approval_data } = req.body;
+  const { session_id, interrupt_id, approval_data } = req.body;
   
   if (!session_id || !approval_data) {
     return res.status(400).json({ error: 'Session ID and approval data required' });
   }
   
-  const result = await pollingService.handleApprovalResponse(session_id, approval_data);
-  
-  res.json(result);
+  try {
+    const result = await pollingService.handleApprovalResponse(session_id, approval_data, interrupt_id || null);
+    res.json(result);
+  } catch (error) {
+    console.error('[POLLING:INTERRUPTS] Approval failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to process approval' });
+  }
 });
 
-// Get polling service stats (for debugging)
+// Get polling service stats (for debugging) - counts only: a session ID is
+// the credential the agent and approval endpoints check, so none are listed
 app.get('/api/interrupts/stats', async (req, res) => {
-  const stats = pollingService.getStats();
-  res.json(stats);
+  try {
+    const stats = await pollingService.getStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('[POLLING:INTERRUPTS] Stats failed:', error);
+    res.status(500).json({ error: 'Failed to get interrupt stats' });
+  }
 });
 
 // Module exports for Vercel
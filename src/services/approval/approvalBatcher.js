@@ -182,6 +182,48 @@ class ApprovalBatcher {
     }
   }
 
+  /**
+   * Build one preview covering many items of the same action
+   * Each item becomes a checkbox so the user can approve a subset
+   * @param {Object} options - { type, action, title, items: [{ id, label }], details, warnings }
+   * @returns {Object} Preview with selectable items (all checked by default)
+   */
+  buildBulkPreview({ type, action, title, items, details = [], warnings = [] }) {
+    console.log(`[APPROVAL:BATCH] Building bulk ${type} preview with ${items.length} items`);
+
+    return {
+      type,
+      action,
+      title,
+      details: [
+        { label: 'Items', value: `${items.length}` },
+        ...details
+      ],
+      warnings,
+      options: items.map(item => ({ id: String(item.id), label: item.label })),
+      selectionType: 'multiple',
+      metadata: { bulk: true, count: items.length }
+    };
+  }
+
+  /**
+   * Resolve which items of a bulk preview the user kept checked
+   * @param {Array} items - Items shown in the preview (with id)
+   * @param {Object} selection - { optionIds } from the approval UI, or null
+   * @returns {Array} Approved items (all of them when no selection was sent)
+   */
+  resolveBulkSelection(items, selection) {
+    if (!Array.isArray(selection?.optionIds)) {
+      return items;
+    }
+
+    const selected = new Set(selection.optionIds.map(String));
+    const approved = items.filter(item => selected.has(String(item.id)));
+
+    console.log(`[APPROVAL:BATCH] ${approved.length} of ${items.length} bulk items selected`);
+    return approved;
+  }
+
   /**
    * Format a preview into a readable summary
    * @private
@@ -192,6 +234,9 @@ class ApprovalBatcher {
         return `Schedule "${preview.title}" on ${preview.metadata.date || 'TBD'}`;
       
       case 'task':
+        if (preview.metadata.bulk) {
+          return `${preview.title} (${preview.metadata.count} items)`;
+        }
         return `Create task "${preview.title}" ${preview.metadata.dueDate ? `due ${preview.metadata.dueDate}` : ''}`;
       
       case 'workflow':
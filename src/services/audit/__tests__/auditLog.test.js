@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AuditLogService } = require('../auditLog');
+
+const HEADER = 'id,created_at,event,org_id,user_id,session_id,thread_id,approval_id,query,domain,action,decision,preview,endpoint,result_ids,status,error';
+
+test('exports entries as CSV in column order, quoting separators', () => {
+  const csv = new AuditLogService().toCsv([{
+    id: 7,
+    created_at: '2026-03-02T10:00:00Z',
+    event: 'bsa_write',
+    org_id: 'org-1',
+    user_id: 'user-1',
+    query: 'Call Bob, then "Alice"',
+    action: 'create_task',
+    result_ids: ['t1', 't2'],
+    status: 'success'
+  }]);
+
+  assert.deepStrictEqual(csv.split('\r\n'), [
+    HEADER,
+    '7,2026-03-02T10:00:00.000Z,bsa_write,org-1,user-1,,,,"Call Bob, then ""Alice""",,create_task,,,,t1;t2,success,'
+  ]);
+});
+
+test('prefixes values a spreadsheet would run as formulas', () => {
+  const csv = new AuditLogService().toCsv([
+    { query: '=HYPERLINK("http://example.com","x")' },
+    { query: '+1 555 0100' },
+    { query: '-2+3' },
+    { query: '@SUM(A1:A2)' },
+    { query: '\tindented' },
+    { error: '\rcarriage' },
+    { query: 'plain text with = inside' }
+  ]);
+
+  const [, ...rows] = csv.split('\r\n');
+  assert.ok(rows[0].includes(`"'=HYPERLINK(""http://example.com"",""x"")"`));
+  assert.ok(rows[1].includes(`'+1 555 0100`));
+  assert.ok(rows[2].includes(`'-2+3`));
+  assert.ok(rows[3].includes(`'@SUM(A1:A2)`));
+  assert.ok(rows[4].includes(`'\tindented`));
+  assert.ok(csv.includes(`"'\rcarriage"`));
+  assert.ok(rows[rows.length - 1].includes(',plain text with = inside,'));
+});
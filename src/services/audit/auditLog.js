@@ -0,0 +1,304 @@
+/**
+ * Audit Log Service
+ *
+ * Append-only record of what the assistant did on whose behalf, for
+ * compliance: every approval decision (with the previews the user saw) and
+ * every BSA write (endpoint, result IDs, success or failure).
+ *
+ * BSA write functions only receive a PassKey and org ID, so the routes run
+ * each request inside an audit context (user, session, thread, query and the
+ * approval being resumed); writes made while handling the request pick it up
+ * from there.
+ *
+ * Rows go to the assistant_audit_log table (see
+ * src/database/migrations/create_assistant_audit_log.sql). Recording never
+ * throws: a missing database or a failed insert is logged and the action the
+ * entry describes goes ahead.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { getPgPool } = require('../../database/pool');
+
+const TABLE = 'assistant_audit_log';
+const EVENTS = ['approval', 'bsa_write'];
+const STATUSES = ['success', 'failure'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_EXPORT = 10000; // rows per CSV export
+
+// Columns in the order of the CSV export
+const COLUMNS = [
+  'id', 'created_at', 'event', 'org_id', 'user_id', 'session_id', 'thread_id',
+  'approval_id', 'query', 'domain', 'action', 'decision', 'preview', 'endpoint',
+  'result_ids', 'status', 'error'
+];
+
+// Filters that match a column exactly
+const EXACT_FILTERS = ['user_id', 'session_id', 'thread_id', 'approval_id', 'event', 'domain', 'action', 'status'];
+
+const auditContext = new AsyncLocalStorage();
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ *
+ * Queries and previews carry user text, so a field a spreadsheet would run as
+ * a formula (starting with =, +, -, @, tab or carriage return) is prefixed
+ * with a single quote.
+ * @private
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditLogService {
+  constructor() {
+    this.warnedNoDatabase = false;
+  }
+
+  /**
+   * Run a request handler inside an audit context
+   *
+   * @param {Object} context - { org_id, user_id, session_id, thread_id, query, approval_id }
+   * @param {Function} fn - Handler
+   * @returns {Promise<*>} - The handler's result
+   */
+  runWithContext(context, fn) {
+    return auditContext.run({ ...context }, fn);
+  }
+
+  /**
+   * Audit context of the current request, or null outside of one
+   * @returns {Object|null}
+   */
+  getContext() {
+    return auditContext.getStore() || null;
+  }
+
+  /**
+   * Append one entry
+   *
+   * @param {Object} entry - Row values (see COLUMNS); org_id, event, action and status are required
+   * @returns {Promise<boolean>} - Whether the entry was stored
+   */
+  async record(entry) {
+    const pool = getPgPool();
+    if (!pool) {
+      if (!this.warnedNoDatabase) {
+        console.warn('[AUDIT] POSTGRES_CONNECTION_STRING not set - audit entries are not stored');
+        this.warnedNoDatabase = true;
+      }
+      return false;
+    }
+
+    if (!entry.org_id) {
+      console.warn(`[AUDIT] Skipping ${entry.event} entry "${entry.action}" without an org`);
+      return false;
+    }
+
+    try {
+      await pool.query(
+        `INSERT INTO ${TABLE}
+          (event, org_id, user_id, session_id, thread_id, approval_id, query, domain,
+           action, decision, preview, endpoint, result_ids, status, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+          entry.event,
+          String(entry.org_id),
+          entry.user_id || null,
+          entry.session_id || null,
+          entry.thread_id || null,
+          entry.approval_id || null,
+          entry.query || null,
+          entry.domain || null,
+          entry.action,
+          entry.decision || null,
+          entry.preview === undefined || entry.preview === null ? null : JSON.stringify(entry.preview),
+          entry.endpoint || null,
+          (entry.result_ids || []).filter(id => id !== null && id !== undefined).map(String),
+          entry.status,
+          entry.error || null
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error(`[AUDIT] Failed to record ${entry.event} "${entry.action}":`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record an approval decision, one entry per domain that asked for approval
+   *
+   * @param {Object} approval - { approval_id, decision, requests: [approvalRequest], selections }
+   * @returns {Promise<void>}
+   */
+  async recordApproval({ approval_id, decision, requests, selections }) {
+    const context = this.getContext() || {};
+
+    for (const request of requests.length > 0 ? requests : [{}]) {
+      const selection = request.domain ? selections?.[request.domain] : null;
+      await this.record({
+        ...context,
+        event: 'approval',
+        approval_id,
+        domain: request.domain || null,
+        action: request.action || 'approval',
+        decision,
+        preview: request.preview ? { ...request.preview, ...(selection ? { selection } : {}) } : null,
+        status: 'success'
+      });
+    }
+
+    console.log(`[AUDIT] Recorded ${decision} of ${requests.length || 1} approval request(s)`);
+  }
+
+  /**
+   * Record a BSA write made while handling the current request
+   *
+   * @param {Object} write - { action, endpoint (path or full URL), orgId, resultIds, error }
+   * @returns {Promise<void>}
+   */
+  async recordBsaWrite({ action, endpoint, orgId, resultIds = [], error = null }) {
+    const context = this.getContext() || {};
+    await this.record({
+      ...context,
+      org_id: orgId || context.org_id,
+      event: 'bsa_write',
+      action,
+      // Store the path only so entries don't depend on the BSA environment
+      endpoint: /^https?:\/\//.test(endpoint || '') ? new URL(endpoint).pathname : endpoint,
+      result_ids: resultIds,
+      status: error ? 'failure' : 'success',
+      error: error ? (error.message || String(error)) : null
+    });
+  }
+
+  /**
+   * Validate query filters
+   *
+   * @param {Object} filters - { org_id, event, status, from, to, limit, offset }
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateFilters({ org_id, event, status, from, to, limit, offset } = {}) {
+    const errors = [];
+    if (!org_id) {
+      errors.push('org_id is required');
+    }
+    if (event && !EVENTS.includes(event)) {
+      errors.push(`Unknown event "${event}" (use ${EVENTS.join(' or ')})`);
+    }
+    if (status && !STATUSES.includes(status)) {
+      errors.push(`Unknown status "${status}" (use ${STATUSES.join(' or ')})`);
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        errors.push(`Invalid ${name} date "${value}" (use ISO 8601)`);
+      }
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+      errors.push(`limit must be 1 to ${MAX_LIMIT}`);
+    }
+    if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+      errors.push('offset must be 0 or more');
+    }
+    return errors;
+  }
+
+  /**
+   * Entries of an org, newest first
+   *
+   * @param {Object} filters - { org_id, user_id, session_id, thread_id, approval_id, event, domain, action, status, from, to, search, limit, offset }
+   * @param {Object} options - { export: true lifts the limit to MAX_EXPORT }
+   * @returns {Promise<Object>} - { entries, total, limit, offset }
+   * @throws {Error} - If the filters are invalid or the database isn't configured
+   */
+  async query(filters, options = {}) {
+    const errors = this.validateFilters(filters);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const pool = getPgPool();
+    if (!pool) {
+      throw new Error('Audit log database is not configured');
+    }
+
+    const conditions = ['org_id = $1'];
+    const params = [String(filters.org_id)];
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    for (const field of EXACT_FILTERS) {
+      if (filters[field]) add(`${field} = ?`, String(filters[field]));
+    }
+    if (filters.from) add('created_at >= ?', new Date(filters.from).toISOString());
+    if (filters.to) add('created_at <= ?', new Date(filters.to).toISOString());
+    if (filters.search) add('query ILIKE ?', `%${filters.search}%`);
+
+    const where = conditions.join(' AND ');
+    const limit = options.export ? MAX_EXPORT : (filters.limit || DEFAULT_LIMIT);
+    const offset = options.export ? 0 : (filters.offset || 0);
+
+    const [rows, count] = await Promise.all([
+      pool.query(
+        `SELECT ${COLUMNS.join(', ')} FROM ${TABLE}
+         WHERE ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${limit} OFFSET ${offset}`,
+        params
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM ${TABLE} WHERE ${where}`, params)
+    ]);
+
+    return {
+      entries: rows.rows,
+      total: count.rows[0].total,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Entries as CSV, one row per entry in column order
+   *
+   * @param {Array<Object>} entries - Entries from query
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const lines = [COLUMNS.join(',')];
+    for (const entry of entries) {
+      lines.push(COLUMNS.map(column => {
+        const value = entry[column];
+        if (column === 'created_at' && value) return csvField(new Date(value).toISOString());
+        if (column === 'preview' && value) return csvField(JSON.stringify(value));
+        if (column === 'result_ids') return csvField((value || []).join(';'));
+        return csvField(value);
+      }).join(','));
+    }
+    return lines.join('\r\n');
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton audit log service
+ * @returns {AuditLogService}
+ */
+function getAuditLog() {
+  if (!instance) {
+    instance = new AuditLogService();
+  }
+  return instance;
+}
+
+module.exports = {
+  AuditLogService,
+  getAuditLog
+};
@@ -8,6 +8,7 @@
 const axios = require('axios');
 const { getErrorHandler } = require('../errors/errorHandler');
 const bsaConfig = require('../../integrations/bsa/config');
+const { getAuditLog } = require('../audit/auditLog');
 
 class ContactLinker {
   constructor() {
@@ -51,6 +52,7 @@ class ContactLinker {
       );
       
       console.log(`[ContactLinker] Successfully linked contact ${contactId}`);
+      await getAuditLog().recordBsaWrite({ action: `link_${activityType}_contact`, endpoint, resultIds: [activityId, contactId] });
       return {
         success: true,
         activityType,
@@ -60,6 +62,7 @@ class ContactLinker {
       
     } catch (error) {
       console.error(`[ContactLinker] Failed to link contact:`, error.message);
+      await getAuditLog().recordBsaWrite({ action: `link_${activityType}_contact`, endpoint, resultIds: [activityId, contactId], error });
       return {
         success: false,
         activityType,
@@ -175,6 +178,7 @@ class ContactLinker {
       );
       
       console.log(`[ContactLinker] Successfully unlinked contact ${contactId}`);
+      await getAuditLog().recordBsaWrite({ action: `unlink_${activityType}_contact`, endpoint, resultIds: [activityId, contactId] });
       return {
         success: true,
         activityType,
@@ -184,6 +188,7 @@ class ContactLinker {
       
     } catch (error) {
       console.error(`[ContactLinker] Failed to unlink contact:`, error.message);
+      await getAuditLog().recordBsaWrite({ action: `unlink_${activityType}_contact`, endpoint, resultIds: [activityId, contactId], error });
       return {
         success: false,
         activityType,
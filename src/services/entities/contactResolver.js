@@ -8,6 +8,7 @@ const axios = require('axios');
 const { normalizeBSAResponse, buildBSAHeaders } = require('../../integrations/bsa/tools/common');
 const { getMem0Service } = require('../memory/mem0Service');
 const bsaConfig = require('../../integrations/bsa/config');
+const { getAuditLog } = require('../audit/auditLog');
 
 class ContactResolver {
   constructor() {
@@ -369,9 +370,11 @@ class ContactResolver {
       }
 
       console.log(`[CONTACT:LINK] Successfully linked using linker: ${linkerName}`);
+      await getAuditLog().recordBsaWrite({ action: `link_${type}_contact`, endpoint, orgId, resultIds: [activityId, contactId] });
       return { linked: true, type, activityId, contactId, linkerName };
     } catch (error) {
       console.error('[CONTACT:LINK] Error:', error.message);
+      await getAuditLog().recordBsaWrite({ action: `link_${type}_contact`, endpoint, orgId, resultIds: [activityId, contactId], error });
       throw error;
     }
   }
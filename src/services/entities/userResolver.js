@@ -8,6 +8,7 @@ const { normalizeBSAResponse, buildBSAHeaders } = require('../../integrations/bs
 const { getMem0Service } = require('../memory/mem0Service');
 const { getUserSyncService } = require('../sync/userSyncService');
 const bsaConfig = require('../../integrations/bsa/config');
+const { getAuditLog } = require('../audit/auditLog');
 
 class UserResolver {
   constructor() {
@@ -299,9 +300,11 @@ class UserResolver {
       }
 
       console.log(`[USER_RESOLVER] Successfully linked user using: ${linkerName}`);
+      await getAuditLog().recordBsaWrite({ action: `link_${type}_user`, endpoint, orgId, resultIds: [activityId, userId] });
       return { linked: true, type, activityId, userId, linkerName };
     } catch (error) {
       console.error('[USER_RESOLVER] Error linking user:', error.message);
+      await getAuditLog().recordBsaWrite({ action: `link_${type}_user`, endpoint, orgId, resultIds: [activityId, userId], error });
       throw error;
     }
   }
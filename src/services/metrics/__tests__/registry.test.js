@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MetricsRegistry } = require('../registry');
+
+test('renders counters with the _total suffix and ends with # EOF', async () => {
+  const registry = new MetricsRegistry();
+  const requests = registry.counter('assistant_bsa_requests', 'BSA API requests', ['endpoint', 'outcome']);
+  requests.inc({ endpoint: '/a', outcome: 'success' });
+  requests.inc({ endpoint: '/a', outcome: 'success' }, 2);
+  requests.inc({ endpoint: '/b', outcome: 'error' });
+  requests.inc({ endpoint: '/b', outcome: 'error' }, -1); // counters never go down
+
+  assert.strictEqual(await registry.render(), [
+    '# TYPE assistant_bsa_requests counter',
+    '# HELP assistant_bsa_requests BSA API requests',
+    'assistant_bsa_requests_total{endpoint="/a",outcome="success"} 3',
+    'assistant_bsa_requests_total{endpoint="/b",outcome="error"} 1',
+    '# EOF',
+    ''
+  ].join('\n'));
+});
+
+test('the same name returns the same family', () => {
+  const registry = new MetricsRegistry();
+  assert.strictEqual(registry.counter('calls', 'Calls'), registry.counter('calls', 'Calls'));
+});
+
+test('renders cumulative histogram buckets with count and sum', async () => {
+  const registry = new MetricsRegistry();
+  const duration = registry.histogram('assistant_node_duration_seconds', 'Node latency', {
+    labelNames: ['node'],
+    buckets: [1, 0.1],
+    unit: 'seconds'
+  });
+  duration.observe({ node: 'route' }, 0.05);
+  duration.observe({ node: 'route' }, 0.5);
+  duration.observe({ node: 'route' }, 3);
+  duration.observe({ node: 'route' }, NaN);
+
+  assert.strictEqual(await registry.render(), [
+    '# TYPE assistant_node_duration_seconds histogram',
+    '# UNIT assistant_node_duration_seconds seconds',
+    '# HELP assistant_node_duration_seconds Node latency',
+    'assistant_node_duration_seconds_bucket{node="route",le="0.1"} 1',
+    'assistant_node_duration_seconds_bucket{node="route",le="1"} 2',
+    'assistant_node_duration_seconds_bucket{node="route",le="+Inf"} 3',
+    'assistant_node_duration_seconds_count{node="route"} 3',
+    'assistant_node_duration_seconds_sum{node="route"} 3.55',
+    '# EOF',
+    ''
+  ].join('\n'));
+});
+
+test('escapes label values', async () => {
+  const registry = new MetricsRegistry();
+  registry.counter('errors', 'Errors', ['message']).inc({ message: 'say "hi"\\\nbye' });
+
+  const output = await registry.render();
+  assert.ok(output.includes('errors_total{message="say \\"hi\\"\\\\\\nbye"} 1'));
+});
+
+test('collectors add families at scrape time and a failing one is skipped', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const registry = new MetricsRegistry();
+  registry.addCollector(() => { throw new Error('cache unavailable'); });
+  registry.addCollector(async () => [
+    { name: 'assistant_cache_hits', type: 'counter', help: 'Cache hits', samples: [{ labels: { cache: 'passkey' }, value: 4 }] },
+    {
+      name: 'assistant_circuit_breaker',
+      type: 'stateset',
+      help: 'Circuit breaker state',
+      samples: [{ labels: { breaker: 'bsa', assistant_circuit_breaker: 'open' }, value: 1 }]
+    }
+  ]);
+
+  const output = await registry.render();
+  assert.ok(output.includes('assistant_cache_hits_total{cache="passkey"} 4'));
+  assert.ok(output.includes('# TYPE assistant_circuit_breaker stateset'));
+  assert.ok(output.includes('assistant_circuit_breaker{breaker="bsa",assistant_circuit_breaker="open"} 1'));
+  assert.ok(output.endsWith('# EOF\n'));
+  assert.strictEqual(console.error.mock.calls.length, 1);
+});
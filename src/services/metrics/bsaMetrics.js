@@ -0,0 +1,88 @@
+/**
+ * BSA Request Metrics
+ *
+ * BSA calls are made with axios from many modules (tools, resolvers, auth),
+ * so they are measured with interceptors on the shared axios instance rather
+ * than at each call site. Only requests to the configured BSA host count.
+ *
+ * Outcomes:
+ *   success - 2xx and the BSA payload is valid
+ *   invalid - 2xx but BSA reported Valid: false
+ *   error   - non-2xx HTTP status
+ *   network - no response (timeout, connection failure)
+ */
+
+const { getMetricsRegistry } = require('./registry');
+
+let installed = false;
+
+/**
+ * Outcome of a 2xx BSA response
+ * @private
+ */
+function responseOutcome(data) {
+  const payload = Array.isArray(data) ? data[0] : data;
+  return payload?.Valid === false ? 'invalid' : 'success';
+}
+
+/**
+ * Add request metrics to an axios instance (once per process)
+ * @param {import('axios').AxiosStatic} axios - The axios instance the BSA integrations use
+ * @param {string} bsaBaseUrl - BSA base URL; other hosts are ignored
+ */
+function instrumentBsaRequests(axios, bsaBaseUrl) {
+  if (installed) return;
+  installed = true;
+
+  const bsaHost = new URL(bsaBaseUrl).host;
+  const registry = getMetricsRegistry();
+  const requests = registry.counter(
+    'assistant_bsa_requests',
+    'BSA API requests by endpoint and outcome',
+    ['endpoint', 'outcome']
+  );
+  const duration = registry.histogram(
+    'assistant_bsa_request_duration_seconds',
+    'BSA API request latency by endpoint',
+    { labelNames: ['endpoint'], unit: 'seconds' }
+  );
+
+  // Endpoint path of a BSA request, or null for other hosts
+  const endpointOf = (config) => {
+    try {
+      const url = new URL(config.url, config.baseURL);
+      return url.host === bsaHost ? url.pathname : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const record = (config, outcome) => {
+    const endpoint = config && endpointOf(config);
+    if (!endpoint) return;
+    requests.inc({ endpoint, outcome });
+    if (config.metricsStartTime) {
+      duration.observe({ endpoint }, (Date.now() - config.metricsStartTime) / 1000);
+    }
+  };
+
+  axios.interceptors.request.use((config) => {
+    config.metricsStartTime = Date.now();
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => {
+      record(response.config, responseOutcome(response.data));
+      return response;
+    },
+    (error) => {
+      record(error.config, error.response ? 'error' : 'network');
+      return Promise.reject(error);
+    }
+  );
+}
+
+module.exports = {
+  instrumentBsaRequests
+};
@@ -0,0 +1,133 @@
+/**
+ * Metrics exports
+ *
+ * renderMetrics() produces the GET /metrics body: everything recorded in the
+ * registry (node latency, LLM calls, BSA requests) plus the stats the error
+ * handler and caches already keep, read at scrape time.
+ */
+
+const { getMetricsRegistry } = require('./registry');
+const { getLlmMetricsHandler } = require('./llmMetrics');
+const { instrumentBsaRequests } = require('./bsaMetrics');
+
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+let collectorsRegistered = false;
+
+/**
+ * Hit/miss counters and hit ratio for each cache
+ * @private
+ * @param {Array<Object>} caches - [{ cache, hits, misses, entries }]
+ */
+function cacheFamilies(caches) {
+  return [
+    {
+      name: 'assistant_cache_hits',
+      type: 'counter',
+      help: 'Cache hits by cache',
+      samples: caches.map(({ cache, hits }) => ({ labels: { cache }, value: hits }))
+    },
+    {
+      name: 'assistant_cache_misses',
+      type: 'counter',
+      help: 'Cache misses by cache',
+      samples: caches.map(({ cache, misses }) => ({ labels: { cache }, value: misses }))
+    },
+    {
+      name: 'assistant_cache_hit_ratio',
+      type: 'gauge',
+      help: 'Share of cache lookups served from cache since start',
+      samples: caches
+        .filter(({ hits, misses }) => hits + misses > 0)
+        .map(({ cache, hits, misses }) => ({ labels: { cache }, value: hits / (hits + misses) }))
+    },
+    {
+      name: 'assistant_cache_entries',
+      type: 'gauge',
+      help: 'Entries currently cached',
+      samples: caches
+        .filter(({ entries }) => entries !== undefined)
+        .map(({ cache, entries }) => ({ labels: { cache }, value: entries }))
+    }
+  ];
+}
+
+/**
+ * Read circuit breakers, errors and caches from their services
+ * @private
+ */
+function collectServiceMetrics() {
+  // Required lazily: these modules pull in Supabase and the coordinator
+  const { getErrorHandler } = require('../errors/errorHandler');
+  const { getTeamMemberCache } = require('../cache/teamMemberCache');
+  const { getPassKeyManager } = require('../../core/auth/passkey');
+  const { getPerformanceMetrics } = require('../../agents/coordinator/metrics');
+
+  const errorReport = getErrorHandler().getErrorReport();
+  const breakers = Object.entries(errorReport.circuitBreakers);
+
+  const teamStats = getTeamMemberCache().getStats();
+  const passKeyStats = getPassKeyManager().getCacheStats();
+  const coordinatorCaches = getPerformanceMetrics().getCacheStatsByType();
+
+  return [
+    {
+      name: 'assistant_circuit_breaker',
+      type: 'stateset',
+      help: 'Circuit breaker state by breaker',
+      samples: breakers.flatMap(([breaker, { state }]) => CIRCUIT_STATES.map(candidate => ({
+        labels: { breaker, assistant_circuit_breaker: candidate },
+        value: state === candidate ? 1 : 0
+      })))
+    },
+    {
+      name: 'assistant_circuit_breaker_failures',
+      type: 'gauge',
+      help: 'Consecutive failures counted by each circuit breaker',
+      samples: breakers.map(([breaker, { failures }]) => ({ labels: { breaker }, value: failures }))
+    },
+    {
+      name: 'assistant_errors_per_minute',
+      type: 'gauge',
+      help: 'Errors per minute over the error handler window (5 minutes)',
+      samples: [{ labels: {}, value: parseFloat(errorReport.errorRate) }]
+    },
+    {
+      name: 'assistant_recent_errors',
+      type: 'gauge',
+      help: 'Errors in the error handler window by operation and error type',
+      samples: Object.entries(errorReport.recentErrors).map(([key, { count }]) => {
+        const separator = key.lastIndexOf(':');
+        return {
+          labels: { operation: key.slice(0, separator), type: key.slice(separator + 1) },
+          value: count
+        };
+      })
+    },
+    ...cacheFamilies([
+      { cache: 'team_members', hits: teamStats.hits, misses: teamStats.misses, entries: teamStats.cachedOrgs },
+      { cache: 'passkey', hits: passKeyStats.hits, misses: passKeyStats.misses, entries: passKeyStats.size },
+      ...Object.entries(coordinatorCaches).map(([cache, { hits, misses }]) => ({ cache, hits, misses }))
+    ])
+  ];
+}
+
+/**
+ * Render all metrics in OpenMetrics text format
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+  const registry = getMetricsRegistry();
+  if (!collectorsRegistered) {
+    registry.addCollector(collectServiceMetrics);
+    collectorsRegistered = true;
+  }
+  return registry.render();
+}
+
+module.exports = {
+  getMetricsRegistry,
+  getLlmMetricsHandler,
+  instrumentBsaRequests,
+  renderMetrics
+};
@@ -0,0 +1,135 @@
+/**
+ * LLM Metrics
+ *
+ * LangChain callback handler counting LLM calls, their latency and token
+ * usage per model. The coordinator attaches it to its top-level graph
+ * invocations; every model call made inside the graph (routing, planning,
+ * domain agents, finalizing) inherits it from there.
+ */
+
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+const { getMetricsRegistry } = require('./registry');
+
+// Tokens per call, from short classifications to long drafted responses
+const TOKEN_BUCKETS = [50, 100, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+/**
+ * Token usage of a finished call, from usage_metadata (chat models) or
+ * llmOutput.tokenUsage (older OpenAI responses)
+ * @private
+ */
+function extractTokenUsage(output) {
+  let prompt = 0;
+  let completion = 0;
+  let found = false;
+
+  for (const generations of output?.generations || []) {
+    for (const generation of generations || []) {
+      const usage = generation?.message?.usage_metadata;
+      if (usage) {
+        prompt += usage.input_tokens || 0;
+        completion += usage.output_tokens || 0;
+        found = true;
+      }
+    }
+  }
+
+  if (!found && output?.llmOutput?.tokenUsage) {
+    const usage = output.llmOutput.tokenUsage;
+    prompt = usage.promptTokens || 0;
+    completion = usage.completionTokens || 0;
+    found = true;
+  }
+
+  return found ? { prompt, completion } : null;
+}
+
+class LlmMetricsHandler extends BaseCallbackHandler {
+  constructor() {
+    super();
+    this.name = 'llm_metrics';
+    this.runs = new Map(); // runId -> { model, startTime }
+
+    const registry = getMetricsRegistry();
+    this.calls = registry.counter(
+      'assistant_llm_calls',
+      'LLM calls by model and outcome',
+      ['model', 'outcome']
+    );
+    this.duration = registry.histogram(
+      'assistant_llm_call_duration_seconds',
+      'LLM call latency by model',
+      { labelNames: ['model'], unit: 'seconds' }
+    );
+    this.tokens = registry.histogram(
+      'assistant_llm_tokens_per_call',
+      'Tokens used per LLM call by model and type (prompt or completion)',
+      { labelNames: ['model', 'type'], buckets: TOKEN_BUCKETS }
+    );
+  }
+
+  /**
+   * Remember when a call started and which model it uses
+   * @private
+   */
+  start(llm, runId, extraParams) {
+    const params = extraParams?.invocation_params || {};
+    const model = params.model || params.model_name || params.modelName || llm?.kwargs?.model || 'unknown';
+    this.runs.set(runId, { model, startTime: Date.now() });
+  }
+
+  /**
+   * Record a finished call
+   * @private
+   */
+  finish(runId, outcome, output) {
+    const run = this.runs.get(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+
+    const { model } = run;
+    this.calls.inc({ model, outcome });
+    this.duration.observe({ model }, (Date.now() - run.startTime) / 1000);
+
+    const usage = outcome === 'success' ? extractTokenUsage(output) : null;
+    if (usage) {
+      this.tokens.observe({ model, type: 'prompt' }, usage.prompt);
+      this.tokens.observe({ model, type: 'completion' }, usage.completion);
+    }
+  }
+
+  handleLLMStart(llm, prompts, runId, parentRunId, extraParams) {
+    this.start(llm, runId, extraParams);
+  }
+
+  handleChatModelStart(llm, messages, runId, parentRunId, extraParams) {
+    this.start(llm, runId, extraParams);
+  }
+
+  handleLLMEnd(output, runId) {
+    this.finish(runId, 'success', output);
+  }
+
+  handleLLMError(error, runId) {
+    this.finish(runId, 'error');
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the shared LLM metrics callback handler
+ * @returns {LlmMetricsHandler}
+ */
+function getLlmMetricsHandler() {
+  if (!instance) {
+    instance = new LlmMetricsHandler();
+  }
+  return instance;
+}
+
+module.exports = {
+  LlmMetricsHandler,
+  getLlmMetricsHandler
+};
@@ -0,0 +1,244 @@
+/**
+ * Metrics Registry
+ *
+ * Minimal in-process counters and histograms rendered in OpenMetrics text
+ * format for GET /metrics. Instrumented code records into the registry as
+ * things happen; services that already keep their own stats (error handler,
+ * caches) are read at scrape time through collectors instead.
+ *
+ * Values are per instance and reset on cold start - Prometheus aggregates
+ * across instances and handles counter resets.
+ */
+
+// Latency buckets in seconds, from fast cache lookups to slow multi-agent runs
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value for the text format
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set: {a="1",b="2"}, or '' without labels
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render a sample value
+ * @private
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Stable key for a label set, in the family's label order
+ * @private
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+class Counter {
+  constructor(name, help, labelNames) {
+    this.type = 'counter';
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // labelKey -> { labels, value }
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) return;
+    const key = labelKey(this.labelNames, labels);
+    const entry = this.values.get(key) || { labels: pick(this.labelNames, labels), value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  samples() {
+    return Array.from(this.values.values()).map(({ labels, value }) => ({ suffix: '_total', labels, value }));
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames, buckets, unit) {
+    this.type = 'histogram';
+    this.name = name;
+    this.help = help;
+    this.unit = unit;
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.values = new Map(); // labelKey -> { labels, counts, sum, count }
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(labels, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+    const key = labelKey(this.labelNames, labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: pick(this.labelNames, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) entry.counts[i]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  samples() {
+    const samples = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      // Bucket counts are already cumulative: each observation counts in every bucket it fits
+      this.buckets.forEach((le, i) => {
+        samples.push({ suffix: '_bucket', labels: { ...labels, le: formatValue(le) }, value: counts[i] });
+      });
+      samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ suffix: '_count', labels, value: count });
+      samples.push({ suffix: '_sum', labels, value: sum });
+    }
+    return samples;
+  }
+}
+
+/**
+ * Only the family's labels, in its order
+ * @private
+ */
+function pick(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] ?? '';
+  }
+  return picked;
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.families = new Map(); // name -> Counter | Histogram
+    this.collectors = [];
+  }
+
+  /**
+   * Get or create a counter
+   * @param {string} name - Family name without the _total suffix
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    if (!this.families.has(name)) {
+      this.families.set(name, new Counter(name, help, labelNames));
+    }
+    return this.families.get(name);
+  }
+
+  /**
+   * Get or create a histogram
+   * @param {string} name - Family name
+   * @param {string} help - Description
+   * @param {Object} options - { labelNames, buckets, unit }
+   * @returns {Histogram}
+   */
+  histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS, unit } = {}) {
+    if (!this.families.has(name)) {
+      this.families.set(name, new Histogram(name, help, labelNames, buckets, unit));
+    }
+    return this.families.get(name);
+  }
+
+  /**
+   * Add a collector, called on every scrape
+   * @param {Function} collector - () => Array<{ name, type: 'gauge'|'counter'|'stateset', help, unit, samples: [{ labels, value }] }>
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render all metrics in OpenMetrics text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const families = Array.from(this.families.values()).map(family => ({
+      name: family.name,
+      type: family.type,
+      help: family.help,
+      unit: family.unit,
+      samples: family.samples()
+    }));
+
+    for (const collector of this.collectors) {
+      try {
+        for (const family of await collector()) {
+          families.push({
+            ...family,
+            samples: family.samples.map(sample => ({
+              suffix: family.type === 'counter' ? '_total' : '',
+              ...sample
+            }))
+          });
+        }
+      } catch (error) {
+        // One broken source shouldn't take down the whole scrape
+        console.error('[METRICS] Collector failed:', error.message);
+      }
+    }
+
+    const lines = [];
+    for (const family of families) {
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      if (family.unit) lines.push(`# UNIT ${family.name} ${family.unit}`);
+      if (family.help) lines.push(`# HELP ${family.name} ${family.help}`);
+      for (const sample of family.samples) {
+        lines.push(`${family.name}${sample.suffix || ''}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+      }
+    }
+    lines.push('# EOF');
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton metrics registry
+ * @returns {MetricsRegistry}
+ */
+function getMetricsRegistry() {
+  if (!instance) {
+    instance = new MetricsRegistry();
+  }
+  return instance;
+}
+
+module.exports = {
+  MetricsRegistry,
+  getMetricsRegistry,
+  DEFAULT_BUCKETS
+};
@@ -0,0 +1,565 @@
+/**
+ * Contact Segment Service
+ *
+ * List queries over contact fields, including custom fields
+ * (ExtendedProperties): "clients with AUM over $1M whose review is due this
+ * quarter", "contacts with birthdays next week".
+ *
+ * The contact agent's LLM turns the question into a structured filter
+ * (conditions with a field, a value type and an operator); this service pages
+ * through the organization's contacts with their custom fields, evaluates the
+ * typed comparisons and returns a table the side panel can sort.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { listContacts } = require('../../integrations/bsa/tools/contacts');
+const { getFieldExtractor } = require('./fieldExtractor');
+const { parseDateQuery } = require('../../utils/chronoParser');
+const {
+  formatHumanReadableDate,
+  formatCustomFieldValue,
+  getFriendlyFieldName
+} = require('../../utils/contactFieldFormatter');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const PAGE_SIZE = 200;
+const MAX_SCAN = 2000; // contacts per query
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_AVAILABLE_FIELDS = 30;
+
+const NUMBER_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'between', 'is_empty', 'is_not_empty'];
+
+const TYPE_OPERATORS = {
+  currency: NUMBER_OPERATORS,
+  number: NUMBER_OPERATORS,
+  date: ['before', 'after', 'within', 'anniversary_within', 'is_empty', 'is_not_empty'],
+  text: ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'is_empty', 'is_not_empty'],
+  boolean: ['is_true', 'is_false']
+};
+
+const OPERATOR_LABELS = {
+  gt: 'over', gte: 'at least', lt: 'under', lte: 'at most', eq: 'equal to', between: 'between',
+  before: 'before', after: 'after', within: 'within', anniversary_within: 'coming up',
+  equals: 'is', not_equals: 'is not', contains: 'contains', not_contains: "doesn't contain",
+  starts_with: 'starts with', is_empty: 'is empty', is_not_empty: 'is set',
+  is_true: 'is yes', is_false: 'is no'
+};
+
+// Operators that need no value
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty', 'is_true', 'is_false'];
+
+/**
+ * Number from a currency object ({ ctype, value }), a number or text such as
+ * "$1,200,000", "1.5M" or "250k"
+ * @private
+ */
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'object' && value.value !== undefined) return parseNumber(value.value);
+
+  const match = String(value).replace(/[$,\s]/g, '').match(/^(-?\d*\.?\d+)([kmb])?$/i);
+  if (!match) return null;
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+  return parseFloat(match[1]) * (match[2] ? multipliers[match[2].toLowerCase()] : 1);
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a stored date
+ *
+ * BSA stores dates like birthdays as midnight UTC - the date part is the
+ * calendar date, converting it to the user's timezone could shift it a day.
+ * @private
+ */
+function parseCalendarDate(value) {
+  if (!value) return null;
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const date = dayjs(text);
+  return date.isValid() ? date.format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Boolean from true/false, "yes"/"no", 1/0
+ * @private
+ */
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Whether a raw field value counts as empty
+ * @private
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'object' && !Array.isArray(value) && value.value !== undefined) return isEmpty(value.value);
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === '';
+}
+
+/**
+ * Column key for a field name ("Next Review Date" -> "nextreviewdate")
+ * @private
+ */
+function columnKey(field) {
+  return String(field || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+class ContactSegmentService {
+  constructor() {
+    this.fieldExtractor = getFieldExtractor();
+  }
+
+  /**
+   * Validate a segment filter and resolve its values
+   *
+   * Numbers are parsed ("$1M" -> 1000000) and date values ("this quarter",
+   * "next week", "2026-12-31") become { start, end } calendar ranges in the
+   * user's timezone.
+   *
+   * @param {Object} filter - { conditions: [{ field, type, operator, value, value2 }], match, sortBy, sortDirection, limit }
+   * @param {string} tz - IANA timezone
+   * @returns {Object} - { conditions, errors } with the resolved conditions
+   */
+  prepareFilter(filter, tz = 'UTC') {
+    const errors = [];
+    const conditions = [];
+
+    if (!Array.isArray(filter?.conditions) || filter.conditions.length === 0) {
+      return { conditions, errors: ['At least one condition is required'] };
+    }
+
+    filter.conditions.forEach((condition, index) => {
+      const { field, type, operator, value, value2 } = condition;
+      const label = `Condition ${index + 1}`;
+
+      if (!field || !String(field).trim()) {
+        errors.push(`${label}: a field is required`);
+        return;
+      }
+      if (!TYPE_OPERATORS[type]) {
+        errors.push(`${label}: unknown type "${type}" (use ${Object.keys(TYPE_OPERATORS).join(', ')})`);
+        return;
+      }
+      if (!TYPE_OPERATORS[type].includes(operator)) {
+        errors.push(`${label}: "${operator}" doesn't apply to ${type} fields (use ${TYPE_OPERATORS[type].join(', ')})`);
+        return;
+      }
+
+      const resolved = { field: String(field).trim(), key: columnKey(field), type, operator };
+
+      if (VALUELESS_OPERATORS.includes(operator)) {
+        conditions.push(resolved);
+        return;
+      }
+
+      if (type === 'currency' || type === 'number') {
+        resolved.value = parseNumber(value);
+        if (resolved.value === null) {
+          errors.push(`${label}: "${value}" is not a number`);
+          return;
+        }
+        if (operator === 'between') {
+          resolved.value2 = parseNumber(value2);
+          if (resolved.value2 === null) {
+            errors.push(`${label}: "between" needs a second number`);
+            return;
+          }
+        }
+      } else if (type === 'date') {
+        const range = this.resolveDateRange(value, value2, tz);
+        if (!range) {
+          errors.push(`${label}: couldn't understand the date "${value}"`);
+          return;
+        }
+        resolved.range = range;
+      } else {
+        if (value === undefined || value === null || String(value).trim() === '') {
+          errors.push(`${label}: a value is required for "${operator}"`);
+          return;
+        }
+        resolved.value = String(value).trim().toLowerCase();
+      }
+
+      conditions.push(resolved);
+    });
+
+    const keys = ['name', ...conditions.map(condition => condition.key)];
+    if (filter.sortBy && !keys.includes(columnKey(filter.sortBy))) {
+      errors.push(`Sort by "name" or one of the filtered fields, not "${filter.sortBy}"`);
+    }
+    if (filter.match && !['all', 'any'].includes(filter.match)) {
+      errors.push(`Unknown match "${filter.match}" (use all or any)`);
+    }
+
+    return { conditions, errors };
+  }
+
+  /**
+   * Calendar range for a date value: an explicit date, a phrase like
+   * "next week", or value..value2
+   * @private
+   */
+  resolveDateRange(value, value2, tz) {
+    const resolve = (text) => {
+      if (!text) return null;
+      const trimmed = String(text).trim();
+      if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+        return dayjs(trimmed).format('YYYY-MM-DD') === trimmed
+          ? { start: trimmed, end: trimmed, interpreted: dayjs(trimmed).format('MMM D, YYYY') }
+          : null;
+      }
+      const parsed = parseDateQuery(trimmed, tz);
+      return parsed ? { start: parsed.startDate, end: parsed.endDate, interpreted: trimmed } : null;
+    };
+
+    const first = resolve(value);
+    if (!first) return null;
+    if (!value2) return first;
+
+    const second = resolve(value2);
+    if (!second) return null;
+    return { start: first.start, end: second.end, interpreted: `${first.interpreted} to ${second.interpreted}` };
+  }
+
+  /**
+   * Find the contacts matching a filter
+   *
+   * @param {Object} filter - See prepareFilter
+   * @param {Object} context - { passKey, org_id, timezone }
+   * @returns {Promise<Object>} - { columns, rows, matched, scanned, total, truncated, sort, description, unknownFields, availableFields, summary }
+   * @throws {Error} - If the filter is invalid
+   */
+  async findSegment(filter, context) {
+    const { passKey, org_id, timezone: tz = 'UTC' } = context;
+
+    const { conditions, errors } = this.prepareFilter(filter, tz);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const match = filter.match || 'all';
+    const limit = Math.min(Math.max(parseInt(filter.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const contacts = [];
+    let total = 0;
+    for (let page = 1; contacts.length < MAX_SCAN; page++) {
+      const result = await listContacts(passKey, org_id, page, PAGE_SIZE, { includeExtendedProperties: true });
+      total = result.total;
+      contacts.push(...result.contacts);
+      if (result.contacts.length < PAGE_SIZE || contacts.length >= total) break;
+    }
+
+    console.log(`[CONTACT_SEGMENTS] Evaluating ${conditions.length} condition(s) (${match}) over ${contacts.length} of ${total} contacts`);
+
+    const foundFields = new Map(); // key -> field as found on the contact ({ name, custom })
+    const rows = [];
+
+    for (const contact of contacts) {
+      const cells = {};
+      const results = conditions.map(condition => {
+        const found = this.fieldExtractor.findField(contact, condition.field, 'contact');
+        if (found && !foundFields.has(condition.key)) {
+          foundFields.set(condition.key, found);
+        }
+        const outcome = this.evaluate(condition, found ? found.value : null);
+        if (found && !cells[condition.key]) {
+          cells[condition.key] = this.buildCell(condition, found.value, outcome);
+        }
+        return outcome.matches;
+      });
+
+      const matches = match === 'any' ? results.some(Boolean) : results.every(Boolean);
+      if (!matches) continue;
+
+      rows.push({
+        id: contact.id,
+        name: contact.name,
+        company: contact.company || null,
+        cells: {
+          name: { value: contact.name || '', display: contact.name || '' },
+          ...cells
+        }
+      });
+    }
+
+    // Custom fields keep their own name ("AUM"); standard ones get the friendly label ("birthDate" -> "Birthday")
+    const label = (key, field) => {
+      const found = foundFields.get(key);
+      const name = found?.custom ? found.name.replace(/_/g, ' ') : getFriendlyFieldName(found?.name || field);
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    };
+    const columns = [
+      { key: 'name', label: 'Name', type: 'text' },
+      ...conditions
+        .filter((condition, index) => conditions.findIndex(other => other.key === condition.key) === index)
+        .map(condition => ({ key: condition.key, label: label(condition.key, condition.field), type: condition.type }))
+    ];
+
+    const sort = this.resolveSort(filter, conditions);
+    this.sortRows(rows, sort, columns);
+
+    const unknownFields = conditions
+      .filter(condition => !foundFields.has(condition.key))
+      .map(condition => condition.field);
+
+    const segment = {
+      columns,
+      rows: rows.slice(0, limit),
+      matched: rows.length,
+      scanned: contacts.length,
+      total,
+      truncated: contacts.length < total || rows.length > limit,
+      sort,
+      description: this.describe(conditions, match),
+      unknownFields: [...new Set(unknownFields)],
+      availableFields: unknownFields.length > 0 || rows.length === 0 ? this.listCustomFields(contacts) : []
+    };
+
+    segment.summary = this.summarize(segment);
+
+    console.log(`[CONTACT_SEGMENTS] ${rows.length} contact(s) matched${unknownFields.length ? `, unknown fields: ${unknownFields.join(', ')}` : ''}`);
+    return segment;
+  }
+
+  /**
+   * Evaluate one condition against a raw field value
+   *
+   * @param {Object} condition - Resolved condition from prepareFilter
+   * @param {*} raw - Raw field value (null when the contact doesn't have the field)
+   * @returns {Object} - { matches, occurrence } (occurrence: next anniversary date in range)
+   */
+  evaluate(condition, raw) {
+    const { type, operator } = condition;
+
+    if (operator === 'is_empty') return { matches: isEmpty(raw) };
+    if (operator === 'is_not_empty') return { matches: !isEmpty(raw) };
+
+    if (type === 'currency' || type === 'number') {
+      const number = parseNumber(raw);
+      if (number === null) return { matches: false };
+      const checks = {
+        gt: () => number > condition.value,
+        gte: () => number >= condition.value,
+        lt: () => number < condition.value,
+        lte: () => number <= condition.value,
+        eq: () => number === condition.value,
+        between: () => number >= Math.min(condition.value, condition.value2) && number <= Math.max(condition.value, condition.value2)
+      };
+      return { matches: checks[operator]() };
+    }
+
+    if (type === 'date') {
+      const date = parseCalendarDate(raw);
+      if (!date) return { matches: false };
+      const { start, end } = condition.range;
+
+      if (operator === 'anniversary_within') {
+        const occurrence = this.findOccurrence(date, start, end);
+        return { matches: !!occurrence, occurrence };
+      }
+      // YYYY-MM-DD strings compare in date order
+      const checks = {
+        before: () => date < start,
+        after: () => date > end,
+        within: () => date >= start && date <= end
+      };
+      return { matches: checks[operator]() };
+    }
+
+    if (type === 'boolean') {
+      const flag = parseBoolean(raw);
+      return { matches: operator === 'is_true' ? flag === true : flag === false };
+    }
+
+    // Text - a missing field doesn't contain anything, and doesn't equal anything
+    const text = isEmpty(raw) ? '' : formatCustomFieldValue(raw).trim().toLowerCase();
+    const checks = {
+      equals: () => text === condition.value,
+      not_equals: () => text !== condition.value,
+      contains: () => text.includes(condition.value),
+      not_contains: () => !text.includes(condition.value),
+      starts_with: () => text.startsWith(condition.value)
+    };
+    return { matches: checks[operator]() };
+  }
+
+  /**
+   * The date's month and day in a range, ignoring the year (birthdays,
+   * anniversaries). Feb 29 falls on Feb 28 in other years.
+   *
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} start - Range start, YYYY-MM-DD
+   * @param {string} end - Range end, YYYY-MM-DD
+   * @returns {string|null} - First occurrence in the range (YYYY-MM-DD) or null
+   */
+  findOccurrence(date, start, end) {
+    const monthDay = date.slice(5);
+    for (let year = parseInt(start.slice(0, 4), 10); year <= parseInt(end.slice(0, 4), 10); year++) {
+      const isLeap = dayjs(`${year}-02-29`).format('YYYY-MM-DD') === `${year}-02-29`;
+      const occurrence = `${year}-${monthDay === '02-29' && !isLeap ? '02-28' : monthDay}`;
+      if (occurrence >= start && occurrence <= end) return occurrence;
+    }
+    return null;
+  }
+
+  /**
+   * Table cell for a field: a sortable value and the display text
+   * @private
+   */
+  buildCell(condition, raw, outcome) {
+    if (isEmpty(raw)) return { value: null, display: '' };
+
+    switch (condition.type) {
+      case 'currency':
+      case 'number':
+        return { value: parseNumber(raw), display: formatCustomFieldValue(raw) };
+      case 'date': {
+        const date = parseCalendarDate(raw);
+        if (outcome.occurrence) {
+          // Sort upcoming birthdays by when they happen, not by birth year
+          return { value: outcome.occurrence, display: `${dayjs(outcome.occurrence).format('ddd, MMM D')} (${formatHumanReadableDate(date)})` };
+        }
+        return { value: date, display: date ? formatHumanReadableDate(date) : formatCustomFieldValue(raw) };
+      }
+      case 'boolean': {
+        const flag = parseBoolean(raw);
+        return { value: flag, display: flag === null ? formatCustomFieldValue(raw) : (flag ? 'Yes' : 'No') };
+      }
+      default:
+        return { value: formatCustomFieldValue(raw), display: formatCustomFieldValue(raw) };
+    }
+  }
+
+  /**
+   * Sort column and direction - by default the first condition's field,
+   * largest amounts first and earliest dates first
+   * @private
+   */
+  resolveSort(filter, conditions) {
+    const key = filter.sortBy ? columnKey(filter.sortBy) : conditions[0].key;
+    const condition = conditions.find(item => item.key === key);
+    const numeric = condition && ['currency', 'number'].includes(condition.type);
+    const direction = ['asc', 'desc'].includes(filter.sortDirection)
+      ? filter.sortDirection
+      : (numeric ? 'desc' : 'asc');
+    return { key, direction };
+  }
+
+  /**
+   * Sort rows in place; contacts without a value go last either way
+   * @private
+   */
+  sortRows(rows, sort, columns) {
+    const column = columns.find(item => item.key === sort.key);
+    const numeric = column && ['currency', 'number'].includes(column.type);
+    const factor = sort.direction === 'desc' ? -1 : 1;
+
+    rows.sort((a, b) => {
+      const left = a.cells[sort.key]?.value ?? null;
+      const right = b.cells[sort.key]?.value ?? null;
+      if (left === null && right === null) return 0;
+      if (left === null) return 1;
+      if (right === null) return -1;
+      const order = numeric ? left - right : String(left).localeCompare(String(right));
+      return order * factor;
+    });
+  }
+
+  /**
+   * Custom field names seen on the scanned contacts
+   * @private
+   */
+  listCustomFields(contacts) {
+    const names = new Set();
+    for (const contact of contacts) {
+      for (const prop of contact.ExtendedProperties || []) {
+        if (prop.property_name) names.add(prop.property_name);
+      }
+      if (names.size >= MAX_AVAILABLE_FIELDS) break;
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Plain-language version of the filter
+   *
+   * @param {Array<Object>} conditions - Resolved conditions
+   * @param {string} match - 'all' or 'any'
+   * @returns {string}
+   */
+  describe(conditions, match) {
+    const money = (value) => `$${value.toLocaleString('en-US')}`;
+    const parts = conditions.map(condition => {
+      const format = condition.type === 'currency' ? money : (value) => value.toLocaleString('en-US');
+      let value = '';
+      if (condition.range) {
+        value = condition.range.start === condition.range.end
+          ? ` ${condition.range.interpreted}`
+          : ` ${condition.range.interpreted} (${dayjs(condition.range.start).format('MMM D')} - ${dayjs(condition.range.end).format('MMM D, YYYY')})`;
+      } else if (condition.operator === 'between') {
+        value = ` ${format(condition.value)} and ${format(condition.value2)}`;
+      } else if (condition.value !== undefined) {
+        value = typeof condition.value === 'number' ? ` ${format(condition.value)}` : ` "${condition.value}"`;
+      }
+      return `${condition.field} ${OPERATOR_LABELS[condition.operator]}${value}`;
+    });
+    return parts.join(match === 'any' ? ' or ' : ' and ');
+  }
+
+  /**
+   * One-line result summary for the chat response
+   *
+   * @param {Object} segment - Segment from findSegment
+   * @returns {string}
+   */
+  summarize(segment) {
+    const { matched, scanned, total, rows, description, unknownFields, availableFields } = segment;
+    const lines = [
+      `${matched} contact${matched === 1 ? ' matches' : 's match'} ${description}` +
+      ` (${scanned < total ? `scanned the first ${scanned} of ${total}` : `${total} contacts checked`}).`
+    ];
+
+    if (rows.length < matched) {
+      lines.push(`Showing the first ${rows.length}.`);
+    }
+    if (unknownFields.length > 0) {
+      lines.push(`No contact has a field named ${unknownFields.map(field => `"${field}"`).join(' or ')}.`);
+    }
+    if (availableFields.length > 0 && (unknownFields.length > 0 || matched === 0)) {
+      lines.push(`Custom fields in use: ${availableFields.join(', ')}.`);
+    }
+
+    return lines.join(' ');
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton contact segment service
+ * @returns {ContactSegmentService}
+ */
+function getContactSegmentService() {
+  if (!instance) {
+    instance = new ContactSegmentService();
+  }
+  return instance;
+}
+
+module.exports = {
+  ContactSegmentService,
+  getContactSegmentService,
+  TYPE_OPERATORS
+};
@@ -0,0 +1,254 @@
+/**
+ * Contact Timeline Service
+ *
+ * Builds a chronological relationship history for a contact: past and
+ * upcoming meetings, open and closed tasks, workflows the contact is in, and
+ * facts remembered about them in Mem0. Answers "what's my history with Sarah
+ * Chen?" and feeds pre-meeting prep.
+ *
+ * Workflows are found through the activities they generated for the contact
+ * (AdvocateProcessId on the appointment/task), since BSA has no direct
+ * contact -> workflow lookup.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getContactInteractions } = require('../../integrations/bsa/tools/contacts');
+const { listWorkflows } = require('../../integrations/bsa/tools/workflows');
+const { getMem0Service } = require('../memory/mem0Service');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const INTERACTION_LIMIT = 50;
+const MEMORY_LIMIT = 10;
+const MEMORY_THRESHOLD = 0.5;
+
+class ContactTimelineService {
+  constructor() {
+    this.mem0 = getMem0Service();
+  }
+
+  /**
+   * Build the timeline for a contact
+   *
+   * @param {Object} contact - Contact from getContactDetails ({ id, name, company, title })
+   * @param {Object} context - { passKey, org_id, user_id, timezone }
+   * @param {Object} options - { lookbackDays, lookaheadDays }
+   * @returns {Promise<Object>} - { contact, events, lastTouched, upcoming, openTasks, workflows, memories, counts, summary }
+   */
+  async buildTimeline(contact, context, options = {}) {
+    const { passKey, org_id, user_id, timezone: tz = 'UTC' } = context;
+    const now = new Date();
+
+    console.log(`[CONTACT_TIMELINE] Building timeline for ${contact.name} (${contact.id})`);
+
+    const [interactions, memories] = await Promise.all([
+      getContactInteractions(contact.id, passKey, org_id, INTERACTION_LIMIT, options),
+      this.recallMemories(contact, org_id, user_id)
+    ]);
+
+    const workflows = await this.resolveWorkflows(interactions, passKey, org_id);
+
+    const events = [
+      ...interactions.appointments.map(appointment => ({
+        type: 'appointment',
+        id: appointment.id,
+        date: appointment.startTime,
+        title: appointment.subject || 'Meeting',
+        status: new Date(appointment.startTime) > now ? 'upcoming' : 'held',
+        detail: appointment.location || null,
+        workflowId: appointment.workflowId
+      })),
+      ...interactions.tasks.map(task => ({
+        type: 'task',
+        id: task.id,
+        date: task.dueTime || task.startTime,
+        title: task.subject || 'Task',
+        status: task.completed ? 'completed' : (task.isOverdue ? 'overdue' : 'open'),
+        detail: task.priority && task.priority !== 'normal' ? `${task.priority} priority` : null,
+        workflowId: task.workflowId
+      })),
+      ...workflows.map(workflow => ({
+        type: 'workflow',
+        id: workflow.id,
+        date: workflow.firstActivity,
+        title: workflow.name,
+        status: workflow.openSteps > 0 ? 'active' : 'finished',
+        detail: `${workflow.activityCount} step${workflow.activityCount === 1 ? '' : 's'} for this contact`
+      })),
+      ...memories.map(memory => ({
+        type: 'memory',
+        id: memory.id,
+        date: memory.createdAt,
+        title: memory.text,
+        status: 'remembered',
+        detail: null
+      }))
+    ]
+      .filter(event => event.date)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(event => ({ ...event, displayDate: dayjs(event.date).tz(tz).format('MMM D, YYYY') }));
+
+    // Last touched: the most recent meeting held or task completed
+    const touches = events.filter(event =>
+      (event.type === 'appointment' && event.status === 'held') ||
+      (event.type === 'task' && event.status === 'completed' && new Date(event.date) <= now)
+    );
+    const lastTouch = touches[touches.length - 1] || null;
+
+    const upcoming = events.filter(event => event.type === 'appointment' && event.status === 'upcoming');
+    const openTasks = events.filter(event => event.type === 'task' && ['open', 'overdue'].includes(event.status));
+
+    const timeline = {
+      contact: {
+        id: contact.id,
+        name: contact.name,
+        company: contact.company || null,
+        title: contact.title || null
+      },
+      events,
+      lastTouched: lastTouch ? {
+        date: lastTouch.date,
+        displayDate: lastTouch.displayDate,
+        daysAgo: Math.floor((now - new Date(lastTouch.date)) / (24 * 60 * 60 * 1000)),
+        event: `${lastTouch.type === 'appointment' ? 'Meeting' : 'Task'}: ${lastTouch.title}`
+      } : null,
+      upcoming,
+      openTasks,
+      workflows,
+      memories,
+      counts: {
+        meetingsHeld: events.filter(event => event.type === 'appointment' && event.status === 'held').length,
+        meetingsUpcoming: upcoming.length,
+        tasksOpen: openTasks.length,
+        tasksOverdue: openTasks.filter(event => event.status === 'overdue').length,
+        tasksCompleted: events.filter(event => event.type === 'task' && event.status === 'completed').length
+      }
+    };
+
+    timeline.summary = this.summarize(timeline);
+
+    console.log(`[CONTACT_TIMELINE] ${events.length} events for ${contact.name}, last touched: ${timeline.lastTouched?.displayDate || 'never'}`);
+    return timeline;
+  }
+
+  /**
+   * Memories that mention the contact
+   * @private
+   */
+  async recallMemories(contact, orgId, userId) {
+    if (!userId) return [];
+
+    const results = await this.mem0.recall(contact.name, orgId, userId, {
+      limit: MEMORY_LIMIT,
+      threshold: MEMORY_THRESHOLD
+    });
+
+    // Semantic search also returns memories about similar people - keep the ones naming this contact
+    const names = [contact.name, contact.firstName, contact.lastName]
+      .filter(name => name && name.length > 2)
+      .map(name => name.toLowerCase());
+
+    return results
+      .filter(result =>
+        result.value?.subjectId === contact.id ||
+        names.some(name => result.value?.text?.toLowerCase().includes(name))
+      )
+      .map(result => ({
+        id: result.key,
+        text: result.value.text,
+        createdAt: result.value.createdAt || null
+      }));
+  }
+
+  /**
+   * Workflows that generated activities for the contact
+   * @private
+   */
+  async resolveWorkflows(interactions, passKey, orgId) {
+    const activities = [...interactions.appointments, ...interactions.tasks].filter(item => item.workflowId);
+    if (activities.length === 0) return [];
+
+    let names = {};
+    try {
+      const { workflows } = await listWorkflows(passKey, orgId);
+      names = Object.fromEntries(workflows.map(workflow => [workflow.id, workflow.name]));
+    } catch (error) {
+      console.warn('[CONTACT_TIMELINE] Failed to load workflow names:', error.message);
+    }
+
+    const byWorkflow = new Map();
+    for (const activity of activities) {
+      if (!byWorkflow.has(activity.workflowId)) {
+        byWorkflow.set(activity.workflowId, []);
+      }
+      byWorkflow.get(activity.workflowId).push(activity);
+    }
+
+    return [...byWorkflow.entries()].map(([workflowId, items]) => {
+      const dates = items.map(item => item.startTime || item.dueTime).filter(Boolean).sort();
+      return {
+        id: workflowId,
+        name: names[workflowId] || 'Workflow',
+        activityCount: items.length,
+        openSteps: items.filter(item => item.completed === false).length,
+        firstActivity: dates[0] || null
+      };
+    });
+  }
+
+  /**
+   * Short plain-text summary for pre-meeting prep
+   *
+   * @param {Object} timeline - Timeline from buildTimeline
+   * @returns {string}
+   */
+  summarize(timeline) {
+    const { contact, lastTouched, upcoming, openTasks, workflows, memories, counts } = timeline;
+    const lines = [];
+
+    lines.push(lastTouched
+      ? `Last touched ${lastTouched.daysAgo === 0 ? 'today' : `${lastTouched.daysAgo} day${lastTouched.daysAgo === 1 ? '' : 's'} ago`} (${lastTouched.displayDate}, ${lastTouched.event}).`
+      : `No meetings or completed tasks with ${contact.name} in the last year.`);
+
+    if (counts.meetingsHeld > 0) {
+      lines.push(`${counts.meetingsHeld} meeting${counts.meetingsHeld === 1 ? '' : 's'} held in the period.`);
+    }
+    if (upcoming.length > 0) {
+      lines.push(`Next meeting: ${upcoming[0].title} on ${upcoming[0].displayDate}${upcoming.length > 1 ? ` (+${upcoming.length - 1} more scheduled)` : ''}.`);
+    }
+    if (openTasks.length > 0) {
+      lines.push(`${openTasks.length} open task${openTasks.length === 1 ? '' : 's'}${counts.tasksOverdue ? `, ${counts.tasksOverdue} overdue` : ''}: ${openTasks.slice(0, 3).map(task => task.title).join('; ')}.`);
+    }
+    const activeWorkflows = workflows.filter(workflow => workflow.openSteps > 0);
+    if (activeWorkflows.length > 0) {
+      lines.push(`In progress: ${activeWorkflows.map(workflow => workflow.name).join(', ')}.`);
+    }
+    if (memories.length > 0) {
+      lines.push(`Remembered: ${memories.slice(0, 3).map(memory => memory.text.replace(/\.$/, '')).join('; ')}.`);
+    }
+
+    return lines.join(' ');
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton contact timeline service
+ * @returns {ContactTimelineService}
+ */
+function getContactTimelineService() {
+  if (!instance) {
+    instance = new ContactTimelineService();
+  }
+  return instance;
+}
+
+module.exports = {
+  ContactTimelineService,
+  getContactTimelineService
+};
@@ -0,0 +1,321 @@
+/**
+ * Contact Date Reminders
+ *
+ * Finds upcoming birthdays and anniversaries in contact data (the standard
+ * birthDate/anniversary fields and custom date fields such as "Wedding
+ * Anniversary") and turns them into reminders: a "send a card" task a few days
+ * ahead, or an all-day appointment on the day.
+ *
+ * The contact agent proposes the reminders in one bulk approval. Every created
+ * reminder is recorded per user and occurrence, so the next run skips the
+ * ones already on the calendar and next year's birthday is proposed again.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getUnifiedStore, storeKey } = require('../../core/state/store');
+const { listContacts } = require('../../integrations/bsa/tools/contacts');
+const { createTask } = require('../../integrations/bsa/tools/tasks');
+const { createAppointment } = require('../../integrations/bsa/tools/appointments');
+const { getContactSegmentService } = require('./contactSegments');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const PAGE_SIZE = 200;
+const MAX_SCAN = 2000; // contacts per scan
+const MAX_REMINDERS = 50; // per approval
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const DEFAULT_LEAD_DAYS = 3; // cards need time to arrive
+const TASK_DUE_HOUR = 17; // tasks without a time are due at 5 PM elsewhere too
+const REMINDER_KIND = 'contact_reminders';
+const REMINDER_TYPES = ['task', 'appointment'];
+
+// Standard date fields, then custom fields whose name says what they are
+const STANDARD_DATE_FIELDS = [
+  { field: 'birthDate', label: 'Birthday', occasion: 'birthday' },
+  { field: 'anniversary', label: 'Anniversary', occasion: 'anniversary' }
+];
+const CUSTOM_DATE_PATTERN = /birth|anniversar|wedding/i;
+
+/**
+ * Calendar date (YYYY-MM-DD) of a stored date, or null
+ * @private
+ */
+function toCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+  const date = value.slice(0, 10);
+  return dayjs(date).format('YYYY-MM-DD') === date ? date : null;
+}
+
+class ContactReminderService {
+  constructor() {
+    this.segments = getContactSegmentService();
+  }
+
+  /**
+   * Validate reminder options
+   *
+   * @param {Object} options - { days, reminderType, leadDays }
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateOptions({ days = DEFAULT_DAYS, reminderType = 'task', leadDays = DEFAULT_LEAD_DAYS } = {}) {
+    const errors = [];
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      errors.push(`The window must be 1 to ${MAX_DAYS} days`);
+    }
+    if (!REMINDER_TYPES.includes(reminderType)) {
+      errors.push(`Unknown reminder type "${reminderType}" (use ${REMINDER_TYPES.join(' or ')})`);
+    }
+    if (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > 30) {
+      errors.push('Lead time must be 0 to 30 days');
+    }
+    return errors;
+  }
+
+  /**
+   * Find birthdays and anniversaries in the next days, minus reminders already created
+   *
+   * @param {Object} options - { days, reminderType: 'task'|'appointment', leadDays }
+   * @param {Object} context - { passKey, org_id, user_id, timezone }
+   * @returns {Promise<Object>} - { reminders, alreadyCreated, range, scanned, total, truncated, options }
+   * @throws {Error} - If the options are invalid
+   */
+  async findUpcoming(options, context) {
+    const { passKey, org_id, user_id, timezone: tz = 'UTC' } = context;
+    const resolved = {
+      days: DEFAULT_DAYS,
+      reminderType: 'task',
+      leadDays: DEFAULT_LEAD_DAYS,
+      ...Object.fromEntries(Object.entries(options || {}).filter(([, value]) => value !== undefined && value !== null))
+    };
+
+    const errors = this.validateOptions(resolved);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const today = dayjs().tz(tz);
+    const range = {
+      start: today.format('YYYY-MM-DD'),
+      end: today.add(resolved.days, 'day').format('YYYY-MM-DD')
+    };
+
+    const contacts = [];
+    let total = 0;
+    for (let page = 1; contacts.length < MAX_SCAN; page++) {
+      const result = await listContacts(passKey, org_id, page, PAGE_SIZE, { includeExtendedProperties: true });
+      total = result.total;
+      contacts.push(...result.contacts);
+      if (result.contacts.length < PAGE_SIZE || contacts.length >= total) break;
+    }
+
+    console.log(`[CONTACT_REMINDERS] Scanning ${contacts.length} of ${total} contacts for dates ${range.start} - ${range.end}`);
+
+    const upcoming = contacts
+      .flatMap(contact => this.getContactDates(contact)
+        .map(date => ({ contact, ...date, occurrence: this.segments.findOccurrence(date.date, range.start, range.end) }))
+        .filter(date => date.occurrence))
+      .sort((a, b) => a.occurrence.localeCompare(b.occurrence));
+
+    const reminders = [];
+    let alreadyCreated = 0;
+    for (const item of upcoming) {
+      const id = storeKey(REMINDER_KIND, org_id, user_id, item.contact.id, item.field, item.occurrence);
+      if (await this.wasCreated(org_id, user_id, id)) {
+        alreadyCreated++;
+        continue;
+      }
+      reminders.push(this.buildReminder(id, item, resolved, tz));
+    }
+
+    console.log(`[CONTACT_REMINDERS] ${reminders.length} new reminder(s), ${alreadyCreated} already created`);
+
+    return {
+      reminders: reminders.slice(0, MAX_REMINDERS),
+      alreadyCreated,
+      range,
+      scanned: contacts.length,
+      total,
+      truncated: contacts.length < total || reminders.length > MAX_REMINDERS,
+      options: resolved
+    };
+  }
+
+  /**
+   * Birthday/anniversary dates of a contact
+   *
+   * Custom fields repeating a standard date (same date) are skipped.
+   *
+   * @param {Object} contact - Contact from listContacts (with ExtendedProperties)
+   * @returns {Array<Object>} - [{ field, label, occasion, date }]
+   */
+  getContactDates(contact) {
+    const dates = STANDARD_DATE_FIELDS
+      .map(({ field, label, occasion }) => ({ field, label, occasion, date: toCalendarDate(contact[field]) }))
+      .filter(item => item.date);
+
+    for (const prop of contact.ExtendedProperties || []) {
+      const date = toCalendarDate(prop.property_value);
+      if (!date || !CUSTOM_DATE_PATTERN.test(prop.property_name || '')) continue;
+      if (dates.some(item => item.date === date)) continue;
+      dates.push({
+        field: prop.property_name,
+        label: prop.property_name.replace(/_/g, ' '),
+        occasion: /birth/i.test(prop.property_name) ? 'birthday' : 'anniversary',
+        date
+      });
+    }
+
+    return dates;
+  }
+
+  /**
+   * Reminder for one occurrence
+   * @private
+   */
+  buildReminder(id, item, options, tz) {
+    const { contact, field, label, occasion, date, occurrence } = item;
+    const year = parseInt(date.slice(0, 4), 10);
+    // Year 1900 and earlier is a placeholder for "year unknown"
+    const years = year > 1900 ? parseInt(occurrence.slice(0, 4), 10) - year : null;
+    const day = dayjs.tz(occurrence, tz);
+    const milestone = years > 0 ? (occasion === 'birthday' ? ` (turns ${years})` : ` (${years} years)`) : '';
+
+    const reminder = {
+      id,
+      contactId: contact.id,
+      contactName: contact.name,
+      field,
+      label,
+      occasion,
+      occurrence,
+      years,
+      reminderType: options.reminderType
+    };
+
+    if (options.reminderType === 'appointment') {
+      return {
+        ...reminder,
+        subject: `${contact.name}'s ${label.toLowerCase()}${milestone}`,
+        startTime: day.startOf('day').toISOString(),
+        endTime: day.endOf('day').toISOString(),
+        display: `${day.format('ddd, MMM D')} - ${contact.name}'s ${label.toLowerCase()}${milestone} (all-day appointment)`
+      };
+    }
+
+    // Due a few days ahead, but never in the past
+    const due = day.subtract(options.leadDays, 'day');
+    const today = dayjs().tz(tz).startOf('day');
+    const dueDay = due.isBefore(today) ? today : due;
+
+    return {
+      ...reminder,
+      subject: `Send ${occasion} card to ${contact.name}`,
+      description: `${contact.name}'s ${label.toLowerCase()} is on ${day.format('dddd, MMMM D')}${milestone}.`,
+      dueTime: dueDay.hour(TASK_DUE_HOUR).minute(0).second(0).toISOString(),
+      display: `${day.format('ddd, MMM D')} - ${label} of ${contact.name}${milestone} → task "Send ${occasion} card" due ${dueDay.format('MMM D')}`
+    };
+  }
+
+  /**
+   * Whether a reminder was created on an earlier run
+   * @private
+   */
+  async wasCreated(orgId, userId, key) {
+    if (!orgId || !userId) return false;
+    const store = getUnifiedStore({ orgId, userId });
+    const item = await store.get([orgId, userId, REMINDER_KIND], key);
+    return !!item?.value;
+  }
+
+  /**
+   * Create approved reminders and record them
+   *
+   * Failures are reported per reminder so one bad item doesn't stop the rest;
+   * failed reminders aren't recorded and are proposed again next run. A
+   * reminder created in BSA but not recorded still counts as created, with a
+   * warning that it may be proposed again.
+   *
+   * @param {Array<Object>} reminders - Reminders from findUpcoming
+   * @param {Object} context - { passKey, org_id, user_id }
+   * @returns {Promise<Array<Object>>} - [{ id, subject, success, activityId, error, warning }]
+   */
+  async createReminders(reminders, context) {
+    const { passKey, org_id, user_id } = context;
+    const store = org_id && user_id ? getUnifiedStore({ orgId: org_id, userId: user_id }) : null;
+    const results = [];
+
+    for (const reminder of reminders) {
+      let activity;
+      try {
+        activity = reminder.reminderType === 'appointment'
+          ? await createAppointment({
+            subject: reminder.subject,
+            startTime: reminder.startTime,
+            endTime: reminder.endTime,
+            isAllDay: true,
+            contactIds: [reminder.contactId]
+          }, passKey, org_id)
+          : await createTask({
+            subject: reminder.subject,
+            description: reminder.description,
+            dueTime: reminder.dueTime,
+            contactId: reminder.contactId
+          }, passKey, org_id);
+      } catch (error) {
+        console.error(`[CONTACT_REMINDERS] Failed to create "${reminder.subject}":`, error.message);
+        results.push({ id: reminder.id, subject: reminder.subject, success: false, error: error.message });
+        continue;
+      }
+
+      const result = { id: reminder.id, subject: reminder.subject, success: true, activityId: activity?.Id || null };
+
+      if (store) {
+        try {
+          await store.put([org_id, user_id, REMINDER_KIND], reminder.id, {
+            text: JSON.stringify({
+              contactId: reminder.contactId,
+              field: reminder.field,
+              occurrence: reminder.occurrence,
+              reminderType: reminder.reminderType,
+              activityId: activity?.Id || null,
+              createdAt: new Date().toISOString()
+            }),
+            kind: REMINDER_KIND
+          }, { index: false });
+        } catch (error) {
+          // The BSA record exists; retrying would create a duplicate
+          console.warn(`[CONTACT_REMINDERS] Created "${reminder.subject}" but failed to record it:`, error.message);
+          result.warning = 'Created, but it may be suggested again next time';
+        }
+      }
+
+      results.push(result);
+    }
+
+    console.log(`[CONTACT_REMINDERS] Created ${results.filter(result => result.success).length} of ${reminders.length} reminders`);
+    return results;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton contact reminder service
+ * @returns {ContactReminderService}
+ */
+function getContactReminderService() {
+  if (!instance) {
+    instance = new ContactReminderService();
+  }
+  return instance;
+}
+
+module.exports = {
+  ContactReminderService,
+  getContactReminderService
+};
@@ -0,0 +1,306 @@
+/**
+ * Duplicate Contact Finder
+ *
+ * Scans the organization's contacts for likely duplicates (similar names,
+ * shared email or phone number), groups them, and prepares guided merges where
+ * the user picks which contact's value wins for every field.
+ *
+ * Merges go through the contact agent's approval flow: the side panel stages
+ * the chosen merge here and sends "merge the duplicate contacts I selected";
+ * the agent previews it and calls mergeContacts once approved.
+ */
+
+const crypto = require('crypto');
+const { getDisambiguator } = require('./disambiguator');
+const { StagedHandoff } = require('../../core/state/stagedHandoff');
+const { listContacts, getContactDetails } = require('../../integrations/bsa/tools/contacts');
+const { CONTACT_FIELDS, normalizePhone } = require('../../utils/contactChanges');
+
+const PAGE_SIZE = 200;
+const MAX_SCAN = 2000; // contacts per scan
+const MAX_GROUPS = 50;
+const MAX_MERGE_SIZE = 10;
+const NAME_SIMILARITY_THRESHOLD = 0.9;
+const MERGE_KIND = 'contact_merges';
+const MERGE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+class DuplicateContactFinder {
+  constructor() {
+    this.disambiguator = getDisambiguator();
+    this.staged = new StagedHandoff(MERGE_KIND, MERGE_TTL_MS);
+  }
+
+  /**
+   * Scan contacts and group likely duplicates
+   *
+   * Only contacts sharing an email, a phone number or a last name are
+   * compared, so the scan stays fast for large contact lists.
+   *
+   * @param {string} passKey - BSA authentication key
+   * @param {string} orgId - Organization ID
+   * @param {Object} options - { maxContacts }
+   * @returns {Promise<Object>} - { groups, scanned, total, truncated }
+   */
+  async findDuplicateGroups(passKey, orgId, { maxContacts = MAX_SCAN } = {}) {
+    const contacts = [];
+    let total = 0;
+
+    for (let page = 1; contacts.length < maxContacts; page++) {
+      const result = await listContacts(passKey, orgId, page, PAGE_SIZE);
+      total = result.total;
+      contacts.push(...result.contacts);
+      if (result.contacts.length < PAGE_SIZE || contacts.length >= total) break;
+    }
+
+    console.log(`[DUPLICATES:SCAN] Scanning ${contacts.length} of ${total} contacts`);
+
+    // Bucket contacts by the keys a duplicate would share
+    const buckets = new Map();
+    const addToBucket = (key, index) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    };
+
+    contacts.forEach((contact, index) => {
+      if (contact.email) addToBucket(`email:${contact.email.trim().toLowerCase()}`, index);
+      [contact.phone, contact.mobile]
+        .map(normalizePhone)
+        .filter(phone => phone.length >= 7)
+        .forEach(phone => addToBucket(`phone:${phone}`, index));
+      const lastName = (contact.lastName || contact.name?.trim().split(/\s+/).pop() || '').toLowerCase();
+      if (lastName.length > 1) addToBucket(`name:${lastName}`, index);
+    });
+
+    // Compare pairs within each bucket and union the matches
+    const parent = contacts.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const pairReasons = new Map();
+
+    for (const members of buckets.values()) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const pairKey = `${members[i]}:${members[j]}`;
+          if (pairReasons.has(pairKey)) continue;
+
+          const reasons = this.compareContacts(contacts[members[i]], contacts[members[j]]);
+          pairReasons.set(pairKey, reasons);
+          if (reasons.length > 0) {
+            parent[find(members[j])] = find(members[i]);
+          }
+        }
+      }
+    }
+
+    // Collect groups with their reasons
+    const grouped = new Map();
+    for (const [pairKey, reasons] of pairReasons) {
+      if (reasons.length === 0) continue;
+      const [a] = pairKey.split(':').map(Number);
+      const root = find(a);
+      if (!grouped.has(root)) grouped.set(root, { members: new Set(), reasons: new Set() });
+      const group = grouped.get(root);
+      pairKey.split(':').map(Number).forEach(index => group.members.add(index));
+      reasons.forEach(reason => group.reasons.add(reason));
+    }
+
+    const groups = [...grouped.values()]
+      .map(({ members, reasons }) => {
+        const groupContacts = [...members].map(index => this.summarize(contacts[index]));
+        const ids = groupContacts.map(contact => String(contact.id)).sort();
+        return {
+          id: crypto.createHash('sha1').update(ids.join(',')).digest('hex').slice(0, 12),
+          contacts: groupContacts,
+          reasons: [...reasons],
+          // Shared email/phone is stronger evidence than a similar name
+          strength: (reasons.has('same email') ? 2 : 0) + (reasons.has('same phone number') ? 2 : 0) + (reasons.has('same name') ? 1 : 0)
+        };
+      })
+      .sort((a, b) => b.strength - a.strength || b.contacts.length - a.contacts.length);
+
+    console.log(`[DUPLICATES:SCAN] Found ${groups.length} duplicate group(s)`);
+
+    return {
+      groups: groups.slice(0, MAX_GROUPS),
+      scanned: contacts.length,
+      total,
+      truncated: contacts.length < total || groups.length > MAX_GROUPS
+    };
+  }
+
+  /**
+   * Why two contacts look like the same person
+   *
+   * @param {Object} a - Contact
+   * @param {Object} b - Contact
+   * @returns {Array<string>} - Match reasons (empty when they don't match)
+   */
+  compareContacts(a, b) {
+    const reasons = [];
+
+    if (a.email && b.email && a.email.trim().toLowerCase() === b.email.trim().toLowerCase()) {
+      reasons.push('same email');
+    }
+
+    const phonesA = [a.phone, a.mobile].map(normalizePhone).filter(phone => phone.length >= 7);
+    const phonesB = [b.phone, b.mobile].map(normalizePhone).filter(phone => phone.length >= 7);
+    if (phonesA.some(phone => phonesB.includes(phone))) {
+      reasons.push('same phone number');
+    }
+
+    const similarity = this.disambiguator.calculateNameSimilarity(a.name, b.name);
+    // "John" alone is contained in every "John ..." - require full names for fuzzy matches
+    const fullNames = [a.name, b.name].every(name => (name || '').trim().split(/\s+/).length >= 2);
+    if (similarity === 1) {
+      reasons.push('same name');
+    } else if (similarity >= NAME_SIMILARITY_THRESHOLD && fullNames) {
+      reasons.push('similar name');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Contact fields shown in duplicate groups
+   * @param {Object} contact - Contact
+   * @returns {Object} - { id, name, email, phone, mobile, company, title }
+   */
+  summarize(contact) {
+    return {
+      id: contact.id,
+      name: contact.name,
+      email: contact.email || null,
+      phone: contact.phone || null,
+      mobile: contact.mobile || null,
+      company: contact.company || null,
+      title: contact.title || null
+    };
+  }
+
+  /**
+   * Load the contacts of a merge with all their fields
+   *
+   * @param {Array<string>} contactIds - Contacts to merge
+   * @param {string} passKey - BSA authentication key
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadContacts(contactIds, passKey, orgId) {
+    return Promise.all(contactIds.map(contactId => getContactDetails(contactId, passKey, orgId, false)));
+  }
+
+  /**
+   * List the values each contact has for every field, with the default winner
+   *
+   * The default is the primary contact's value, or the first contact that has
+   * one - the same values mergeContacts uses when nothing is chosen.
+   *
+   * @param {Array<Object>} contacts - Contacts from loadContacts
+   * @param {string} primaryContactId - Contact that is kept
+   * @returns {Array<Object>} - [{ field, label, values: [{ contactId, value }], defaultContactId, conflict }]
+   */
+  buildMergeFields(contacts, primaryContactId) {
+    const ordered = [
+      ...contacts.filter(contact => contact.id === primaryContactId),
+      ...contacts.filter(contact => contact.id !== primaryContactId)
+    ];
+
+    return CONTACT_FIELDS
+      .map(({ key, label }) => {
+        const values = ordered
+          .filter(contact => contact[key] && String(contact[key]).trim())
+          .map(contact => ({ contactId: contact.id, value: String(contact[key]) }));
+        const distinct = new Set(values.map(item => item.value.trim().toLowerCase()));
+
+        return {
+          field: key,
+          label,
+          values,
+          defaultContactId: values[0]?.contactId || null,
+          conflict: distinct.size > 1
+        };
+      })
+      .filter(field => field.values.length > 0);
+  }
+
+  /**
+   * Validate a merge request from the side panel
+   *
+   * @param {Object} merge - { contactIds, primaryContactId, fieldChoices }
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateMerge({ contactIds, primaryContactId, fieldChoices = {} }) {
+    const errors = [];
+    const fieldKeys = CONTACT_FIELDS.map(field => field.key);
+
+    if (!Array.isArray(contactIds) || contactIds.length < 2) {
+      errors.push('Select at least 2 contacts to merge');
+      return errors;
+    }
+    if (contactIds.length > MAX_MERGE_SIZE) {
+      errors.push(`At most ${MAX_MERGE_SIZE} contacts can be merged at once`);
+    }
+    if (new Set(contactIds).size !== contactIds.length) {
+      errors.push('The same contact is listed twice');
+    }
+    if (!contactIds.includes(primaryContactId)) {
+      errors.push('The contact to keep must be one of the merged contacts');
+    }
+    for (const [field, contactId] of Object.entries(fieldChoices || {})) {
+      if (!fieldKeys.includes(field)) {
+        errors.push(`Unknown contact field: ${field}`);
+      } else if (!contactIds.includes(contactId)) {
+        errors.push(`The value for ${field} must come from one of the merged contacts`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Stage a validated merge for approval, replacing any earlier one
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {Object} merge - { contactIds, primaryContactId, fieldChoices }
+   * @returns {Promise<void>}
+   */
+  async stageMerge(orgId, userId, merge) {
+    if (!orgId || !userId) {
+      throw new Error('Organization and user are required to merge contacts');
+    }
+
+    await this.staged.stage(orgId, userId, merge);
+
+    console.log(`[DUPLICATES:MERGE] Staged merge of ${merge.contactIds.length} contacts for user ${userId}`);
+  }
+
+  /**
+   * Take the staged merge, if it hasn't expired
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - { contactIds, primaryContactId, fieldChoices } or null
+   */
+  async takeStagedMerge(orgId, userId) {
+    return this.staged.take(orgId, userId);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton duplicate contact finder
+ * @returns {DuplicateContactFinder}
+ */
+function getDuplicateFinder() {
+  if (!instance) {
+    instance = new DuplicateContactFinder();
+  }
+  return instance;
+}
+
+module.exports = {
+  DuplicateContactFinder,
+  getDuplicateFinder
+};
@@ -73,6 +73,35 @@ class FieldExtractor {
       throw new Error('Field name is required');
     }
 
+    const field = this.findField(person, fieldName, type);
+    if (field) {
+      return formatCustomFieldValue(field.value);
+    }
+
+    // For contacts, report which custom fields exist
+    if (type === 'contact' && person.ExtendedProperties) {
+      return this.extractCustomField(person, fieldName);
+    }
+
+    // Field not found
+    throw new Error(`Field "${fieldName}" not found on ${type}`);
+  }
+
+  /**
+   * Find a field and its raw (unformatted) value, e.g. for typed comparisons
+   *
+   * Same lookup order as extract(): standard fields, direct properties, then
+   * custom fields (ExtendedProperties). Custom field names match ignoring case,
+   * spaces and underscores, so "review date" finds "next_review_date".
+   *
+   * @param {Object} person - User or contact object
+   * @param {string} fieldName - Field name to find
+   * @param {string} type - 'user' or 'contact'
+   * @returns {Object|null} - { name, value, custom } or null if the field doesn't exist
+   */
+  findField(person, fieldName, type = 'contact') {
+    if (!person || !fieldName) return null;
+
     const fieldNameLower = fieldName.toLowerCase().trim();
 
     // Try standard fields first
@@ -80,26 +109,35 @@ class FieldExtractor {
     const mappedField = fieldMap[fieldNameLower];
 
     if (mappedField && person[mappedField] !== undefined) {
-      const value = person[mappedField];
-      return formatCustomFieldValue(value);
+      return { name: mappedField, value: person[mappedField], custom: false };
     }
 
     // Try direct property access (case-insensitive)
-    const personKeys = Object.keys(person);
-    const directMatch = personKeys.find(key => key.toLowerCase() === fieldNameLower);
+    const directMatch = Object.keys(person).find(key => key.toLowerCase() === fieldNameLower);
 
-    if (directMatch && person[directMatch] !== undefined) {
-      const value = person[directMatch];
-      return formatCustomFieldValue(value);
+    if (directMatch && person[directMatch] !== undefined && directMatch !== 'ExtendedProperties') {
+      return { name: directMatch, value: person[directMatch], custom: false };
     }
 
-    // For contacts, try custom fields (ExtendedProperties)
-    if (type === 'contact' && person.ExtendedProperties) {
-      return this.extractCustomField(person, fieldName);
+    // For contacts, try custom fields - exact match first, then fuzzy
+    if (type === 'contact' && Array.isArray(person.ExtendedProperties)) {
+      const normalize = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+      const wanted = normalize(fieldName);
+      if (!wanted) return null;
+
+      const matchedField =
+        person.ExtendedProperties.find(prop => normalize(prop.property_name) === wanted) ||
+        person.ExtendedProperties.find(prop => {
+          const name = normalize(prop.property_name);
+          return name && (name.includes(wanted) || wanted.includes(name));
+        });
+
+      if (matchedField) {
+        return { name: matchedField.property_name, value: matchedField.property_value, custom: true };
+      }
     }
 
-    // Field not found
-    throw new Error(`Field "${fieldName}" not found on ${type}`);
+    return null;
   }
 
   /**
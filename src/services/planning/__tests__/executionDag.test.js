@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  buildExecutionDag,
+  getReadyNodes,
+  skipBlockedNodes,
+  extractStepOutput,
+  buildStepQuery
+} = require('../executionDag');
+
+const statusOf = (dag) => Object.fromEntries(dag.nodes.map(node => [node.id, node.status]));
+
+test('parallel domains become independent steps named after their domain', () => {
+  const dag = buildExecutionDag({ parallel: ['calendar', 'task', 'calendar'] });
+
+  assert.deepStrictEqual(dag.nodes.map(node => node.id), ['calendar', 'task', 'calendar_2']);
+  assert.ok(dag.nodes.every(node => node.dependsOn.length === 0 && node.status === 'pending'));
+  assert.strictEqual(getReadyNodes(dag).length, 3);
+});
+
+test('dependencies resolve by step id or by domain', () => {
+  const dag = buildExecutionDag({
+    sequential: [
+      { id: 'find', domain: 'calendar', query: 'Find the call with Bob' },
+      { id: 'follow_up', domain: 'task', query: 'Create a follow-up task', depends_on: 'find' },
+      { domain: 'workflow', depends_on: ['calendar'] }
+    ]
+  });
+
+  assert.deepStrictEqual(dag.nodes.map(node => node.dependsOn), [[], ['find'], ['find']]);
+  assert.deepStrictEqual(getReadyNodes(dag).map(node => node.id), ['find']);
+
+  dag.nodes[0].status = 'completed';
+  assert.deepStrictEqual(getReadyNodes(dag).map(node => node.id), ['follow_up', 'workflow']);
+});
+
+test('invalid plans are rejected', () => {
+  assert.throws(
+    () => buildExecutionDag({ sequential: [{ id: 'a', domain: 'task' }, { id: 'a', domain: 'calendar' }] }),
+    /Duplicate step id "a"/
+  );
+  assert.throws(
+    () => buildExecutionDag({ sequential: [{ id: 'a', domain: 'task', depends_on: 'missing' }] }),
+    /depends on unknown step "missing"/
+  );
+  assert.throws(
+    () => buildExecutionDag({
+      sequential: [
+        { id: 'a', domain: 'task', depends_on: 'b' },
+        { id: 'b', domain: 'calendar', depends_on: 'a' }
+      ]
+    }),
+    /Circular dependency between steps: a -> b -> a/
+  );
+});
+
+test('a failed step skips its dependents transitively but not independent branches', () => {
+  const dag = buildExecutionDag({
+    parallel: ['contact'],
+    sequential: [
+      { id: 'find', domain: 'calendar', query: 'Find the call with Bob' },
+      { id: 'task', domain: 'task', depends_on: 'find' },
+      { id: 'workflow', domain: 'workflow', depends_on: 'task' }
+    ]
+  });
+
+  dag.nodes.find(node => node.id === 'find').status = 'failed';
+  const skipped = skipBlockedNodes(dag);
+
+  assert.deepStrictEqual(skipped.map(node => node.id), ['task', 'workflow']);
+  assert.deepStrictEqual(statusOf(dag), { contact: 'pending', find: 'failed', task: 'skipped', workflow: 'skipped' });
+  assert.strictEqual(skipped[0].reason, '"Find the call with Bob" failed');
+  assert.strictEqual(skipped[1].reason, '"task step" was skipped');
+});
+
+test('a rejected step is reported as not approved', () => {
+  const dag = buildExecutionDag({
+    sequential: [
+      { id: 'create', domain: 'calendar', query: 'Book the meeting' },
+      { id: 'notify', domain: 'task', depends_on: 'create' }
+    ]
+  });
+  dag.nodes[0].status = 'rejected';
+
+  const [skipped] = skipBlockedNodes(dag);
+  assert.strictEqual(skipped.reason, '"Book the meeting" was not approved');
+});
+
+test('step outputs read PascalCase and camelCase records', () => {
+  const calendarOutput = extractStepOutput(
+    { domain: 'calendar' },
+    { appointments: [{ Id: 'a1', Subject: 'Call with Bob', StartTime: '2026-03-02T15:00:00Z' }], response: 'Found it' }
+  );
+  assert.deepStrictEqual(calendarOutput.appointment, {
+    id: 'a1', subject: 'Call with Bob', startTime: '2026-03-02T15:00:00Z', endTime: null, location: null
+  });
+  assert.strictEqual(calendarOutput.response, 'Found it');
+
+  const taskOutput = extractStepOutput({ domain: 'task' }, { result: { id: 't1', subject: 'Follow up' } });
+  assert.deepStrictEqual(taskOutput.task, { id: 't1', subject: 'Follow up', dueTime: null });
+
+  // Several appointments are ambiguous, so none is passed on
+  assert.strictEqual(extractStepOutput({ domain: 'calendar' }, { appointments: [{}, {}] }).appointment, undefined);
+});
+
+test('long responses are truncated before being passed on', () => {
+  const output = extractStepOutput({ domain: 'general' }, { response: 'x'.repeat(600) });
+  assert.strictEqual(output.response.length, 501);
+  assert.ok(output.response.endsWith('…'));
+});
+
+test('a step query includes its completed dependencies in the user timezone', () => {
+  const dag = buildExecutionDag({
+    sequential: [
+      { id: 'find', domain: 'calendar', query: 'Find the call with Bob' },
+      { id: 'follow_up', domain: 'task', query: 'Create a follow-up task', depends_on: 'find' }
+    ]
+  });
+  dag.nodes[0].status = 'completed';
+  dag.nodes[0].output = extractStepOutput(dag.nodes[0], {
+    appointments: [{ Id: 'a1', Subject: 'Call with Bob', StartTime: '2026-03-02T15:00:00Z' }]
+  });
+
+  const query = buildStepQuery(dag.nodes[1], dag, 'ignored', 'America/New_York');
+  assert.strictEqual(
+    query,
+    'Create a follow-up task\n\nUse these results from the earlier steps of this request:\n' +
+    '- Appointment "Call with Bob" (ID a1) on Monday, March 2, 2026 10:00 AM (America/New_York; start 2026-03-02T15:00:00Z)'
+  );
+
+  // Without outputs the step keeps its own query, or falls back to the user's message
+  assert.strictEqual(buildStepQuery(dag.nodes[0], dag, 'ignored'), 'Find the call with Bob');
+  assert.strictEqual(buildStepQuery({ query: null, dependsOn: [] }, dag, 'The user message'), 'The user message');
+});
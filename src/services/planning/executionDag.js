@@ -0,0 +1,273 @@
+/**
+ * Execution DAG for cross-domain requests
+ *
+ * Turns an execution plan with sequential steps into a dependency graph the
+ * coordinator runs in waves: every step whose dependencies completed runs in
+ * parallel with the others, and gets its own query plus the outputs of the
+ * steps it depends on ("the call with Bob" -> appointment ID and time).
+ *
+ * A failed, rejected or skipped step skips everything that depends on it;
+ * independent branches still finish. A step waiting for approval or
+ * clarification holds back its dependents until the coordinator resumes it.
+ *
+ * The DAG is plain data so it can live in the coordinator's checkpointed state
+ * between interrupts.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const RESPONSE_LIMIT = 500; // characters of a step's response passed on to dependents
+const BLOCKING_STATUSES = ['failed', 'rejected', 'skipped'];
+
+/**
+ * Build the DAG for an execution plan
+ *
+ * Parallel domains become steps without dependencies. Sequential steps are
+ * { id, domain, query, depends_on }; depends_on may name step ids or, as the
+ * keyword planner does, domains.
+ *
+ * @param {Object} plan - Execution plan from createExecutionPlan
+ * @returns {Object} - { nodes: [{ id, domain, query, dependsOn, status }] }
+ * @throws {Error} - If a step depends on an unknown step, repeats an id or the steps form a cycle
+ */
+function buildExecutionDag(plan) {
+  const steps = [
+    ...(plan.parallel || []).map(domain => ({ domain })),
+    ...(plan.sequential || [])
+  ];
+
+  const ids = new Set();
+  for (const step of steps) {
+    if (!step.id) continue;
+    if (ids.has(step.id)) {
+      throw new Error(`Duplicate step id "${step.id}"`);
+    }
+    ids.add(step.id);
+  }
+
+  // Steps without an id are named after their domain (calendar, calendar_2, ...)
+  const nodes = steps.map(step => {
+    let id = step.id;
+    if (!id) {
+      id = step.domain;
+      for (let n = 2; ids.has(id); n++) id = `${step.domain}_${n}`;
+      ids.add(id);
+    }
+    return { id, domain: step.domain, query: step.query || step.extractQuery || null, step };
+  });
+
+  for (const node of nodes) {
+    const dependsOn = [].concat(node.step.depends_on || []);
+    node.dependsOn = dependsOn.map(dep => {
+      const target = nodes.find(other => other.step.id === dep) ||
+        nodes.find(other => other !== node && other.domain === dep);
+      if (!target) {
+        throw new Error(`Step "${node.id}" depends on unknown step "${dep}"`);
+      }
+      return target.id;
+    });
+  }
+
+  const cycle = findCycle(nodes);
+  if (cycle) {
+    throw new Error(`Circular dependency between steps: ${cycle.join(' -> ')}`);
+  }
+
+  return {
+    nodes: nodes.map(({ id, domain, query, dependsOn }) => ({ id, domain, query, dependsOn, status: 'pending' }))
+  };
+}
+
+/**
+ * First cycle found by depth-first search, as a list of step ids
+ * @private
+ */
+function findCycle(nodes) {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const done = new Set();
+  const path = [];
+
+  const visit = (id) => {
+    if (path.includes(id)) return [...path.slice(path.indexOf(id)), id];
+    if (done.has(id)) return null;
+    path.push(id);
+    for (const dep of byId.get(id).dependsOn) {
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    done.add(id);
+    return null;
+  };
+
+  for (const node of nodes) {
+    const cycle = visit(node.id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Pending steps whose dependencies all completed
+ *
+ * @param {Object} dag - DAG from buildExecutionDag
+ * @returns {Array<Object>}
+ */
+function getReadyNodes(dag) {
+  const byId = new Map(dag.nodes.map(node => [node.id, node]));
+  return dag.nodes.filter(node =>
+    node.status === 'pending' &&
+    node.dependsOn.every(dep => byId.get(dep).status === 'completed')
+  );
+}
+
+/**
+ * Skip pending steps that depend on a failed, rejected or skipped step
+ *
+ * Skips propagate down the graph; the reason names the step that broke the chain.
+ *
+ * @param {Object} dag - DAG from buildExecutionDag (updated in place)
+ * @returns {Array<Object>} - Newly skipped steps
+ */
+function skipBlockedNodes(dag) {
+  const byId = new Map(dag.nodes.map(node => [node.id, node]));
+  const skipped = [];
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const node of dag.nodes) {
+      if (node.status !== 'pending') continue;
+      const blocker = node.dependsOn.map(dep => byId.get(dep)).find(dep => BLOCKING_STATUSES.includes(dep.status));
+      if (!blocker) continue;
+
+      const outcome = blocker.status === 'failed' ? 'failed' : (blocker.status === 'rejected' ? 'was not approved' : 'was skipped');
+      node.status = 'skipped';
+      node.reason = `"${describeStep(blocker)}" ${outcome}`;
+      skipped.push(node);
+      changed = true;
+    }
+  }
+
+  return skipped;
+}
+
+/**
+ * Short label of a step for messages
+ *
+ * @param {Object} node - DAG step
+ * @returns {string}
+ */
+function describeStep(node) {
+  return node.query || `${node.domain} step`;
+}
+
+/**
+ * What a completed step produced, for the steps that depend on it
+ *
+ * BSA returns PascalCase records (Id, StartTime); agents sometimes pass
+ * normalized ones (id, startTime) - both are read.
+ *
+ * @param {Object} node - DAG step
+ * @param {Object} result - Subgraph result
+ * @returns {Object} - { domain, appointment?, task?, workflow?, response? }
+ */
+function extractStepOutput(node, result) {
+  const output = { domain: node.domain };
+
+  const appointment = result.appointments?.length === 1 ? result.appointments[0] : null;
+  if (appointment) {
+    output.appointment = {
+      id: appointment.Id ?? appointment.id ?? result.entities?.appointment?.id ?? null,
+      subject: appointment.Subject ?? appointment.subject ?? null,
+      startTime: appointment.StartTime ?? appointment.startTime ?? null,
+      endTime: appointment.EndTime ?? appointment.endTime ?? null,
+      location: appointment.Location ?? appointment.location ?? null
+    };
+  }
+
+  const task = node.domain === 'task' && result.result && typeof result.result === 'object' ? result.result : null;
+  if (task && (task.Id || task.id)) {
+    output.task = {
+      id: task.Id ?? task.id,
+      subject: task.Subject ?? task.subject ?? null,
+      dueTime: task.DueTime ?? task.dueTime ?? null
+    };
+  }
+
+  const workflow = node.domain === 'workflow' ? result.entities?.workflow : null;
+  if (workflow?.id) {
+    output.workflow = { id: workflow.id, name: workflow.name || null };
+  }
+
+  if (typeof result.response === 'string' && result.response) {
+    output.response = result.response.length > RESPONSE_LIMIT
+      ? `${result.response.slice(0, RESPONSE_LIMIT)}…`
+      : result.response;
+  }
+
+  return output;
+}
+
+/**
+ * One line per output, with times in the user's timezone and as ISO
+ * @private
+ */
+function describeOutput(output, tz) {
+  const lines = [];
+  const format = (time, pattern) => dayjs(time).tz(tz).format(pattern);
+
+  if (output.appointment) {
+    const { id, subject, startTime, endTime, location } = output.appointment;
+    const when = startTime
+      ? ` on ${format(startTime, 'dddd, MMMM D, YYYY h:mm A')}${endTime ? ` - ${format(endTime, 'h:mm A')}` : ''} (${tz}; start ${startTime}${endTime ? `, end ${endTime}` : ''})`
+      : '';
+    lines.push(`Appointment "${subject || 'Untitled'}" (ID ${id})${when}${location ? ` at ${location}` : ''}`);
+  }
+  if (output.task) {
+    const { id, subject, dueTime } = output.task;
+    lines.push(`Task "${subject || 'Untitled'}" (ID ${id})${dueTime ? `, due ${format(dueTime, 'dddd, MMMM D, YYYY h:mm A')} (${tz}; ${dueTime})` : ''}`);
+  }
+  if (output.workflow) {
+    lines.push(`Workflow "${output.workflow.name || 'Untitled'}" (ID ${output.workflow.id})`);
+  }
+  if (lines.length === 0 && output.response) {
+    lines.push(output.response);
+  }
+
+  return lines;
+}
+
+/**
+ * Query for a step: its own query plus what its dependencies produced
+ *
+ * @param {Object} node - DAG step
+ * @param {Object} dag - DAG the step belongs to
+ * @param {string} fallbackQuery - The user's message, for steps without their own query
+ * @param {string} tz - IANA timezone
+ * @returns {string}
+ */
+function buildStepQuery(node, dag, fallbackQuery, tz = 'UTC') {
+  const query = node.query || fallbackQuery;
+  const context = node.dependsOn
+    .map(dep => dag.nodes.find(other => other.id === dep))
+    .filter(dep => dep?.output)
+    .flatMap(dep => describeOutput(dep.output, tz).map(line => `- ${line}`));
+
+  if (context.length === 0) return query;
+  return `${query}\n\nUse these results from the earlier steps of this request:\n${context.join('\n')}`;
+}
+
+module.exports = {
+  buildExecutionDag,
+  getReadyNodes,
+  skipBlockedNodes,
+  describeStep,
+  extractStepOutput,
+  buildStepQuery
+};
@@ -4,6 +4,7 @@
  */
 
 const { ChatOpenAI } = require("@langchain/openai");
+const { buildExecutionDag } = require("./executionDag");
 
 class LLMPlanner {
   constructor() {
@@ -66,11 +67,12 @@ class LLMPlanner {
         Your task is to analyze the FULL CONVERSATION CONTEXT to determine the user's current intent and route to the appropriate domain(s).
 
         Available domains and their purposes:
-        - calendar: Creating appointments, meetings, scheduling events with specific times/dates [ACTION]
-        - task: Creating/managing tasks, todos, action items, reminders [ACTION]
-        - workflow: Creating multi-step processes, automation sequences, business workflows, procedures [ACTION]
-        - contact: ALL contact operations - search, information queries, updates [ACTION + READ]
-        - general: Answering questions, viewing/reading existing entities, conversations, greetings, system queries [INFORMATIONAL]
+        - calendar: Creating appointments, meetings, scheduling events with specific times/dates, finding times when team members are free, working hours and scheduling preferences, meeting prep briefings ("prep me for my next meeting") [ACTION]
+        - task: Creating/managing tasks, todos, action items, reminders, bulk changes to many tasks at once, subtasks and task dependencies [ACTION]
+        - workflow: Creating multi-step processes, automation sequences, business workflows, procedures, editing steps of existing workflows (add, remove, reorder, rename), workflow templates (list, use, save as template), and importing/exporting workflows as JSON/YAML [ACTION]
+        - contact: ALL contact operations - search, information queries, relationship history/timeline with a contact, creating new contacts, updating contact fields, finding and merging duplicate contacts, filtered contact lists over custom fields (AUM, review dates, birthdays), birthday/anniversary reminders [ACTION + READ]
+        - undo: Reversing changes the assistant made earlier ("undo that", "undo the last 3 changes", "take that back") [ACTION]
+        - general: Answering questions, viewing/reading existing entities, conversations, greetings, system queries, daily/weekly agenda digests ("brief me on my day", "what does my week look like") [INFORMATIONAL]
 
         ${recentMessages && recentMessages.length > 0 ? `
         Recent conversation (for context):
@@ -179,7 +181,7 @@ class LLMPlanner {
         - Route to: general (abandon clarification, answer new query)
 
         CRITICAL ROUTING RULES:
-        1. ACTION DOMAINS (calendar, task, workflow, contact):
+        1. ACTION DOMAINS (calendar, task, workflow, contact, undo):
            - Use when creating, modifying, or deleting BSA entities
            - Use contact for BOTH searching AND asking about contact information
            - Generic terms like "client", "customer", "prospect" in process contexts = workflow only (NOT contact)
@@ -189,6 +191,7 @@ class LLMPlanner {
            - Asking about contact information ("When is Norman's birthday?", "What's his email?")
            - Asking about custom contact fields ("What's Norman's coffee preference?")
            - INCLUDE pronoun references if context is about a contact ("What's his email?" after finding Norman)
+           - Contact lists filtered by field values ("Clients with AUM over $1M", "Contacts with birthdays next week")
 
         3. GENERAL DOMAIN (informational, read-only):
            - Questions about existing entities ("What was step 2?", "Show all workflows")
@@ -207,8 +210,12 @@ class LLMPlanner {
            - "What's his email?" = contact only (if context available)
            - "What's Norman's coffee preference?" = contact only
            - "Show all contacts" = general only (list operation)
+           - "Clients with AUM over $1M whose review is due this quarter" = contact only (filtered list)
+           - "Set up reminders for upcoming birthdays" = contact only (NOT task or calendar - the contact agent creates them)
            - "Schedule meeting with Sarah" = calendar + contact (sequential)
            - "Hey, what's up?" = general only
+           - "Undo that" / "Undo the last 3 changes" = undo only (NOT the domain of the original change)
+           - "Brief me on my day" / "weekly digest" = general only (agenda digest, NOT calendar)
            - "Create appointment then add task" = calendar, task (sequential)
            - "i meant norman" (after clarification) = calendar (continue original intent)
            - "skip" (during clarification) = original domain (e.g., calendar/task, skip contact)
@@ -292,7 +299,21 @@ class LLMPlanner {
            - If query is purely conversational/informational → general
            - If uncertain → default to general
            - Prefer single domain unless multiple explicitly needed
-        7. Consider dependencies (e.g., task after calendar event needs sequential execution)
+        7. DEPENDENT STEPS (sequential):
+           When one part of the request needs the OUTPUT of another part (the appointment just
+           scheduled, the task just created), return the parts as "sequential" steps instead of "parallel":
+           - Each step: {"id": "short_snake_case_id", "domain": "...", "query": "...", "depends_on": ["step ids"]}
+           - "query" is a self-contained instruction for that domain only, written from the user's request
+           - "depends_on" lists the ids of the steps whose results this step needs ([] for none)
+           - Put ALL steps of the request in "sequential" and leave "parallel" empty
+           - Steps without dependencies on each other still run at the same time
+           - The coordinator passes each step the results of its dependencies (IDs, dates, times)
+
+           Example: "Schedule a call with Bob Friday and create a follow-up task the day after for whatever we discuss"
+           {"parallel": [], "sequential": [
+             {"id": "schedule_call", "domain": "calendar", "query": "Schedule a call with Bob on Friday", "depends_on": []},
+             {"id": "follow_up_task", "domain": "task", "query": "Create a task to follow up on the call with Bob, due the day after the call", "depends_on": ["schedule_call"]}
+           ]}
 
         Extract any person names (capitalized names), dates, times mentioned.
 
@@ -300,11 +321,12 @@ class LLMPlanner {
         - Single person query: {"parallel": ["contact"], ...}
         - Multi-person comparison: {"parallel": ["contact", "contact"], ...}  ← Array with duplicates!
         - Calendar with contacts: {"parallel": ["calendar", "contact"], ...}
+        - Follow-up that needs an earlier result: {"parallel": [], "sequential": [{"id": "...", "domain": "calendar", ...}, {"id": "...", "domain": "task", ..., "depends_on": ["..."]}], ...}
 
         Return JSON only, no other text:
         {
           "parallel": ["domain1"],  // Array - can have duplicates like ["contact", "contact"] for multi-person queries
-          "sequential": [],
+          "sequential": [],  // Dependent steps only - see rule 7
           "confidence": "high|medium|low",
           "metadata": {
             "total_domains": 1,
@@ -399,12 +421,18 @@ class LLMPlanner {
     console.log("[LLM-PLANNER:FALLBACK] Using fallback keyword routing for:", query);
     const domains = [];
 
+    // Undo requests go to the undo agent alone
+    if (/^\s*undo\b/i.test(query)) {
+      console.log("[LLM-PLANNER:FALLBACK] Matched undo request");
+      domains.push('undo');
+    }
+
     // Check for action keywords first - but exclude questions
     const isQuestion = /^(what|how many|show|list|who|when|where|which|tell me)/i.test(query);
     const isCreationQuery = !isQuestion && /create|build|make|design|implement|add|schedule|book|find|search/i.test(query);
 
     // Action domain matching (only for creation/modification queries)
-    if (isCreationQuery) {
+    if (isCreationQuery && domains.length === 0) {
       if (/workflow|process|procedure|automation|sequence|steps/i.test(query)) {
         console.log("[LLM-PLANNER:FALLBACK] Matched workflow keywords");
         domains.push('workflow');
@@ -495,46 +523,17 @@ function validateExecutionPlan(plan) {
     errors.push("Plan must have either parallel or sequential domains");
   }
 
-  // Check for circular dependencies
+  // Check step dependencies (unknown steps, duplicate ids, cycles)
   if (plan.sequential?.length > 0) {
-    const visited = new Set();
-    const recursionStack = new Set();
-
-    function hasCycle(domain, deps) {
-      if (recursionStack.has(domain)) {
-        return true;
-      }
-      if (visited.has(domain)) {
-        return false;
-      }
-
-      visited.add(domain);
-      recursionStack.add(domain);
-
-      for (const dep of deps[domain] || []) {
-        if (hasCycle(dep, deps)) {
-          return true;
-        }
-      }
-
-      recursionStack.delete(domain);
-      return false;
-    }
-
-    const depMap = {};
-    for (const step of plan.sequential) {
-      depMap[step.domain] = step.depends_on || [];
-    }
-
-    for (const step of plan.sequential) {
-      if (hasCycle(step.domain, depMap)) {
-        errors.push(`Circular dependency detected involving ${step.domain}`);
-      }
+    try {
+      buildExecutionDag(plan);
+    } catch (error) {
+      errors.push(error.message);
     }
   }
 
   // Check for unknown domains
-  const validDomains = ['calendar', 'task', 'workflow', 'contact', 'general'];
+  const validDomains = ['calendar', 'task', 'workflow', 'contact', 'undo', 'general'];
   const allDomains = [
     ...plan.parallel || [],
     ...(plan.sequential?.map(s => s.domain) || [])
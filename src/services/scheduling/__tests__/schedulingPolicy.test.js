@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SchedulingPolicyService,
+  normalizePolicy,
+  evaluatePolicy,
+  describePolicy,
+  DEFAULT_POLICY
+} = require('../schedulingPolicy');
+
+test('normalizes weekday names, times and no-meeting days', () => {
+  const policy = normalizePolicy({
+    workingHours: { fri: { start: '9:00', end: '13:00' }, monday: null },
+    bufferMinutes: '15',
+    maxMeetingsPerDay: 4,
+    noMeetingDays: ['Wednesday', '2026-12-24', 0]
+  });
+
+  assert.deepStrictEqual(policy.workingHours[5], { start: '09:00', end: '13:00' });
+  assert.strictEqual(policy.workingHours[1], null);
+  assert.deepStrictEqual(policy.workingHours[2], DEFAULT_POLICY.workingHours[2]);
+  assert.strictEqual(policy.bufferMinutes, 15);
+  assert.strictEqual(policy.maxMeetingsPerDay, 4);
+  assert.deepStrictEqual(policy.noMeetingDays, [3, '2026-12-24', 0]);
+});
+
+test('merges updates over an existing policy and clears the meeting limit with 0', () => {
+  const base = normalizePolicy({ bufferMinutes: 10, maxMeetingsPerDay: 3 });
+  const updated = normalizePolicy({ maxMeetingsPerDay: 0 }, base);
+
+  assert.strictEqual(updated.bufferMinutes, 10);
+  assert.strictEqual(updated.maxMeetingsPerDay, null);
+});
+
+test('rejects invalid values', () => {
+  assert.throws(() => normalizePolicy({ workingHours: { someday: null } }), /Invalid weekday in working hours: someday/);
+  assert.throws(() => normalizePolicy({ workingHours: { mon: { start: '17:00', end: '09:00' } } }), /Invalid working hours for monday/);
+  assert.throws(() => normalizePolicy({ bufferMinutes: 300 }), /Invalid buffer/);
+  assert.throws(() => normalizePolicy({ maxMeetingsPerDay: -2 }), /Invalid maximum meetings per day/);
+  assert.throws(() => normalizePolicy({ noMeetingDays: ['someday'] }), /Invalid no-meeting day: someday/);
+});
+
+test('warns about working hours, no-meeting days, buffers and meeting limits', () => {
+  const policy = normalizePolicy({ bufferMinutes: 15, maxMeetingsPerDay: 2, noMeetingDays: ['friday'] });
+  const appointments = [
+    { Id: 'a1', Subject: 'Standup', StartTime: '2026-03-06T16:00:00Z', EndTime: '2026-03-06T16:50:00Z' },
+    { Activity: { Id: 'a2', Subject: 'Review', StartTime: '2026-03-06T10:00:00Z', EndTime: '2026-03-06T11:00:00Z' } }
+  ];
+
+  const warnings = evaluatePolicy(
+    policy,
+    { startTime: '2026-03-06T16:55:00Z', endTime: '2026-03-06T17:30:00Z' }, // Friday
+    appointments
+  );
+
+  assert.deepStrictEqual(warnings, [
+    '⚠️ Fri Mar 6 is a no-meeting day',
+    '⚠️ Outside working hours (9:00 AM - 5:00 PM on Fridays)',
+    '⚠️ Only 5 min after "Standup" (buffer is 15 min)',
+    '⚠️ 3 meetings on Fri Mar 6 (limit is 2)'
+  ]);
+});
+
+test('ignores the appointment being moved', () => {
+  const policy = normalizePolicy({ bufferMinutes: 15, maxMeetingsPerDay: 1 });
+  const appointments = [{ Id: 'a1', Subject: 'Standup', StartTime: '2026-03-02T10:00:00Z', EndTime: '2026-03-02T10:30:00Z' }];
+  const slot = { startTime: '2026-03-02T10:35:00Z', endTime: '2026-03-02T11:00:00Z' };
+
+  assert.strictEqual(evaluatePolicy(policy, slot, appointments).length, 2);
+  assert.deepStrictEqual(evaluatePolicy(policy, slot, appointments, 'UTC', { excludeId: 'a1' }), []);
+});
+
+test('checks working hours in the user timezone', () => {
+  const slot = { startTime: '2026-03-02T14:00:00Z', endTime: '2026-03-02T15:00:00Z' }; // 9 AM in New York
+  assert.deepStrictEqual(evaluatePolicy(DEFAULT_POLICY, slot, [], 'America/New_York'), []);
+  assert.strictEqual(evaluatePolicy(DEFAULT_POLICY, slot, [], 'America/Los_Angeles').length, 1);
+});
+
+test('combines attendee policies so a slot suits everyone', () => {
+  const service = new SchedulingPolicyService();
+  const combined = service.combinePolicies([
+    normalizePolicy({ workingHours: { mon: { start: '08:00', end: '15:00' } }, bufferMinutes: 5, noMeetingDays: ['friday'] }),
+    normalizePolicy({ workingHours: { mon: { start: '10:00', end: '18:00' }, tue: null }, bufferMinutes: 20, noMeetingDays: ['friday', '2026-12-24'] })
+  ]);
+
+  assert.deepStrictEqual(combined.workingHours[1], { start: '10:00', end: '15:00' });
+  assert.strictEqual(combined.workingHours[2], null);
+  assert.strictEqual(combined.bufferMinutes, 20);
+  assert.deepStrictEqual(combined.noMeetingDays, [5, '2026-12-24']);
+});
+
+test('reads attendee policies under the current user and mapped app user IDs', async () => {
+  const service = new SchedulingPolicyService();
+  const requested = [];
+  service.mapToAppUserIds = async (ids) => {
+    assert.deepStrictEqual(ids, ['bsa-2', 'bsa-3']);
+    return new Map([['bsa-2', 'bsa-2']]);
+  };
+  service.getPolicy = async (orgId, userId) => {
+    requested.push(userId);
+    return normalizePolicy();
+  };
+
+  const policies = await service.getAttendeePolicies('org-1', [
+    { id: 'bsa-1', isCurrentUser: true },
+    { id: 'bsa-2' },
+    { id: 'bsa-3' }
+  ], 'app-1');
+
+  assert.strictEqual(policies.length, 3);
+  assert.deepStrictEqual(requested, ['app-1', 'bsa-2', undefined]);
+});
+
+test('describes a policy for chat', () => {
+  const text = describePolicy(normalizePolicy({ bufferMinutes: 10, noMeetingDays: ['friday'] }));
+  assert.ok(text.startsWith('• Monday: 9:00 AM - 5:00 PM'));
+  assert.ok(text.includes('• Sunday: not working'));
+  assert.ok(text.includes('• Buffer between meetings: 10 min'));
+  assert.ok(text.includes('• No-meeting days: Fridays'));
+});
@@ -0,0 +1,302 @@
+/**
+ * Agenda Digest Service
+ *
+ * "Brief me on my day/week": combines the period's appointments, tasks due in
+ * the period, overdue tasks, overlapping appointments and unresolved tasks
+ * (waiting on someone, deferred, or without a due date) into one sectioned
+ * digest.
+ *
+ * The same digest backs the general agent's chat answer and the
+ * /api/agent/digest endpoint, so both always show the same sections in the
+ * same order.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getAppointments } = require('../../integrations/bsa/tools/appointments');
+const { queryTasks } = require('../../integrations/bsa/tools/tasks');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const PERIODS = ['day', 'week'];
+const UNRESOLVED_STATUSES = ['waitingonsomeoneelse', 'deferred'];
+const SECTION_LIMIT = 15; // items per markdown section
+
+/**
+ * Flatten a getActivities appointment ({ Activity, Attendees } or flat)
+ * @private
+ */
+function normalizeAppointment(item, tz) {
+  const activity = item?.Activity || item || {};
+  const attendees = item?.Attendees || activity.Attendees || {};
+  const start = dayjs(activity.StartTime).tz(tz);
+
+  return {
+    id: activity.Id,
+    subject: activity.Subject || 'Untitled',
+    location: activity.Location || null,
+    startTime: activity.StartTime,
+    endTime: activity.EndTime,
+    isAllDay: !!activity.IsAllDay,
+    day: start.format('YYYY-MM-DD'),
+    displayTime: activity.IsAllDay
+      ? 'All day'
+      : `${start.format('h:mm A')} - ${dayjs(activity.EndTime).tz(tz).format('h:mm A')}`,
+    contactCount: Array.isArray(attendees.ContactIds) ? attendees.ContactIds.length : 0
+  };
+}
+
+/**
+ * Task fields shown in the digest
+ * @private
+ */
+function summarizeTask(task, tz) {
+  return {
+    id: task.id,
+    subject: task.subject || 'Untitled task',
+    status: task.status,
+    priority: task.priority,
+    dueTime: task.dueTime,
+    displayDue: task.dueTime ? dayjs(task.dueTime).tz(tz).format('ddd, MMM D') : null,
+    isOverdue: task.isOverdue
+  };
+}
+
+class AgendaDigestService {
+  /**
+   * Date range of a digest period in the user's timezone
+   *
+   * Weeks run Monday to Sunday.
+   *
+   * @param {string} period - 'day' or 'week'
+   * @param {string} date - Any date in the period (YYYY-MM-DD), default today
+   * @param {string} tz - IANA timezone
+   * @returns {Object} - { start, end, label } with start/end as dayjs instances
+   */
+  getRange(period, date, tz) {
+    const anchor = date ? dayjs.tz(date, tz) : dayjs().tz(tz);
+
+    if (period === 'week') {
+      const start = anchor.subtract((anchor.day() + 6) % 7, 'day').startOf('day');
+      const end = start.add(6, 'day').endOf('day');
+      return { start, end, label: `Week of ${start.format('MMM D')} - ${end.format('MMM D, YYYY')}` };
+    }
+
+    return { start: anchor.startOf('day'), end: anchor.endOf('day'), label: anchor.format('dddd, MMM D, YYYY') };
+  }
+
+  /**
+   * Validate digest options
+   *
+   * @param {Object} options - { period, date }
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateOptions({ period = 'day', date = null } = {}) {
+    const errors = [];
+    if (!PERIODS.includes(period)) {
+      errors.push(`Unknown digest period "${period}" (use ${PERIODS.join(' or ')})`);
+    }
+    if (date && dayjs(date).format('YYYY-MM-DD') !== date) {
+      errors.push(`Invalid date "${date}" (use YYYY-MM-DD)`);
+    }
+    return errors;
+  }
+
+  /**
+   * Build the digest for a day or week
+   *
+   * @param {Object} options - { period: 'day'|'week', date: 'YYYY-MM-DD' }
+   * @param {Object} context - { passKey, org_id, timezone }
+   * @returns {Promise<Object>} - { period, range, sections, counts, markdown, generatedAt }
+   * @throws {Error} - If the options are invalid
+   */
+  async buildDigest({ period = 'day', date = null } = {}, context) {
+    const { passKey, org_id, timezone: tz = 'UTC' } = context;
+
+    const errors = this.validateOptions({ period, date });
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    const range = this.getRange(period, date, tz);
+    console.log(`[AGENDA_DIGEST] Building ${period} digest for ${range.label} (${tz})`);
+
+    const [appointmentResult, taskResult] = await Promise.all([
+      // BSA ranges are whole UTC days - pad a day each side and trim to the local range below
+      getAppointments({
+        startDate: range.start.subtract(1, 'day').format('YYYY-MM-DD'),
+        endDate: range.end.add(1, 'day').format('YYYY-MM-DD'),
+        includeAttendees: true,
+        timeZone: tz
+      }, passKey, org_id),
+      // Default window (90 days either way) - older overdue and later waiting-on tasks matter too
+      queryTasks({ timeZone: tz }, passKey, org_id)
+    ]);
+
+    const inRange = (time) => time && !dayjs(time).isBefore(range.start) && !dayjs(time).isAfter(range.end);
+
+    const appointments = (appointmentResult.appointments || [])
+      .map(item => normalizeAppointment(item, tz))
+      .filter(appointment => inRange(appointment.startTime))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    // Each task lands in one section: overdue first, then unresolved, then due in the period
+    const tasks = taskResult.tasks;
+    const isUnresolved = (task) => UNRESOLVED_STATUSES.includes(task.status) || !task.dueTime;
+    const overdueTasks = tasks.filter(task => task.isOverdue);
+    const unresolvedTasks = tasks.filter(task => !task.isOverdue && isUnresolved(task));
+    const dueTasks = tasks.filter(task => !task.isOverdue && !isUnresolved(task) && inRange(task.dueTime));
+
+    const sections = {
+      schedule: this.groupByDay(appointments, range),
+      conflicts: this.findConflicts(appointments),
+      dueTasks: dueTasks.map(task => summarizeTask(task, tz)),
+      overdueTasks: overdueTasks.map(task => summarizeTask(task, tz)),
+      unresolvedTasks: unresolvedTasks.map(task => summarizeTask(task, tz))
+    };
+
+    const digest = {
+      period,
+      timezone: tz,
+      range: {
+        start: range.start.format('YYYY-MM-DD'),
+        end: range.end.format('YYYY-MM-DD'),
+        label: range.label
+      },
+      sections,
+      counts: {
+        appointments: appointments.length,
+        conflicts: sections.conflicts.length,
+        dueTasks: dueTasks.length,
+        overdueTasks: overdueTasks.length,
+        unresolvedTasks: unresolvedTasks.length
+      },
+      generatedAt: new Date().toISOString()
+    };
+
+    digest.markdown = this.renderMarkdown(digest);
+
+    console.log('[AGENDA_DIGEST] Digest counts:', digest.counts);
+    return digest;
+  }
+
+  /**
+   * Appointments grouped per day of the period (days without appointments are omitted)
+   * @private
+   */
+  groupByDay(appointments, range) {
+    const days = [];
+    for (let day = range.start; !day.isAfter(range.end); day = day.add(1, 'day')) {
+      const key = day.format('YYYY-MM-DD');
+      const items = appointments.filter(appointment => appointment.day === key);
+      if (items.length > 0) {
+        days.push({ date: key, label: day.format('dddd, MMM D'), appointments: items });
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Pairs of overlapping (non all-day) appointments
+   *
+   * @param {Array<Object>} appointments - Appointments sorted by start time
+   * @returns {Array<Object>} - [{ first, second, day }]
+   */
+  findConflicts(appointments) {
+    const timed = appointments.filter(appointment => !appointment.isAllDay && appointment.endTime);
+    const conflicts = [];
+
+    for (let i = 0; i < timed.length; i++) {
+      for (let j = i + 1; j < timed.length; j++) {
+        // Sorted by start - nothing later can overlap once one starts after this one ends
+        if (new Date(timed[j].startTime) >= new Date(timed[i].endTime)) break;
+        conflicts.push({
+          first: { id: timed[i].id, subject: timed[i].subject, displayTime: timed[i].displayTime },
+          second: { id: timed[j].id, subject: timed[j].subject, displayTime: timed[j].displayTime },
+          day: timed[i].day
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Render the digest as markdown, one section per heading
+   *
+   * @param {Object} digest - Digest from buildDigest
+   * @returns {string}
+   */
+  renderMarkdown(digest) {
+    const { period, range, sections, counts } = digest;
+    const taskLine = (task) =>
+      `- ${task.subject}${task.displayDue ? ` (due ${task.displayDue})` : ''}${['high', 'urgent'].includes(task.priority) ? ` - ${task.priority} priority` : ''}`;
+    const limited = (items, render) => [
+      ...items.slice(0, SECTION_LIMIT).map(render),
+      ...(items.length > SECTION_LIMIT ? [`- …and ${items.length - SECTION_LIMIT} more`] : [])
+    ];
+
+    const lines = [`**${period === 'week' ? 'Weekly' : 'Daily'} digest - ${range.label}**`];
+    lines.push(
+      `${counts.appointments} appointment${counts.appointments === 1 ? '' : 's'}, ` +
+      `${counts.dueTasks} task${counts.dueTasks === 1 ? '' : 's'} due, ` +
+      `${counts.overdueTasks} overdue`
+    );
+
+    lines.push('', '**📅 Schedule**');
+    if (sections.schedule.length === 0) {
+      lines.push('- No appointments');
+    }
+    for (const day of sections.schedule) {
+      if (period === 'week') lines.push(`*${day.label}*`);
+      lines.push(...day.appointments.map(appointment =>
+        `- ${appointment.displayTime}: ${appointment.subject}${appointment.location ? ` (${appointment.location})` : ''}`
+      ));
+    }
+
+    if (sections.conflicts.length > 0) {
+      lines.push('', '**⚠️ Conflicts**');
+      lines.push(...sections.conflicts.map(conflict =>
+        `- ${conflict.first.subject} (${conflict.first.displayTime}) overlaps ${conflict.second.subject} (${conflict.second.displayTime})`
+      ));
+    }
+
+    lines.push('', '**✅ Due**');
+    lines.push(...(sections.dueTasks.length > 0 ? limited(sections.dueTasks, taskLine) : ['- Nothing due']));
+
+    if (sections.overdueTasks.length > 0) {
+      lines.push('', '**🔴 Overdue**');
+      lines.push(...limited(sections.overdueTasks, taskLine));
+    }
+
+    if (sections.unresolvedTasks.length > 0) {
+      lines.push('', '**⏳ Unresolved**');
+      lines.push(...limited(sections.unresolvedTasks, task =>
+        `${taskLine(task)}${UNRESOLVED_STATUSES.includes(task.status) ? ` - ${task.status === 'deferred' ? 'deferred' : 'waiting on someone else'}` : ' - no due date'}`
+      ));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton agenda digest service
+ * @returns {AgendaDigestService}
+ */
+function getAgendaDigestService() {
+  if (!instance) {
+    instance = new AgendaDigestService();
+  }
+  return instance;
+}
+
+module.exports = {
+  AgendaDigestService,
+  getAgendaDigestService
+};
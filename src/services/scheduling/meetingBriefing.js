@@ -0,0 +1,304 @@
+/**
+ * Meeting Briefing Service
+ *
+ * Prepares the user for an upcoming appointment: who is attending, what we
+ * know about them (standard and custom contact fields), when we last met,
+ * open tasks with them, workflows they are in and what Mem0 remembers.
+ *
+ * The relationship data per attendee comes from the contact timeline service;
+ * this service picks the appointment, loads the linked contacts and shapes the
+ * result into the briefing card the side panel renders.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getAppointments, getAppointmentById } = require('../../integrations/bsa/tools/appointments');
+const { getContactDetails } = require('../../integrations/bsa/tools/contacts');
+const { getContactTimelineService } = require('../people/contactTimeline');
+const {
+  formatHumanReadableDate,
+  formatCustomFieldValue,
+  getFriendlyFieldName
+} = require('../../utils/contactFieldFormatter');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const LOOKAHEAD_DAYS = 14; // how far "my next meeting" looks
+const MAX_ATTENDEES = 8;
+const RECENT_LIMIT = 5;
+
+// Standard personal fields worth knowing before a meeting
+const PERSONAL_FIELDS = ['birthDate', 'anniversary', 'clientSince', 'nickName', 'maritalStatus'];
+const DATE_FIELDS = ['birthDate', 'anniversary', 'clientSince'];
+
+/**
+ * Flatten a getActivities item ({ Activity, Attendees } or flat)
+ * @private
+ */
+function normalizeAppointment(item) {
+  const activity = item?.Activity || item || {};
+  const attendees = item?.Attendees || activity.Attendees || {};
+
+  return {
+    id: activity.Id,
+    subject: activity.Subject || 'Meeting',
+    description: activity.Description || null,
+    location: activity.Location || null,
+    startTime: activity.StartTime,
+    endTime: activity.EndTime,
+    isAllDay: !!activity.IsAllDay,
+    contactIds: Array.isArray(attendees.ContactIds) ? attendees.ContactIds : [],
+    userIds: Array.isArray(attendees.UserIds) ? attendees.UserIds : []
+  };
+}
+
+class MeetingBriefingService {
+  constructor() {
+    this.timelineService = getContactTimelineService();
+  }
+
+  /**
+   * Build the briefing for an appointment
+   *
+   * @param {Object} target - { appointmentId } or { subject } (both optional; default is the next meeting)
+   * @param {Object} context - { passKey, org_id, user_id, timezone }
+   * @returns {Promise<Object|null>} - Briefing, or null when no matching appointment was found
+   */
+  async buildBriefing(target, context) {
+    const { timezone: tz = 'UTC' } = context;
+
+    const appointment = target.appointmentId
+      ? await this.findAppointmentById(target.appointmentId, context)
+      : await this.findNextAppointment(target.subject, context);
+
+    if (!appointment) {
+      console.log('[MEETING_BRIEFING] No matching appointment found');
+      return null;
+    }
+
+    console.log(`[MEETING_BRIEFING] Preparing "${appointment.subject}" with ${appointment.contactIds.length} contact(s)`);
+
+    const contactIds = appointment.contactIds.slice(0, MAX_ATTENDEES);
+    const attendees = (await Promise.all(
+      contactIds.map(contactId => this.buildAttendee(contactId, appointment, context))
+    )).filter(Boolean);
+
+    const start = dayjs(appointment.startTime).tz(tz);
+    const briefing = {
+      appointment: {
+        id: appointment.id,
+        subject: appointment.subject,
+        description: appointment.description,
+        location: appointment.location,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        displayTime: appointment.isAllDay
+          ? `${start.format('ddd, MMM D')} (all day)`
+          : `${start.format('ddd, MMM D [at] h:mm A')} - ${dayjs(appointment.endTime).tz(tz).format('h:mm A z')}`,
+        startsIn: this.describeStartsIn(appointment.startTime)
+      },
+      attendees,
+      teamAttendeeCount: appointment.userIds.length,
+      omittedAttendeeCount: appointment.contactIds.length - contactIds.length,
+      generatedAt: new Date().toISOString()
+    };
+
+    briefing.summary = this.summarize(briefing);
+    return briefing;
+  }
+
+  /**
+   * Find an appointment by ID, with its attendees
+   *
+   * getActivity doesn't return attendees, so the appointment is looked up
+   * again in the activities around its start time.
+   * @private
+   */
+  async findAppointmentById(appointmentId, context) {
+    const { passKey, org_id } = context;
+
+    const activity = await getAppointmentById(appointmentId, passKey, org_id);
+    if (!activity?.StartTime) return null;
+
+    const day = dayjs(activity.StartTime).utc();
+    const { appointments } = await getAppointments({
+      startDate: day.subtract(1, 'day').format('YYYY-MM-DD'),
+      endDate: day.add(1, 'day').format('YYYY-MM-DD'),
+      includeAttendees: true
+    }, passKey, org_id);
+
+    const match = appointments.find(item => String((item.Activity || item).Id) === String(appointmentId));
+    return normalizeAppointment(match || activity);
+  }
+
+  /**
+   * Next appointment that hasn't ended, optionally matching words of its subject
+   * @private
+   */
+  async findNextAppointment(subject, context) {
+    const { passKey, org_id, timezone: tz = 'UTC' } = context;
+    const today = dayjs().tz(tz);
+
+    const { appointments } = await getAppointments({
+      startDate: today.format('YYYY-MM-DD'),
+      endDate: today.add(LOOKAHEAD_DAYS, 'day').format('YYYY-MM-DD'),
+      includeAttendees: true,
+      timeZone: tz
+    }, passKey, org_id);
+
+    const words = (subject || '').toLowerCase().split(/\s+/).filter(word => word.length > 2);
+    const now = new Date();
+
+    return appointments
+      .map(normalizeAppointment)
+      .filter(appointment => appointment.startTime && new Date(appointment.endTime || appointment.startTime) > now)
+      .filter(appointment => words.every(word => appointment.subject.toLowerCase().includes(word)))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))[0] || null;
+  }
+
+  /**
+   * Contact details plus relationship history for one attendee
+   * @private
+   */
+  async buildAttendee(contactId, appointment, context) {
+    let contact;
+    try {
+      contact = await getContactDetails(contactId, context.passKey, context.org_id, true);
+    } catch (error) {
+      console.warn(`[MEETING_BRIEFING] Skipping attendee ${contactId}:`, error.message);
+      return null;
+    }
+
+    const timeline = await this.timelineService.buildTimeline(contact, context);
+
+    // This meeting is the reason for the briefing - don't list it as "next meeting"
+    const upcoming = timeline.upcoming.filter(event => String(event.id) !== String(appointment.id));
+    const recentInteractions = timeline.events
+      .filter(event =>
+        (event.type === 'appointment' && event.status === 'held') ||
+        (event.type === 'task' && event.status === 'completed')
+      )
+      .slice(-RECENT_LIMIT)
+      .reverse();
+
+    return {
+      id: contact.id,
+      name: contact.name,
+      title: contact.title || null,
+      company: contact.company || null,
+      email: contact.email || null,
+      phone: contact.mobile || contact.phone || null,
+      details: this.getContactDetailFields(contact),
+      lastTouched: timeline.lastTouched,
+      recentInteractions,
+      openTasks: timeline.openTasks,
+      workflows: timeline.workflows.filter(workflow => workflow.openSteps > 0),
+      upcoming,
+      memories: timeline.memories,
+      summary: this.timelineService.summarize({ ...timeline, upcoming })
+    };
+  }
+
+  /**
+   * Personal and custom fields, formatted for display
+   *
+   * @param {Object} contact - Contact from getContactDetails
+   * @returns {Array<Object>} - [{ label, value }]
+   */
+  getContactDetailFields(contact) {
+    // getFriendlyFieldName lowercases standard fields ("birthday") - capitalize them all alike
+    const label = (field) => {
+      const name = getFriendlyFieldName(field);
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    };
+
+    const details = PERSONAL_FIELDS
+      .filter(field => contact[field])
+      .map(field => ({
+        label: label(field),
+        value: DATE_FIELDS.includes(field)
+          ? formatHumanReadableDate(contact[field])
+          : formatCustomFieldValue(contact[field])
+      }));
+
+    const customFields = contact.ExtendedProperties || contact._raw?.ExtendedProperties || [];
+    for (const prop of customFields) {
+      const value = formatCustomFieldValue(prop.property_value);
+      if (!prop.property_name || !value) continue;
+      details.push({ label: label(prop.property_name), value });
+    }
+
+    return details;
+  }
+
+  /**
+   * "in 2 hours", "tomorrow", "in 3 days"
+   * @private
+   */
+  describeStartsIn(startTime) {
+    const minutes = Math.round((new Date(startTime) - new Date()) / 60000);
+    if (minutes <= 0) return 'now';
+    if (minutes < 60) return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+    const days = Math.round(hours / 24);
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+  }
+
+  /**
+   * Markdown version of the briefing for the chat response
+   *
+   * @param {Object} briefing - Briefing from buildBriefing
+   * @returns {string}
+   */
+  summarize(briefing) {
+    const { appointment, attendees, teamAttendeeCount, omittedAttendeeCount } = briefing;
+    const lines = [`**Briefing: ${appointment.subject}** - ${appointment.displayTime} (${appointment.startsIn})`];
+
+    if (appointment.location) lines.push(`📍 ${appointment.location}`);
+    if (appointment.description) lines.push(`📝 ${appointment.description}`);
+
+    if (attendees.length === 0) {
+      lines.push('', 'No contacts are linked to this meeting.');
+    }
+
+    for (const attendee of attendees) {
+      const role = [attendee.title, attendee.company].filter(Boolean).join(' at ');
+      lines.push('', `**${attendee.name}**${role ? ` - ${role}` : ''}`);
+      if (attendee.details.length > 0) {
+        lines.push(attendee.details.map(detail => `${detail.label}: ${detail.value}`).join(' · '));
+      }
+      lines.push(attendee.summary);
+    }
+
+    if (omittedAttendeeCount > 0) {
+      lines.push('', `+${omittedAttendeeCount} more contact${omittedAttendeeCount === 1 ? '' : 's'} not shown.`);
+    }
+    if (teamAttendeeCount > 0) {
+      lines.push('', `${teamAttendeeCount} team member${teamAttendeeCount === 1 ? '' : 's'} also attending.`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton meeting briefing service
+ * @returns {MeetingBriefingService}
+ */
+function getMeetingBriefingService() {
+  if (!instance) {
+    instance = new MeetingBriefingService();
+  }
+  return instance;
+}
+
+module.exports = {
+  MeetingBriefingService,
+  getMeetingBriefingService
+};
@@ -0,0 +1,395 @@
+/**
+ * Scheduling Policy Service
+ *
+ * Per-user scheduling rules persisted in the UnifiedStore:
+ * - Working hours per weekday
+ * - Minimum buffer between meetings
+ * - Maximum meetings per day
+ * - No-meeting days (weekdays or specific dates)
+ *
+ * Policies never block a booking - violations surface as warnings in the
+ * approval preview, and slot suggestions only offer compliant times.
+ */
+
+const dayjs = require('dayjs');
+const { createClient } = require('@supabase/supabase-js');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getUnifiedStore, storeKey } = require('../../core/state/store');
+const { DEFAULT_WORKING_HOURS } = require('../../utils/availability');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const POLICY_KIND = 'scheduling_policy';
+
+// Supabase client for the bsa_tokens lookup, created on first use so policy
+// evaluation works without Supabase configured
+let supabase = null;
+
+const DEFAULT_POLICY = {
+  workingHours: DEFAULT_WORKING_HOURS,
+  bufferMinutes: 0,
+  maxMeetingsPerDay: null,
+  noMeetingDays: []
+};
+
+/**
+ * Parse a weekday given as a number (0 = Sunday) or a name ("friday", "Fri")
+ * @private
+ */
+function parseWeekday(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+  if (typeof value !== 'string') return null;
+  const name = value.trim().toLowerCase();
+  if (/^[0-6]$/.test(name)) return parseInt(name, 10);
+  const index = WEEKDAY_NAMES.findIndex(day => name.length >= 3 && day.startsWith(name));
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Normalize an HH:mm time ("9:00" -> "09:00")
+ * @private
+ */
+function parseTime(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Validate a (partial) policy and merge it over a base policy
+ *
+ * Working hours may be keyed by weekday number or name; a null value marks a
+ * non-working day. No-meeting days accept weekday names or YYYY-MM-DD dates.
+ *
+ * @param {Object} updates - Partial policy
+ * @param {Object} base - Policy to merge into (defaults to DEFAULT_POLICY)
+ * @returns {Object} - Complete, normalized policy
+ * @throws {Error} - If a value is invalid
+ */
+function normalizePolicy(updates = {}, base = DEFAULT_POLICY) {
+  const policy = {
+    workingHours: { ...base.workingHours },
+    bufferMinutes: base.bufferMinutes,
+    maxMeetingsPerDay: base.maxMeetingsPerDay,
+    noMeetingDays: [...(base.noMeetingDays || [])]
+  };
+
+  if (updates.workingHours) {
+    for (const [key, hours] of Object.entries(updates.workingHours)) {
+      const weekday = parseWeekday(key);
+      if (weekday === null) {
+        throw new Error(`Invalid weekday in working hours: ${key}`);
+      }
+      if (!hours) {
+        policy.workingHours[weekday] = null;
+        continue;
+      }
+      const start = parseTime(hours.start);
+      const end = parseTime(hours.end);
+      if (!start || !end || end <= start) {
+        throw new Error(`Invalid working hours for ${WEEKDAY_NAMES[weekday]}: ${hours.start} - ${hours.end}`);
+      }
+      policy.workingHours[weekday] = { start, end };
+    }
+  }
+
+  if (updates.bufferMinutes !== undefined && updates.bufferMinutes !== null) {
+    const buffer = parseInt(updates.bufferMinutes, 10);
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > 240) {
+      throw new Error(`Invalid buffer: ${updates.bufferMinutes} (expected 0-240 minutes)`);
+    }
+    policy.bufferMinutes = buffer;
+  }
+
+  if (updates.maxMeetingsPerDay !== undefined) {
+    if (updates.maxMeetingsPerDay === null || updates.maxMeetingsPerDay === 0) {
+      policy.maxMeetingsPerDay = null;
+    } else {
+      const max = parseInt(updates.maxMeetingsPerDay, 10);
+      if (!Number.isInteger(max) || max < 1) {
+        throw new Error(`Invalid maximum meetings per day: ${updates.maxMeetingsPerDay}`);
+      }
+      policy.maxMeetingsPerDay = max;
+    }
+  }
+
+  if (Array.isArray(updates.noMeetingDays)) {
+    policy.noMeetingDays = updates.noMeetingDays.map(day => {
+      if (typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day)) return day;
+      const weekday = parseWeekday(day);
+      if (weekday === null) {
+        throw new Error(`Invalid no-meeting day: ${day}`);
+      }
+      return weekday;
+    });
+  }
+
+  return policy;
+}
+
+/**
+ * Check a proposed appointment against a policy
+ *
+ * @param {Object} policy - Normalized policy
+ * @param {Object} slot - { startTime, endTime } as ISO timestamps
+ * @param {Array<Object>} appointments - Existing BSA appointments around the slot
+ * @param {string} userTimezone - User's timezone
+ * @param {Object} options - { excludeId } to ignore the appointment being moved
+ * @returns {Array<string>} - Human-readable policy warnings
+ */
+function evaluatePolicy(policy, slot, appointments = [], userTimezone = 'UTC', options = {}) {
+  const warnings = [];
+  const start = dayjs(slot.startTime).tz(userTimezone);
+  const end = dayjs(slot.endTime).tz(userTimezone);
+  const date = start.format('YYYY-MM-DD');
+  const dayLabel = start.format('dddd');
+
+  if (policy.noMeetingDays.includes(start.day()) || policy.noMeetingDays.includes(date)) {
+    warnings.push(`⚠️ ${start.format('ddd MMM D')} is a no-meeting day`);
+  }
+
+  const hours = policy.workingHours[start.day()];
+  if (!hours) {
+    warnings.push(`⚠️ Outside working hours (${dayLabel} is not a working day)`);
+  } else {
+    const windowStart = dayjs.tz(`${date} ${hours.start}`, userTimezone);
+    const windowEnd = dayjs.tz(`${date} ${hours.end}`, userTimezone);
+    if (start.isBefore(windowStart) || end.isAfter(windowEnd)) {
+      warnings.push(`⚠️ Outside working hours (${windowStart.format('h:mm A')} - ${windowEnd.format('h:mm A')} on ${dayLabel}s)`);
+    }
+  }
+
+  const sameDay = appointments
+    .map(item => item?.Activity || item)
+    .filter(appt => appt && (!options.excludeId || String(appt.Id) !== String(options.excludeId)))
+    .filter(appt => dayjs(appt.StartTime || appt.startTime).tz(userTimezone).format('YYYY-MM-DD') === date);
+
+  if (policy.bufferMinutes > 0) {
+    for (const appt of sameDay) {
+      const apptStart = dayjs(appt.StartTime || appt.startTime);
+      const apptEnd = dayjs(appt.EndTime || appt.endTime);
+      // Overlaps are reported as conflicts, not buffer violations
+      if (start.isBefore(apptEnd) && end.isAfter(apptStart)) continue;
+
+      const gapAfter = start.diff(apptEnd, 'minute');
+      const gapBefore = apptStart.diff(end, 'minute');
+      const subject = appt.Subject || appt.subject || 'another meeting';
+
+      if (gapAfter >= 0 && gapAfter < policy.bufferMinutes) {
+        warnings.push(`⚠️ Only ${gapAfter} min after "${subject}" (buffer is ${policy.bufferMinutes} min)`);
+      } else if (gapBefore >= 0 && gapBefore < policy.bufferMinutes) {
+        warnings.push(`⚠️ Only ${gapBefore} min before "${subject}" (buffer is ${policy.bufferMinutes} min)`);
+      }
+    }
+  }
+
+  if (policy.maxMeetingsPerDay && sameDay.length + 1 > policy.maxMeetingsPerDay) {
+    warnings.push(`⚠️ ${sameDay.length + 1} meetings on ${start.format('ddd MMM D')} (limit is ${policy.maxMeetingsPerDay})`);
+  }
+
+  return warnings;
+}
+
+/**
+ * Describe a policy in plain English for chat responses
+ *
+ * @param {Object} policy - Normalized policy
+ * @returns {string} - Multi-line summary
+ */
+function describePolicy(policy) {
+  const formatTime = (time) => dayjs(`2000-01-01 ${time}`).format('h:mm A');
+  const lines = [];
+
+  // Monday-first for display
+  for (const weekday of [1, 2, 3, 4, 5, 6, 0]) {
+    const hours = policy.workingHours[weekday];
+    const name = WEEKDAY_NAMES[weekday].charAt(0).toUpperCase() + WEEKDAY_NAMES[weekday].slice(1);
+    lines.push(`• ${name}: ${hours ? `${formatTime(hours.start)} - ${formatTime(hours.end)}` : 'not working'}`);
+  }
+
+  lines.push(`• Buffer between meetings: ${policy.bufferMinutes ? `${policy.bufferMinutes} min` : 'none'}`);
+  lines.push(`• Max meetings per day: ${policy.maxMeetingsPerDay || 'no limit'}`);
+
+  const noMeeting = policy.noMeetingDays.map(day =>
+    typeof day === 'number'
+      ? WEEKDAY_NAMES[day].charAt(0).toUpperCase() + WEEKDAY_NAMES[day].slice(1) + 's'
+      : dayjs(day).format('MMM D, YYYY')
+  );
+  lines.push(`• No-meeting days: ${noMeeting.length > 0 ? noMeeting.join(', ') : 'none'}`);
+
+  return lines.join('\n');
+}
+
+class SchedulingPolicyService {
+  /**
+   * Load a user's policy, falling back to defaults
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Normalized policy
+   */
+  async getPolicy(orgId, userId) {
+    if (!orgId || !userId) {
+      return normalizePolicy();
+    }
+
+    try {
+      const store = getUnifiedStore({ orgId, userId });
+      const item = await store.get([orgId, userId, POLICY_KIND], storeKey(POLICY_KIND, orgId, userId));
+      if (!item?.value?.text) {
+        return normalizePolicy();
+      }
+      return normalizePolicy(JSON.parse(item.value.text));
+    } catch (error) {
+      console.warn('[SCHEDULING_POLICY] Could not load policy, using defaults:', error.message);
+      return normalizePolicy();
+    }
+  }
+
+  /**
+   * Merge updates into a user's policy and persist it
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Partial policy
+   * @returns {Promise<Object>} - The saved policy
+   * @throws {Error} - If the updates are invalid
+   */
+  async updatePolicy(orgId, userId, updates) {
+    if (!orgId || !userId) {
+      throw new Error('Organization and user are required to save a scheduling policy');
+    }
+
+    const current = await this.getPolicy(orgId, userId);
+    const policy = normalizePolicy(updates, current);
+
+    const store = getUnifiedStore({ orgId, userId });
+    await store.put([orgId, userId, POLICY_KIND], storeKey(POLICY_KIND, orgId, userId), {
+      text: JSON.stringify(policy),
+      kind: POLICY_KIND
+    }, { index: false });
+
+    console.log(`[SCHEDULING_POLICY] Saved policy for user ${userId}`);
+    return policy;
+  }
+
+  /**
+   * Map team members' BSA user IDs to the app user IDs policies are saved under
+   *
+   * Policies are keyed by the session's user ID (bsa_tokens.user_id, captured
+   * at sign-in), while team members come from organization_users keyed by BSA
+   * user ID. Sign-in stores the BSA UserId as the app user ID, so a member maps
+   * to the bsa_tokens row with their ID; one who has never signed in to the
+   * assistant has no app user and so no saved policy.
+   *
+   * @param {Array<string>} bsaUserIds - BSA user IDs
+   * @returns {Promise<Map<string, string>>} - BSA user ID -> app user ID, for members who have one
+   */
+  async mapToAppUserIds(bsaUserIds) {
+    const ids = [...new Set(bsaUserIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return new Map();
+
+    if (!supabase) {
+      supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    }
+    const { data, error } = await supabase
+      .from('bsa_tokens')
+      .select('user_id')
+      .in('user_id', ids);
+
+    if (error) {
+      throw new Error(`Could not look up users: ${error.message}`);
+    }
+    return new Map((data || []).map(row => [String(row.user_id), String(row.user_id)]));
+  }
+
+  /**
+   * Load every attendee's policy for a shared slot search
+   *
+   * The current user's policy is read under the session's own user ID; other
+   * attendees are mapped from their BSA user ID first and fall back to
+   * defaults when they have no app user.
+   *
+   * @param {string} orgId - Organization ID
+   * @param {Array<Object>} attendees - Resolved team members ({ id, isCurrentUser })
+   * @param {string|null} currentUserId - The session's user ID
+   * @returns {Promise<Array<Object>>} - Normalized policies, in attendee order
+   */
+  async getAttendeePolicies(orgId, attendees, currentUserId) {
+    const others = attendees.filter(user => !user.isCurrentUser).map(user => user.id);
+
+    let appUserIds = new Map();
+    try {
+      appUserIds = await this.mapToAppUserIds(others);
+    } catch (error) {
+      console.warn('[SCHEDULING_POLICY] Could not map attendees to users, using defaults:', error.message);
+    }
+
+    return Promise.all(attendees.map(user => {
+      const userId = user.isCurrentUser ? currentUserId : appUserIds.get(String(user.id));
+      return this.getPolicy(orgId, userId);
+    }));
+  }
+
+  /**
+   * Combine several attendees' policies for a shared slot search
+   *
+   * Working hours are intersected, the largest buffer wins and no-meeting
+   * days are unioned, so a suggested slot respects everyone's rules.
+   *
+   * @param {Array<Object>} policies - Normalized policies
+   * @returns {Object} - { workingHours, bufferMinutes, noMeetingDays }
+   */
+  combinePolicies(policies) {
+    const workingHours = {};
+    for (let weekday = 0; weekday < 7; weekday++) {
+      let combined = { start: '00:00', end: '24:00' };
+      for (const policy of policies) {
+        const hours = policy.workingHours[weekday];
+        if (!hours || !combined) {
+          combined = null;
+          continue;
+        }
+        combined = {
+          start: hours.start > combined.start ? hours.start : combined.start,
+          end: hours.end < combined.end ? hours.end : combined.end
+        };
+        if (combined.end <= combined.start) combined = null;
+      }
+      workingHours[weekday] = combined;
+    }
+
+    return {
+      workingHours,
+      bufferMinutes: Math.max(0, ...policies.map(p => p.bufferMinutes || 0)),
+      noMeetingDays: [...new Set(policies.flatMap(p => p.noMeetingDays))]
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton scheduling policy service
+ * @returns {SchedulingPolicyService}
+ */
+function getSchedulingPolicyService() {
+  if (!instance) {
+    instance = new SchedulingPolicyService();
+  }
+  return instance;
+}
+
+module.exports = {
+  SchedulingPolicyService,
+  getSchedulingPolicyService,
+  normalizePolicy,
+  evaluatePolicy,
+  describePolicy,
+  DEFAULT_POLICY
+};
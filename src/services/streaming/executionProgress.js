@@ -0,0 +1,132 @@
+/**
+ * Execution Progress Service
+ *
+ * Lets the coordinator and the domain agents report what they are doing while
+ * a query runs (recalling memory, routing, resolving contacts, awaiting
+ * approval) and stream the final response as it is generated.
+ *
+ * The streaming route runs the query with a listener; nodes report through
+ * getExecutionProgress() without any of it passing through graph state or
+ * config. Outside of a streaming request every call is a no-op.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// User-facing text per stage; {domain}/{domains} are filled in from the event data
+const STAGE_MESSAGES = {
+  memory: 'Recalling memory…',
+  routing: 'Working out what you need…',
+  routed: 'Routing to {domains}…',
+  domain: 'Working on {domain}…',
+  contacts: 'Resolving contacts…',
+  users: 'Resolving team members…',
+  clarification: 'Waiting for you to clarify…',
+  approval: 'Awaiting your approval…',
+  finalizing: 'Writing the response…'
+};
+
+const progressContext = new AsyncLocalStorage();
+
+/**
+ * Join domain names for messages: "calendar", "calendar and task", "calendar, task and contact"
+ * @private
+ */
+function joinDomains(domains) {
+  if (domains.length <= 1) return domains[0] || 'the right agent';
+  return `${domains.slice(0, -1).join(', ')} and ${domains[domains.length - 1]}`;
+}
+
+class ExecutionProgress {
+  /**
+   * Run a query with a progress listener
+   *
+   * @param {Function} listener - Called with { type: 'progress', stage, message, ... } or { type: 'token', text }
+   * @param {Function} fn - Handler
+   * @returns {Promise<*>} - The handler's result
+   */
+  run(listener, fn) {
+    return progressContext.run({ listener }, fn);
+  }
+
+  /**
+   * Whether the current request streams progress
+   * @returns {boolean}
+   */
+  isStreaming() {
+    return !!progressContext.getStore();
+  }
+
+  /**
+   * Report that a stage started
+   *
+   * @param {string} stage - Key of STAGE_MESSAGES
+   * @param {Object} data - { domain } or { domains } for the message, passed through to the client
+   */
+  emit(stage, data = {}) {
+    const context = progressContext.getStore();
+    if (!context) return;
+
+    const template = STAGE_MESSAGES[stage] || `${stage}…`;
+    const message = template
+      .replace('{domain}', data.domain || 'your request')
+      .replace('{domains}', joinDomains(data.domains || []));
+
+    this.send(context, { type: 'progress', stage, message, ...data });
+  }
+
+  /**
+   * Stream a piece of the final response
+   *
+   * @param {string} text - Token or chunk
+   */
+  emitToken(text) {
+    const context = progressContext.getStore();
+    if (!context || !text) return;
+
+    this.send(context, { type: 'token', text });
+  }
+
+  /**
+   * Stream a finished response word by word, for responses that weren't
+   * generated token by token (e.g. aggregated agent results)
+   *
+   * @param {string} text - Full response
+   */
+  emitText(text) {
+    if (!this.isStreaming() || !text) return;
+    for (const chunk of text.match(/\S+\s*|\s+/g) || []) {
+      this.emitToken(chunk);
+    }
+  }
+
+  /**
+   * A failing listener (e.g. a closed connection) must not fail the query
+   * @private
+   */
+  send(context, event) {
+    try {
+      context.listener(event);
+    } catch (error) {
+      console.warn('[PROGRESS] Listener failed:', error.message);
+    }
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton execution progress service
+ * @returns {ExecutionProgress}
+ */
+function getExecutionProgress() {
+  if (!instance) {
+    instance = new ExecutionProgress();
+  }
+  return instance;
+}
+
+module.exports = {
+  ExecutionProgress,
+  getExecutionProgress
+};
@@ -0,0 +1,277 @@
+/**
+ * Task Relation Service
+ *
+ * BSA tasks are flat, so subtask and dependency links are kept in the
+ * UnifiedStore, one record per task:
+ * - parentId / childIds: a parent task and its ordered subtasks
+ * - blockedBy / blocks: tasks that must be completed first, and the reverse
+ *
+ * Relations belong to the organization's tasks, not to the user who made
+ * them, so a teammate completing a blocked task sees the same blockers.
+ * The user ID is only used to open the store.
+ */
+
+const { getUnifiedStore, storeKey } = require('../../core/state/store');
+const { getTaskById, normalizeTask } = require('../../integrations/bsa/tools/tasks');
+
+const RELATION_KIND = 'task_relations';
+
+/**
+ * Empty relation record for a task
+ * @private
+ */
+function emptyRelations(taskId) {
+  return { taskId: String(taskId), parentId: null, childIds: [], blockedBy: [], blocks: [] };
+}
+
+class TaskRelationService {
+  /**
+   * Load the relations of a task
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} taskId - BSA task ID
+   * @returns {Promise<Object>} - { taskId, parentId, childIds, blockedBy, blocks }
+   */
+  async getRelations(orgId, userId, taskId) {
+    if (!orgId || !userId || !taskId) {
+      return emptyRelations(taskId);
+    }
+
+    try {
+      const store = getUnifiedStore({ orgId, userId });
+      const item = await store.get([orgId, RELATION_KIND], storeKey(RELATION_KIND, orgId, taskId));
+      if (!item?.value?.text) {
+        return emptyRelations(taskId);
+      }
+      return { ...emptyRelations(taskId), ...JSON.parse(item.value.text) };
+    } catch (error) {
+      console.warn(`[TASK_RELATIONS] Could not load relations for ${taskId}:`, error.message);
+      return emptyRelations(taskId);
+    }
+  }
+
+  /**
+   * Persist a task's relations
+   * @private
+   */
+  async saveRelations(orgId, userId, relations) {
+    const store = getUnifiedStore({ orgId, userId });
+    await store.put([orgId, RELATION_KIND], storeKey(RELATION_KIND, orgId, relations.taskId), {
+      text: JSON.stringify(relations),
+      kind: RELATION_KIND
+    }, { index: false });
+  }
+
+  /**
+   * Record a parent task and its ordered subtasks
+   *
+   * The parent is blocked by every subtask. With sequential=true each subtask
+   * is also blocked by the one before it.
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} parentId - Parent task ID
+   * @param {Array<string>} childIds - Subtask IDs in order
+   * @param {Object} options - { sequential }
+   * @returns {Promise<void>}
+   */
+  async linkSubtasks(orgId, userId, parentId, childIds, { sequential = true } = {}) {
+    if (!orgId || !userId) {
+      throw new Error('Organization and user are required to save task relations');
+    }
+
+    const ids = childIds.map(String);
+    const parent = await this.getRelations(orgId, userId, parentId);
+    parent.childIds = [...new Set([...parent.childIds, ...ids])];
+    parent.blockedBy = [...new Set([...parent.blockedBy, ...ids])];
+    await this.saveRelations(orgId, userId, parent);
+
+    for (let i = 0; i < ids.length; i++) {
+      const child = await this.getRelations(orgId, userId, ids[i]);
+      child.parentId = String(parentId);
+      child.blocks = [...new Set([...child.blocks, String(parentId)])];
+
+      if (sequential && i > 0) {
+        child.blockedBy = [...new Set([...child.blockedBy, ids[i - 1]])];
+      }
+      if (sequential && i < ids.length - 1) {
+        child.blocks = [...new Set([...child.blocks, ids[i + 1]])];
+      }
+
+      await this.saveRelations(orgId, userId, child);
+    }
+
+    console.log(`[TASK_RELATIONS] Linked ${ids.length} subtasks to ${parentId}${sequential ? ' (sequential)' : ''}`);
+  }
+
+  /**
+   * Record that a task can't be completed until another one is
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} taskId - The blocked task
+   * @param {string} blockerId - The task it waits on
+   * @returns {Promise<void>}
+   * @throws {Error} - If the link would create a cycle
+   */
+  async addBlocker(orgId, userId, taskId, blockerId) {
+    if (!orgId || !userId) {
+      throw new Error('Organization and user are required to save task relations');
+    }
+    if (String(taskId) === String(blockerId)) {
+      throw new Error('A task cannot block itself');
+    }
+    if (await this.dependsOn(orgId, userId, blockerId, taskId)) {
+      throw new Error('That dependency would create a cycle');
+    }
+
+    const task = await this.getRelations(orgId, userId, taskId);
+    task.blockedBy = [...new Set([...task.blockedBy, String(blockerId)])];
+    await this.saveRelations(orgId, userId, task);
+
+    const blocker = await this.getRelations(orgId, userId, blockerId);
+    blocker.blocks = [...new Set([...blocker.blocks, String(taskId)])];
+    await this.saveRelations(orgId, userId, blocker);
+
+    console.log(`[TASK_RELATIONS] ${taskId} is now blocked by ${blockerId}`);
+  }
+
+  /**
+   * Check whether a task (transitively) waits on another
+   * @private
+   */
+  async dependsOn(orgId, userId, taskId, otherId) {
+    const seen = new Set();
+    const queue = [String(taskId)];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === String(otherId)) return true;
+      if (seen.has(current)) continue;
+      seen.add(current);
+
+      const relations = await this.getRelations(orgId, userId, current);
+      queue.push(...relations.blockedBy);
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the blockers of a task that are still open in BSA
+   *
+   * Blockers that no longer exist are ignored. A blocker whose status can't be
+   * checked counts as open, so a failed lookup never lets a blocked task be
+   * completed.
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} taskId - Task about to be completed
+   * @param {string} passKey - BSA authentication key
+   * @param {Object} options - { ignore: task IDs treated as done, e.g. completed in the same batch }
+   * @returns {Promise<Array<Object>>} - [{ id, subject, unverified }]
+   */
+  async getOpenBlockers(orgId, userId, taskId, passKey, { ignore = [] } = {}) {
+    const relations = await this.getRelations(orgId, userId, taskId);
+    const skip = new Set(ignore.map(String));
+    const open = [];
+
+    for (const blockerId of relations.blockedBy) {
+      if (skip.has(blockerId)) continue;
+
+      let blocker;
+      try {
+        blocker = await getTaskById(blockerId, passKey, orgId, { throwOnError: true });
+      } catch (error) {
+        console.warn(`[TASK_RELATIONS] Could not check blocker ${blockerId} of ${taskId}, treating it as open:`, error.message);
+        open.push({ id: blockerId, subject: `task ${blockerId} (status unavailable)`, unverified: true });
+        continue;
+      }
+      if (!blocker) continue;
+
+      const task = normalizeTask(blocker);
+      if (!task.completed) {
+        open.push({ id: blockerId, subject: task.subject });
+      }
+    }
+
+    return open;
+  }
+
+  /**
+   * Find tasks that became ready once a task was completed
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} taskId - The task just completed
+   * @param {string} passKey - BSA authentication key
+   * @returns {Promise<Array<Object>>} - [{ id, subject }] with no open blockers left
+   */
+  async getUnblocked(orgId, userId, taskId, passKey) {
+    const relations = await this.getRelations(orgId, userId, taskId);
+    const unblocked = [];
+
+    for (const dependentId of relations.blocks) {
+      const remaining = await this.getOpenBlockers(orgId, userId, dependentId, passKey, { ignore: [taskId] });
+      if (remaining.length > 0) continue;
+
+      const dependent = await getTaskById(dependentId, passKey, orgId);
+      if (dependent && !normalizeTask(dependent).completed) {
+        unblocked.push({ id: dependentId, subject: normalizeTask(dependent).subject });
+      }
+    }
+
+    return unblocked;
+  }
+
+  /**
+   * Drop a deleted task from its neighbours' relations
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} taskId - Deleted task ID
+   * @returns {Promise<void>}
+   */
+  async removeTask(orgId, userId, taskId) {
+    if (!orgId || !userId) return;
+
+    const id = String(taskId);
+    const relations = await this.getRelations(orgId, userId, id);
+    const neighbours = new Set([
+      relations.parentId,
+      ...relations.childIds,
+      ...relations.blockedBy,
+      ...relations.blocks
+    ].filter(Boolean));
+
+    for (const neighbourId of neighbours) {
+      const neighbour = await this.getRelations(orgId, userId, neighbourId);
+      await this.saveRelations(orgId, userId, {
+        ...neighbour,
+        parentId: neighbour.parentId === id ? null : neighbour.parentId,
+        childIds: neighbour.childIds.filter(other => other !== id),
+        blockedBy: neighbour.blockedBy.filter(other => other !== id),
+        blocks: neighbour.blocks.filter(other => other !== id)
+      });
+    }
+
+    const store = getUnifiedStore({ orgId, userId });
+    await store.delete([orgId, RELATION_KIND], storeKey(RELATION_KIND, orgId, id));
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton task relation service
+ * @returns {TaskRelationService}
+ */
+function getTaskRelationService() {
+  if (!instance) {
+    instance = new TaskRelationService();
+  }
+  return instance;
+}
+
+module.exports = {
+  TaskRelationService,
+  getTaskRelationService
+};
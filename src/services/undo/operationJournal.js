@@ -0,0 +1,478 @@
+/**
+ * Operation Journal
+ *
+ * Records the agents' writes in BSA that can be reversed - appointments
+ * (single or recurring), tasks, subtasks, reminders and workflows created, appointments,
+ * tasks and contacts updated or completed (with the values they had before),
+ * contacts created and contacts linked to activities - so "undo that" /
+ * "undo the last 3 changes" can reverse them.
+ *
+ * Deletes (appointments, tasks, bulk deletes) and contact merges are not
+ * recorded: BSA can't restore a deleted record, so they can't be undone.
+ *
+ * One change is one approved agent action and holds the operations it made.
+ * Links made right after a create join that create's change, so undoing
+ * "schedule a call with Bob" deletes the appointment instead of first
+ * unlinking Bob from it.
+ *
+ * The journal is a single store record per user (the store can't list keys)
+ * holding the most recent changes. Recording never throws: a journal failure
+ * must not fail the write it describes.
+ */
+
+const crypto = require('crypto');
+const { getUnifiedStore, storeKey } = require('../../core/state/store');
+const { StagedHandoff } = require('../../core/state/stagedHandoff');
+const { deleteAppointment, updateAppointment } = require('../../integrations/bsa/tools/appointments');
+const { deleteTask, updateTask } = require('../../integrations/bsa/tools/tasks');
+const { deleteWorkflow } = require('../../integrations/bsa/tools/workflows');
+const { deleteContact, updateContact, unlinkContactFromActivity } = require('../../integrations/bsa/tools/contacts');
+
+const JOURNAL_KIND = 'operation_journal';
+const STAGED_KIND = 'staged_undo';
+const MAX_CHANGES = 50; // per user, oldest dropped first
+const MAX_UNDO = 10; // changes per undo request
+const STAGE_TTL_MS = 15 * 60 * 1000; // staged undo expires if the chat follow-up never comes
+
+// Task fields an update can change - the snapshot taken before the update restores them
+const TASK_FIELDS = ['Subject', 'Description', 'DueTime', 'StartTime', 'EndTime', 'StatusCode', 'Priority'];
+
+class OperationJournal {
+  constructor() {
+    // Per-user promise chains so concurrent domains don't overwrite each other's changes
+    this.queues = new Map();
+    this.staged = new StagedHandoff(STAGED_KIND, STAGE_TTL_MS);
+  }
+
+  /**
+   * Changes of a user, newest first
+   * @private
+   */
+  async load(orgId, userId) {
+    const store = getUnifiedStore({ orgId, userId });
+    const item = await store.get([orgId, userId, JOURNAL_KIND], storeKey(JOURNAL_KIND, orgId, userId));
+    if (!item?.value?.text) return [];
+    return JSON.parse(item.value.text).changes || [];
+  }
+
+  /**
+   * Load, modify and save the journal, one update per user at a time
+   * @private
+   */
+  update(orgId, userId, modify) {
+    const queueKey = `${orgId}:${userId}`;
+    const previous = this.queues.get(queueKey) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+      const changes = await this.load(orgId, userId);
+      const result = await modify(changes);
+
+      const store = getUnifiedStore({ orgId, userId });
+      await store.put([orgId, userId, JOURNAL_KIND], storeKey(JOURNAL_KIND, orgId, userId), {
+        text: JSON.stringify({ changes: changes.slice(0, MAX_CHANGES) }),
+        kind: JOURNAL_KIND
+      }, { index: false });
+
+      return result;
+    });
+
+    this.queues.set(queueKey, next);
+    next.finally(() => {
+      if (this.queues.get(queueKey) === next) this.queues.delete(queueKey);
+    }).catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Record one change made by an agent
+   *
+   * Operations:
+   * - { type: 'create_appointment', recordIds, label }
+   * - { type: 'update_appointment', recordId, label, before }
+   * - { type: 'create_task', recordId, label }
+   * - { type: 'update_task', recordId, label, before }
+   * - { type: 'create_workflow', recordId, label }
+   * - { type: 'create_contact', recordId, label }
+   * - { type: 'update_contact', recordId, label, before }
+   * - { type: 'link_contact', activityType, activityId, contactId, contactName, label }
+   *
+   * @param {Object} context - { org_id, user_id }
+   * @param {Object} change - { domain, summary, operations }
+   * @returns {Promise<string|null>} - Change ID, or null when nothing was recorded
+   */
+  async record(context, { domain, summary, operations }) {
+    const { org_id, user_id } = context;
+    if (!org_id || !user_id || !operations?.length) return null;
+
+    const change = {
+      id: crypto.randomUUID(),
+      domain,
+      summary,
+      createdAt: new Date().toISOString(),
+      undoneAt: null,
+      operations: operations.map(operation => ({ ...operation, undone: false }))
+    };
+
+    try {
+      await this.update(org_id, user_id, (changes) => {
+        changes.unshift(change);
+      });
+      console.log(`[UNDO:JOURNAL] Recorded ${domain} change "${summary}" (${operations.length} operation(s))`);
+      return change.id;
+    } catch (error) {
+      console.warn(`[UNDO:JOURNAL] Could not record "${summary}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record contacts linked to activities
+   *
+   * Links to an activity join the change that created it when there is one;
+   * the others become one change of their own.
+   *
+   * @param {Object} context - { org_id, user_id }
+   * @param {Object} request - { domain, activityType, links: [{ activityId, activityLabel, contactId, contactName }] }
+   * @returns {Promise<void>}
+   */
+  async recordLinks(context, { domain, activityType, links }) {
+    const { org_id, user_id } = context;
+    const operations = (links || [])
+      .filter(link => link.activityId && link.contactId)
+      .map(link => ({
+        type: 'link_contact',
+        activityType,
+        activityId: String(link.activityId),
+        contactId: String(link.contactId),
+        contactName: link.contactName || null,
+        label: link.activityLabel || null,
+        undone: false
+      }));
+    if (!org_id || !user_id || operations.length === 0) return;
+
+    try {
+      await this.update(org_id, user_id, (changes) => {
+        const standalone = [];
+        for (const operation of operations) {
+          const creator = changes.find(change => !change.undoneAt && this.findCreate(change, activityType, operation.activityId));
+          if (creator) {
+            creator.operations.push(operation);
+          } else {
+            standalone.push(operation);
+          }
+        }
+
+        if (standalone.length > 0) {
+          const names = [...new Set(standalone.map(operation => operation.contactName || operation.contactId))];
+          const labels = [...new Set(standalone.map(operation => operation.label || operation.activityId))];
+          changes.unshift({
+            id: crypto.randomUUID(),
+            domain,
+            summary: `Linked ${names.join(', ')} to ${activityType} ${labels.map(label => `"${label}"`).join(', ')}`,
+            createdAt: new Date().toISOString(),
+            undoneAt: null,
+            operations: standalone
+          });
+        }
+
+        console.log(`[UNDO:JOURNAL] Recorded ${operations.length} ${activityType} link(s), ${standalone.length} as a change of their own`);
+      });
+    } catch (error) {
+      console.warn(`[UNDO:JOURNAL] Could not record ${activityType} links:`, error.message);
+    }
+  }
+
+  /**
+   * Create operation of a change for an activity, if the change created it
+   * @private
+   */
+  findCreate(change, activityType, activityId) {
+    const type = `create_${activityType}`;
+    return change.operations.find(operation =>
+      operation.type === type &&
+      (operation.recordIds || [operation.recordId]).map(String).includes(String(activityId))
+    ) || null;
+  }
+
+  /**
+   * Recent changes that haven't been undone, newest first
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} - Changes with an inverse description per operation
+   */
+  async listChanges(orgId, userId, { limit = MAX_CHANGES } = {}) {
+    if (!orgId || !userId) return [];
+
+    const changes = await this.load(orgId, userId);
+    return changes
+      .filter(change => !change.undoneAt)
+      .slice(0, limit)
+      .map(change => this.summarize(change));
+  }
+
+  /**
+   * Change as shown to the user: what happened and what undoing it does
+   *
+   * @param {Object} change - Journal change
+   * @returns {Object} - { id, domain, summary, createdAt, inverse: [string] }
+   */
+  summarize(change) {
+    const pending = change.operations.filter(operation => !operation.undone);
+    return {
+      id: change.id,
+      domain: change.domain,
+      summary: change.summary,
+      createdAt: change.createdAt,
+      inverse: this.planInverse(pending)
+        .filter(step => !step.skipped)
+        .map(step => step.description)
+    };
+  }
+
+  /**
+   * Validate an undo request
+   *
+   * @param {Object} request - { count } or { changeIds }
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateUndo({ count, changeIds } = {}) {
+    const errors = [];
+    if (changeIds !== undefined) {
+      if (!Array.isArray(changeIds) || changeIds.length === 0 || changeIds.some(id => typeof id !== 'string')) {
+        errors.push('changeIds must be a non-empty array of change IDs');
+      } else if (changeIds.length > MAX_UNDO) {
+        errors.push(`At most ${MAX_UNDO} changes can be undone at once`);
+      }
+    } else if (!Number.isInteger(count) || count < 1 || count > MAX_UNDO) {
+      errors.push(`count must be 1 to ${MAX_UNDO}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Stage the changes an /api/agent/undo call picked, for the undo agent to preview
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {Array<string>} changeIds - Change IDs
+   * @returns {Promise<void>}
+   */
+  async stageUndo(orgId, userId, changeIds) {
+    if (!orgId || !userId) {
+      throw new Error('Organization and user are required to undo changes');
+    }
+
+    await this.staged.stage(orgId, userId, changeIds);
+
+    console.log(`[UNDO:JOURNAL] Staged undo of ${changeIds.length} change(s) for user ${userId}`);
+  }
+
+  /**
+   * Take the staged undo, if it hasn't expired
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>|null>} - Change IDs or null
+   */
+  async takeStagedUndo(orgId, userId) {
+    return this.staged.take(orgId, userId);
+  }
+
+  /**
+   * Inverse steps for operations, last operation first
+   *
+   * Unlinking a contact from an activity the same operations delete is skipped -
+   * the delete removes the link.
+   * @private
+   */
+  planInverse(operations) {
+    const deleted = new Set(operations
+      .filter(operation => operation.type === 'create_appointment' || operation.type === 'create_task')
+      .flatMap(operation => (operation.recordIds || [operation.recordId])
+        .map(id => `${operation.type.slice('create_'.length)}:${id}`)));
+
+    return [...operations].reverse().map(operation => {
+      const step = { operation, description: this.describeInverse(operation), skipped: false };
+      if (operation.type === 'link_contact' && deleted.has(`${operation.activityType}:${operation.activityId}`)) {
+        step.skipped = true;
+      }
+      return step;
+    });
+  }
+
+  /**
+   * What undoing an operation does, in words
+   *
+   * @param {Object} operation - Journal operation
+   * @returns {string}
+   */
+  describeInverse(operation) {
+    const label = operation.label ? `"${operation.label}"` : operation.recordId;
+    switch (operation.type) {
+      case 'create_appointment': {
+        const count = operation.recordIds.length;
+        return count > 1
+          ? `Delete ${count} occurrences of appointment ${label}`
+          : `Delete appointment ${label}`;
+      }
+      case 'update_appointment':
+        return `Restore appointment ${label} (${Object.keys(operation.before).join(', ')})`;
+      case 'create_task':
+        return `Delete task ${label}`;
+      case 'update_task':
+        return `Restore task ${label} (${Object.keys(operation.before).join(', ')})`;
+      case 'create_workflow':
+        return `Delete workflow ${label}`;
+      case 'create_contact':
+        return `Delete contact ${label}`;
+      case 'update_contact':
+        return `Restore contact ${label} (${Object.keys(operation.before).join(', ')})`;
+      case 'link_contact':
+        return `Unlink ${operation.contactName || operation.contactId} from ${operation.activityType} "${operation.label || operation.activityId}"`;
+      default:
+        return `Unknown operation ${operation.type}`;
+    }
+  }
+
+  /**
+   * Run the inverse of one operation in BSA
+   *
+   * A recurring series remembers which occurrences are left, so a retry
+   * only deletes those.
+   * @private
+   */
+  async invert(operation, passKey, orgId) {
+    switch (operation.type) {
+      case 'create_appointment': {
+        const remaining = [];
+        let lastError = null;
+        for (const id of operation.recordIds) {
+          try {
+            await deleteAppointment(id, passKey, orgId);
+          } catch (error) {
+            remaining.push(id);
+            lastError = error;
+          }
+        }
+        operation.recordIds = remaining;
+        if (lastError) {
+          throw new Error(`${remaining.length} occurrence(s) not deleted: ${lastError.message}`);
+        }
+        return;
+      }
+      case 'update_appointment':
+        await updateAppointment(operation.recordId, operation.before, passKey, orgId);
+        return;
+      case 'create_task':
+        await deleteTask(operation.recordId, passKey, orgId);
+        return;
+      case 'update_task':
+        await updateTask(operation.recordId, { ...operation.before }, passKey, orgId);
+        return;
+      case 'create_workflow':
+        await deleteWorkflow(operation.recordId, passKey, orgId);
+        return;
+      case 'create_contact':
+        await deleteContact(operation.recordId, passKey, orgId);
+        return;
+      case 'update_contact':
+        await updateContact(operation.recordId, operation.before, passKey, orgId);
+        return;
+      case 'link_contact': {
+        const unlinked = await unlinkContactFromActivity(
+          operation.activityType, operation.activityId, operation.contactId, passKey, orgId
+        );
+        if (!unlinked) throw new Error('BSA did not remove the link');
+        return;
+      }
+      default:
+        throw new Error(`Unknown operation ${operation.type}`);
+    }
+  }
+
+  /**
+   * Undo changes, newest first, reporting every inverse operation
+   *
+   * Each operation is undone at most once. A change counts as undone when all
+   * of its operations are; failed operations stay in the journal so the change
+   * can be undone again later.
+   *
+   * @param {Array<string>} changeIds - Change IDs
+   * @param {Object} context - { passKey, org_id, user_id }
+   * @returns {Promise<Array<Object>>} - [{ changeId, summary, undone, results: [{ description, success, skipped, error }] }]
+   */
+  async undoChanges(changeIds, context) {
+    const { passKey, org_id, user_id } = context;
+    const wanted = new Set(changeIds.map(String));
+
+    return this.update(org_id, user_id, async (changes) => {
+      const reports = [];
+
+      // The journal is newest first, so later changes are reversed before the ones they built on
+      for (const change of changes.filter(item => wanted.has(item.id) && !item.undoneAt)) {
+        const results = [];
+
+        for (const step of this.planInverse(change.operations.filter(operation => !operation.undone))) {
+          if (step.skipped) {
+            step.operation.undone = true;
+            results.push({ description: step.description, success: true, skipped: true });
+            continue;
+          }
+
+          try {
+            await this.invert(step.operation, passKey, org_id);
+            step.operation.undone = true;
+            results.push({ description: step.description, success: true, skipped: false });
+          } catch (error) {
+            console.error(`[UNDO:JOURNAL] ${step.description} failed:`, error.message);
+            results.push({ description: step.description, success: false, skipped: false, error: error.message });
+          }
+        }
+
+        const undone = change.operations.every(operation => operation.undone);
+        if (undone) change.undoneAt = new Date().toISOString();
+
+        reports.push({ changeId: change.id, summary: change.summary, undone, results });
+      }
+
+      const failed = reports.flatMap(report => report.results).filter(result => !result.success).length;
+      console.log(`[UNDO:JOURNAL] Undid ${reports.filter(report => report.undone).length} of ${reports.length} change(s), ${failed} operation(s) failed`);
+      return reports;
+    });
+  }
+
+  /**
+   * Snapshot of a task's updatable fields, taken before an update
+   *
+   * @param {Object} task - BSA task (Activity)
+   * @returns {Object}
+   */
+  snapshotTask(task) {
+    return Object.fromEntries(TASK_FIELDS
+      .filter(field => task?.[field] !== undefined)
+      .map(field => [field, task[field]]));
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton operation journal
+ * @returns {OperationJournal}
+ */
+function getOperationJournal() {
+  if (!instance) {
+    instance = new OperationJournal();
+  }
+  return instance;
+}
+
+module.exports = {
+  OperationJournal,
+  getOperationJournal,
+  MAX_UNDO
+};
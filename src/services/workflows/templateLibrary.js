@@ -0,0 +1,300 @@
+/**
+ * Workflow Template Library
+ *
+ * Reusable workflow definitions so common processes ("annual review",
+ * "client onboarding") come out the same way every time instead of being
+ * invented from scratch by the LLM.
+ *
+ * Two sources:
+ * - Built-in financial-advisor templates shipped with the agent
+ * - Org templates saved from existing workflows ("save this as a template"),
+ *   kept in the UnifiedStore as a single record per organization
+ *
+ * Template text may contain {{parameter}} placeholders. Step dayOffsets may be
+ * a placeholder too, so timing can be adjusted when the template is used.
+ */
+
+const { getUnifiedStore, storeKey } = require('../../core/state/store');
+
+const TEMPLATE_KIND = 'workflow_templates';
+const MAX_ORG_TEMPLATES = 100;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'annual-review',
+    name: 'Annual Client Review',
+    description: 'Yearly review of the client\'s portfolio, goals and financial plan',
+    category: 'Client Service',
+    parameters: [
+      { name: 'prepDays', description: 'Days allowed to prepare the review packet', default: 5 },
+      { name: 'meetingFormat', description: 'How the review meeting is held', default: 'in-person' }
+    ],
+    steps: [
+      { name: 'Schedule annual review', description: 'Contact the client to book a {{meetingFormat}} review meeting', type: 'task', assignee: 'Assistant', dayOffset: 1 },
+      { name: 'Gather account statements', description: 'Pull current statements, performance reports and beneficiary designations', type: 'task', assignee: 'Assistant', dayOffset: '{{prepDays}}' },
+      { name: 'Prepare review packet', description: 'Update the financial plan, allocation summary and talking points', type: 'task', assignee: 'Advisor', dayOffset: 2 },
+      { name: 'Annual review meeting', description: 'Review goals, risk tolerance, performance and plan changes ({{meetingFormat}})', type: 'appointment', assignee: 'Advisor', dayOffset: 0 },
+      { name: 'Document meeting notes', description: 'Record decisions, changes in circumstances and compliance notes in the CRM', type: 'task', assignee: 'Advisor', dayOffset: 1 },
+      { name: 'Process agreed changes', description: 'Submit rebalancing, beneficiary or account changes agreed in the meeting', type: 'task', assignee: 'Assistant', dayOffset: 3 },
+      { name: 'Send review summary', description: 'Email the client a summary of the review and next steps', type: 'task', assignee: 'Assistant', dayOffset: 1 }
+    ]
+  },
+  {
+    id: 'client-onboarding',
+    name: 'New Client Onboarding',
+    description: 'Take a new client from signed agreement to funded accounts',
+    category: 'Onboarding',
+    parameters: [
+      { name: 'custodian', description: 'Custodian where accounts are opened', default: 'the custodian' },
+      { name: 'transferDays', description: 'Days to allow for asset transfers', default: 10 }
+    ],
+    steps: [
+      { name: 'Send welcome packet', description: 'Send the welcome letter, advisory agreement and data-gathering forms', type: 'task', assignee: 'Assistant', dayOffset: 1 },
+      { name: 'Collect KYC documents', description: 'Collect ID, proof of address and suitability information', type: 'task', assignee: 'Assistant', dayOffset: 3 },
+      { name: 'Compliance review', description: 'Review KYC and suitability documentation before opening accounts', type: 'task', assignee: 'Advisor', dayOffset: 1 },
+      { name: 'Open accounts', description: 'Submit account opening paperwork with {{custodian}}', type: 'task', assignee: 'Assistant', dayOffset: 2 },
+      { name: 'Initiate asset transfers', description: 'Submit ACAT or transfer requests and track progress', type: 'task', assignee: 'Assistant', dayOffset: '{{transferDays}}' },
+      { name: 'Investment kickoff meeting', description: 'Walk through the investment policy and initial allocation', type: 'appointment', assignee: 'Advisor', dayOffset: 0 },
+      { name: 'Set up client portal', description: 'Create portal access and send login instructions', type: 'task', assignee: 'Assistant', dayOffset: 1 },
+      { name: '30-day check-in', description: 'Call the client to confirm everything is set up and answer questions', type: 'task', assignee: 'Advisor', dayOffset: 30 }
+    ]
+  },
+  {
+    id: 'prospect-follow-up',
+    name: 'Prospect Follow-Up',
+    description: 'Nurture a prospect from first meeting to a decision',
+    category: 'Business Development',
+    parameters: [
+      { name: 'followUpDays', description: 'Days between touches', default: 3 }
+    ],
+    steps: [
+      { name: 'Send thank-you note', description: 'Thank the prospect for the introductory meeting', type: 'task', assignee: 'Assistant', dayOffset: 1 },
+      { name: 'Prepare proposal', description: 'Draft a proposal based on the discovery meeting', type: 'task', assignee: 'Advisor', dayOffset: '{{followUpDays}}' },
+      { name: 'Proposal meeting', description: 'Present the proposal and answer questions', type: 'appointment', assignee: 'Advisor', dayOffset: '{{followUpDays}}' },
+      { name: 'Follow-up call', description: 'Check in on the decision and address concerns', type: 'task', assignee: 'Advisor', dayOffset: 0 }
+    ]
+  },
+  {
+    id: 'rmd-processing',
+    name: 'Required Minimum Distribution',
+    description: 'Calculate, confirm and process a client\'s RMD',
+    category: 'Operations',
+    parameters: [
+      { name: 'taxYear', description: 'Tax year the distribution is for', default: 'the current year' }
+    ],
+    steps: [
+      { name: 'Calculate RMD amount', description: 'Calculate the {{taxYear}} RMD for each retirement account', type: 'task', assignee: 'Assistant', dayOffset: 1 },
+      { name: 'Confirm distribution preferences', description: 'Confirm timing, withholding and destination account with the client', type: 'task', assignee: 'Advisor', dayOffset: 2 },
+      { name: 'Submit distribution request', description: 'Submit the distribution and withholding instructions', type: 'task', assignee: 'Assistant', dayOffset: 1 },
+      { name: 'Verify distribution', description: 'Confirm the distribution settled and the RMD is satisfied for {{taxYear}}', type: 'task', assignee: 'Assistant', dayOffset: 5 }
+    ]
+  },
+  {
+    id: 'beneficiary-review',
+    name: 'Beneficiary Review',
+    description: 'Confirm beneficiary designations are current across all accounts',
+    category: 'Client Service',
+    parameters: [],
+    steps: [
+      { name: 'Pull beneficiary designations', description: 'Export current beneficiaries for every account and policy', type: 'task', assignee: 'Assistant', dayOffset: 2 },
+      { name: 'Review with client', description: 'Confirm designations reflect the client\'s wishes and estate plan', type: 'appointment', assignee: 'Advisor', dayOffset: 0 },
+      { name: 'Submit updates', description: 'Submit change forms for any designations that need updating', type: 'task', assignee: 'Assistant', dayOffset: 3 },
+      { name: 'Confirm updates on file', description: 'Verify the changes were processed and file confirmations', type: 'task', assignee: 'Assistant', dayOffset: 7 }
+    ]
+  }
+];
+
+/**
+ * Replace {{parameter}} placeholders in a string
+ * @private
+ */
+function fillPlaceholders(text, values) {
+  return String(text ?? '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+  );
+}
+
+/**
+ * Turn a name into a template ID slug
+ * @private
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+}
+
+/**
+ * Fill a template's parameters and produce a workflow design
+ *
+ * The design has the same shape WorkflowSubgraph.generateWorkflow produces,
+ * so it goes through the usual validate → preview → approve → create flow.
+ *
+ * @param {Object} template - Template from listTemplates/getTemplate
+ * @param {Object} parameters - Parameter values; missing ones use defaults
+ * @param {Object} options - { name } to override the workflow name
+ * @returns {Object} - { name, description, steps, totalDuration, reasoning, template }
+ * @throws {Error} - If a numeric timing parameter isn't a number
+ */
+function instantiateTemplate(template, parameters = {}, options = {}) {
+  const values = {};
+  for (const parameter of template.parameters || []) {
+    values[parameter.name] = parameters[parameter.name] ?? parameter.default;
+  }
+
+  const steps = template.steps.map((step, index) => {
+    const dayOffset = Number(fillPlaceholders(step.dayOffset ?? 0, values));
+    if (!Number.isFinite(dayOffset) || dayOffset < 0) {
+      throw new Error(`Step ${index + 1} of "${template.name}" needs a non-negative number of days (got "${fillPlaceholders(step.dayOffset, values)}")`);
+    }
+
+    return {
+      name: fillPlaceholders(step.name, values),
+      description: fillPlaceholders(step.description, values),
+      type: step.type || 'task',
+      assignee: step.assignee || 'Advisor',
+      dayOffset: Math.round(dayOffset)
+    };
+  });
+
+  const totalDays = steps.reduce((sum, step) => sum + step.dayOffset, 0);
+
+  return {
+    name: options.name || fillPlaceholders(template.name, values),
+    description: fillPlaceholders(template.description, values),
+    steps,
+    totalDuration: `${totalDays} day${totalDays === 1 ? '' : 's'}`,
+    reasoning: `Built from the "${template.name}" template`,
+    template: { id: template.id, name: template.name, source: template.source }
+  };
+}
+
+class WorkflowTemplateService {
+  /**
+   * Load the organization's saved templates
+   * @private
+   */
+  async getOrgTemplates(orgId, userId) {
+    if (!orgId) return [];
+
+    try {
+      const store = getUnifiedStore({ orgId, userId });
+      const item = await store.get([orgId, TEMPLATE_KIND], storeKey(TEMPLATE_KIND, orgId));
+      if (!item?.value?.text) return [];
+      return JSON.parse(item.value.text).templates || [];
+    } catch (error) {
+      console.warn(`[WORKFLOW_TEMPLATES] Could not load templates for org ${orgId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * List built-in and organization templates
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} - Templates with source 'built-in' or 'org'
+   */
+  async listTemplates(orgId, userId) {
+    const orgTemplates = await this.getOrgTemplates(orgId, userId);
+
+    return [
+      ...BUILT_IN_TEMPLATES.map(template => ({ ...template, source: 'built-in' })),
+      ...orgTemplates.map(template => ({ ...template, source: 'org' }))
+    ];
+  }
+
+  /**
+   * Find a template by ID or (case-insensitive) name
+   *
+   * Org templates win over built-ins with the same name, so an org can
+   * replace "Annual Client Review" with its own version.
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} idOrName - Template ID or name
+   * @returns {Promise<Object|null>}
+   */
+  async getTemplate(orgId, userId, idOrName) {
+    if (!idOrName) return null;
+
+    const wanted = String(idOrName).toLowerCase();
+    const templates = (await this.listTemplates(orgId, userId)).reverse();
+    return templates.find(template => template.id === idOrName) ||
+      templates.find(template => template.name.toLowerCase() === wanted) ||
+      null;
+  }
+
+  /**
+   * Save a workflow as an organization template
+   *
+   * Saving under an existing name replaces that template.
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User saving the template
+   * @param {Object} template - { name, description, steps: [{ name, description, type, assignee, dayOffset }], sourceWorkflowId }
+   * @returns {Promise<Object>} - The saved template
+   */
+  async saveTemplate(orgId, userId, { name, description, steps, sourceWorkflowId = null }) {
+    if (!orgId || !userId) {
+      throw new Error('Organization and user are required to save templates');
+    }
+    if (!name) {
+      throw new Error('Templates need a name');
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Templates need at least one step');
+    }
+
+    const existing = await this.getOrgTemplates(orgId, userId);
+    const others = existing.filter(template => template.name.toLowerCase() !== name.toLowerCase());
+    if (others.length >= MAX_ORG_TEMPLATES) {
+      throw new Error(`Organizations can save up to ${MAX_ORG_TEMPLATES} templates`);
+    }
+
+    const template = {
+      id: `org-${slugify(name)}`,
+      name,
+      description: description || '',
+      category: 'Saved',
+      parameters: [],
+      steps: steps.map(step => ({
+        name: step.name,
+        description: step.description || '',
+        type: step.type || 'task',
+        assignee: step.assignee || 'Advisor',
+        dayOffset: Number.isFinite(step.dayOffset) ? step.dayOffset : 1
+      })),
+      sourceWorkflowId,
+      savedBy: userId,
+      savedAt: new Date().toISOString()
+    };
+
+    const store = getUnifiedStore({ orgId, userId });
+    await store.put([orgId, TEMPLATE_KIND], storeKey(TEMPLATE_KIND, orgId), {
+      text: JSON.stringify({ templates: [...others, template] }),
+      kind: TEMPLATE_KIND
+    }, { index: false });
+
+    console.log(`[WORKFLOW_TEMPLATES] Saved template "${name}" (${template.steps.length} steps) for org ${orgId}`);
+    return { ...template, source: 'org' };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton workflow template service
+ * @returns {WorkflowTemplateService}
+ */
+function getWorkflowTemplateService() {
+  if (!instance) {
+    instance = new WorkflowTemplateService();
+  }
+  return instance;
+}
+
+module.exports = {
+  WorkflowTemplateService,
+  getWorkflowTemplateService,
+  instantiateTemplate,
+  BUILT_IN_TEMPLATES
+};
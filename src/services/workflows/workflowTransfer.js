@@ -0,0 +1,98 @@
+/**
+ * Workflow Transfer Service
+ *
+ * Export of BSA workflows to JSON/YAML documents, and staging of uploaded
+ * documents for import.
+ *
+ * Uploaded documents are usually too long to paste into chat, so the side panel
+ * posts them to /api/agent/workflows/import first and the validated document
+ * is handed to the workflow agent as a staged handoff (core/state/stagedHandoff).
+ */
+
+const { StagedHandoff } = require('../../core/state/stagedHandoff');
+const { listWorkflows, getWorkflowSteps } = require('../../integrations/bsa/tools/workflows');
+const { buildWorkflowDocument, serializeWorkflowDocument } = require('../../utils/workflowDocument');
+
+const IMPORT_KIND = 'workflow_imports';
+const IMPORT_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+class WorkflowTransferService {
+  constructor() {
+    this.staged = new StagedHandoff(IMPORT_KIND, IMPORT_TTL_MS);
+  }
+
+  /**
+   * Export a BSA workflow as a document
+   *
+   * @param {string} workflowId - Workflow ID
+   * @param {string} passKey - BSA authentication key
+   * @param {string} orgId - Organization ID
+   * @param {string} format - 'json' or 'yaml'
+   * @returns {Promise<Object>} - { workflow, document, content }
+   * @throws {Error} - If the workflow doesn't exist
+   */
+  async exportWorkflow(workflowId, passKey, orgId, format = 'json') {
+    const { workflows } = await listWorkflows(passKey, orgId);
+    const workflow = workflows.find(item => String(item.id) === String(workflowId));
+    if (!workflow) {
+      throw new Error(`Workflow ${workflowId} not found`);
+    }
+
+    const { steps } = await getWorkflowSteps(workflowId, passKey, orgId);
+    const document = buildWorkflowDocument(workflow, steps);
+
+    console.log(`[WORKFLOW_TRANSFER] Exported "${workflow.name}" (${steps.length} steps) as ${format}`);
+    return { workflow, document, content: serializeWorkflowDocument(document, format) };
+  }
+
+  /**
+   * Stage a validated document for import, replacing any earlier upload
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {Object} document - Validated workflow document
+   * @returns {Promise<void>}
+   */
+  async stageImport(orgId, userId, document) {
+    if (!orgId || !userId) {
+      throw new Error('Organization and user are required to import workflows');
+    }
+
+    await this.staged.stage(orgId, userId, document);
+
+    console.log(`[WORKFLOW_TRANSFER] Staged import of "${document.workflow?.name}" for user ${userId}`);
+  }
+
+  /**
+   * Take the staged document, if it hasn't expired
+   *
+   * The staged copy is removed; once picked up, the design lives in the
+   * approval state until the user approves or rejects it.
+   *
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - The workflow document or null
+   */
+  async takeStagedImport(orgId, userId) {
+    return this.staged.take(orgId, userId);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton workflow transfer service
+ * @returns {WorkflowTransferService}
+ */
+function getWorkflowTransferService() {
+  if (!instance) {
+    instance = new WorkflowTransferService();
+  }
+  return instance;
+}
+
+module.exports = {
+  WorkflowTransferService,
+  getWorkflowTransferService
+};
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  findFreeSlots,
+  getBusyIntervals,
+  mergeIntervals,
+  buildWorkingHours
+} = require('../availability');
+
+const PAST = new Date('2026-01-01T00:00:00Z');
+const starts = (slots) => slots.map(slot => slot.startTime);
+
+test('reads busy intervals from flat and wrapped activities', () => {
+  const intervals = getBusyIntervals([
+    { StartTime: '2026-03-02T10:00:00Z', EndTime: '2026-03-02T11:00:00Z', Subject: 'Standup' },
+    { Activity: { startTime: '2026-03-02T13:00:00Z', endTime: '2026-03-02T14:00:00Z' } },
+    { StartTime: 'not a date', EndTime: '2026-03-02T11:00:00Z' },
+    { StartTime: '2026-03-02T12:00:00Z', EndTime: '2026-03-02T12:00:00Z' }
+  ]);
+
+  assert.strictEqual(intervals.length, 2);
+  assert.strictEqual(intervals[0].subject, 'Standup');
+  assert.strictEqual(intervals[1].start.toISOString(), '2026-03-02T13:00:00.000Z');
+});
+
+test('merges overlapping and touching intervals', () => {
+  const at = (hour) => new Date(`2026-03-02T${String(hour).padStart(2, '0')}:00:00Z`);
+  const merged = mergeIntervals([
+    { start: at(13), end: at(14) },
+    { start: at(9), end: at(11) },
+    { start: at(10), end: at(12) },
+    { start: at(12), end: at(13) },
+    { start: at(15), end: at(16) }
+  ]);
+
+  assert.deepStrictEqual(merged, [{ start: at(9), end: at(14) }, { start: at(15), end: at(16) }]);
+});
+
+test('builds working hours for the given weekdays', () => {
+  const hours = buildWorkingHours('08:00', '12:00', [1, 3]);
+  assert.deepStrictEqual(hours[1], { start: '08:00', end: '12:00' });
+  assert.strictEqual(hours[2], null);
+  assert.strictEqual(hours[0], null);
+});
+
+test('offers slots around busy time within working hours', () => {
+  const slots = findFreeSlots({
+    busy: [{ start: '2026-03-02T10:00:00Z', end: '2026-03-02T11:00:00Z' }],
+    rangeStart: '2026-03-02', // Monday
+    durationMinutes: 60,
+    now: PAST
+  });
+
+  assert.deepStrictEqual(starts(slots), [
+    '2026-03-02T09:00:00.000Z',
+    '2026-03-02T11:00:00.000Z',
+    '2026-03-02T12:00:00.000Z',
+    '2026-03-02T13:00:00.000Z',
+    '2026-03-02T14:00:00.000Z'
+  ]);
+  assert.strictEqual(slots[0].endTime, '2026-03-02T10:00:00.000Z');
+});
+
+test('keeps the buffer around meetings and aligns starts to the step', () => {
+  const slots = findFreeSlots({
+    busy: [{ start: '2026-03-02T10:00:00Z', end: '2026-03-02T11:00:00Z' }],
+    rangeStart: '2026-03-02',
+    durationMinutes: 60,
+    bufferMinutes: 15,
+    limit: 2,
+    now: PAST
+  });
+
+  // 9:00-9:45 is too short once the buffer is kept
+  assert.deepStrictEqual(starts(slots), ['2026-03-02T11:15:00.000Z', '2026-03-02T12:15:00.000Z']);
+});
+
+test('spreads slots across days and skips weekends and blocked days', () => {
+  const slots = findFreeSlots({
+    rangeStart: '2026-03-06', // Friday
+    rangeEnd: '2026-03-10', // Tuesday
+    durationMinutes: 30,
+    blockedDays: ['2026-03-09'],
+    limit: 2,
+    now: PAST
+  });
+
+  assert.deepStrictEqual(starts(slots), ['2026-03-06T09:00:00.000Z', '2026-03-10T09:00:00.000Z']);
+});
+
+test('uses working hours in the user timezone and skips the past', () => {
+  const slots = findFreeSlots({
+    rangeStart: '2026-03-02',
+    durationMinutes: 60,
+    timezone: 'America/New_York',
+    limit: 1,
+    now: new Date('2026-03-02T15:10:00Z') // 10:10 AM in New York
+  });
+
+  assert.deepStrictEqual(starts(slots), ['2026-03-02T15:15:00.000Z']);
+});
+
+test('requires a positive duration', () => {
+  assert.throws(() => findFreeSlots({ rangeStart: '2026-03-02', durationMinutes: 0 }), /Meeting duration must be positive/);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseRRule,
+  expandRecurrence,
+  describeRecurrence,
+  findOccurrenceConflicts,
+  DEFAULT_OCCURRENCES,
+  MAX_OCCURRENCES
+} = require('../recurrence');
+
+const starts = (occurrences) => occurrences.map(occurrence => occurrence.startTime);
+
+test('parses rules with or without the RRULE: prefix', () => {
+  const parsed = parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO,-1FR;COUNT=4');
+
+  assert.strictEqual(parsed.freq, 'MONTHLY');
+  assert.strictEqual(parsed.interval, 2);
+  assert.strictEqual(parsed.count, 4);
+  assert.deepStrictEqual(parsed.byDay, [{ weekday: 1, ordinal: 1 }, { weekday: 5, ordinal: -1 }]);
+
+  const until = parseRRule('freq=daily;until=20261231');
+  assert.strictEqual(until.until.toISOString(), '2026-12-31T23:59:59.000Z');
+});
+
+test('rejects malformed and unsupported rules', () => {
+  assert.throws(() => parseRRule(''), /Recurrence rule is required/);
+  assert.throws(() => parseRRule('FREQ=HOURLY'), /Unsupported recurrence frequency: HOURLY/);
+  assert.throws(() => parseRRule('FREQ=DAILY;INTERVAL=0'), /Invalid recurrence interval/);
+  assert.throws(() => parseRRule('FREQ=WEEKLY;BYDAY=XX'), /Invalid recurrence weekday: XX/);
+  assert.throws(() => parseRRule('FREQ=MONTHLY;BYMONTHDAY=32'), /Invalid recurrence month day: 32/);
+  assert.throws(() => parseRRule('FREQ=DAILY;UNTIL=tomorrow'), /Invalid recurrence end date/);
+});
+
+test('weekly occurrences keep their wall-clock time across DST', () => {
+  const occurrences = expandRecurrence(
+    'FREQ=WEEKLY;COUNT=3',
+    '2026-03-02T15:00:00Z', // Monday 10:00 AM in New York (EST)
+    '2026-03-02T15:30:00Z',
+    'America/New_York'
+  );
+
+  // Clocks go forward on March 8, so 10:00 AM is 14:00 UTC afterwards
+  assert.deepStrictEqual(starts(occurrences), [
+    '2026-03-02T15:00:00.000Z',
+    '2026-03-09T14:00:00.000Z',
+    '2026-03-16T14:00:00.000Z'
+  ]);
+  assert.strictEqual(occurrences[1].endTime, '2026-03-09T14:30:00.000Z');
+});
+
+test('weekly BYDAY skips days before the first occurrence', () => {
+  // Wednesday start: that week's Monday is already past
+  const occurrences = expandRecurrence('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3', '2026-03-04T09:00:00Z', '2026-03-04T10:00:00Z');
+  assert.deepStrictEqual(starts(occurrences), [
+    '2026-03-04T09:00:00.000Z',
+    '2026-03-09T09:00:00.000Z',
+    '2026-03-11T09:00:00.000Z'
+  ]);
+});
+
+test('monthly rules handle nth and last weekdays and short months', () => {
+  const lastFriday = expandRecurrence('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2', '2026-01-30T12:00:00Z', '2026-01-30T13:00:00Z');
+  assert.deepStrictEqual(starts(lastFriday), ['2026-01-30T12:00:00.000Z', '2026-02-27T12:00:00.000Z']);
+
+  // The 31st only exists in some months
+  const thirtyFirst = expandRecurrence('FREQ=MONTHLY;COUNT=3', '2026-01-31T12:00:00Z', '2026-01-31T13:00:00Z');
+  assert.deepStrictEqual(starts(thirtyFirst), [
+    '2026-01-31T12:00:00.000Z',
+    '2026-03-31T12:00:00.000Z',
+    '2026-05-31T12:00:00.000Z'
+  ]);
+});
+
+test('monthly BYDAY without an ordinal means every matching weekday', () => {
+  const mondays = expandRecurrence('FREQ=MONTHLY;BYDAY=MO;COUNT=6', '2026-11-02T15:00:00Z', '2026-11-02T16:00:00Z');
+  assert.deepStrictEqual(starts(mondays), [
+    '2026-11-02T15:00:00.000Z',
+    '2026-11-09T15:00:00.000Z',
+    '2026-11-16T15:00:00.000Z',
+    '2026-11-23T15:00:00.000Z',
+    '2026-11-30T15:00:00.000Z',
+    '2026-12-07T15:00:00.000Z'
+  ]);
+
+  // The first Monday is named twice but happens once
+  const mixed = expandRecurrence('FREQ=MONTHLY;BYDAY=MO,1MO;COUNT=2', '2026-11-02T15:00:00Z', '2026-11-02T16:00:00Z');
+  assert.deepStrictEqual(starts(mixed), ['2026-11-02T15:00:00.000Z', '2026-11-09T15:00:00.000Z']);
+});
+
+test('UNTIL ends the series and open-ended rules are capped', () => {
+  const untilOccurrences = expandRecurrence('FREQ=DAILY;UNTIL=20260305', '2026-03-01T09:00:00Z', '2026-03-01T10:00:00Z');
+  assert.strictEqual(untilOccurrences.length, 5);
+
+  const openEnded = expandRecurrence('FREQ=DAILY', '2026-03-01T09:00:00Z', '2026-03-01T10:00:00Z');
+  assert.strictEqual(openEnded.length, DEFAULT_OCCURRENCES);
+
+  const tooMany = expandRecurrence('FREQ=DAILY;COUNT=500', '2026-03-01T09:00:00Z', '2026-03-01T10:00:00Z');
+  assert.strictEqual(tooMany.length, MAX_OCCURRENCES);
+});
+
+test('describes rules in plain English', () => {
+  assert.strictEqual(describeRecurrence('FREQ=WEEKLY;BYDAY=TU;COUNT=6'), 'Every Tuesday, 6 times');
+  assert.strictEqual(describeRecurrence('FREQ=MONTHLY;BYDAY=1MO'), `Monthly on the first Monday (first ${DEFAULT_OCCURRENCES} occurrences)`);
+  assert.strictEqual(describeRecurrence('FREQ=MONTHLY;BYDAY=MO;COUNT=8'), 'Every Monday, 8 times');
+  assert.strictEqual(describeRecurrence('FREQ=MONTHLY;BYDAY=1MO,FR;COUNT=8'), 'Monthly on the first Monday, every Friday, 8 times');
+  assert.strictEqual(describeRecurrence('FREQ=DAILY;INTERVAL=2;UNTIL=20261231', 'UTC'), 'Every 2 days until Dec 31, 2026');
+});
+
+test('finds existing appointments overlapping occurrences', () => {
+  const occurrences = [
+    { startTime: '2026-03-02T15:00:00Z', endTime: '2026-03-02T16:00:00Z' },
+    { startTime: '2026-03-09T15:00:00Z', endTime: '2026-03-09T16:00:00Z' }
+  ];
+  const appointments = [
+    { Id: 'a1', StartTime: '2026-03-09T15:30:00Z', EndTime: '2026-03-09T17:00:00Z' },
+    // Back to back is not a conflict
+    { Id: 'a2', StartTime: '2026-03-02T16:00:00Z', EndTime: '2026-03-02T17:00:00Z' }
+  ];
+
+  const conflicts = findOccurrenceConflicts(occurrences, appointments);
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].occurrence, occurrences[1]);
+  assert.deepStrictEqual(conflicts[0].conflicts.map(appt => appt.Id), ['a1']);
+});
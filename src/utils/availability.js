@@ -0,0 +1,219 @@
+/**
+ * Availability Utilities
+ *
+ * Computes free meeting slots from busy intervals in the user's timezone.
+ * Used by the calendar agent to find times when several team members are
+ * all free ("find 45 minutes next week when Sarah, Mike and I are free").
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Working hours keyed by weekday (0 = Sunday); null means the day is skipped
+const DEFAULT_WORKING_HOURS = {
+  0: null,
+  1: { start: '09:00', end: '17:00' },
+  2: { start: '09:00', end: '17:00' },
+  3: { start: '09:00', end: '17:00' },
+  4: { start: '09:00', end: '17:00' },
+  5: { start: '09:00', end: '17:00' },
+  6: null
+};
+
+const DEFAULT_SLOT_LIMIT = 5;
+const DEFAULT_STEP_MINUTES = 15;
+// Guard against runaway ranges ("find time this year")
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Build working hours for every weekday from a single daily window
+ *
+ * @param {string} start - Window start as HH:mm
+ * @param {string} end - Window end as HH:mm
+ * @param {Array<number>} weekdays - Weekdays to include (0 = Sunday)
+ * @returns {Object} - Working hours keyed by weekday
+ */
+function buildWorkingHours(start, end, weekdays = [1, 2, 3, 4, 5]) {
+  const hours = {};
+  for (let day = 0; day < 7; day++) {
+    hours[day] = weekdays.includes(day) ? { start, end } : null;
+  }
+  return hours;
+}
+
+/**
+ * Extract busy intervals from BSA activities
+ *
+ * getActivities returns items either flat or wrapped as { Activity, Attendees }.
+ *
+ * @param {Array<Object>} activities - BSA appointments
+ * @returns {Array<Object>} - [{ start, end, subject }] as Date objects
+ */
+function getBusyIntervals(activities = []) {
+  const intervals = [];
+
+  for (const item of activities) {
+    const activity = item?.Activity || item;
+    const start = new Date(activity?.StartTime || activity?.startTime);
+    const end = new Date(activity?.EndTime || activity?.endTime);
+
+    if (isNaN(start) || isNaN(end) || end <= start) continue;
+
+    intervals.push({ start, end, subject: activity.Subject || activity.subject || null });
+  }
+
+  return intervals;
+}
+
+/**
+ * Merge overlapping or touching intervals
+ *
+ * @param {Array<Object>} intervals - [{ start, end }] as Date objects
+ * @returns {Array<Object>} - Sorted, non-overlapping intervals
+ */
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Round a time up to the next step boundary in the given timezone
+ * @private
+ */
+function alignToStep(time, stepMinutes) {
+  const minutes = time.hour() * 60 + time.minute();
+  const aligned = Math.ceil((minutes + (time.second() > 0 || time.millisecond() > 0 ? 1 : 0)) / stepMinutes) * stepMinutes;
+  return time.startOf('day').add(aligned, 'minute');
+}
+
+/**
+ * Find free slots in a date range that avoid every busy interval
+ *
+ * Busy intervals from all participants are merged, so a slot is only offered
+ * when everyone is free. Candidates are spread across days so the top results
+ * aren't all on the first morning of the range.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.busy - [{ start, end }] busy intervals (Date or ISO)
+ * @param {string} options.rangeStart - First local date (YYYY-MM-DD)
+ * @param {string} options.rangeEnd - Last local date (YYYY-MM-DD), inclusive
+ * @param {number} options.durationMinutes - Meeting length
+ * @param {string} options.timezone - User's timezone (e.g., 'America/New_York')
+ * @param {Object} options.workingHours - Working hours keyed by weekday
+ * @param {number} options.bufferMinutes - Gap to keep around existing meetings
+ * @param {Array} options.blockedDays - Weekdays (0 = Sunday) or YYYY-MM-DD dates to skip
+ * @param {number} options.stepMinutes - Slot start alignment
+ * @param {number} options.limit - Maximum number of slots to return
+ * @param {Date} options.now - Slots before this time are skipped
+ * @returns {Array<Object>} - [{ startTime, endTime }] as ISO timestamps, chronological
+ */
+function findFreeSlots({
+  busy = [],
+  rangeStart,
+  rangeEnd,
+  durationMinutes,
+  timezone: userTimezone = 'UTC',
+  workingHours = DEFAULT_WORKING_HOURS,
+  bufferMinutes = 0,
+  blockedDays = [],
+  stepMinutes = DEFAULT_STEP_MINUTES,
+  limit = DEFAULT_SLOT_LIMIT,
+  now = new Date()
+}) {
+  if (!durationMinutes || durationMinutes <= 0) {
+    throw new Error('Meeting duration must be positive');
+  }
+
+  const firstDay = dayjs.tz(rangeStart, userTimezone).startOf('day');
+  const lastDay = dayjs.tz(rangeEnd || rangeStart, userTimezone).startOf('day');
+  const dayCount = Math.min(lastDay.diff(firstDay, 'day') + 1, MAX_RANGE_DAYS);
+
+  const blocked = mergeIntervals(busy.map(interval => ({
+    start: new Date(new Date(interval.start).getTime() - bufferMinutes * 60000),
+    end: new Date(new Date(interval.end).getTime() + bufferMinutes * 60000)
+  })));
+
+  // Candidate slots grouped per day, in chronological order
+  const perDay = [];
+
+  for (let offset = 0; offset < dayCount; offset++) {
+    const day = firstDay.add(offset, 'day');
+    const hours = workingHours[day.day()];
+    const date = day.format('YYYY-MM-DD');
+    if (!hours || blockedDays.includes(day.day()) || blockedDays.includes(date)) continue;
+
+    const windowStart = dayjs.tz(`${date} ${hours.start}`, userTimezone);
+    const windowEnd = dayjs.tz(`${date} ${hours.end}`, userTimezone);
+    if (!windowEnd.isAfter(windowStart)) continue;
+
+    let cursor = windowStart.isBefore(now) ? dayjs(now).tz(userTimezone) : windowStart;
+    const candidates = [];
+    const addGap = (gapStart, gapEnd) => {
+      // Offer several starts per gap, spaced at least an hour apart
+      const spacing = Math.max(durationMinutes, 60);
+      let slotStart = alignToStep(gapStart, stepMinutes);
+      while (!slotStart.add(durationMinutes, 'minute').isAfter(gapEnd)) {
+        candidates.push(slotStart);
+        slotStart = slotStart.add(spacing, 'minute');
+      }
+    };
+
+    for (const interval of blocked) {
+      if (interval.end <= cursor.toDate()) continue;
+      if (interval.start >= windowEnd.toDate()) break;
+
+      addGap(cursor, dayjs(interval.start).tz(userTimezone));
+
+      const resume = dayjs(interval.end).tz(userTimezone);
+      if (resume.isAfter(cursor)) cursor = resume;
+    }
+
+    addGap(cursor, windowEnd);
+
+    if (candidates.length > 0) perDay.push(candidates);
+  }
+
+  // Round-robin across days: first free slot of each day, then the second, ...
+  const picked = [];
+  for (let round = 0; picked.length < limit; round++) {
+    let added = false;
+    for (const candidates of perDay) {
+      if (round < candidates.length && picked.length < limit) {
+        picked.push(candidates[round]);
+        added = true;
+      }
+    }
+    if (!added) break;
+  }
+
+  return picked
+    .sort((a, b) => a.valueOf() - b.valueOf())
+    .map(start => ({
+      startTime: start.toISOString(),
+      endTime: start.add(durationMinutes, 'minute').toISOString()
+    }));
+}
+
+module.exports = {
+  findFreeSlots,
+  getBusyIntervals,
+  mergeIntervals,
+  buildWorkingHours,
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_SLOT_LIMIT
+};
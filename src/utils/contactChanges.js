@@ -0,0 +1,188 @@
+/**
+ * Contact Change Utilities
+ *
+ * Field-by-field comparison of contact data for the contact agent's create and
+ * update flows, duplicate matching before a create, and the approval preview
+ * shown to the user (old value -> new value for every field that changes).
+ *
+ * Field keys are the ones createContact/updateContact in
+ * src/integrations/bsa/tools/contacts.js accept.
+ */
+
+const CONTACT_FIELDS = [
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName', label: 'Last name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'mobile', label: 'Mobile' },
+  { key: 'company', label: 'Company' },
+  { key: 'title', label: 'Title' },
+  { key: 'department', label: 'Department' },
+  { key: 'address', label: 'Address' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'postalCode', label: 'Postal code' },
+  { key: 'country', label: 'Country' },
+  { key: 'notes', label: 'Notes' }
+];
+
+const FIELD_KEYS = CONTACT_FIELDS.map(field => field.key);
+
+/**
+ * Keep only known contact fields with a value, trimmed
+ * @param {Object} fields - Raw fields (e.g. from the LLM)
+ * @returns {Object} - Clean fields
+ */
+function pickContactFields(fields = {}) {
+  const picked = {};
+  for (const key of FIELD_KEYS) {
+    const value = fields[key];
+    if (value === undefined || value === null) continue;
+    const text = String(value).trim();
+    if (text) picked[key] = text;
+  }
+  return picked;
+}
+
+/**
+ * Digits-only phone number, last 10 digits (ignores country code and formatting)
+ * @param {string} value - Phone number
+ * @returns {string}
+ */
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+/**
+ * Compare a field value, ignoring case for emails and formatting for phones
+ * @private
+ */
+function sameValue(key, a, b) {
+  const left = a === undefined || a === null ? '' : String(a).trim();
+  const right = b === undefined || b === null ? '' : String(b).trim();
+  if (key === 'email') return left.toLowerCase() === right.toLowerCase();
+  if (key === 'phone' || key === 'mobile') return normalizePhone(left) === normalizePhone(right);
+  return left === right;
+}
+
+/**
+ * List the fields that change when applying updates to a contact
+ *
+ * @param {Object} current - Current contact values ({} for a new contact)
+ * @param {Object} updates - Proposed values (only fields being set)
+ * @returns {Array<Object>} - [{ field, label, oldValue, newValue }] in CONTACT_FIELDS order
+ */
+function diffContactFields(current = {}, updates = {}) {
+  const proposed = pickContactFields(updates);
+
+  return CONTACT_FIELDS
+    .filter(({ key }) => proposed[key] !== undefined && !sameValue(key, current[key], proposed[key]))
+    .map(({ key, label }) => ({
+      field: key,
+      label,
+      oldValue: current[key] ? String(current[key]) : null,
+      newValue: proposed[key]
+    }));
+}
+
+/**
+ * Why an existing contact looks like the contact about to be created
+ *
+ * @param {Object} existing - Contact from searchContacts
+ * @param {Object} proposed - Fields of the new contact
+ * @returns {Array<string>} - Match reasons (empty when it's not a likely duplicate)
+ */
+function getDuplicateReasons(existing, proposed) {
+  const reasons = [];
+  const proposedName = `${proposed.firstName || ''} ${proposed.lastName || ''}`.trim().toLowerCase();
+  const existingName = (existing.name || `${existing.firstName || ''} ${existing.lastName || ''}`).trim().toLowerCase();
+
+  if (proposedName && existingName === proposedName) {
+    reasons.push('same name');
+  }
+  if (proposed.email && existing.email && sameValue('email', existing.email, proposed.email)) {
+    reasons.push('same email');
+  }
+
+  const proposedPhones = [proposed.phone, proposed.mobile].map(normalizePhone).filter(phone => phone.length >= 7);
+  const existingPhones = [existing.phone, existing.mobile].map(normalizePhone).filter(phone => phone.length >= 7);
+  if (proposedPhones.some(phone => existingPhones.includes(phone))) {
+    reasons.push('same phone number');
+  }
+
+  return reasons;
+}
+
+/**
+ * Display name for a set of contact fields
+ * @param {Object} fields - Contact fields
+ * @returns {string}
+ */
+function contactDisplayName(fields = {}) {
+  return `${fields.firstName || ''} ${fields.lastName || ''}`.trim() || fields.name || fields.email || 'New contact';
+}
+
+/**
+ * Build the approval preview for a proposed contact change
+ *
+ * Possible duplicates of a new contact are listed as warnings and offered as
+ * single-choice options: create anyway (default) or update the existing contact.
+ * A merge shows the changes to the kept contact and warns which contacts go away.
+ *
+ * @param {Object} change - { action: 'create'|'update'|'merge', contactName, changes, duplicates, mergedContacts }
+ * @returns {Object} - Preview for the approval UI
+ */
+function buildContactPreview(change) {
+  const isCreate = change.action === 'create';
+  const titles = {
+    create: `New contact: ${change.contactName}`,
+    update: `Update ${change.contactName}`,
+    merge: `Merge ${(change.mergedContacts?.length || 0) + 1} contacts into ${change.contactName}`
+  };
+  const preview = {
+    type: 'contact',
+    action: change.action,
+    title: titles[change.action],
+    subject: change.contactName,
+    details: change.changes.map(item => ({
+      label: item.label,
+      value: isCreate || !item.oldValue ? item.newValue : `${item.oldValue} → ${item.newValue}`
+    })),
+    changes: change.changes,
+    warnings: []
+  };
+
+  const duplicates = change.duplicates || [];
+  if (isCreate && duplicates.length > 0) {
+    preview.warnings = duplicates.map(duplicate =>
+      `Possible duplicate: ${duplicate.name}${duplicate.email ? ` (${duplicate.email})` : ''}${duplicate.company ? ` at ${duplicate.company}` : ''} - ${duplicate.reasons.join(', ')}`
+    );
+    preview.options = [
+      { id: 'create', label: `Create ${change.contactName} as a new contact` },
+      ...duplicates.map(duplicate => ({
+        id: `update:${duplicate.id}`,
+        label: `Update the existing ${duplicate.name}${duplicate.email ? ` (${duplicate.email})` : ''} instead`
+      }))
+    ];
+    preview.selectionType = 'single';
+  }
+
+  if (change.action === 'merge') {
+    preview.warnings = (change.mergedContacts || []).map(contact =>
+      `${contact.name}${contact.email ? ` (${contact.email})` : ''} will be deleted once its appointments and tasks are linked to the kept contact`
+    );
+  }
+
+  return preview;
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  pickContactFields,
+  diffContactFields,
+  getDuplicateReasons,
+  normalizePhone,
+  contactDisplayName,
+  buildContactPreview
+};
@@ -0,0 +1,312 @@
+/**
+ * Recurrence Rule Utilities
+ *
+ * Parses a subset of RFC 5545 RRULE strings and expands them into concrete
+ * occurrences in the user's timezone. BSA has no native recurrence support,
+ * so recurring appointments are written as one appointment per occurrence.
+ *
+ * Supported parts: FREQ (DAILY|WEEKLY|MONTHLY|YEARLY), INTERVAL, COUNT,
+ * UNTIL, BYDAY (with ordinals for MONTHLY, e.g. 1MO, -1FR) and BYMONTHDAY.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Open-ended rules ("every Tuesday") are capped so a single approval can't flood the calendar
+const DEFAULT_OCCURRENCES = 12;
+const MAX_OCCURRENCES = 52;
+
+/**
+ * Parse an RRULE string into a structured rule
+ *
+ * @param {string} rule - RRULE string (with or without "RRULE:" prefix)
+ * @returns {Object} - { freq, interval, count, until, byDay, byMonthDay, raw }
+ * @throws {Error} - If the rule is malformed or uses unsupported parts
+ */
+function parseRRule(rule) {
+  if (!rule || typeof rule !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const raw = rule.trim().replace(/^RRULE:/i, '');
+  const parts = {};
+
+  for (const segment of raw.split(';').filter(Boolean)) {
+    const [key, value] = segment.split('=');
+    if (!key || value === undefined) {
+      throw new Error(`Invalid recurrence rule segment: "${segment}"`);
+    }
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!SUPPORTED_FREQS.includes(freq)) {
+    throw new Error(`Unsupported recurrence frequency: ${freq || 'missing'}`);
+  }
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`Invalid recurrence interval: ${parts.INTERVAL}`);
+  }
+
+  let count = null;
+  if (parts.COUNT) {
+    count = parseInt(parts.COUNT, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid recurrence count: ${parts.COUNT}`);
+    }
+  }
+
+  let until = null;
+  if (parts.UNTIL) {
+    // Accept both 20251231 and 20251231T235959Z forms
+    const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    if (!match) {
+      throw new Error(`Invalid recurrence end date: ${parts.UNTIL}`);
+    }
+    const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+    until = dayjs.utc(`${y}-${m}-${d}T${hh}:${mm}:${ss}Z`);
+  }
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : []).map(token => {
+    const match = token.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match) {
+      throw new Error(`Invalid recurrence weekday: ${token}`);
+    }
+    return {
+      weekday: WEEKDAYS.indexOf(match[2]),
+      ordinal: match[1] ? parseInt(match[1], 10) : null
+    };
+  });
+
+  const byMonthDay = (parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',') : []).map(token => {
+    const day = parseInt(token, 10);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      throw new Error(`Invalid recurrence month day: ${token}`);
+    }
+    return day;
+  });
+
+  return { freq, interval, count, until, byDay, byMonthDay, raw };
+}
+
+/**
+ * Find the date of the nth weekday in a month (ordinal -1 = last)
+ * @private
+ */
+function nthWeekdayOfMonth(monthStart, weekday, ordinal) {
+  if (ordinal > 0) {
+    const offset = (weekday - monthStart.day() + 7) % 7;
+    const date = monthStart.add(offset + (ordinal - 1) * 7, 'day');
+    return date.month() === monthStart.month() ? date : null;
+  }
+
+  const monthEnd = monthStart.endOf('month').startOf('day');
+  const offset = (monthEnd.day() - weekday + 7) % 7;
+  const date = monthEnd.subtract(offset + (Math.abs(ordinal) - 1) * 7, 'day');
+  return date.month() === monthStart.month() ? date : null;
+}
+
+/**
+ * Every date in a month falling on a weekday (BYDAY without an ordinal)
+ * @private
+ */
+function allWeekdaysOfMonth(monthStart, weekday) {
+  const dates = [];
+  for (let date = nthWeekdayOfMonth(monthStart, weekday, 1); date && date.month() === monthStart.month(); date = date.add(1, 'week')) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Candidate local dates (YYYY-MM-DD) for the nth period of a rule
+ * @private
+ */
+function datesForPeriod(parsed, anchor, periodIndex) {
+  const step = periodIndex * parsed.interval;
+
+  switch (parsed.freq) {
+    case 'DAILY':
+      return [anchor.add(step, 'day')];
+
+    case 'WEEKLY': {
+      // Weeks start on Monday (RRULE default WKST=MO)
+      const weekStart = anchor.subtract((anchor.day() + 6) % 7, 'day').add(step, 'week');
+      const weekdays = parsed.byDay.length > 0
+        ? parsed.byDay.map(d => d.weekday)
+        : [anchor.day()];
+      return [...new Set(weekdays)]
+        .map(weekday => weekStart.add((weekday + 6) % 7, 'day'))
+        .sort((a, b) => a.valueOf() - b.valueOf());
+    }
+
+    case 'MONTHLY': {
+      const monthStart = anchor.startOf('month').add(step, 'month');
+      let dates;
+      if (parsed.byDay.length > 0) {
+        // Without an ordinal BYDAY=MO means every Monday of the month (RFC 5545)
+        dates = parsed.byDay.flatMap(d => d.ordinal
+          ? [nthWeekdayOfMonth(monthStart, d.weekday, d.ordinal)]
+          : allWeekdaysOfMonth(monthStart, d.weekday));
+      } else {
+        const days = parsed.byMonthDay.length > 0 ? parsed.byMonthDay : [anchor.date()];
+        dates = days.map(day => day <= monthStart.daysInMonth() ? monthStart.date(day) : null);
+      }
+      // BYDAY=MO,1MO names the first Monday twice
+      const unique = new Map(dates.filter(Boolean).map(date => [date.valueOf(), date]));
+      return [...unique.values()].sort((a, b) => a.valueOf() - b.valueOf());
+    }
+
+    case 'YEARLY': {
+      const date = anchor.add(step, 'year');
+      // Skip Feb 29 in non-leap years rather than rolling to Feb 28
+      return date.date() === anchor.date() ? [date] : [];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Expand a recurrence rule into concrete occurrences
+ *
+ * Occurrences keep the wall-clock time of the first appointment in the user's
+ * timezone, so a 10 AM meeting stays at 10 AM across DST changes.
+ *
+ * @param {string} rule - RRULE string
+ * @param {string} startTime - ISO timestamp of the first occurrence start
+ * @param {string} endTime - ISO timestamp of the first occurrence end
+ * @param {string} userTimezone - User's timezone (e.g., 'America/New_York')
+ * @param {Object} options - { maxOccurrences }
+ * @returns {Array<Object>} - [{ startTime, endTime }] as ISO timestamps
+ */
+function expandRecurrence(rule, startTime, endTime, userTimezone = 'UTC', options = {}) {
+  const parsed = parseRRule(rule);
+  const maxOccurrences = Math.min(options.maxOccurrences || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const limit = Math.min(
+    parsed.count || (parsed.until ? maxOccurrences : DEFAULT_OCCURRENCES),
+    maxOccurrences
+  );
+
+  const start = dayjs(startTime).tz(userTimezone);
+  const durationMs = dayjs(endTime).diff(dayjs(startTime));
+  const anchor = start.startOf('day');
+  const timeOfDay = start.format('HH:mm:ss');
+
+  const occurrences = [];
+  // Guard against rules that never match (e.g. BYMONTHDAY=31 with INTERVAL=2 from February)
+  for (let period = 0; period < 1000 && occurrences.length < limit; period++) {
+    const dates = datesForPeriod(parsed, anchor, period);
+
+    for (const date of dates) {
+      const occurrenceStart = dayjs.tz(`${date.format('YYYY-MM-DD')} ${timeOfDay}`, userTimezone);
+
+      if (occurrenceStart.isBefore(start)) continue;
+      if (parsed.until && occurrenceStart.isAfter(parsed.until)) {
+        return occurrences;
+      }
+
+      occurrences.push({
+        startTime: occurrenceStart.toISOString(),
+        endTime: occurrenceStart.add(durationMs, 'millisecond').toISOString()
+      });
+
+      if (occurrences.length >= limit) break;
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Describe a recurrence rule in plain English for previews
+ *
+ * @param {string} rule - RRULE string
+ * @param {string} userTimezone - Timezone used to format the end date
+ * @returns {string} - e.g. "Every Tuesday, 6 times" or "Monthly on the first Monday"
+ */
+function describeRecurrence(rule, userTimezone = 'UTC') {
+  const parsed = parseRRule(rule);
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[parsed.freq];
+
+  let description;
+  if (parsed.freq === 'WEEKLY' && parsed.byDay.length > 0) {
+    const days = parsed.byDay.map(d => WEEKDAY_NAMES[d.weekday]).join(', ');
+    description = parsed.interval > 1 ? `Every ${parsed.interval} weeks on ${days}` : `Every ${days}`;
+  } else if (parsed.freq === 'MONTHLY' && parsed.byDay.length > 0) {
+    const days = parsed.byDay
+      .map(d => d.ordinal
+        ? `the ${ORDINAL_NAMES[d.ordinal] || `#${d.ordinal}`} ${WEEKDAY_NAMES[d.weekday]}`
+        : `every ${WEEKDAY_NAMES[d.weekday]}`)
+      .join(', ');
+    if (parsed.interval > 1) {
+      description = `Every ${parsed.interval} months on ${days}`;
+    } else if (parsed.byDay.every(d => !d.ordinal)) {
+      description = days.charAt(0).toUpperCase() + days.slice(1);
+    } else {
+      description = `Monthly on ${days}`;
+    }
+  } else if (parsed.freq === 'MONTHLY' && parsed.byMonthDay.length > 0) {
+    description = `${parsed.interval > 1 ? `Every ${parsed.interval} months` : 'Monthly'} on day ${parsed.byMonthDay.join(', ')}`;
+  } else {
+    description = parsed.interval > 1 ? `Every ${parsed.interval} ${unit}s` : `Every ${unit}`;
+  }
+
+  if (parsed.count) {
+    description += `, ${parsed.count} time${parsed.count === 1 ? '' : 's'}`;
+  } else if (parsed.until) {
+    description += ` until ${parsed.until.tz(userTimezone).format('MMM D, YYYY')}`;
+  } else {
+    description += ` (first ${DEFAULT_OCCURRENCES} occurrences)`;
+  }
+
+  return description;
+}
+
+/**
+ * Match occurrences against existing appointments and collect overlaps
+ *
+ * @param {Array<Object>} occurrences - [{ startTime, endTime }]
+ * @param {Array<Object>} appointments - BSA appointments (StartTime/EndTime)
+ * @returns {Array<Object>} - [{ occurrence, conflicts: [appointment] }] for occurrences with overlaps
+ */
+function findOccurrenceConflicts(occurrences, appointments = []) {
+  const results = [];
+
+  for (const occurrence of occurrences) {
+    const newStart = new Date(occurrence.startTime);
+    const newEnd = new Date(occurrence.endTime);
+
+    const conflicts = appointments.filter(appt => {
+      const existingStart = new Date(appt.StartTime || appt.startTime);
+      const existingEnd = new Date(appt.EndTime || appt.endTime);
+      return newStart < existingEnd && newEnd > existingStart;
+    });
+
+    if (conflicts.length > 0) {
+      results.push({ occurrence, conflicts });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  parseRRule,
+  expandRecurrence,
+  describeRecurrence,
+  findOccurrenceConflicts,
+  DEFAULT_OCCURRENCES,
+  MAX_OCCURRENCES
+};
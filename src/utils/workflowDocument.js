@@ -0,0 +1,210 @@
+/**
+ * Workflow Document Utilities
+ *
+ * Portable JSON/YAML representation of a BSA workflow, used to move workflows
+ * between organizations or keep them under version control. The schema is
+ * documented in docs/api/workflow-document-schema.md:
+ *
+ *   version: 1
+ *   kind: workflow
+ *   workflow:
+ *     name: Client Onboarding
+ *     description: ...
+ *     steps:
+ *       - name: Send welcome packet
+ *         description: ...
+ *         type: task            # task | appointment
+ *         assignee: Assistant   # Advisor | Assistant
+ *         dayOffset: 1          # days this step takes before the next one appears
+ */
+
+const YAML = require('yaml');
+const { MAX_WORKFLOW_STEPS } = require('./workflowEdit');
+
+const DOCUMENT_VERSION = 1;
+const DOCUMENT_KIND = 'workflow';
+const STEP_TYPES = ['task', 'appointment'];
+const ASSIGNEES = ['advisor', 'assistant'];
+
+/**
+ * Validate a workflow design ({ name, steps: [{ name, type }] })
+ *
+ * These are the rules WorkflowSubgraph.validateWorkflow applies to generated
+ * workflows; imports are checked with the same rules.
+ *
+ * @param {Object} design - Workflow design
+ * @param {number} maxSteps - Maximum number of steps (BSA limit)
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+function validateWorkflowDesign(design, maxSteps = MAX_WORKFLOW_STEPS) {
+  const errors = [];
+
+  // Check step count
+  if (!design.steps || design.steps.length === 0) {
+    errors.push("Workflow must have at least one step");
+  } else if (design.steps.length > maxSteps) {
+    errors.push(`Workflow exceeds maximum of ${maxSteps} steps`);
+  }
+
+  // Validate each step
+  design.steps?.forEach((step, index) => {
+    if (!step.name) {
+      errors.push(`Step ${index + 1} is missing a name`);
+    }
+    if (!step.type || !STEP_TYPES.includes(String(step.type).toLowerCase())) {
+      errors.push(`Step ${index + 1} has invalid type: ${step.type}. Must be 'task' or 'appointment'`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build a workflow document from BSA data
+ *
+ * @param {Object} workflow - { name, description } from listWorkflows
+ * @param {Array<Object>} steps - Steps from getWorkflowSteps, in order
+ * @returns {Object} - Workflow document
+ */
+function buildWorkflowDocument(workflow, steps) {
+  return {
+    version: DOCUMENT_VERSION,
+    kind: DOCUMENT_KIND,
+    exportedAt: new Date().toISOString(),
+    workflow: {
+      name: workflow.name,
+      description: workflow.description || '',
+      steps: [...steps]
+        .sort((a, b) => (a.sequence ?? 0) - (b.sequence ?? 0))
+        .map(step => ({
+          name: step.subject,
+          description: step.description || '',
+          type: step.activityType === 'Appointment' ? 'appointment' : 'task',
+          assignee: step.assigneeType === 'ContactsOwnersAssistant' ? 'Assistant' : 'Advisor',
+          dayOffset: typeof step.dayOffset === 'number' ? step.dayOffset : 1
+        }))
+    }
+  };
+}
+
+/**
+ * Serialize a workflow document
+ * @param {Object} document - Workflow document
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string}
+ */
+function serializeWorkflowDocument(document, format = 'json') {
+  return format === 'yaml'
+    ? YAML.stringify(document)
+    : JSON.stringify(document, null, 2);
+}
+
+/**
+ * Parse a JSON or YAML workflow document
+ *
+ * @param {string} text - Document text
+ * @param {string} format - 'json', 'yaml', or omitted to detect from the content
+ * @returns {Object} - Parsed document
+ * @throws {Error} - If the text isn't valid JSON/YAML
+ */
+function parseWorkflowDocument(text, format = null) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Workflow document is empty');
+  }
+
+  const trimmed = text.trim();
+  const detected = format || (trimmed.startsWith('{') ? 'json' : 'yaml');
+
+  try {
+    const parsed = detected === 'json' ? JSON.parse(trimmed) : YAML.parse(trimmed);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected an object at the top level');
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid ${detected.toUpperCase()} workflow document: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a parsed workflow document against the schema and workflow rules
+ *
+ * @param {Object} document - Parsed document
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+function validateWorkflowDocument(document) {
+  const errors = [];
+
+  if (document.version !== DOCUMENT_VERSION) {
+    errors.push(`Unsupported document version: ${document.version ?? 'missing'} (expected ${DOCUMENT_VERSION})`);
+  }
+  if (document.kind !== DOCUMENT_KIND) {
+    errors.push(`Unsupported document kind: ${document.kind ?? 'missing'} (expected "${DOCUMENT_KIND}")`);
+  }
+
+  const workflow = document.workflow;
+  if (!workflow || typeof workflow !== 'object') {
+    errors.push('Document is missing the "workflow" section');
+    return errors;
+  }
+
+  if (!workflow.name || typeof workflow.name !== 'string') {
+    errors.push('Workflow name is required');
+  }
+  if (workflow.steps !== undefined && !Array.isArray(workflow.steps)) {
+    errors.push('Workflow steps must be a list');
+    return errors;
+  }
+
+  (workflow.steps || []).forEach((step, index) => {
+    if (!step || typeof step !== 'object') {
+      errors.push(`Step ${index + 1} must be an object`);
+      return;
+    }
+    if (step.assignee !== undefined && !ASSIGNEES.includes(String(step.assignee).toLowerCase())) {
+      errors.push(`Step ${index + 1} has invalid assignee: ${step.assignee}. Must be 'Advisor' or 'Assistant'`);
+    }
+    if (step.dayOffset !== undefined && !(Number.isInteger(step.dayOffset) && step.dayOffset >= 0)) {
+      errors.push(`Step ${index + 1} has invalid dayOffset: ${step.dayOffset}. Must be a whole number of days`);
+    }
+  });
+
+  errors.push(...validateWorkflowDesign({ steps: (workflow.steps || []).filter(Boolean) }));
+
+  return errors;
+}
+
+/**
+ * Convert a validated document into a workflow design for the create flow
+ * @param {Object} document - Validated workflow document
+ * @returns {Object} - { name, description, steps, totalDuration, reasoning, source }
+ */
+function documentToDesign(document) {
+  const steps = document.workflow.steps.map(step => ({
+    name: step.name,
+    description: step.description || '',
+    type: String(step.type).toLowerCase(),
+    assignee: /assistant/i.test(step.assignee || '') ? 'Assistant' : 'Advisor',
+    dayOffset: Number.isInteger(step.dayOffset) ? step.dayOffset : 1
+  }));
+  const totalDays = steps.reduce((sum, step) => sum + step.dayOffset, 0);
+
+  return {
+    name: document.workflow.name,
+    description: document.workflow.description || '',
+    steps,
+    totalDuration: `${totalDays} day${totalDays === 1 ? '' : 's'}`,
+    reasoning: 'Imported from a workflow document',
+    source: 'import'
+  };
+}
+
+module.exports = {
+  validateWorkflowDesign,
+  buildWorkflowDocument,
+  serializeWorkflowDocument,
+  parseWorkflowDocument,
+  validateWorkflowDocument,
+  documentToDesign,
+  DOCUMENT_VERSION
+};
@@ -0,0 +1,285 @@
+/**
+ * Workflow Edit Utilities
+ *
+ * Applies conversational edit operations (add, remove, move, rename, update)
+ * to an existing workflow's step list, and works out the smallest set of BSA
+ * changes that turns the old step list into the new one.
+ *
+ * Step numbers in operations always refer to the ORIGINAL numbering the user
+ * saw ("insert a compliance review after step 3"), so operations can be
+ * applied in any order without renumbering surprises.
+ */
+
+const MAX_WORKFLOW_STEPS = 22; // BSA limitation
+const EDITABLE_FIELDS = ['subject', 'description', 'activityType', 'dayOffset', 'assigneeType'];
+
+/**
+ * Normalize a step from the LLM ({ name, type, assignee }) or from
+ * getWorkflowSteps ({ subject, activityType, assigneeType }) into one shape
+ *
+ * @param {Object} step - Step in either format
+ * @param {Object} base - Existing step to inherit unspecified fields from
+ * @returns {Object} - { id, subject, description, activityType, dayOffset, assigneeType }
+ */
+function normalizeStep(step = {}, base = {}) {
+  const type = step.activityType || step.type;
+  const assignee = step.assigneeType || step.assignee;
+
+  return {
+    id: base.id || step.id || null,
+    subject: step.subject || step.name || base.subject || '',
+    description: step.description ?? base.description ?? '',
+    activityType: type
+      ? (/appointment/i.test(type) ? 'Appointment' : 'Task')
+      : (base.activityType || 'Task'),
+    dayOffset: Number.isInteger(step.dayOffset) ? step.dayOffset : (base.dayOffset ?? 1),
+    assigneeType: assignee
+      ? (/assistant/i.test(assignee) ? 'ContactsOwnersAssistant' : 'ContactsOwner')
+      : (base.assigneeType || 'ContactsOwner')
+  };
+}
+
+/**
+ * Apply edit operations to a step list
+ *
+ * Supported operations:
+ * - { op: "add", after: n, step: {...} }   after: 0 inserts at the start, omitted appends
+ * - { op: "remove", step: n }
+ * - { op: "move", step: n, to: m }         m is the final position (1-based)
+ * - { op: "rename", step: n, name, description? }
+ * - { op: "update", step: n, changes: { type, assignee, dayOffset, description } }
+ *
+ * @param {Array<Object>} steps - Current steps in order (with id)
+ * @param {Array<Object>} operations - Edit operations
+ * @returns {Array<Object>} - New step list; new steps have id null
+ * @throws {Error} - If an operation references a step that doesn't exist
+ */
+function applyStepOperations(steps, operations = []) {
+  const original = steps.map(step => normalizeStep(step));
+  const working = [...original];
+  // Inserted steps get a temporary key so later operations can't collide with them
+  let insertedCount = 0;
+
+  const resolve = (number, op) => {
+    const index = parseInt(number, 10) - 1;
+    if (!Number.isInteger(index) || index < 0 || index >= original.length) {
+      throw new Error(`Step ${number} doesn't exist (${op}); the workflow has ${original.length} steps`);
+    }
+    return original[index];
+  };
+  const positionOf = (step) => {
+    const index = working.indexOf(step);
+    if (index < 0) {
+      throw new Error(`Step "${step.subject}" was already removed`);
+    }
+    return index;
+  };
+
+  for (const operation of operations) {
+    switch (operation.op) {
+      case 'add': {
+        const step = { ...normalizeStep(operation.step), id: null, _key: `new_${++insertedCount}` };
+        if (!step.subject) {
+          throw new Error('New steps need a name');
+        }
+        if (operation.after === undefined || operation.after === null) {
+          working.push(step);
+        } else if (parseInt(operation.after, 10) === 0) {
+          working.unshift(step);
+        } else {
+          working.splice(positionOf(resolve(operation.after, 'add')) + 1, 0, step);
+        }
+        break;
+      }
+
+      case 'remove':
+        working.splice(positionOf(resolve(operation.step, 'remove')), 1);
+        break;
+
+      case 'move': {
+        const step = resolve(operation.step, 'move');
+        working.splice(positionOf(step), 1);
+        const target = Math.min(Math.max(parseInt(operation.to, 10) - 1 || 0, 0), working.length);
+        working.splice(target, 0, step);
+        break;
+      }
+
+      case 'rename':
+      case 'update': {
+        const step = resolve(operation.step, operation.op);
+        const index = positionOf(step);
+        const changes = operation.op === 'rename'
+          ? { name: operation.name, description: operation.description }
+          : (operation.changes || {});
+        const updated = normalizeStep(
+          Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined && value !== null)),
+          step
+        );
+        working[index] = updated;
+        // Later operations refer to the original step - keep pointing at the current version
+        original[original.indexOf(step)] = updated;
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown workflow edit operation: ${operation.op}`);
+    }
+  }
+
+  return working.map(({ _key, ...step }) => step);
+}
+
+/**
+ * Validate an edited step list against BSA constraints
+ * @param {Array<Object>} steps - Edited steps
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+function validateSteps(steps) {
+  const errors = [];
+
+  if (steps.length === 0) {
+    errors.push('Workflow must have at least one step');
+  } else if (steps.length > MAX_WORKFLOW_STEPS) {
+    errors.push(`Workflow exceeds maximum of ${MAX_WORKFLOW_STEPS} steps`);
+  }
+
+  steps.forEach((step, index) => {
+    if (!step.subject) {
+      errors.push(`Step ${index + 1} is missing a name`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Work out the BSA changes needed to go from the old steps to the new ones
+ *
+ * Only steps whose fields or position changed are updated; removed steps are
+ * deleted and new steps are added at their final sequence.
+ *
+ * @param {Array<Object>} oldSteps - Steps as loaded from BSA (with id)
+ * @param {Array<Object>} newSteps - Edited steps (new ones have id null)
+ * @returns {Object} - { removals: [step], updates: [{ id, changes, step }], additions: [{ sequence, step }] }
+ */
+function planStepChanges(oldSteps, newSteps) {
+  const before = oldSteps.map(step => normalizeStep(step));
+  const keptIds = new Set(newSteps.filter(step => step.id).map(step => step.id));
+
+  const removals = before.filter(step => !keptIds.has(step.id));
+  const updates = [];
+  const additions = [];
+
+  newSteps.forEach((step, index) => {
+    const sequence = index + 1;
+
+    if (!step.id) {
+      additions.push({ sequence, step });
+      return;
+    }
+
+    const previous = before.find(old => old.id === step.id);
+    const previousSequence = oldSteps.find(old => old.id === step.id)?.sequence ?? before.indexOf(previous) + 1;
+    const changes = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (step[field] !== previous[field]) {
+        changes[field] = step[field];
+      }
+    }
+    if (previousSequence !== sequence) {
+      changes.sequence = sequence;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      updates.push({ id: step.id, changes, step });
+    }
+  });
+
+  return { removals, updates, additions };
+}
+
+/**
+ * Find the kept steps that actually moved
+ *
+ * Steps on the longest run that kept its relative order stay put; everything
+ * else moved. Removing or inserting a step therefore doesn't mark the steps
+ * after it as moved.
+ * @private
+ */
+function findMovedIds(before, newSteps) {
+  const kept = newSteps
+    .filter(step => step.id)
+    .map(step => ({ id: step.id, rank: before.findIndex(old => old.id === step.id) }));
+
+  // Longest increasing subsequence of old ranks (O(n^2) is fine for <= 22 steps)
+  const length = kept.map(() => 1);
+  const previous = kept.map(() => -1);
+  for (let i = 0; i < kept.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (kept[j].rank < kept[i].rank && length[j] + 1 > length[i]) {
+        length[i] = length[j] + 1;
+        previous[i] = j;
+      }
+    }
+  }
+
+  const stayed = new Set();
+  let index = length.indexOf(Math.max(0, ...length));
+  while (index >= 0) {
+    stayed.add(kept[index].id);
+    index = previous[index];
+  }
+
+  return new Set(kept.filter(step => !stayed.has(step.id)).map(step => step.id));
+}
+
+/**
+ * Build a before/after view of the edit for the approval preview
+ *
+ * @param {Array<Object>} oldSteps - Steps as loaded from BSA
+ * @param {Array<Object>} newSteps - Edited steps
+ * @returns {Object} - { before: [{ number, name, status }], after: [{ number, name, status, note }] }
+ *   before status: "removed" | "kept"; after status: "added" | "renamed" | "moved" | "changed" | "unchanged"
+ */
+function describeStepDiff(oldSteps, newSteps) {
+  const before = oldSteps.map(step => normalizeStep(step));
+  const keptIds = new Set(newSteps.filter(step => step.id).map(step => step.id));
+  const movedIds = findMovedIds(before, newSteps);
+
+  return {
+    before: before.map((step, index) => ({
+      number: index + 1,
+      name: step.subject,
+      status: keptIds.has(step.id) ? 'kept' : 'removed'
+    })),
+    after: newSteps.map((step, index) => {
+      const entry = { number: index + 1, name: step.subject, status: 'unchanged', note: null };
+      if (!step.id) {
+        return { ...entry, status: 'added' };
+      }
+
+      const oldIndex = before.findIndex(old => old.id === step.id);
+      const previous = before[oldIndex];
+      if (previous.subject !== step.subject) {
+        return { ...entry, status: 'renamed', note: `was "${previous.subject}"` };
+      }
+      if (EDITABLE_FIELDS.some(field => previous[field] !== step[field])) {
+        return { ...entry, status: 'changed', note: 'details updated' };
+      }
+      if (movedIds.has(step.id)) {
+        return { ...entry, status: 'moved', note: `was step ${oldIndex + 1}` };
+      }
+      return entry;
+    })
+  };
+}
+
+module.exports = {
+  normalizeStep,
+  applyStepOperations,
+  validateSteps,
+  planStepChanges,
+  describeStepDiff,
+  MAX_WORKFLOW_STEPS
+};